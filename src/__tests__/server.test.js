@@ -0,0 +1,46 @@
+/**
+ * Server Tests
+ * Tests for the health check and its upstream circuit breaker report
+ */
+
+process.env.ZILLOW_PROVIDER = 'rapidapi';
+process.env.RAPIDAPI_KEY = process.env.RAPIDAPI_KEY || 'test-key';
+process.env.RAPIDAPI_HOST = process.env.RAPIDAPI_HOST || 'zillow.test';
+
+const request = require('supertest');
+const app = require('../server');
+const circuitBreakerService = require('../services/circuitBreakerService');
+
+describe('GET /health', () => {
+  afterEach(() => {
+    circuitBreakerService.breakers.forEach(breaker => breaker.recordSuccess());
+    jest.restoreAllMocks();
+  });
+
+  it('should report ok while every upstream circuit is closed', async () => {
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ success: true, status: 'ok', message: 'Server is healthy' });
+    expect(response.body.upstreams.zillow).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('should report degraded with the open upstream while a circuit is open', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const breaker = circuitBreakerService.getBreaker('zillow');
+    for (let i = 0; i < breaker.failureThreshold; i++) {
+      breaker.recordFailure(new Error('Request failed with status code 502'));
+    }
+
+    const response = await request(app).get('/health');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ status: 'degraded', message: 'Server is healthy, some upstreams are unavailable' });
+    expect(response.body.upstreams.zillow).toMatchObject({
+      state: 'open',
+      failures: breaker.failureThreshold,
+      lastFailure: 'Request failed with status code 502',
+      nextAttemptAt: expect.any(String)
+    });
+  });
+});
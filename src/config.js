@@ -1,6 +1,98 @@
 require('dotenv').config();
 
-const requiredEnvVars = [
+const fs = require('fs');
+const path = require('path');
+
+// Zillow provider: 'rapidapi' (live API) or 'mock' (offline fixtures)
+const zillowProvider = (process.env.ZILLOW_PROVIDER || 'rapidapi').trim().toLowerCase();
+
+if (!['rapidapi', 'mock'].includes(zillowProvider)) {
+  console.error(`Invalid ZILLOW_PROVIDER "${zillowProvider}". Must be one of: rapidapi, mock`);
+  process.exit(1);
+}
+
+// Cassette mode for outbound HTTP calls: 'passthrough', 'record' or 'replay'
+const cassetteMode = (process.env.CASSETTE_MODE || 'passthrough').trim().toLowerCase();
+
+if (!['passthrough', 'record', 'replay'].includes(cassetteMode)) {
+  console.error(`Invalid CASSETTE_MODE "${cassetteMode}". Must be one of: passthrough, record, replay`);
+  process.exit(1);
+}
+
+// Cache backend: 'memory' (process-local), 'file' (persistent, under CACHE_DIR)
+// or 'redis' (shared, at REDIS_URL)
+const cacheBackend = (process.env.CACHE_BACKEND || 'memory').trim().toLowerCase();
+
+if (!['memory', 'file', 'redis'].includes(cacheBackend)) {
+  console.error(`Invalid CACHE_BACKEND "${cacheBackend}". Must be one of: memory, file, redis`);
+  process.exit(1);
+}
+
+if (cacheBackend === 'redis' && !process.env.REDIS_URL) {
+  console.error('CACHE_BACKEND=redis requires REDIS_URL');
+  process.exit(1);
+}
+
+// Image URLs must stay valid across restarts and instances, so production needs a fixed secret
+const imageSigningSecret = process.env.IMAGE_SIGNING_SECRET?.trim() || null;
+
+if (process.env.NODE_ENV === 'production' && !imageSigningSecret) {
+  console.error('IMAGE_SIGNING_SECRET is required when NODE_ENV=production');
+  process.exit(1);
+}
+
+// Vision providers tried in order until one answers: openai, gemini, groq, local
+const VISION_PROVIDERS = ['openai', 'gemini', 'groq', 'local'];
+const visionProviders = (process.env.VISION_PROVIDERS || 'openai,gemini')
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean);
+const unknownVisionProviders = visionProviders.filter(name => !VISION_PROVIDERS.includes(name));
+
+if (visionProviders.length === 0 || unknownVisionProviders.length > 0) {
+  console.error(`Invalid VISION_PROVIDERS "${process.env.VISION_PROVIDERS}". Must be a comma-separated list of: ${VISION_PROVIDERS.join(', ')}`);
+  process.exit(1);
+}
+
+// Ensemble mode for visual validation: 'off', 'high-value' (listings at or above
+// VISION_ENSEMBLE_MIN_PRICE) or 'always'
+const visionEnsembleMode = (process.env.VISION_ENSEMBLE_MODE || 'off').trim().toLowerCase();
+
+if (!['off', 'high-value', 'always'].includes(visionEnsembleMode)) {
+  console.error(`Invalid VISION_ENSEMBLE_MODE "${visionEnsembleMode}". Must be one of: off, high-value, always`);
+  process.exit(1);
+}
+
+// Vote weight per vision provider, e.g. "openai:1.5,gemini:1"; unlisted providers weigh 1
+const visionProviderWeights = {};
+
+(process.env.VISION_PROVIDER_WEIGHTS || '').split(',').filter(pair => pair.trim()).forEach(pair => {
+  const [name, weight] = pair.split(':').map(part => part && part.trim());
+  const value = Number(weight);
+
+  if (!VISION_PROVIDERS.includes(name) || !Number.isFinite(value) || value <= 0) {
+    console.error(`Invalid VISION_PROVIDER_WEIGHTS entry "${pair}". Use provider:weight with a positive weight`);
+    process.exit(1);
+  }
+  visionProviderWeights[name] = value;
+});
+
+// Active prompt template version per lead type, e.g. "PoolLeadGen:v1,BackyardBoost:v2";
+// unlisted lead types use their latest version in PROMPTS_DIR
+const promptVersions = {};
+
+(process.env.PROMPT_VERSIONS || '').split(',').filter(pair => pair.trim()).forEach(pair => {
+  const [leadType, version] = pair.split(':').map(part => part && part.trim());
+
+  if (!leadType || !/^v\d+$/.test(version || '')) {
+    console.error(`Invalid PROMPT_VERSIONS entry "${pair}". Use LeadType:vN (e.g. PoolLeadGen:v2)`);
+    process.exit(1);
+  }
+  promptVersions[leadType] = version;
+});
+
+// The RapidAPI credentials are not needed when serving fixture data
+const requiredEnvVars = zillowProvider === 'mock' ? [] : [
   'RAPIDAPI_KEY',
   'RAPIDAPI_HOST'
 ];
@@ -14,6 +106,150 @@ if (missingVars.length > 0) {
   process.exit(1);
 }
 
+const MB = 1024 * 1024;
+
+/**
+ * Built-in cache policy per namespace (cache key prefix)
+ * - ttl: seconds an entry is fresh (0 = no expiry)
+ * - staleTtl: seconds after expiry a stale value may be served while it is refreshed
+ * - persist: keep entries in the configured backend; false keeps them in process memory only
+ * - maxEntries / maxBytes: least recently used entries are evicted beyond either bound
+ * 'default' applies to any other prefix and fills in fields a namespace leaves out
+ */
+const DEFAULT_CACHE_POLICIES = {
+  default: { ttl: 3600, staleTtl: 0, persist: true, maxEntries: 2000, maxBytes: 20 * MB },
+  search: { staleTtl: 600, maxBytes: 50 * MB },
+  property: { staleTtl: 600 },
+  estimate: { staleTtl: 600 },
+  'expanded-search': { ttl: 3600 },
+  'visual-validation': { ttl: 1800, staleTtl: 1800, maxEntries: 10000 },
+  'backyard-analysis': { ttl: 86400, maxEntries: 5000 },
+  'pool-analysis': { ttl: 86400, maxEntries: 5000 },
+  'solar-analysis': { ttl: 86400, maxEntries: 5000 },
+  'roof-analysis': { ttl: 86400, maxEntries: 5000 },
+  'driveway-analysis': { ttl: 86400, maxEntries: 5000 },
+  'adu-analysis': { ttl: 86400, maxEntries: 5000 },
+  'batch-leads': { ttl: 3600, maxEntries: 200, maxBytes: 50 * MB },
+  'market-analysis': { ttl: 21600, staleTtl: 3600, maxEntries: 500 },
+  // Location -> image store hash, so each satellite image is fetched from Google once
+  'satellite-image': { ttl: 2592000, maxEntries: 20000 }
+};
+
+// Policy fields and the env var prefix overriding each, e.g. CACHE_STALE_TTL_VISUAL_VALIDATION
+const CACHE_POLICY_FIELDS = {
+  ttl: { env: 'CACHE_TTL', type: 'integer', min: 0 },
+  staleTtl: { env: 'CACHE_STALE_TTL', type: 'integer', min: 0 },
+  persist: { env: 'CACHE_PERSIST', type: 'boolean' },
+  maxEntries: { env: 'CACHE_MAX_ENTRIES', type: 'integer', min: 1 },
+  maxBytes: { env: 'CACHE_MAX_BYTES', type: 'integer', min: 1 }
+};
+
+/**
+ * Coerce and check one policy field
+ * Env values arrive as strings, JSON values may be numbers/booleans or strings
+ * @param {string} field - Field name
+ * @param {*} value - Raw value
+ * @returns {*} Coerced value, or undefined if invalid
+ */
+function coercePolicyValue(field, value) {
+  const { type, min } = CACHE_POLICY_FIELDS[field];
+
+  if (type === 'boolean') {
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    const normalized = String(value).trim().toLowerCase();
+    if (normalized === 'true' || normalized === 'false') {
+      return normalized === 'true';
+    }
+    return undefined;
+  }
+
+  const number = typeof value === 'number' ? value : Number(String(value).trim());
+  return Number.isInteger(number) && number >= min ? number : undefined;
+}
+
+/**
+ * Load per-namespace cache policies, exiting on invalid configuration
+ * Precedence: built-in defaults < CACHE_POLICY_FILE (JSON object keyed by namespace)
+ * < env vars (CACHE_TTL, and CACHE_<FIELD>_<NAMESPACE> for known namespaces)
+ * @returns {object} Fully resolved policy for 'default' and every known namespace
+ */
+function loadCachePolicies() {
+  let filePolicies = {};
+
+  if (process.env.CACHE_POLICY_FILE) {
+    const policyFile = path.resolve(process.env.CACHE_POLICY_FILE);
+    try {
+      filePolicies = JSON.parse(fs.readFileSync(policyFile, 'utf8'));
+    } catch (error) {
+      console.error(`Unable to read CACHE_POLICY_FILE "${policyFile}": ${error.message}`);
+      process.exit(1);
+    }
+
+    if (!filePolicies || typeof filePolicies !== 'object' || Array.isArray(filePolicies)) {
+      console.error('CACHE_POLICY_FILE must contain a JSON object keyed by cache namespace');
+      process.exit(1);
+    }
+  }
+
+  const errors = [];
+  const raw = {};
+
+  [...new Set([...Object.keys(DEFAULT_CACHE_POLICIES), ...Object.keys(filePolicies)])].forEach(namespace => {
+    const fromFile = filePolicies[namespace] || {};
+    const envName = namespace.toUpperCase().replace(/-/g, '_');
+    const fromEnv = {};
+
+    if (typeof fromFile !== 'object' || Array.isArray(fromFile)) {
+      errors.push(`${namespace}: policy must be an object`);
+      return;
+    }
+
+    Object.keys(fromFile)
+      .filter(field => !CACHE_POLICY_FIELDS[field])
+      .forEach(field => errors.push(`${namespace}: unknown field "${field}"`));
+
+    Object.entries(CACHE_POLICY_FIELDS).forEach(([field, { env }]) => {
+      const value = process.env[`${env}_${envName}`];
+      if (value !== undefined && value !== '') {
+        fromEnv[field] = value;
+      }
+    });
+
+    raw[namespace] = { ...DEFAULT_CACHE_POLICIES[namespace], ...fromFile, ...fromEnv };
+  });
+
+  // CACHE_TTL predates namespaced policies and still sets the default TTL
+  if (raw.default && process.env.CACHE_TTL && !process.env.CACHE_TTL_DEFAULT) {
+    raw.default.ttl = process.env.CACHE_TTL;
+  }
+
+  const policies = {};
+
+  Object.entries(raw).forEach(([namespace, policy]) => {
+    const resolved = namespace === 'default' ? policy : { ...policies.default, ...policy };
+    policies[namespace] = {};
+
+    Object.keys(CACHE_POLICY_FIELDS).forEach(field => {
+      const value = coercePolicyValue(field, resolved[field]);
+      if (value === undefined) {
+        errors.push(`${namespace}.${field}: invalid value "${resolved[field]}"`);
+      }
+      policies[namespace][field] = value;
+    });
+  });
+
+  if (errors.length > 0) {
+    console.error(`Invalid cache policy configuration:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  return policies;
+}
+
+const cachePolicies = loadCachePolicies();
+
 module.exports = {
   // API Configuration
   api: {
@@ -21,6 +257,47 @@ module.exports = {
     host: process.env.RAPIDAPI_HOST
   },
 
+  // Zillow Provider Configuration
+  zillow: {
+    provider: zillowProvider,
+    mockFixturesDir: process.env.ZILLOW_MOCK_FIXTURES_DIR || null,
+    mockPageSize: parseInt(process.env.ZILLOW_MOCK_PAGE_SIZE, 10) || 41,
+    mockLatencyMs: parseInt(process.env.ZILLOW_MOCK_LATENCY_MS, 10) || 0,
+    maxSearchPages: parseInt(process.env.ZILLOW_MAX_SEARCH_PAGES, 10) || 20,
+    maxRetries: process.env.ZILLOW_MAX_RETRIES !== undefined
+      ? parseInt(process.env.ZILLOW_MAX_RETRIES, 10)
+      : 3,
+    retryBaseDelayMs: parseInt(process.env.ZILLOW_RETRY_BASE_DELAY_MS, 10) || 500,
+    retryMaxDelayMs: parseInt(process.env.ZILLOW_RETRY_MAX_DELAY_MS, 10) || 30000
+  },
+
+  // RapidAPI Outbound Rate Limit and Monthly Quota Configuration
+  quota: {
+    requestsPerSecond: parseFloat(process.env.RAPIDAPI_REQUESTS_PER_SECOND) || 2,
+    burst: parseInt(process.env.RAPIDAPI_BURST, 10) || Math.max(1, Math.floor(parseFloat(process.env.RAPIDAPI_REQUESTS_PER_SECOND) || 2)),
+    monthlyLimit: parseInt(process.env.RAPIDAPI_MONTHLY_LIMIT, 10) || 0, // 0 = unlimited
+    hardStop: process.env.RAPIDAPI_QUOTA_HARD_STOP !== 'false',
+    warnPercent: parseInt(process.env.RAPIDAPI_QUOTA_WARN_PERCENT, 10) || 80,
+    usageFile: path.resolve(process.env.RAPIDAPI_USAGE_FILE || 'data/rapidapi-usage.json')
+  },
+
+  // Admin API Configuration
+  admin: {
+    apiKey: process.env.ADMIN_API_KEY?.trim() || null
+  },
+
+  // Cassette (record/replay) Configuration
+  cassette: {
+    mode: cassetteMode,
+    dir: path.resolve(process.env.CASSETTE_DIR || 'cassettes')
+  },
+
+  // Circuit Breaker Configuration (per upstream: Zillow, Google Maps, OpenAI, Gemini)
+  circuitBreaker: {
+    failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD, 10) || 5,
+    resetTimeoutMs: parseInt(process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS, 10) || 30000
+  },
+
   // Server Configuration
   server: {
     port: parseInt(process.env.PORT, 10) || 3000,
@@ -29,7 +306,14 @@ module.exports = {
 
   // Cache Configuration
   cache: {
-    ttl: parseInt(process.env.CACHE_TTL, 10) || 3600
+    ttl: cachePolicies.default.ttl,
+    backend: cacheBackend,
+    dir: path.resolve(process.env.CACHE_DIR || 'data/cache'),
+    redisUrl: process.env.REDIS_URL,
+    // Prefix for every key this service stores in Redis
+    redisNamespace: process.env.CACHE_REDIS_NAMESPACE || 'zillow-api:',
+    // Per-namespace TTL, stale window, persistence and size bounds (see DEFAULT_CACHE_POLICIES)
+    policies: cachePolicies
   },
 
   // Rate Limiting Configuration
@@ -38,6 +322,38 @@ module.exports = {
     maxRequests: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS, 10) || 100
   },
 
+  // Work Queue Configuration (bounded concurrency for visual analysis)
+  // defaultConcurrency bounds properties analyzed at once; providers limit every call to that provider
+  workQueue: {
+    defaultConcurrency: parseInt(process.env.WORK_QUEUE_CONCURRENCY, 10) || 4,
+    providers: {
+      openai: {
+        concurrency: parseInt(process.env.OPENAI_CONCURRENCY, 10) || 4,
+        minIntervalMs: parseInt(process.env.OPENAI_MIN_INTERVAL_MS, 10) || 0
+      },
+      gemini: {
+        concurrency: parseInt(process.env.GEMINI_CONCURRENCY, 10) || 2,
+        minIntervalMs: parseInt(process.env.GEMINI_MIN_INTERVAL_MS, 10) || 1000
+      },
+      groq: {
+        concurrency: parseInt(process.env.GROQ_CONCURRENCY, 10) || 2,
+        minIntervalMs: parseInt(process.env.GROQ_MIN_INTERVAL_MS, 10) || 500
+      },
+      local: {
+        concurrency: parseInt(process.env.LOCAL_VISION_CONCURRENCY, 10) || 1,
+        minIntervalMs: parseInt(process.env.LOCAL_VISION_MIN_INTERVAL_MS, 10) || 0
+      }
+    }
+  },
+
+  // Background Job Configuration
+  jobs: {
+    // How long finished jobs and their results stay retrievable
+    resultTtlMs: parseInt(process.env.JOB_RESULT_TTL_MS, 10) || 60 * 60 * 1000,
+    // Jobs allowed to run at once; further submissions are rejected
+    maxRunning: parseInt(process.env.JOB_MAX_RUNNING, 10) || 5
+  },
+
   // Logging Configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info'
@@ -51,6 +367,51 @@ module.exports = {
     geminiApiKey: process.env.GEMINI_API_KEY?.trim().replace(/^["']|["']$/g, ''),
     geminiModel: process.env.GEMINI_MODEL || 'gemini-1.5-flash',
     groqApiKey: process.env.GROQ_API_KEY?.trim().replace(/^["']|["']$/g, ''),
-    groqModel: process.env.GROQ_MODEL || 'llama-2-90b-vision-preview'
+    groqModel: process.env.GROQ_MODEL || 'meta-llama/llama-4-scout-17b-16e-instruct',
+    // OpenAI-compatible self-hosted endpoint (vLLM, Ollama, llama.cpp server, ...)
+    localBaseUrl: process.env.LOCAL_VISION_BASE_URL || null,
+    localApiKey: process.env.LOCAL_VISION_API_KEY?.trim().replace(/^["']|["']$/g, ''),
+    localModel: process.env.LOCAL_VISION_MODEL || 'llava',
+    localJsonSchema: process.env.LOCAL_VISION_JSON_SCHEMA === 'true',
+    localTimeoutMs: parseInt(process.env.LOCAL_VISION_TIMEOUT_MS, 10) || 60000,
+    // Ordered fallback chain; unconfigured providers are skipped
+    providers: visionProviders,
+    // Ask several providers (or several samples when fewer are configured) and vote
+    ensemble: {
+      mode: visionEnsembleMode,
+      size: parseInt(process.env.VISION_ENSEMBLE_SIZE, 10) || 3,
+      minPrice: parseInt(process.env.VISION_ENSEMBLE_MIN_PRICE, 10) || 1000000,
+      // Temperature for repeat samples from the same provider, so they can disagree
+      sampleTemperature: parseFloat(process.env.VISION_ENSEMBLE_SAMPLE_TEMPERATURE) || 0.7,
+      weights: visionProviderWeights
+    }
+  },
+
+  // Satellite Image Store Configuration
+  // Images are stored by content hash and served from GET /api/images/:hash with signed URLs,
+  // so clients, providers and exports never see the Google Maps key. Results keep only the
+  // hash; URLs are signed when a response is built
+  images: {
+    dir: path.resolve(process.env.IMAGE_STORE_DIR || 'data/images'),
+    // Required in production; elsewhere a random one is generated and URLs stop working on restart
+    signingSecret: imageSigningSecret,
+    urlTtl: parseInt(process.env.IMAGE_URL_TTL, 10) || 30 * 24 * 60 * 60,
+    // Prefix for image URLs in responses and CSV exports (e.g. https://api.example.com); relative when unset
+    publicBaseUrl: (process.env.PUBLIC_BASE_URL || '').trim().replace(/\/+$/, '')
+  },
+
+  // Prompt Template Configuration
+  // Templates live at <dir>/<LeadType>/<version>.txt (see services/promptService)
+  prompts: {
+    dir: process.env.PROMPTS_DIR ? path.resolve(process.env.PROMPTS_DIR) : path.join(__dirname, 'prompts'),
+    active: promptVersions
+  },
+
+  // Lead Type Configuration (see services/leadTypes)
+  leadTypes: {
+    roofCondition: {
+      // Homes built before this year whose roofs look original are flagged as replacement leads
+      originalRoofBeforeYear: parseInt(process.env.ROOF_ORIGINAL_BEFORE_YEAR, 10) || 2000
+    }
   }
 };
@@ -0,0 +1,39 @@
+/**
+ * Admin authentication middleware
+ * Requires the X-API-Key header to match ADMIN_API_KEY
+ * Admin routes are disabled when ADMIN_API_KEY is not configured
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+const adminAuth = (req, res, next) => {
+  const configuredKey = config.admin.apiKey;
+
+  if (!configuredKey) {
+    const error = new Error('Admin API is disabled. Set ADMIN_API_KEY to enable it');
+    error.statusCode = 403;
+    error.code = 'AUTHENTICATION_ERROR';
+    return next(error);
+  }
+
+  const providedKey = req.get('X-API-Key') || '';
+
+  // Compare in constant time to avoid leaking the key through timing
+  const expected = Buffer.from(configuredKey);
+  const provided = Buffer.from(providedKey);
+  const valid = expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+
+  if (!valid) {
+    console.warn(`[${new Date().toISOString()}] [${req.id || 'unknown'}] Rejected admin request to ${req.path}`);
+
+    const error = new Error('A valid X-API-Key header is required');
+    error.statusCode = 401;
+    error.code = 'AUTHENTICATION_ERROR';
+    return next(error);
+  }
+
+  next();
+};
+
+module.exports = adminAuth;
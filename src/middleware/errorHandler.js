@@ -32,6 +32,11 @@ const errorHandler = (err, req, res, next) => {
     }
   };
 
+  // Tell clients when to retry after an upstream circuit opened
+  if (err.retryAfter) {
+    res.set('Retry-After', String(err.retryAfter));
+  }
+
   // Send error response
   res.status(statusCode).json(errorResponse);
 };
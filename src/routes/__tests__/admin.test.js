@@ -0,0 +1,158 @@
+/**
+ * Admin Routes Tests
+ * Tests for the authenticated cache administration endpoints
+ */
+
+process.env.ADMIN_API_KEY = 'test-admin-key';
+process.env.ZILLOW_PROVIDER = 'mock';
+
+const request = require('supertest');
+const express = require('express');
+const adminRouter = require('../admin');
+const errorHandler = require('../../middleware/errorHandler');
+const cacheService = require('../../services/cacheService');
+const { MemoryBackend } = require('../../services/cacheBackends');
+const quotaService = require('../../services/quotaService');
+const searchService = require('../../services/searchService');
+const config = require('../../config');
+
+describe('Admin Routes - Cache', () => {
+  let app;
+
+  beforeEach(() => {
+    cacheService.setBackend(new MemoryBackend());
+    app = express();
+    app.use(express.json());
+    app.use('/api/admin', adminRouter);
+    app.use(errorHandler);
+  });
+
+  const admin = (req) => req.set('X-API-Key', 'test-admin-key');
+
+  it('should require the admin API key', async () => {
+    const response = await request(app).get('/api/admin/cache');
+
+    expect(response.status).toBe(401);
+  });
+
+  it('should report stats and inspect a key', async () => {
+    await cacheService.set('property:id="1"', { id: '1' }, 60, { tags: { zpid: '1' } });
+
+    const stats = await admin(request(app).get('/api/admin/cache'));
+    expect(stats.status).toBe(200);
+    expect(stats.body.data).toMatchObject({ backend: 'memory', keyCount: 1, namespaces: { property: { entries: 1 } } });
+    expect(stats.body.data.keys).toBeUndefined();
+
+    const withKeys = await admin(request(app).get('/api/admin/cache').query({ keys: 'true' }));
+    expect(withKeys.body.data.keys).toEqual(['property:id="1"']);
+
+    const entry = await admin(request(app).get('/api/admin/cache/entry').query({ key: 'property:id="1"' }));
+    expect(entry.status).toBe(200);
+    expect(entry.body.data).toMatchObject({ state: 'fresh', tags: ['zpid:1'], value: { id: '1' } });
+
+    const missing = await admin(request(app).get('/api/admin/cache/entry').query({ key: 'nope' }));
+    expect(missing.status).toBe(404);
+  });
+
+  it('should purge by tag or prefix', async () => {
+    await cacheService.set('search:a', 1, 60, { tags: { location: 'Miami, FL' } });
+    await cacheService.set('search:b', 2, 60, { tags: { location: 'Austin, TX' } });
+    await cacheService.set('estimate:a', 3, 60);
+
+    const byTag = await admin(request(app).delete('/api/admin/cache').query({ tag: 'location:Miami, FL' }));
+    expect(byTag.body.data.deleted).toBe(1);
+
+    const byPrefix = await admin(request(app).delete('/api/admin/cache').query({ prefix: 'search:' }));
+    expect(byPrefix.body.data.deleted).toBe(1);
+
+    const neither = await admin(request(app).delete('/api/admin/cache'));
+    expect(neither.status).toBe(400);
+  });
+
+  it('should warm searches for a location', async () => {
+    const response = await admin(request(app)
+      .post('/api/admin/cache/warm')
+      .send({ location: 'Houston, TX', projects: ['backyard'], pages: 2 }));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.searches[0]).toMatchObject({ project: 'backyard', page: 1 });
+
+    const stats = await cacheService.getStats({ includeKeys: true });
+    expect(stats.keys.some(key => key.startsWith('search:') && key.includes('Houston, TX'))).toBe(true);
+  });
+
+  it('should reject unknown projects when warming', async () => {
+    const response = await admin(request(app)
+      .post('/api/admin/cache/warm')
+      .send({ location: 'Houston, TX', projects: ['castle'] }));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.message).toContain('adu');
+    expect(response.body.error.message).toContain(searchService.getProjectNames().join(', '));
+  });
+});
+
+describe('Admin Routes - Quota', () => {
+  const app = express();
+  app.use('/api/admin', adminRouter);
+  app.use(errorHandler);
+
+  afterEach(() => {
+    config.admin.apiKey = 'test-admin-key';
+    jest.restoreAllMocks();
+  });
+
+  it('should reject a wrong key and report the admin API as disabled without one', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const wrongKey = await request(app).get('/api/admin/quota').set('X-API-Key', 'test-admin-kex');
+    expect(wrongKey.status).toBe(401);
+    expect(wrongKey.body.error.code).toBe('AUTHENTICATION_ERROR');
+
+    config.admin.apiKey = null;
+    const disabled = await request(app).get('/api/admin/quota').set('X-API-Key', 'test-admin-key');
+    expect(disabled.status).toBe(403);
+    expect(disabled.body.error.message).toContain('ADMIN_API_KEY');
+  });
+
+  it('should report consumption for the current month', async () => {
+    jest.spyOn(quotaService, 'saveUsage').mockImplementation(() => {});
+    const { monthlyLimit, usage } = quotaService;
+    quotaService.monthlyLimit = 1000;
+    quotaService.usage = { month: quotaService.getCurrentMonth(), used: 420, lastRequestAt: null, upstream: null };
+
+    try {
+      const response = await request(app).get('/api/admin/quota').set('X-API-Key', 'test-admin-key');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        used: 420,
+        monthlyLimit: 1000,
+        remaining: 580,
+        percentUsed: 42,
+        exhausted: false,
+        rateLimit: { requestsPerSecond: quotaService.requestsPerSecond, queued: 0 }
+      });
+      expect(response.body.metadata.source).toBe('quota-service');
+    } finally {
+      Object.assign(quotaService, { monthlyLimit, usage });
+    }
+  });
+});
+
+describe('Admin Routes - Prompts', () => {
+  it('should list prompt versions per lead type with the active one', async () => {
+    const app = express();
+    app.use('/api/admin', adminRouter);
+    app.use(errorHandler);
+
+    const response = await request(app).get('/api/admin/prompts').set('X-API-Key', 'test-admin-key');
+
+    expect(response.status).toBe(200);
+    const pool = response.body.data.leadTypes.find(entry => entry.leadType === 'PoolLeadGen');
+    expect(pool.activeVersion).toBe('v2');
+    expect(pool.versions.map(version => version.id)).toEqual(['PoolLeadGen@v1', 'PoolLeadGen@v2']);
+    expect(pool.versions[1]).toMatchObject({ active: true, variables: ['homeType', 'lotSize', 'yearBuilt'] });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Image Routes Tests
+ * Tests for serving stored satellite images through signed URLs and the production signing secret
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.IMAGE_STORE_DIR = path.join(os.tmpdir(), `image-route-${process.pid}`);
+
+const request = require('supertest');
+const express = require('express');
+const imagesRouter = require('../images');
+const errorHandler = require('../../middleware/errorHandler');
+const imageStoreService = require('../../services/imageStoreService');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x01]);
+
+describe('Image Routes', () => {
+  let app;
+  let hash;
+
+  beforeAll(async () => {
+    ({ hash } = await imageStoreService.save(PNG));
+    app = express();
+    app.use('/api/images', imagesRouter);
+    app.use(errorHandler);
+  });
+
+  it('should serve a stored image for a valid signed URL', async () => {
+    const response = await request(app).get(imageStoreService.getSignedUrl(hash));
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('image/png');
+    expect(Buffer.compare(response.body, PNG)).toBe(0);
+  });
+
+  it('should reject missing, tampered and expired signatures', async () => {
+    const missing = await request(app).get(`/api/images/${hash}`);
+    expect(missing.status).toBe(403);
+
+    const tampered = await request(app).get(imageStoreService.getSignedUrl(hash).replace('signature=', 'signature=x'));
+    expect(tampered.status).toBe(403);
+    expect(tampered.body.error.code).toBe('INVALID_SIGNATURE');
+
+    const expired = await request(app).get(imageStoreService.getSignedUrl(hash, -60));
+    expect(expired.status).toBe(403);
+    expect(expired.body.error.message).toBe('Image URL has expired');
+  });
+
+  it('should return 404 for a validly signed hash that is not stored', async () => {
+    const unknown = 'f'.repeat(64);
+    const response = await request(app).get(imageStoreService.getSignedUrl(unknown));
+
+    expect(response.status).toBe(404);
+  });
+
+  it('should refuse to start in production without IMAGE_SIGNING_SECRET', () => {
+    const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+      throw new Error('process.exit');
+    });
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { NODE_ENV, IMAGE_SIGNING_SECRET } = process.env;
+    process.env.NODE_ENV = 'production';
+    delete process.env.IMAGE_SIGNING_SECRET;
+
+    try {
+      jest.isolateModules(() => {
+        expect(() => require('../../config')).toThrow('process.exit');
+      });
+      expect(error).toHaveBeenCalledWith('IMAGE_SIGNING_SECRET is required when NODE_ENV=production');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (IMAGE_SIGNING_SECRET !== undefined) {
+        process.env.IMAGE_SIGNING_SECRET = IMAGE_SIGNING_SECRET;
+      }
+      exit.mockRestore();
+      error.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Job Routes Tests
+ * Tests for asynchronous batch lead jobs
+ */
+
+const request = require('supertest');
+const express = require('express');
+
+jest.mock('../../services/cacheService');
+jest.mock('../../services/batchLeadService', () => ({
+  ...jest.requireActual('../../services/batchLeadService'),
+  getCachedBatchLeads: jest.fn()
+}));
+
+const jobsRouter = require('../jobs');
+const errorHandler = require('../../middleware/errorHandler');
+const batchLeadService = require('../../services/batchLeadService');
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job Routes - Batch Leads', () => {
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/jobs', jobsRouter);
+    app.use(errorHandler);
+    jest.clearAllMocks();
+  });
+
+  const validBody = { location: 'Houston, TX', leadType: 'PoolLeadGen', requestedLeads: 10 };
+
+  it('should return a job ID and then the batch result', async () => {
+    const batchResult = { success: true, location: 'Houston, TX', leads: [], deliveredLeads: 0 };
+    batchLeadService.getCachedBatchLeads.mockImplementation(async (location, leadType, requestedLeads, options) => {
+      options.onProgress({ phase: 'validating', found: 25, validated: 3, valid: 2, invalid: 1 });
+      return { success: true, data: batchResult, metadata: { cached: false } };
+    });
+
+    const created = await request(app).post('/api/jobs/batch-leads').send(validBody);
+
+    expect(created.status).toBe(202);
+    expect(created.body.data.id).toEqual(expect.any(String));
+    expect(created.body.data.status).toBe('queued');
+    expect(created.headers.location).toBe(`/api/jobs/${created.body.data.id}`);
+
+    await flush();
+
+    const status = await request(app).get(`/api/jobs/${created.body.data.id}`);
+    expect(status.status).toBe(200);
+    expect(status.body.data).toMatchObject({
+      status: 'completed',
+      phase: 'validating',
+      progress: { found: 25, validated: 3, valid: 2, invalid: 1 }
+    });
+
+    const result = await request(app).get(`/api/jobs/${created.body.data.id}/result`);
+    expect(result.status).toBe(200);
+    expect(result.body.data).toEqual(batchResult);
+    expect(batchLeadService.getCachedBatchLeads).toHaveBeenCalledWith(
+      'Houston, TX', 'PoolLeadGen', 10, expect.objectContaining({ signal: expect.any(Object) })
+    );
+  });
+
+  it('should cancel a running job', async () => {
+    let receivedSignal;
+    batchLeadService.getCachedBatchLeads.mockImplementation((location, leadType, requestedLeads, options) => {
+      receivedSignal = options.signal;
+      return new Promise(() => {});
+    });
+
+    const created = await request(app).post('/api/jobs/batch-leads').send(validBody);
+    await flush();
+
+    const cancelled = await request(app).delete(`/api/jobs/${created.body.data.id}`);
+    expect(cancelled.status).toBe(200);
+    expect(cancelled.body.data.status).toBe('cancelled');
+    expect(receivedSignal.aborted).toBe(true);
+
+    const result = await request(app).get(`/api/jobs/${created.body.data.id}/result`);
+    expect(result.status).toBe(409);
+    expect(result.body.error.code).toBe('JOB_NOT_COMPLETE');
+  });
+
+  it('should report a failed job through the result endpoint', async () => {
+    const quotaError = new Error('Monthly RapidAPI quota exhausted');
+    quotaError.code = 'QUOTA_EXCEEDED';
+    quotaError.statusCode = 429;
+    batchLeadService.getCachedBatchLeads.mockRejectedValue(quotaError);
+
+    const created = await request(app).post('/api/jobs/batch-leads').send(validBody);
+    await flush();
+
+    const status = await request(app).get(`/api/jobs/${created.body.data.id}`);
+    expect(status.body.data.status).toBe('failed');
+
+    const result = await request(app).get(`/api/jobs/${created.body.data.id}/result`);
+    expect(result.status).toBe(429);
+    expect(result.body.error.code).toBe('QUOTA_EXCEEDED');
+  });
+
+  it('should reject invalid requests before creating a job', async () => {
+    const response = await request(app)
+      .post('/api/jobs/batch-leads')
+      .send({ ...validBody, requestedLeads: 7 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error.code).toBe('VALIDATION_ERROR');
+    expect(batchLeadService.getCachedBatchLeads).not.toHaveBeenCalled();
+  });
+
+  it('should return 404 for unknown jobs', async () => {
+    const response = await request(app).get('/api/jobs/does-not-exist');
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.code).toBe('NOT_FOUND');
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Lead Type Routes Tests
+ * Tests for GET /api/lead-types and the lead type registry behind it
+ */
+
+const request = require('supertest');
+const express = require('express');
+const leadTypesRouter = require('../leadTypes');
+const leadTypeRegistry = require('../../services/leadTypes');
+const poolLeadGen = require('../../services/leadTypes/poolLeadGen');
+
+describe('Lead Type Routes', () => {
+  let app;
+
+  beforeAll(() => {
+    app = express();
+    app.use('/api/lead-types', leadTypesRouter);
+  });
+
+  it('should list every registered lead type with its routes and export columns', async () => {
+    const response = await request(app).get('/api/lead-types');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.leadTypes.map(type => type.name)).toEqual(['PoolLeadGen', 'BackyardBoost', 'SolarReady', 'RoofCondition', 'DrivewayPaving', 'ADUFeasibility']);
+
+    const solar = response.body.data.leadTypes.find(type => type.name === 'SolarReady');
+    expect(solar.routes).toEqual({
+      analyze: '/api/properties/analyze-solar',
+      searchAndAnalyze: '/api/properties/search-and-analyze-solar'
+    });
+    expect(solar.promptVersion).toBe('v1');
+    expect(solar.decisiveFields).toEqual(['has_existing_panels']);
+    expect(solar.exportColumns).toContain('Tree Shading');
+    expect(solar.scoreWeights).toEqual({ high: 85, medium: 65, low: 35, discrepancyPenalty: 15 });
+    expect(solar.schema.required).toContain('roof_orientation');
+  });
+});
+
+describe('Lead Type Registry', () => {
+  // A fresh registry so the shared one keeps its lead types
+  const createRegistry = () => new leadTypeRegistry.constructor();
+
+  it('should apply defaults and override score weights per lead type', () => {
+    const registry = createRegistry();
+    const registered = registry.register({ ...poolLeadGen, scoreWeights: { high: 90 } });
+
+    expect(registry.names()).toEqual(['PoolLeadGen']);
+    expect(registered.scoreWeights).toEqual({ high: 90, medium: 65, low: 35, discrepancyPenalty: 15 });
+    expect(registered.toleratesMinorDiscrepancies).toBe(false);
+  });
+
+  it('should reject incomplete, duplicate and template-less lead types', () => {
+    const registry = createRegistry();
+    registry.register(poolLeadGen);
+
+    const { compare, ...withoutCompare } = poolLeadGen;
+    expect(() => registry.register({ ...withoutCompare, name: 'Other', slug: 'other' })).toThrow('missing: compare');
+    expect(() => registry.register(poolLeadGen)).toThrow('already registered');
+    expect(() => registry.register({ ...poolLeadGen, name: 'PoolCopy' })).toThrow('slug pool is already used');
+    expect(() => registry.register({ ...poolLeadGen, name: 'Castle', slug: 'castle' })).toThrow('no prompt templates');
+  });
+
+  it('should describe valid names for error messages', () => {
+    expect(leadTypeRegistry.describeNames()).toBe('PoolLeadGen, BackyardBoost, SolarReady, RoofCondition, DrivewayPaving or ADUFeasibility');
+  });
+});
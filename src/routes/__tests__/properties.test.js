@@ -1,6 +1,6 @@
 /**
  * Properties Routes Tests
- * Tests for search-and-analyze endpoints
+ * Tests for search-and-analyze endpoints and single property analysis
  */
 
 const request = require('supertest');
@@ -204,3 +204,218 @@ describe('Properties Routes - Search and Analyze', () => {
     });
   });
 });
+
+describe('Properties Routes - Streaming Search and Analyze', () => {
+  let app;
+
+  const zillowService = require('../../services/zillowService');
+  const transformService = require('../../services/transformService');
+  const visualInspector = require('../../services/visualInspector');
+  const leadQualityService = require('../../services/leadQualityService');
+
+  /**
+   * Parse a Server-Sent Events body into { event, data } pairs
+   */
+  const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)[1];
+      const data = JSON.parse(block.match(/^data: (.*)$/m)[1]);
+      return { event, data };
+    });
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/properties', propertiesRouter);
+    jest.clearAllMocks();
+    visualInspector.applyRules.mockImplementation(analysis => analysis);
+  });
+
+  it('should stream lead and failure events followed by a summary with CSV', async () => {
+    zillowService.searchProperties.mockResolvedValue({ props: [] });
+    transformService.transformSearchResults.mockReturnValue({
+      data: {
+        properties: [
+          { id: '111', address: '1 Pool Ln, Miami, FL', latitude: 25.76, longitude: -80.19 },
+          { id: '222', address: '', latitude: 25.77, longitude: -80.2 },
+          { id: '333', address: '3 No Coords St, Miami, FL' }
+        ]
+      }
+    });
+    visualInspector.verify_property_visually.mockResolvedValue({
+      validation: {
+        analysis: { has_pool: true, confidence: 90 },
+        satelliteImageHash: 'a'.repeat(64)
+      }
+    });
+    leadQualityService.generateQualityReport.mockReturnValue({ qualityScore: 'high', confidence: 90 });
+    responseFormatter.formatLead.mockImplementation(result => ({ zpid: result.zpid, lead_score: 90 }));
+    responseFormatter.formatBatchResponse.mockImplementation((leads, location, leadType) => ({
+      location,
+      count: leads.length,
+      leads,
+      csv: { filename: `${leadType.toLowerCase()}_leads.csv`, base64: 'QWRkcmVzcw==' },
+      metadata: { leadType, exportFormat: 'csv' }
+    }));
+
+    const response = await request(app)
+      .get('/api/properties/search-and-analyze/stream')
+      .query({ location: 'Miami, FL', lead_type: 'PoolLeadGen' });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toContain('text/event-stream');
+
+    const events = parseEvents(response.text);
+    expect(events.map(e => e.event)).toEqual(expect.arrayContaining(['start', 'lead', 'failure', 'summary']));
+    expect(events[0]).toMatchObject({ event: 'start', data: { found: 3, total: 2 } });
+    expect(events.find(e => e.event === 'lead').data.lead).toEqual({ zpid: '111', lead_score: 90 });
+    expect(events.find(e => e.event === 'failure').data).toMatchObject({
+      zpid: '222',
+      reason: expect.stringContaining('Address')
+    });
+
+    const summary = events[events.length - 1];
+    expect(summary.event).toBe('summary');
+    expect(summary.data).toMatchObject({ success: true, count: 1, analyzed: 1, failed: 1 });
+    expect(summary.data.csv.filename).toContain('poolleadgen_leads');
+    expect(summary.data.leads).toBeUndefined();
+  });
+
+  it('should emit an error event when the search fails after the stream opens', async () => {
+    const unavailable = new Error('zillow is temporarily unavailable');
+    unavailable.code = 'SERVICE_UNAVAILABLE';
+    unavailable.statusCode = 503;
+    zillowService.searchProperties.mockRejectedValue(unavailable);
+
+    const response = await request(app)
+      .get('/api/properties/search-and-analyze/stream')
+      .query({ location: 'Miami, FL', lead_type: 'BackyardBoost' });
+
+    const events = parseEvents(response.text);
+    expect(events).toEqual([
+      { event: 'error', data: { code: 'SERVICE_UNAVAILABLE', message: unavailable.message, statusCode: 503 } }
+    ]);
+  });
+
+  it('should search with the lead type preset, overridden by query filters', async () => {
+    const leadTypeRegistry = require('../../services/leadTypes');
+    zillowService.searchProperties.mockResolvedValue({ props: [] });
+    transformService.transformSearchResults.mockReturnValue({ data: { properties: [] } });
+    responseFormatter.formatBatchResponse.mockReturnValue({ leads: [] });
+
+    await request(app)
+      .get('/api/properties/search-and-analyze/stream')
+      .query({ location: 'Miami, FL', lead_type: 'ADUFeasibility', minPrice: '400000' });
+
+    expect(zillowService.searchProperties).toHaveBeenCalledWith({
+      location: 'Miami, FL',
+      filters: { ...leadTypeRegistry.get('ADUFeasibility').searchFilters, minPrice: 400000 }
+    });
+  });
+
+  it('should reject an invalid lead type before opening the stream', async () => {
+    const response = await request(app)
+      .get('/api/properties/search-and-analyze/stream')
+      .query({ location: 'Miami, FL', lead_type: 'Unknown' });
+
+    expect(response.status).toBe(500);
+    expect(response.headers['content-type']).not.toContain('text/event-stream');
+  });
+});
+
+describe('Properties Routes - Search pagination', () => {
+  const searchService = require('../../services/searchService');
+  const errorHandler = require('../../middleware/errorHandler');
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use('/api/properties', propertiesRouter);
+    app.use(errorHandler);
+    jest.spyOn(searchService, 'search').mockResolvedValue({
+      success: true,
+      data: { properties: [], pagination: { page: 2, pageSize: 41, totalPages: 3, totalResults: 100 } }
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should pass the requested page through and default to the first page', async () => {
+    const response = await request(app).get('/api/properties/search').query({ location: 'Houston, TX', page: '2' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.pagination).toMatchObject({ page: 2, totalPages: 3 });
+    expect(searchService.search).toHaveBeenCalledWith(expect.objectContaining({ location: 'Houston, TX', page: 2 }));
+
+    await request(app).get('/api/properties/search').query({ location: 'Houston, TX' });
+    expect(searchService.search).toHaveBeenLastCalledWith(expect.objectContaining({ page: 1 }));
+  });
+
+  it.each(['0', '-1', '1.5', 'abc'])('should reject page=%s before searching', async (page) => {
+    const response = await request(app).get('/api/properties/search').query({ location: 'Houston, TX', page });
+
+    expect(response.body.error.message).toBe('page must be a positive integer');
+    expect(searchService.search).not.toHaveBeenCalled();
+  });
+});
+
+describe('Properties Routes - Analyze', () => {
+  const visualInspector = require('../../services/visualInspector');
+  const leadQualityService = require('../../services/leadQualityService');
+  const cacheService = require('../../services/cacheService');
+  const leadTypeRegistry = require('../../services/leadTypes');
+  let app;
+
+  beforeEach(() => {
+    app = express();
+    app.use(express.json());
+    app.use('/api/properties', propertiesRouter);
+    jest.clearAllMocks();
+  });
+
+  it('should rebuild listing-derived fields from the current zillow_data on a cache hit', async () => {
+    const stored = new Map();
+    cacheService.generateKey.mockImplementation((prefix, params) => `${prefix}:${JSON.stringify(params)}`);
+    cacheService.get.mockImplementation(async key => stored.get(key));
+    cacheService.set.mockImplementation(async (key, value) => stored.set(key, value));
+    visualInspector.applyRules.mockImplementation((analysis, leadType, zillowData) => ({
+      ...analysis,
+      ...leadTypeRegistry.get(leadType).applyRules(analysis, zillowData)
+    }));
+    visualInspector.verify_property_visually.mockImplementation(async (latitude, longitude, leadType, zillowData) => ({
+      validation: {
+        analysis: visualInspector.applyRules({
+          rear_yard_free_area: 'high',
+          rear_yard_free_area_sqft: 2000,
+          setback_clearance: 'ample',
+          has_alley_access: true,
+          has_side_access: false,
+          confidence: 80
+        }, leadType, zillowData),
+        satelliteImageHash: 'a'.repeat(64)
+      }
+    }));
+    leadQualityService.generateQualityReport.mockReturnValue({ qualityScore: 'high', confidence: 80 });
+    responseFormatter.formatLead.mockImplementation(result => result);
+    responseFormatter.formatBatchResponse.mockImplementation(leads => ({ leads }));
+
+    const analyze = zillowData => request(app)
+      .post('/api/properties/analyze-adu')
+      .send({ zpid: '555', latitude: 34.05, longitude: -118.33, address: '5 Lot Ave, Los Angeles, CA', zillow_data: zillowData });
+    const house = { homeType: 'SINGLE_FAMILY', lotAreaValue: 8000, lotAreaUnit: 'sqft', livingArea: 1800 };
+
+    const first = (await analyze(house)).body.leads[0];
+    const second = (await analyze({ ...house, lotAreaValue: 4500, livingArea: 2000 })).body.leads[0];
+
+    expect(visualInspector.verify_property_visually).toHaveBeenCalledTimes(1);
+    expect(first.analysis.aduAssessment).toMatchObject({ feasibilityTier: 'high', lotSizeSqft: 8000 });
+    expect(second.analysis.aduAssessment).toMatchObject({ feasibilityTier: 'not_feasible', lotSizeSqft: 4500 });
+    expect(second.visualValidation.analysis.feasibility).toMatchObject({ tier: 'not_feasible', lot_size_sqft: 4500 });
+    expect(second.zillow_data.lotAreaValue).toBe(4500);
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * Admin Routes
+ * Operational endpoints for monitoring upstream usage, internal queues, the cache and prompt versions
+ * All routes require the X-API-Key header (see middleware/adminAuth)
+ */
+
+const express = require('express');
+const adminAuth = require('../middleware/adminAuth');
+const quotaService = require('../services/quotaService');
+const workQueueService = require('../services/workQueueService');
+const circuitBreakerService = require('../services/circuitBreakerService');
+const cacheService = require('../services/cacheService');
+const searchService = require('../services/searchService');
+const promptService = require('../services/promptService');
+
+const router = express.Router();
+
+router.use(adminAuth);
+
+/**
+ * GET /api/admin/quota
+ * Show RapidAPI consumption for the current month and the outbound rate limiter state
+ */
+router.get('/quota', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: quotaService.getUsage(),
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'quota-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/metrics
+ * Show work queue depth and throughput per vision provider alongside upstream circuit state
+ */
+router.get('/metrics', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        queues: workQueueService.getStats(),
+        upstreams: circuitBreakerService.getStates()
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'metrics'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Build a validation error for admin request parameters
+ * @param {string} message - Error message
+ * @returns {Error} VALIDATION_ERROR error
+ */
+function validationError(message) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_ERROR';
+  error.statusCode = 400;
+  return error;
+}
+
+/**
+ * GET /api/admin/prompts
+ * List prompt template versions per lead type and which one is active
+ * Version ids (LeadType@version) are the values of the promptVersion cache tag
+ */
+router.get('/prompts', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        leadTypes: promptService.listVersions()
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'prompt-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cache
+ * Show cache backend, per-namespace entries/bytes against their limits, evictions and hit/miss counters
+ *
+ * Query Parameters:
+ *   - keys (optional): 'true' to also list every cache key
+ */
+router.get('/cache', async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: await cacheService.getStats({ includeKeys: req.query.keys === 'true' }),
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'cache-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/admin/cache/entry
+ * Inspect a single cache entry (value, timestamps, tags, fresh/stale)
+ *
+ * Query Parameters:
+ *   - key (required): Exact cache key, as listed by GET /api/admin/cache
+ */
+router.get('/cache/entry', async (req, res, next) => {
+  try {
+    const { key } = req.query;
+
+    if (!key || typeof key !== 'string') {
+      throw validationError('key query parameter is required');
+    }
+
+    const entry = await cacheService.inspect(key);
+
+    if (!entry) {
+      const error = new Error(`Cache key not found: ${key}`);
+      error.code = 'NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry,
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'cache-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/admin/cache
+ * Purge cache entries by tag or key prefix
+ *
+ * Query Parameters (exactly one):
+ *   - tag: name:value, name one of zpid, location, leadType, provider, promptVersion
+ *     (e.g. zpid:12345, or promptVersion:PoolLeadGen@v1 for results of one prompt version)
+ *   - prefix: Key prefix (e.g. search: or visual-validation:)
+ */
+router.delete('/cache', async (req, res, next) => {
+  try {
+    const { tag, prefix } = req.query;
+
+    if (Boolean(tag) === Boolean(prefix)) {
+      throw validationError('Provide exactly one of the tag or prefix query parameters');
+    }
+
+    const deleted = tag
+      ? await cacheService.invalidateByTag(tag)
+      : await cacheService.invalidateByPrefix(prefix);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        tag: tag || null,
+        prefix: prefix || null,
+        deleted
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'cache-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * POST /api/admin/cache/warm
+ * Pre-fetch searches for a location so the first users hit the cache
+ *
+ * Request Body:
+ *   - location (required): City, address, or zip code
+ *   - projects (optional): Project presets to warm (a lead type slug such as pool, or market); defaults to a plain search
+ *   - pages (optional): Result pages per project (default 1, max 10)
+ */
+router.post('/cache/warm', async (req, res, next) => {
+  try {
+    const { location, projects = [], pages = 1 } = req.body;
+
+    if (!location || typeof location !== 'string' || location.trim() === '') {
+      throw validationError('Location parameter is required and must be a non-empty string');
+    }
+
+    if (!Array.isArray(projects) || projects.some(project => !searchService.getProjectConfig(project))) {
+      throw validationError(`projects must be an array of: ${searchService.getProjectNames().join(', ')}`);
+    }
+
+    if (!Number.isInteger(pages) || pages < 1 || pages > 10) {
+      throw validationError('pages must be an integer between 1 and 10');
+    }
+
+    const warmed = await searchService.warm(location, { projects, pages });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        location,
+        searches: warmed
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'cache-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
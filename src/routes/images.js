@@ -0,0 +1,54 @@
+/**
+ * Image Routes
+ * Serves satellite images from the image store through signed, expiring URLs
+ * URLs are signed from stored image hashes as responses are built: lead exports
+ * (imagery.image_url) and quality report evidence (satelliteImageUrl)
+ */
+
+const express = require('express');
+const imageStoreService = require('../services/imageStoreService');
+
+const router = express.Router();
+
+/**
+ * GET /api/images/:hash
+ * Return a stored image
+ *
+ * Query Parameters:
+ *   - expires (required): Expiry as Unix seconds, from the signed URL
+ *   - signature (required): URL signature
+ */
+router.get('/:hash', async (req, res, next) => {
+  try {
+    const { hash } = req.params;
+    const { expires, signature } = req.query;
+
+    const rejection = imageStoreService.verify(hash, expires, signature);
+    if (rejection) {
+      const error = new Error(rejection);
+      error.code = 'INVALID_SIGNATURE';
+      error.statusCode = 403;
+      throw error;
+    }
+
+    const image = await imageStoreService.get(hash);
+    if (!image) {
+      const error = new Error(`Image not found: ${hash}`);
+      error.code = 'NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    // Content never changes for a hash; private so shared caches don't outlive the signature
+    res.set({
+      'Content-Type': image.mimeType,
+      'Cache-Control': `private, max-age=${Math.max(Number(expires) - Math.floor(Date.now() / 1000), 0)}, immutable`,
+      ETag: `"${hash}"`
+    });
+    res.status(200).send(image.imageBuffer);
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,104 @@
+/**
+ * Job Routes
+ * Background execution of long-running batch operations
+ * Submit a job, poll its progress, then fetch the result
+ */
+
+const express = require('express');
+const jobService = require('../services/jobService');
+const batchLeadService = require('../services/batchLeadService');
+
+const router = express.Router();
+
+/**
+ * POST /api/jobs/batch-leads
+ * Start a batch lead job and return its ID immediately
+ * The result matches POST /api/properties/batch-leads
+ *
+ * Request Body:
+ *   - location (required): Property location
+ *   - leadType (required): Type of lead (a name from GET /api/lead-types)
+ *   - requestedLeads (required): Number of leads (10, 25, 50, or 100)
+ */
+router.post('/batch-leads', (req, res, next) => {
+  try {
+    const { location, leadType, requestedLeads } = req.body;
+
+    batchLeadService.validateBatchRequest(location, leadType, requestedLeads);
+
+    // Shares cache entries with POST /api/properties/batch-leads
+    const job = jobService.createJob('batch-leads', { location, leadType, requestedLeads }, ({ signal, reportProgress }) =>
+      batchLeadService.getCachedBatchLeads(location, leadType, requestedLeads, {
+        signal,
+        onProgress: reportProgress
+      })
+    );
+
+    res
+      .status(202)
+      .location(`${req.baseUrl}/${job.id}`)
+      .json({
+        success: true,
+        data: job,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          source: 'job-service'
+        }
+      });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Report a job's status, current phase (searching/validating/formatting) and counts so far
+ */
+router.get('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: jobService.getStatus(req.params.id),
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'job-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * GET /api/jobs/:id/result
+ * Return the payload of a completed job
+ * Responds 409 while the job is still running or if it was cancelled
+ */
+router.get('/:id/result', (req, res, next) => {
+  try {
+    res.status(200).json(jobService.getResult(req.params.id));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/jobs/:id
+ * Cancel a running job, or discard a finished one and its result
+ */
+router.delete('/:id', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: jobService.cancelJob(req.params.id),
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'job-service'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
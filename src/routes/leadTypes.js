@@ -0,0 +1,58 @@
+/**
+ * Lead Type Routes
+ * Describes the registered lead types (see services/leadTypes) so clients can build
+ * requests, forms and exports without hard-coding them
+ */
+
+const express = require('express');
+const leadTypeRegistry = require('../services/leadTypes');
+const promptService = require('../services/promptService');
+
+const router = express.Router();
+
+/**
+ * Describe a lead type for the API
+ * @param {object} definition - Lead type from the registry
+ * @returns {object} Public description (no functions)
+ */
+function describeLeadType(definition) {
+  return {
+    name: definition.name,
+    label: definition.label,
+    description: definition.description,
+    routes: {
+      analyze: `/api/properties/analyze-${definition.slug}`,
+      searchAndAnalyze: `/api/properties/search-and-analyze-${definition.slug}`
+    },
+    promptVersion: promptService.getActiveVersion(definition.name),
+    decisiveFields: definition.decisiveFields,
+    searchFilters: definition.searchFilters,
+    qualityThresholds: definition.qualityThresholds,
+    scoreWeights: definition.scoreWeights,
+    exportColumns: definition.exportColumns.map(column => column.header),
+    schema: definition.schema
+  };
+}
+
+/**
+ * GET /api/lead-types
+ * List registered lead types with their routes, prompt version, search preset, scoring and export columns
+ */
+router.get('/', (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        leadTypes: leadTypeRegistry.list().map(describeLeadType)
+      },
+      metadata: {
+        timestamp: new Date().toISOString(),
+        source: 'lead-type-registry'
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
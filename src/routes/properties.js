@@ -8,10 +8,14 @@ const zillowService = require('../services/zillowService');
 const cacheService = require('../services/cacheService');
 const transformService = require('../services/transformService');
 const visualInspector = require('../services/visualInspector');
+const promptService = require('../services/promptService');
 const leadQualityService = require('../services/leadQualityService');
 const responseFormatter = require('../services/responseFormatter');
 const batchLeadService = require('../services/batchLeadService');
 const marketAnalyzerService = require('../services/marketAnalyzerService');
+const workQueueService = require('../services/workQueueService');
+const searchService = require('../services/searchService');
+const leadTypeRegistry = require('../services/leadTypes');
 
 const router = express.Router();
 
@@ -42,6 +46,10 @@ function validateSearchParams(params) {
       throw new Error('maxBedrooms must be a valid number');
     }
   }
+
+  if (params.page !== undefined && (!Number.isInteger(Number(params.page)) || Number(params.page) < 1)) {
+    throw new Error('page must be a positive integer');
+  }
 }
 
 /**
@@ -104,49 +112,11 @@ function validateVisualValidationParams(params) {
     throw new Error('Lead type parameter is required and must be a non-empty string');
   }
 
-  if (!['PoolLeadGen', 'BackyardBoost'].includes(lead_type)) {
-    throw new Error('Lead type must be either PoolLeadGen or BackyardBoost');
+  if (!leadTypeRegistry.has(lead_type)) {
+    throw new Error(`Lead type must be ${leadTypeRegistry.describeNames()}`);
   }
 }
 
-/**
- * Get project-specific search configuration
- * @param {string} project - Project type (backyard, pool, market)
- * @returns {object} Project-specific configuration
- */
-function getProjectConfig(project) {
-  const configs = {
-    backyard: {
-      status_type: 'RecentlySold',
-      home_type: 'Houses',
-      keywords: 'backyard',
-      minPrice: 200000,
-      maxPrice: 1500000,
-      minBedrooms: 2,
-      maxBedrooms: 5
-    },
-    pool: {
-      status_type: 'RecentlySold',
-      home_type: 'Houses',
-      keywords: 'pool',
-      minPrice: 300000,
-      maxPrice: 2000000,
-      minBedrooms: 3,
-      maxBedrooms: 6
-    },
-    market: {
-      status_type: 'ForRent',
-      home_type: 'All',
-      minPrice: 500,
-      maxPrice: 5000,
-      minBedrooms: 1,
-      maxBedrooms: 4
-    }
-  };
-
-  return configs[project] || null;
-}
-
 /**
  * GET /api/properties/search
  * Search for properties by location and optional filters
@@ -154,116 +124,49 @@ function getProjectConfig(project) {
  * 
  * Query Parameters:
  *   - location (required): City, address, or zip code
- *   - project (optional): Project type (backyard, pool, market) - applies predefined filters
+ *   - project (optional): Project type (a lead type slug such as pool, or market) - applies predefined filters
  *   - minPrice (optional): Minimum price filter
  *   - maxPrice (optional): Maximum price filter
  *   - minBedrooms (optional): Minimum bedrooms filter
  *   - maxBedrooms (optional): Maximum bedrooms filter
  *   - propertyType (optional): Type of property (house, condo, etc.)
  *   - sortBy (optional): Sort results by (price, date, relevance)
- *   - includeVisualValidation (optional): Include visual validation for results (PoolLeadGen or BackyardBoost)
+ *   - includeVisualValidation (optional): Include visual validation for results (a name from GET /api/lead-types)
+ *   - page (optional): Results page to fetch, 1-based (default: 1)
+ *
+ * Response includes data.pagination with page, pageSize, totalPages and totalResults
  */
 router.get('/search', async (req, res, next) => {
   try {
-    const { location, project, minPrice, maxPrice, minBedrooms, maxBedrooms, propertyType, sortBy, includeVisualValidation } = req.query;
+    const { location, project, minPrice, maxPrice, minBedrooms, maxBedrooms, propertyType, sortBy, includeVisualValidation, page } = req.query;
 
     // Validate required parameters
     validateSearchParams({
       location,
-      filters: { minPrice, maxPrice, minBedrooms, maxBedrooms, propertyType, sortBy }
+      filters: { minPrice, maxPrice, minBedrooms, maxBedrooms, propertyType, sortBy },
+      page
     });
 
-    // Start with project-specific configuration if provided
-    let filters = {};
-    if (project) {
-      const projectConfig = getProjectConfig(project);
-      if (!projectConfig) {
-        throw new Error('Invalid project type. Must be one of: backyard, pool, market');
-      }
-      filters = { ...projectConfig };
-    }
+    const pageNumber = page !== undefined ? Number(page) : 1;
 
-    // Override with explicit query parameters if provided
-    if (minPrice !== undefined) filters.minPrice = minPrice;
-    if (maxPrice !== undefined) filters.maxPrice = maxPrice;
-    if (minBedrooms !== undefined) filters.minBedrooms = minBedrooms;
-    if (maxBedrooms !== undefined) filters.maxBedrooms = maxBedrooms;
-    if (propertyType !== undefined) filters.propertyType = propertyType;
-    if (sortBy !== undefined) filters.sortBy = sortBy;
-
-    // Generate cache key including project parameter
-    const cacheKey = cacheService.generateKey('search', { location, project, ...filters });
-
-    // Check cache first
-    const cachedResult = cacheService.get(cacheKey);
-    if (cachedResult) {
-      console.log('[PropertiesRoute] Returning cached search results for project:', project || 'general');
-      return res.status(200).json(cachedResult);
-    }
+    // Project preset (if any) overridden by explicit query parameters
+    const filters = searchService.buildFilters(project, {
+      minPrice,
+      maxPrice,
+      minBedrooms,
+      maxBedrooms,
+      propertyType,
+      sortBy
+    });
 
-    // Call Zillow API service
-    console.log('[PropertiesRoute] Fetching search results from Zillow API for project:', project || 'general');
-    const rawResults = await zillowService.searchProperties({
+    const transformedResponse = await searchService.search({
       location,
-      filters
+      project,
+      filters,
+      page: pageNumber,
+      includeVisualValidation
     });
 
-    // Transform response
-    let transformedResponse = transformService.transformSearchResults(rawResults, false);
-
-    // Add visual validation if requested
-    if (includeVisualValidation && transformedResponse.data.properties.length > 0) {
-      console.log('[PropertiesRoute] Adding visual validation to search results');
-      
-      try {
-        // Add visual validation results to each property
-        const propertiesWithValidation = await Promise.all(
-          transformedResponse.data.properties.map(async (property) => {
-            try {
-              // Only validate if property has coordinates
-              if (property.latitude && property.longitude) {
-                const validationCacheKey = cacheService.generateKey('visual-validation', {
-                  latitude: property.latitude,
-                  longitude: property.longitude,
-                  lead_type: includeVisualValidation
-                });
-
-                let validation = cacheService.get(validationCacheKey);
-                
-                if (!validation) {
-                  const validationResult = await visualInspector.verify_property_visually(
-                    property.latitude,
-                    property.longitude,
-                    includeVisualValidation,
-                    property
-                  );
-                  validation = validationResult.validation;
-                  cacheService.set(validationCacheKey, validation, 1800);
-                }
-
-                return {
-                  ...property,
-                  visualValidation: validation
-                };
-              }
-              return property;
-            } catch (validationError) {
-              console.warn(`[PropertiesRoute] Visual validation failed for property ${property.id}:`, validationError.message);
-              return property;
-            }
-          })
-        );
-
-        transformedResponse.data.properties = propertiesWithValidation;
-      } catch (validationError) {
-        console.warn('[PropertiesRoute] Visual validation post-processing failed:', validationError.message);
-        // Continue with results without validation rather than failing the entire request
-      }
-    }
-
-    // Cache the result
-    cacheService.set(cacheKey, transformedResponse);
-
     res.status(200).json(transformedResponse);
   } catch (error) {
     next(error);
@@ -287,22 +190,13 @@ router.get('/estimate', async (req, res, next) => {
     // Generate cache key
     const cacheKey = cacheService.generateKey('estimate', { address });
 
-    // Check cache first
-    const cachedResult = cacheService.get(cacheKey);
-    if (cachedResult) {
-      console.log('[PropertiesRoute] Returning cached property estimate');
-      return res.status(200).json(cachedResult);
-    }
-
-    // Call Zillow API service
-    console.log('[PropertiesRoute] Fetching property estimate from Zillow API');
-    const rawEstimateData = await zillowService.getPropertyEstimate(address);
-
-    // Transform response
-    const transformedResponse = transformService.wrapResponse(rawEstimateData, false);
+    // Serve from cache, sharing one Zillow call between concurrent requests
+    const transformedResponse = await cacheService.getOrCompute(cacheKey, async () => {
+      console.log('[PropertiesRoute] Fetching property estimate from Zillow API');
+      const rawEstimateData = await zillowService.getPropertyEstimate(address);
 
-    // Cache the result
-    cacheService.set(cacheKey, transformedResponse);
+      return transformService.wrapResponse(rawEstimateData, false);
+    }, { tags: response => ({ zpid: response.data && response.data.zpid }) });
 
     res.status(200).json(transformedResponse);
   } catch (error) {
@@ -317,13 +211,14 @@ router.get('/estimate', async (req, res, next) => {
  * Request Body:
  *   - latitude (required): Property latitude
  *   - longitude (required): Property longitude
- *   - lead_type (required): Type of lead ('PoolLeadGen' or 'BackyardBoost')
+ *   - lead_type (required): Type of lead (a lead type name from GET /api/lead-types)
  *   - property_id (optional): Zillow property ID for comparison
  *   - zillow_data (optional): Zillow property data for comparison
+ *   - prompt_version (optional): Prompt template version (e.g. v1); defaults to the active version
  */
 router.post('/validate-visual', async (req, res, next) => {
   try {
-    const { latitude, longitude, lead_type, property_id, zillow_data } = req.body;
+    const { latitude, longitude, lead_type, property_id, zillow_data, prompt_version } = req.body;
 
     // Validate required parameters
     validateVisualValidationParams({
@@ -336,34 +231,18 @@ router.post('/validate-visual', async (req, res, next) => {
     const lat = Number(latitude);
     const lon = Number(longitude);
 
-    // Generate cache key for visual validation
-    const cacheKey = cacheService.generateKey('visual-validation', {
-      latitude: lat,
-      longitude: lon,
-      lead_type
-    });
-
-    // Check cache first
-    const cachedResult = cacheService.get(cacheKey);
-    if (cachedResult) {
-      console.log('[PropertiesRoute] Returning cached visual validation result');
-      return res.status(200).json(cachedResult);
-    }
-
-    // Call Visual Inspector service
+    // Visual validation is cached per location and lead type and shared with the batch routes
     console.log('[PropertiesRoute] Performing visual validation');
-    const validationResult = await visualInspector.verify_property_visually(
+    const validation = await batchLeadService.getVisualValidation(
       lat,
       lon,
       lead_type,
-      zillow_data || {}
+      zillow_data || {},
+      { promptVersion: prompt_version }
     );
 
     // Wrap response with metadata
-    const transformedResponse = transformService.wrapResponse(validationResult.validation, false);
-
-    // Cache the result with appropriate TTL (shorter than regular cache for visual data)
-    cacheService.set(cacheKey, transformedResponse, 1800); // 30 minutes
+    const transformedResponse = transformService.wrapResponse(validation, false);
 
     res.status(200).json(transformedResponse);
   } catch (error) {
@@ -372,72 +251,31 @@ router.post('/validate-visual', async (req, res, next) => {
 });
 
 /**
- * Helper function to analyze a single backyard property
- * @param {object} property - Property data with zpid, latitude, longitude, address, zillow_data
- * @returns {Promise<object>} Analysis result for the property
+ * Build an analyzeProperty result from a visual validation and the listing it is for
+ * The rules stage, quality report and assessment depend on listing data (e.g. lot size), so they are
+ * derived here both for fresh validations and for ones read back from the cache
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
+ * @param {object} listing - { zpid, address, latitude, longitude, zillowData }
+ * @param {object} validation - validation from verify_property_visually
+ * @returns {object} Analysis result for the property
  */
-async function analyzeBackyardProperty(property) {
-  const { zpid, latitude, longitude, address, zillow_data } = property;
-
-  // Validate required parameters
-  if (!zpid || typeof zpid !== 'string' || zpid.trim() === '') {
-    throw new Error('ZPID parameter is required and must be a non-empty string');
-  }
-
-  validateVisualValidationParams({
-    latitude,
-    longitude,
-    lead_type: 'BackyardBoost'
-  });
-
-  if (!address || typeof address !== 'string' || address.trim() === '') {
-    throw new Error('Address parameter is required and must be a non-empty string');
-  }
-
-  // Convert latitude and longitude to numbers
-  const lat = Number(latitude);
-  const lon = Number(longitude);
-
-  // Generate cache key for backyard analysis
-  const cacheKey = cacheService.generateKey('backyard-analysis', {
-    zpid,
-    latitude: lat,
-    longitude: lon
-  });
-
-  // Check cache first (24-hour TTL)
-  const cachedResult = cacheService.get(cacheKey);
-  if (cachedResult) {
-    console.log('[PropertiesRoute] Returning cached backyard analysis result for zpid:', zpid);
-    return cachedResult.data;
-  }
-
-  console.log('[PropertiesRoute] Starting BackyardBoost analysis for property:', zpid);
+function buildAnalysisResult(leadType, listing, validation) {
+  const { zpid, address, latitude, longitude, zillowData } = listing;
+  const definition = leadTypeRegistry.get(leadType);
+  const visualValidation = {
+    ...validation,
+    analysis: visualInspector.applyRules(validation.analysis, leadType, zillowData)
+  };
 
-  // Step 1: Perform visual validation
-  const visualValidation = await visualInspector.verify_property_visually(
-    lat,
-    lon,
-    'BackyardBoost',
-    zillow_data || {}
-  );
+  const qualityReport = leadQualityService.generateQualityReport(zpid, zillowData, visualValidation, leadType);
 
-  // Step 2: Generate quality report comparing visual results with Zillow data
-  const qualityReport = leadQualityService.generateQualityReport(
-    zpid,
-    zillow_data || {},
-    visualValidation.validation,
-    'BackyardBoost'
-  );
-
-  // Step 3: Build enriched response with analysis results
-  const analysisResult = {
+  return {
     zpid,
     address,
-    latitude: lat,
-    longitude: lon,
-    zillow_data: zillow_data || {},
-    visualValidation: visualValidation.validation,
+    latitude,
+    longitude,
+    zillow_data: zillowData,
+    visualValidation,
     qualityReport: {
       qualityScore: qualityReport.qualityScore,
       confidence: qualityReport.confidence,
@@ -447,151 +285,22 @@ async function analyzeBackyardProperty(property) {
       flag: qualityReport.flag || null
     },
     analysis: {
-      leadType: 'BackyardBoost',
-      backyardAssessment: {
-        isEmpty: visualValidation.validation.analysis.is_empty_backyard,
-        surfaceType: visualValidation.validation.analysis.surface_type,
-        estimatedFreeArea: visualValidation.validation.analysis.estimated_free_area,
-        structuresDetected: visualValidation.validation.analysis.structures_detected || [],
-        confidence: visualValidation.validation.analysis.confidence
-      },
-      satelliteImageUrl: visualValidation.validation.satelliteImageUrl
-    }
-  };
-
-  // Cache the result with 24-hour TTL (86400 seconds)
-  const enrichedResponse = {
-    success: true,
-    data: analysisResult,
-    metadata: {
-      timestamp: new Date().toISOString(),
-      source: 'zillow-visual-inspector',
-      cached: false,
-      analysisType: 'BackyardBoost'
+      leadType,
+      [definition.assessmentKey]: definition.assess(visualValidation.analysis, zillowData),
+      satelliteImageHash: visualValidation.satelliteImageHash
     }
   };
-  cacheService.set(cacheKey, enrichedResponse, 86400);
-
-  console.log('[PropertiesRoute] BackyardBoost analysis completed successfully for zpid:', zpid);
-  return analysisResult;
 }
 
 /**
- * POST /api/properties/analyze-backyard
- * Analyze property backyard(s) using satellite imagery and visual validation
- * Supports both single property and batch processing
- * 
- * Request Body (Single):
- *   - zpid (required): Zillow property ID
- *   - latitude (required): Property latitude
- *   - longitude (required): Property longitude
- *   - address (required): Property address
- *   - zillow_data (optional): Zillow property data for comparison
- * 
- * Request Body (Batch):
- *   - properties (required): Array of property objects with same fields as single request
- */
-router.post('/analyze-backyard', async (req, res, next) => {
-  try {
-    const { zpid, latitude, longitude, address, zillow_data, properties } = req.body;
-
-    // Check if batch processing (properties array) or single property
-    if (properties && Array.isArray(properties)) {
-      console.log('[PropertiesRoute] Processing batch backyard analysis for', properties.length, 'properties');
-
-      // Process all properties in parallel
-      const results = await Promise.allSettled(
-        properties.map(prop => analyzeBackyardProperty(prop))
-      );
-
-      // Build response with results and errors
-      const analysisResults = [];
-      const errors = [];
-
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          analysisResults.push(result.value);
-        } else {
-          errors.push({
-            propertyIndex: index,
-            zpid: properties[index].zpid,
-            error: result.reason.message
-          });
-        }
-      });
-
-      // Format leads for response
-      const formattedLeads = analysisResults.map(result =>
-        responseFormatter.formatLead(result, 'BackyardBoost')
-      );
-
-      // Extract location from first property or use default
-      const location = properties[0]?.address?.split(',').pop()?.trim() || 'Unknown';
-
-      const batchResponse = responseFormatter.formatBatchResponse(
-        formattedLeads,
-        location,
-        'BackyardBoost'
-      );
-
-      // Add error information if any
-      if (errors.length > 0) {
-        batchResponse.errors = errors;
-        batchResponse.success = false;
-      } else {
-        batchResponse.success = true;
-      }
-
-      console.log('[PropertiesRoute] Batch backyard analysis completed:', {
-        total: properties.length,
-        success: analysisResults.length,
-        errors: errors.length
-      });
-
-      return res.status(errors.length === 0 ? 200 : 207).json(batchResponse);
-    }
-
-    // Single property processing
-    if (!zpid || typeof zpid !== 'string' || zpid.trim() === '') {
-      throw new Error('ZPID parameter is required and must be a non-empty string');
-    }
-
-    const analysisResult = await analyzeBackyardProperty({
-      zpid,
-      latitude,
-      longitude,
-      address,
-      zillow_data
-    });
-
-    // Format lead for response
-    const formattedLead = responseFormatter.formatLead(analysisResult, 'BackyardBoost');
-
-    // Extract location from address
-    const location = address?.split(',').pop()?.trim() || 'Unknown';
-
-    const enrichedResponse = responseFormatter.formatBatchResponse(
-      [formattedLead],
-      location,
-      'BackyardBoost'
-    );
-
-    enrichedResponse.success = true;
-
-    console.log('[PropertiesRoute] BackyardBoost analysis completed successfully');
-    res.status(200).json(enrichedResponse);
-  } catch (error) {
-    next(error);
-  }
-});
-
-/**
- * Helper function to analyze a single pool property
+ * Analyze a single property for a lead type
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
  * @param {object} property - Property data with zpid, latitude, longitude, address, zillow_data
+ *   and an optional prompt_version
  * @returns {Promise<object>} Analysis result for the property
  */
-async function analyzePoolProperty(property) {
-  const { zpid, latitude, longitude, address, zillow_data } = property;
+async function analyzeProperty(leadType, property) {
+  const { zpid, latitude, longitude, address, zillow_data, prompt_version } = property;
 
   // Validate required parameters
   if (!zpid || typeof zpid !== 'string' || zpid.trim() === '') {
@@ -601,79 +310,53 @@ async function analyzePoolProperty(property) {
   validateVisualValidationParams({
     latitude,
     longitude,
-    lead_type: 'PoolLeadGen'
+    lead_type: leadType
   });
 
   if (!address || typeof address !== 'string' || address.trim() === '') {
     throw new Error('Address parameter is required and must be a non-empty string');
   }
 
+  const definition = leadTypeRegistry.get(leadType);
+
   // Convert latitude and longitude to numbers
   const lat = Number(latitude);
   const lon = Number(longitude);
 
-  // Generate cache key for pool analysis
-  const cacheKey = cacheService.generateKey('pool-analysis', {
+  // Generate cache key in the lead type's namespace (ensemble results and each prompt version are cached separately)
+  const promptVersion = promptService.resolveVersion(leadType, prompt_version);
+  const cacheKey = cacheService.generateKey(definition.cacheNamespace, {
     zpid,
     latitude: lat,
-    longitude: lon
+    longitude: lon,
+    prompt_version: promptVersion,
+    ...(visualInspector.shouldUseEnsemble(zillow_data || {}) ? { ensemble: true } : {})
   });
 
-  // Check cache first (24-hour TTL)
-  const cachedResult = cacheService.get(cacheKey);
+  const listing = { zpid, address, latitude: lat, longitude: lon, zillowData: zillow_data || {} };
+
+  // Check cache first; listing-derived fields are rebuilt since the key leaves out listing data
+  const cachedResult = await cacheService.get(cacheKey);
   if (cachedResult) {
-    console.log('[PropertiesRoute] Returning cached pool analysis result for zpid:', zpid);
-    return cachedResult.data;
+    console.log(`[PropertiesRoute] Returning cached ${leadType} analysis result for zpid:`, zpid);
+    return buildAnalysisResult(leadType, listing, cachedResult.data.visualValidation);
   }
 
-  console.log('[PropertiesRoute] Starting PoolLeadGen analysis for property:', zpid);
+  console.log(`[PropertiesRoute] Starting ${leadType} analysis for property:`, zpid);
 
   // Step 1: Perform visual validation
   const visualValidation = await visualInspector.verify_property_visually(
     lat,
     lon,
-    'PoolLeadGen',
-    zillow_data || {}
-  );
-
-  // Step 2: Generate quality report comparing visual results with Zillow data
-  const qualityReport = leadQualityService.generateQualityReport(
-    zpid,
+    leadType,
     zillow_data || {},
-    visualValidation.validation,
-    'PoolLeadGen'
+    { promptVersion }
   );
 
-  // Step 3: Build enriched response with analysis results
-  const analysisResult = {
-    zpid,
-    address,
-    latitude: lat,
-    longitude: lon,
-    zillow_data: zillow_data || {},
-    visualValidation: visualValidation.validation,
-    qualityReport: {
-      qualityScore: qualityReport.qualityScore,
-      confidence: qualityReport.confidence,
-      reasoning: qualityReport.reasoning,
-      recommendation: qualityReport.recommendation,
-      discrepancy: qualityReport.discrepancy,
-      flag: qualityReport.flag || null
-    },
-    analysis: {
-      leadType: 'PoolLeadGen',
-      poolAssessment: {
-        hasPool: visualValidation.validation.analysis.has_pool,
-        poolType: visualValidation.validation.analysis.pool_type || null,
-        poolSizeEstimate: visualValidation.validation.analysis.pool_size_estimate || null,
-        waterBodies: visualValidation.validation.analysis.water_bodies || null,
-        confidence: visualValidation.validation.analysis.confidence
-      },
-      satelliteImageUrl: visualValidation.validation.satelliteImageUrl
-    }
-  };
+  // Step 2: Quality report and assessment comparing visual results with Zillow data
+  const analysisResult = buildAnalysisResult(leadType, listing, visualValidation.validation);
 
-  // Cache the result with 24-hour TTL (86400 seconds)
+  // Cache the result (TTL from the lead type's cache policy)
   const enrichedResponse = {
     success: true,
     data: analysisResult,
@@ -681,380 +364,325 @@ async function analyzePoolProperty(property) {
       timestamp: new Date().toISOString(),
       source: 'zillow-visual-inspector',
       cached: false,
-      analysisType: 'PoolLeadGen'
+      analysisType: leadType
     }
   };
-  cacheService.set(cacheKey, enrichedResponse, 86400);
+  await cacheService.set(cacheKey, enrichedResponse, null, {
+    tags: {
+      zpid,
+      leadType,
+      provider: visualInspector.getAnsweringProviders(visualValidation.validation),
+      promptVersion: promptService.getPromptId(leadType, promptVersion)
+    }
+  });
 
-  console.log('[PropertiesRoute] PoolLeadGen analysis completed successfully for zpid:', zpid);
+  console.log(`[PropertiesRoute] ${leadType} analysis completed successfully for zpid:`, zpid);
   return analysisResult;
 }
 
 /**
- * POST /api/properties/analyze-pool
- * Analyze property pool(s) using satellite imagery and visual validation
- * Supports both single property and batch processing
- * 
- * Request Body (Single):
- *   - zpid (required): Zillow property ID
- *   - latitude (required): Property latitude
- *   - longitude (required): Property longitude
- *   - address (required): Property address
- *   - zillow_data (optional): Zillow property data for comparison
- * 
- * Request Body (Batch):
- *   - properties (required): Array of property objects with same fields as single request
+ * Search filters for a lead type: its registry preset, overridden by the caller's filters
+ * Shared by POST /search-and-analyze(-<slug>) and the streaming route so both search the same listings
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
+ * @param {object} filters - Caller filters (numbers may arrive as strings)
+ * @returns {object} Filters for zillowService.searchProperties
  */
-router.post('/analyze-pool', async (req, res, next) => {
-  try {
-    const { zpid, latitude, longitude, address, zillow_data, properties } = req.body;
-
-    // Check if batch processing (properties array) or single property
-    if (properties && Array.isArray(properties)) {
-      console.log('[PropertiesRoute] Processing batch pool analysis for', properties.length, 'properties');
+function buildSearchFilters(leadType, filters = {}) {
+  const searchFilters = { ...leadTypeRegistry.get(leadType).searchFilters, ...filters };
 
-      // Process all properties in parallel
-      const results = await Promise.allSettled(
-        properties.map(prop => analyzePoolProperty(prop))
-      );
-
-      // Build response with results and errors
-      const analysisResults = [];
-      const errors = [];
+  // Convert numeric filters to numbers
+  ['minPrice', 'maxPrice', 'minBedrooms', 'maxBedrooms'].forEach(name => {
+    if (searchFilters[name]) searchFilters[name] = Number(searchFilters[name]);
+  });
 
-      results.forEach((result, index) => {
-        if (result.status === 'fulfilled') {
-          analysisResults.push(result.value);
-        } else {
-          errors.push({
-            propertyIndex: index,
-            zpid: properties[index].zpid,
-            error: result.reason.message
-          });
-        }
-      });
+  return searchFilters;
+}
 
-      // Format leads for response
-      const formattedLeads = analysisResults.map(result =>
-        responseFormatter.formatLead(result, 'PoolLeadGen')
-      );
+/**
+ * Search for properties and analyze each one for a lead type
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
+ * @param {object} params - { location, filters, count }; filters override the lead type's search preset
+ * @returns {Promise<object>} formatBatchResponse output with success
+ */
+async function searchAndAnalyze(leadType, { location, filters = {}, count }) {
+  // Validate location
+  if (!location || typeof location !== 'string' || location.trim() === '') {
+    throw new Error('Location parameter is required and must be a non-empty string');
+  }
 
-      // Extract location from first property or use default
-      const location = properties[0]?.address?.split(',').pop()?.trim() || 'Unknown';
+  console.log('[PropertiesRoute] Searching for properties in:', location, 'with lead type:', leadType, count ? `(limit: ${count})` : '');
 
-      const batchResponse = responseFormatter.formatBatchResponse(
-        formattedLeads,
-        location,
-        'PoolLeadGen'
-      );
+  // Step 1: Search for properties
+  const rawSearchResults = await zillowService.searchProperties({
+    location,
+    filters: buildSearchFilters(leadType, filters)
+  });
 
-      // Add error information if any
-      if (errors.length > 0) {
-        batchResponse.errors = errors;
-        batchResponse.success = false;
-      } else {
-        batchResponse.success = true;
-      }
+  // Transform search results to extract properties array
+  const transformedResults = transformService.transformSearchResults(rawSearchResults, false);
+  const properties = transformedResults.data.properties || [];
 
-      console.log('[PropertiesRoute] Batch pool analysis completed:', {
-        total: properties.length,
-        success: analysisResults.length,
-        errors: errors.length
-      });
+  // Filter properties that have required coordinates
+  const propertiesWithCoords = properties.filter(p => p.latitude && p.longitude);
 
-      return res.status(errors.length === 0 ? 200 : 207).json(batchResponse);
+  if (propertiesWithCoords.length === 0) {
+    if (properties.length > 0) {
+      console.warn('[PropertiesRoute] No properties with coordinates found');
     }
 
-    // Single property processing
-    if (!zpid || typeof zpid !== 'string' || zpid.trim() === '') {
-      throw new Error('ZPID parameter is required and must be a non-empty string');
-    }
+    // Empty export with the lead type's CSV headers
+    return { ...responseFormatter.formatBatchResponse([], location, leadType), success: true };
+  }
 
-    const analysisResult = await analyzePoolProperty({
-      zpid,
-      latitude,
-      longitude,
-      address,
-      zillow_data
-    });
+  console.log('[PropertiesRoute] Found', propertiesWithCoords.length, 'of', properties.length, 'properties with coordinates');
+
+  // Limit properties if count is specified
+  const propertiesToAnalyze = count && count > 0
+    ? propertiesWithCoords.slice(0, count)
+    : propertiesWithCoords;
+
+  console.log('[PropertiesRoute] Analyzing', propertiesToAnalyze.length, 'properties');
+
+  // Step 2: Analyze each property based on lead type
+  const analysisResults = await workQueueService.map(propertiesToAnalyze, property =>
+    analyzeProperty(leadType, {
+      zpid: property.id || property.zpid,
+      latitude: property.latitude,
+      longitude: property.longitude,
+      address: property.address,
+      zillow_data: property
+    }).catch(error => {
+      console.warn('[PropertiesRoute] Analysis failed for property:', property.id || property.zpid, error.message);
+      return null;
+    })
+  );
+  const successfulResults = analysisResults.map(r => r.value).filter(r => r);
 
-    // Format lead for response
-    const formattedLead = responseFormatter.formatLead(analysisResult, 'PoolLeadGen');
+  // Step 3: Format response
+  const formattedLeads = successfulResults.map(result =>
+    responseFormatter.formatLead(result, leadType)
+  );
 
-    // Extract location from address
-    const location = address?.split(',').pop()?.trim() || 'Unknown';
+  const batchResponse = responseFormatter.formatBatchResponse(
+    formattedLeads,
+    location,
+    leadType
+  );
 
-    const enrichedResponse = responseFormatter.formatBatchResponse(
-      [formattedLead],
-      location,
-      'PoolLeadGen'
-    );
+  batchResponse.success = true;
 
-    enrichedResponse.success = true;
+  console.log('[PropertiesRoute] Analysis completed:', {
+    total: properties.length,
+    analyzed: successfulResults.length,
+    leadType
+  });
 
-    console.log('[PropertiesRoute] PoolLeadGen analysis completed successfully');
-    res.status(200).json(enrichedResponse);
-  } catch (error) {
-    next(error);
-  }
-});
+  return batchResponse;
+}
 
 /**
- * POST /api/properties/search-and-analyze-pool
- * Search for properties and analyze them for pool presence
- * 
- * Request Body:
- *   - location (required): City, address, or zip code
- *   - filters (optional): Price, bedrooms, bathrooms filters
- *   - count (optional): Maximum number of properties to analyze (default: all found)
+ * Build the POST /analyze-<slug> handler for a lead type
+ * Supports both single property and batch processing
+ * @param {object} definition - Lead type from the registry
+ * @returns {function} Express handler
  */
-router.post('/search-and-analyze-pool', async (req, res, next) => {
-  try {
-    const { location, filters = {}, count } = req.body;
+function createAnalyzeHandler(definition) {
+  const leadType = definition.name;
+
+  return async (req, res, next) => {
+    try {
+      const { zpid, latitude, longitude, address, zillow_data, prompt_version, properties } = req.body;
+
+      // Check if batch processing (properties array) or single property
+      if (properties && Array.isArray(properties)) {
+        console.log(`[PropertiesRoute] Processing batch ${leadType} analysis for`, properties.length, 'properties');
+
+        // Process properties through the shared analysis queue
+        const results = await workQueueService.map(properties, prop => analyzeProperty(leadType, prop));
+
+        // Build response with results and errors
+        const analysisResults = [];
+        const errors = [];
+
+        results.forEach((result, index) => {
+          if (result.status === 'fulfilled') {
+            analysisResults.push(result.value);
+          } else {
+            errors.push({
+              propertyIndex: index,
+              zpid: properties[index].zpid,
+              error: result.reason.message
+            });
+          }
+        });
+
+        // Format leads for response
+        const formattedLeads = analysisResults.map(result =>
+          responseFormatter.formatLead(result, leadType)
+        );
 
-    // Validate location
-    if (!location || typeof location !== 'string' || location.trim() === '') {
-      throw new Error('Location parameter is required and must be a non-empty string');
-    }
+        // Extract location from first property or use default
+        const location = properties[0]?.address?.split(',').pop()?.trim() || 'Unknown';
 
-    console.log('[PropertiesRoute] Searching for properties in:', location, count ? `(limit: ${count})` : '');
+        const batchResponse = responseFormatter.formatBatchResponse(
+          formattedLeads,
+          location,
+          leadType
+        );
 
-    // Convert numeric filters to numbers
-    const cleanFilters = { ...filters };
-    if (cleanFilters.minPrice) cleanFilters.minPrice = Number(cleanFilters.minPrice);
-    if (cleanFilters.maxPrice) cleanFilters.maxPrice = Number(cleanFilters.maxPrice);
-    if (cleanFilters.minBedrooms) cleanFilters.minBedrooms = Number(cleanFilters.minBedrooms);
-    if (cleanFilters.maxBedrooms) cleanFilters.maxBedrooms = Number(cleanFilters.maxBedrooms);
+        // Add error information if any
+        if (errors.length > 0) {
+          batchResponse.errors = errors;
+          batchResponse.success = false;
+        } else {
+          batchResponse.success = true;
+        }
 
-    // Step 1: Search for properties
-    const rawSearchResults = await zillowService.searchProperties({
-      location,
-      filters: cleanFilters
-    });
+        console.log(`[PropertiesRoute] Batch ${leadType} analysis completed:`, {
+          total: properties.length,
+          success: analysisResults.length,
+          errors: errors.length
+        });
 
-    // Transform search results to extract properties array
-    const transformedResults = transformService.transformSearchResults(rawSearchResults, false);
-    const properties = transformedResults.data.properties || [];
+        return res.status(errors.length === 0 ? 200 : 207).json(batchResponse);
+      }
 
-    // Log first property to debug structure
-    if (properties.length > 0) {
-      console.log('[PropertiesRoute] First property structure:', JSON.stringify(properties[0]).substring(0, 500));
-    }
+      // Single property processing
+      if (!zpid || typeof zpid !== 'string' || zpid.trim() === '') {
+        throw new Error('ZPID parameter is required and must be a non-empty string');
+      }
 
-    if (!properties || properties.length === 0) {
-      return res.status(200).json({
-        success: true,
-        location,
-        count: 0,
-        leads: [],
-        csv: {
-          filename: `poolleadgen_leads_${new Date().toISOString().split('T')[0]}.csv`,
-          base64: Buffer.from('Address,Latitude,Longitude,ZPID,Lead Score,Quality Score,Confidence,Image URL,Pool Present,Pool Type,Pool Size,Water Bodies\n').toString('base64')
-        }
+      const analysisResult = await analyzeProperty(leadType, {
+        zpid,
+        latitude,
+        longitude,
+        address,
+        zillow_data,
+        prompt_version
       });
-    }
 
-    console.log('[PropertiesRoute] Found', properties.length, 'properties, starting pool analysis');
+      // Format lead for response
+      const formattedLead = responseFormatter.formatLead(analysisResult, leadType);
 
-    // Filter properties that have required coordinates
-    const propertiesWithCoords = properties.filter(p => p.latitude && p.longitude);
-    
-    if (propertiesWithCoords.length === 0) {
-      console.warn('[PropertiesRoute] No properties with coordinates found');
-      return res.status(200).json({
-        success: true,
-        location,
-        count: 0,
-        leads: [],
-        csv: {
-          filename: `poolleadgen_leads_${new Date().toISOString().split('T')[0]}.csv`,
-          base64: Buffer.from('Address,Latitude,Longitude,ZPID,Lead Score,Quality Score,Confidence,Image URL,Pool Present,Pool Type,Pool Size,Water Bodies\n').toString('base64')
-        }
-      });
-    }
-
-    console.log('[PropertiesRoute] Found', propertiesWithCoords.length, 'properties with coordinates');
-
-    // Limit properties if count is specified
-    const propertiesToAnalyze = count && count > 0 
-      ? propertiesWithCoords.slice(0, count) 
-      : propertiesWithCoords;
-
-    console.log('[PropertiesRoute] Analyzing', propertiesToAnalyze.length, 'properties for pools');
-
-    // Step 2: Analyze each property for pools
-    const analysisPromises = propertiesToAnalyze.map(property =>
-      analyzePoolProperty({
-        zpid: property.id || property.zpid,
-        latitude: property.latitude,
-        longitude: property.longitude,
-        address: property.address,
-        zillow_data: property
-      }).catch(error => {
-        console.warn('[PropertiesRoute] Pool analysis failed for property:', property.id || property.zpid, error.message);
-        return null;
-      })
-    );
+      // Extract location from address
+      const location = address?.split(',').pop()?.trim() || 'Unknown';
 
-    const analysisResults = await Promise.all(analysisPromises);
-    const successfulResults = analysisResults.filter(r => r !== null);
+      const enrichedResponse = responseFormatter.formatBatchResponse(
+        [formattedLead],
+        location,
+        leadType
+      );
 
-    // Step 3: Format response
-    const formattedLeads = successfulResults.map(result =>
-      responseFormatter.formatLead(result, 'PoolLeadGen')
-    );
+      enrichedResponse.success = true;
 
-    const batchResponse = responseFormatter.formatBatchResponse(
-      formattedLeads,
-      location,
-      'PoolLeadGen'
-    );
+      res.status(200).json(enrichedResponse);
+    } catch (error) {
+      next(error);
+    }
+  };
+}
 
-    batchResponse.success = true;
+/**
+ * Build the POST /search-and-analyze-<slug> handler for a lead type
+ * @param {object} definition - Lead type from the registry
+ * @returns {function} Express handler
+ */
+function createSearchAndAnalyzeHandler(definition) {
+  return async (req, res, next) => {
+    try {
+      const { location, filters, count } = req.body;
 
-    console.log('[PropertiesRoute] Pool analysis completed:', {
-      total: properties.length,
-      analyzed: successfulResults.length
-    });
+      res.status(200).json(await searchAndAnalyze(definition.name, { location, filters, count }));
+    } catch (error) {
+      next(error);
+    }
+  };
+}
 
-    res.status(200).json(batchResponse);
-  } catch (error) {
-    next(error);
-  }
+/**
+ * POST /api/properties/analyze-<slug> (analyze-pool, analyze-backyard, analyze-solar, ...)
+ * Analyze one or more properties for a lead type using satellite imagery and visual validation
+ * One route per registered lead type (see services/leadTypes)
+ *
+ * Request Body (Single):
+ *   - zpid (required): Zillow property ID
+ *   - latitude (required): Property latitude
+ *   - longitude (required): Property longitude
+ *   - address (required): Property address
+ *   - zillow_data (optional): Zillow property data for comparison
+ *   - prompt_version (optional): Prompt template version (e.g. v1); defaults to the active version
+ *
+ * Request Body (Batch):
+ *   - properties (required): Array of property objects with same fields as single request
+ *
+ * POST /api/properties/search-and-analyze-<slug>
+ * Search for properties and analyze them for a lead type
+ *
+ * Request Body:
+ *   - location (required): City, address, or zip code
+ *   - filters (optional): Price, bedrooms, bathrooms filters; override the lead type's search preset
+ *   - count (optional): Maximum number of properties to analyze (default: all found)
+ */
+leadTypeRegistry.list().forEach(definition => {
+  router.post(`/analyze-${definition.slug}`, createAnalyzeHandler(definition));
+  router.post(`/search-and-analyze-${definition.slug}`, createSearchAndAnalyzeHandler(definition));
 });
 
 /**
- * POST /api/properties/search-and-analyze-backyard
- * Search for properties and analyze them for backyard potential
+ * POST /api/properties/search-and-analyze
+ * Search for properties and analyze them with specified lead type
  * 
  * Request Body:
  *   - location (required): City, address, or zip code
+ *   - lead_type (required): a lead type name from GET /api/lead-types
  *   - filters (optional): Price, bedrooms, bathrooms filters
  *   - count (optional): Maximum number of properties to analyze (default: all found)
  */
-router.post('/search-and-analyze-backyard', async (req, res, next) => {
+router.post('/search-and-analyze', async (req, res, next) => {
   try {
-    const { location, filters = {}, count } = req.body;
+    const { location, lead_type, filters, count } = req.body;
 
-    // Validate location
-    if (!location || typeof location !== 'string' || location.trim() === '') {
-      throw new Error('Location parameter is required and must be a non-empty string');
-    }
-
-    console.log('[PropertiesRoute] Searching for properties in:', location, count ? `(limit: ${count})` : '');
-
-    // Convert numeric filters to numbers
-    const cleanFilters = { ...filters };
-    if (cleanFilters.minPrice) cleanFilters.minPrice = Number(cleanFilters.minPrice);
-    if (cleanFilters.maxPrice) cleanFilters.maxPrice = Number(cleanFilters.maxPrice);
-    if (cleanFilters.minBedrooms) cleanFilters.minBedrooms = Number(cleanFilters.minBedrooms);
-    if (cleanFilters.maxBedrooms) cleanFilters.maxBedrooms = Number(cleanFilters.maxBedrooms);
-
-    // Step 1: Search for properties
-    const rawSearchResults = await zillowService.searchProperties({
-      location,
-      filters: cleanFilters
-    });
-
-    // Transform search results to extract properties array
-    const transformedResults = transformService.transformSearchResults(rawSearchResults, false);
-    const properties = transformedResults.data.properties || [];
-
-    if (!properties || properties.length === 0) {
-      return res.status(200).json({
-        success: true,
-        location,
-        count: 0,
-        leads: [],
-        csv: {
-          filename: `backyardboost_leads_${new Date().toISOString().split('T')[0]}.csv`,
-          base64: Buffer.from('Address,Latitude,Longitude,ZPID,Lead Score,Quality Score,Confidence,Image URL,Empty Backyard,Surface Type,Free Area,Structures\n').toString('base64')
-        }
-      });
-    }
-
-    console.log('[PropertiesRoute] Found', properties.length, 'properties, starting backyard analysis');
-
-    // Filter properties that have required coordinates
-    const propertiesWithCoords = properties.filter(p => p.latitude && p.longitude);
-    
-    if (propertiesWithCoords.length === 0) {
-      console.warn('[PropertiesRoute] No properties with coordinates found');
-      return res.status(200).json({
-        success: true,
-        location,
-        count: 0,
-        leads: [],
-        csv: {
-          filename: `backyardboost_leads_${new Date().toISOString().split('T')[0]}.csv`,
-          base64: Buffer.from('Address,Latitude,Longitude,ZPID,Lead Score,Quality Score,Confidence,Image URL,Empty Backyard,Surface Type,Free Area,Structures\n').toString('base64')
-        }
-      });
+    // Validate lead type
+    if (!lead_type || !leadTypeRegistry.has(lead_type)) {
+      throw new Error(`Lead type must be ${leadTypeRegistry.describeNames()}`);
     }
 
-    console.log('[PropertiesRoute] Found', propertiesWithCoords.length, 'properties with coordinates');
-
-    // Limit properties if count is specified
-    const propertiesToAnalyze = count && count > 0 
-      ? propertiesWithCoords.slice(0, count) 
-      : propertiesWithCoords;
-
-    console.log('[PropertiesRoute] Analyzing', propertiesToAnalyze.length, 'properties for backyards');
-
-    // Step 2: Analyze each property for backyard
-    const analysisPromises = propertiesToAnalyze.map(property =>
-      analyzeBackyardProperty({
-        zpid: property.id || property.zpid,
-        latitude: property.latitude,
-        longitude: property.longitude,
-        address: property.address,
-        zillow_data: property
-      }).catch(error => {
-        console.warn('[PropertiesRoute] Backyard analysis failed for property:', property.id || property.zpid, error.message);
-        return null;
-      })
-    );
-
-    const analysisResults = await Promise.all(analysisPromises);
-    const successfulResults = analysisResults.filter(r => r !== null);
-
-    // Step 3: Format response
-    const formattedLeads = successfulResults.map(result =>
-      responseFormatter.formatLead(result, 'BackyardBoost')
-    );
-
-    const batchResponse = responseFormatter.formatBatchResponse(
-      formattedLeads,
-      location,
-      'BackyardBoost'
-    );
-
-    batchResponse.success = true;
-
-    console.log('[PropertiesRoute] Backyard analysis completed:', {
-      total: properties.length,
-      analyzed: successfulResults.length
-    });
-
-    res.status(200).json(batchResponse);
+    res.status(200).json(await searchAndAnalyze(lead_type, { location, filters, count }));
   } catch (error) {
     next(error);
   }
 });
 
 /**
- * POST /api/properties/search-and-analyze
- * Search for properties and analyze them with specified lead type
- * 
- * Request Body:
+ * GET /api/properties/search-and-analyze/stream
+ * Search for properties and stream each analysis as it completes (Server-Sent Events)
+ *
+ * Query Parameters:
  *   - location (required): City, address, or zip code
- *   - lead_type (required): 'PoolLeadGen' or 'BackyardBoost'
- *   - filters (optional): Price, bedrooms, bathrooms filters
+ *   - lead_type (required): a lead type name from GET /api/lead-types
  *   - count (optional): Maximum number of properties to analyze (default: all found)
+ *   - minPrice, maxPrice, minBedrooms, maxBedrooms, propertyType (optional): Search filters
+ *
+ * Events:
+ *   - start: { location, lead_type, found, total } once the search completes
+ *   - lead: { lead } with formatLead output for each analyzed property
+ *   - failure: { zpid, address, reason } for each property that could not be analyzed
+ *   - summary: formatBatchResponse output (CSV included, leads omitted) with analyzed/failed counts
+ *   - error: { code, message, statusCode } if the search itself fails
  */
-router.post('/search-and-analyze', async (req, res, next) => {
+router.get('/search-and-analyze/stream', async (req, res, next) => {
+  let streaming = false;
+  let closed = false;
+  const disconnect = new AbortController();
+
+  const sendEvent = (event, data) => {
+    if (!closed) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+  };
+
   try {
-    const { location, lead_type, filters = {}, count } = req.body;
+    const { location, lead_type, count, minPrice, maxPrice, minBedrooms, maxBedrooms, propertyType } = req.query;
 
     // Validate location
     if (!location || typeof location !== 'string' || location.trim() === '') {
@@ -1062,112 +690,112 @@ router.post('/search-and-analyze', async (req, res, next) => {
     }
 
     // Validate lead type
-    if (!lead_type || !['PoolLeadGen', 'BackyardBoost'].includes(lead_type)) {
-      throw new Error('Lead type must be either PoolLeadGen or BackyardBoost');
+    if (!lead_type || !leadTypeRegistry.has(lead_type)) {
+      throw new Error(`Lead type must be ${leadTypeRegistry.describeNames()}`);
     }
 
-    console.log('[PropertiesRoute] Searching for properties in:', location, 'with lead type:', lead_type, count ? `(limit: ${count})` : '');
+    const filters = {};
+    if (minPrice !== undefined) filters.minPrice = minPrice;
+    if (maxPrice !== undefined) filters.maxPrice = maxPrice;
+    if (minBedrooms !== undefined) filters.minBedrooms = minBedrooms;
+    if (maxBedrooms !== undefined) filters.maxBedrooms = maxBedrooms;
+    if (propertyType !== undefined) filters.propertyType = propertyType;
+
+    validateSearchParams({ location, filters });
+
+    // Open the event stream before the (slow) search so clients see progress immediately
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    streaming = true;
+
+    res.on('close', () => {
+      closed = true;
+      // Stop queued analyses nobody is listening for
+      disconnect.abort();
+    });
+
+    console.log('[PropertiesRoute] Streaming analysis for:', location, 'with lead type:', lead_type);
 
-    // Step 1: Search for properties
     const rawSearchResults = await zillowService.searchProperties({
       location,
-      filters
+      filters: buildSearchFilters(lead_type, filters)
     });
 
-    // Transform search results to extract properties array
-    const transformedResults = transformService.transformSearchResults(rawSearchResults, false);
-    const properties = transformedResults.data.properties || [];
-
-    if (!properties || properties.length === 0) {
-      const filename = lead_type === 'PoolLeadGen' 
-        ? `poolleadgen_leads_${new Date().toISOString().split('T')[0]}.csv`
-        : `backyardboost_leads_${new Date().toISOString().split('T')[0]}.csv`;
-      
-      return res.status(200).json({
-        success: true,
-        location,
-        count: 0,
-        leads: [],
-        csv: {
-          filename,
-          base64: Buffer.from('Address,Latitude,Longitude,ZPID,Lead Score,Quality Score,Confidence,Image URL\n').toString('base64')
-        }
-      });
-    }
+    const properties = transformService.transformSearchResults(rawSearchResults, false).data.properties || [];
 
-    console.log('[PropertiesRoute] Found', properties.length, 'properties, starting', lead_type, 'analysis');
+    const limit = parseInt(count, 10);
+    const propertiesToAnalyze = properties
+      .filter(p => p.latitude && p.longitude)
+      .slice(0, limit > 0 ? limit : undefined);
 
-    // Filter properties that have required coordinates
-    const propertiesWithCoords = properties.filter(p => p.latitude && p.longitude);
-    
-    if (propertiesWithCoords.length === 0) {
-      console.warn('[PropertiesRoute] No properties with coordinates found');
-      const filename = lead_type === 'PoolLeadGen' 
-        ? `poolleadgen_leads_${new Date().toISOString().split('T')[0]}.csv`
-        : `backyardboost_leads_${new Date().toISOString().split('T')[0]}.csv`;
-      
-      return res.status(200).json({
-        success: true,
-        location,
-        count: 0,
-        leads: [],
-        csv: {
-          filename,
-          base64: Buffer.from('Address,Latitude,Longitude,ZPID,Lead Score,Quality Score,Confidence,Image URL\n').toString('base64')
-        }
-      });
-    }
+    sendEvent('start', {
+      location,
+      lead_type,
+      found: properties.length,
+      total: propertiesToAnalyze.length
+    });
 
-    console.log('[PropertiesRoute] Found', propertiesWithCoords.length, 'properties with coordinates');
-
-    // Limit properties if count is specified
-    const propertiesToAnalyze = count && count > 0 
-      ? propertiesWithCoords.slice(0, count) 
-      : propertiesWithCoords;
-
-    console.log('[PropertiesRoute] Analyzing', propertiesToAnalyze.length, 'properties');
-
-    // Step 2: Analyze each property based on lead type
-    const analyzeFunction = lead_type === 'PoolLeadGen' ? analyzePoolProperty : analyzeBackyardProperty;
-    
-    const analysisPromises = propertiesToAnalyze.map(property =>
-      analyzeFunction({
-        zpid: property.id || property.zpid,
-        latitude: property.latitude,
-        longitude: property.longitude,
-        address: property.address,
-        zillow_data: property
-      }).catch(error => {
-        console.warn('[PropertiesRoute] Analysis failed for property:', property.id || property.zpid, error.message);
-        return null;
-      })
-    );
+    const formattedLeads = [];
+    const failures = [];
 
-    const analysisResults = await Promise.all(analysisPromises);
-    const successfulResults = analysisResults.filter(r => r !== null);
+    await workQueueService.map(propertiesToAnalyze, async (property) => {
+      const zpid = property.id || property.zpid;
 
-    // Step 3: Format response
-    const formattedLeads = successfulResults.map(result =>
-      responseFormatter.formatLead(result, lead_type)
-    );
+      try {
+        const result = await analyzeProperty(lead_type, {
+          zpid,
+          latitude: property.latitude,
+          longitude: property.longitude,
+          address: property.address,
+          zillow_data: property
+        });
+
+        const lead = responseFormatter.formatLead(result, lead_type);
+        formattedLeads.push(lead);
+        sendEvent('lead', { lead });
+      } catch (error) {
+        console.warn('[PropertiesRoute] Analysis failed for property:', zpid, error.message);
+
+        const failure = { zpid, address: property.address, reason: error.message };
+        failures.push(failure);
+        sendEvent('failure', failure);
+      }
+    }, { signal: disconnect.signal });
 
-    const batchResponse = responseFormatter.formatBatchResponse(
-      formattedLeads,
-      location,
-      lead_type
-    );
+    const { leads, ...summary } = responseFormatter.formatBatchResponse(formattedLeads, location, lead_type);
 
-    batchResponse.success = true;
+    sendEvent('summary', {
+      ...summary,
+      success: true,
+      analyzed: leads.length,
+      failed: failures.length
+    });
 
-    console.log('[PropertiesRoute] Analysis completed:', {
-      total: properties.length,
-      analyzed: successfulResults.length,
-      leadType: lead_type
+    console.log('[PropertiesRoute] Streaming analysis completed:', {
+      total: propertiesToAnalyze.length,
+      analyzed: leads.length,
+      failed: failures.length,
+      clientDisconnected: closed
     });
 
-    res.status(200).json(batchResponse);
+    res.end();
   } catch (error) {
-    next(error);
+    if (!streaming) {
+      return next(error);
+    }
+
+    console.error('[PropertiesRoute] Streaming analysis failed:', error.message);
+    sendEvent('error', {
+      code: error.code || 'INTERNAL_SERVER_ERROR',
+      message: error.message,
+      statusCode: error.statusCode || 500
+    });
+    res.end();
   }
 });
 
@@ -1178,7 +806,7 @@ router.post('/search-and-analyze', async (req, res, next) => {
  * 
  * Request Body:
  *   - location (required): Property location
- *   - leadType (required): Type of lead (PoolLeadGen or BackyardBoost)
+ *   - leadType (required): Type of lead (a name from GET /api/lead-types)
  *   - requestedLeads (required): Number of leads (10, 25, 50, or 100)
  */
 router.post('/batch-leads', async (req, res, next) => {
@@ -1190,8 +818,8 @@ router.post('/batch-leads', async (req, res, next) => {
       throw new Error('Location parameter is required and must be a non-empty string');
     }
 
-    if (!['PoolLeadGen', 'BackyardBoost'].includes(leadType)) {
-      throw new Error('Lead type must be PoolLeadGen or BackyardBoost');
+    if (!leadTypeRegistry.has(leadType)) {
+      throw new Error(`Lead type must be ${leadTypeRegistry.describeNames()}`);
     }
 
     const validRequestedLeads = [10, 25, 50, 100];
@@ -1205,46 +833,14 @@ router.post('/batch-leads', async (req, res, next) => {
       requestedLeads
     });
 
-    // Generate cache key
-    const cacheKey = cacheService.generateKey('batch-leads', {
-      location,
-      leadType,
-      requestedLeads
-    });
-
-    // Check cache first (cache for 1 hour)
-    const cachedResult = cacheService.get(cacheKey);
-    if (cachedResult) {
-      console.log('[PropertiesRoute] Returning cached batch leads');
-      return res.status(200).json(cachedResult);
-    }
-
-    // Get batch leads
-    const batchResult = await batchLeadService.getBatchLeads(
-      location,
-      leadType,
-      requestedLeads
-    );
-
-    // Wrap response
-    const response = {
-      success: true,
-      data: batchResult,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        source: 'zillow-batch-lead-service',
-        cached: false
-      }
-    };
-
-    // Cache the result
-    cacheService.set(cacheKey, response, 3600); // 1 hour
+    // Served from cache when the same batch ran recently (shared with batch lead jobs)
+    const response = await batchLeadService.getCachedBatchLeads(location, leadType, requestedLeads);
 
     console.log('[PropertiesRoute] Batch leads completed:', {
       location,
       leadType,
       requested: requestedLeads,
-      delivered: batchResult.leads.length
+      delivered: response.data.leads.length
     });
 
     res.status(200).json(response);
@@ -1259,7 +855,7 @@ router.post('/batch-leads', async (req, res, next) => {
  * 
  * Request Body:
  *   - location (required): Property location
- *   - leadTypes (required): Array of lead types (PoolLeadGen, BackyardBoost)
+ *   - leadTypes (required): Array of lead type names from GET /api/lead-types
  *   - requestedLeads (required): Number of leads per type (10, 25, 50, or 100)
  */
 router.post('/batch-leads-multiple', async (req, res, next) => {
@@ -1276,8 +872,8 @@ router.post('/batch-leads-multiple', async (req, res, next) => {
     }
 
     for (const leadType of leadTypes) {
-      if (!['PoolLeadGen', 'BackyardBoost'].includes(leadType)) {
-        throw new Error('Each lead type must be PoolLeadGen or BackyardBoost');
+      if (!leadTypeRegistry.has(leadType)) {
+        throw new Error(`Each lead type must be ${leadTypeRegistry.describeNames()}`);
       }
     }
 
@@ -1339,23 +935,14 @@ router.get('/:id', async (req, res, next) => {
     // Generate cache key
     const cacheKey = cacheService.generateKey('property', { id });
 
-    // Check cache first
-    const cachedResult = cacheService.get(cacheKey);
-    if (cachedResult) {
-      console.log('[PropertiesRoute] Returning cached property details');
-      return res.status(200).json(cachedResult);
-    }
-
-    // Call Zillow API service
-    console.log('[PropertiesRoute] Fetching property details from Zillow API');
-    const rawPropertyData = await zillowService.getPropertyDetails(id);
+    // Serve from cache, sharing one Zillow call between concurrent requests
+    const transformedResponse = await cacheService.getOrCompute(cacheKey, async () => {
+      console.log('[PropertiesRoute] Fetching property details from Zillow API');
+      const rawPropertyData = await zillowService.getPropertyDetails(id);
 
-    // Transform response
-    const transformedProperty = transformService.transformProperty(rawPropertyData, false);
-    const transformedResponse = transformService.wrapResponse(transformedProperty, false);
-
-    // Cache the result
-    cacheService.set(cacheKey, transformedResponse);
+      const transformedProperty = transformService.transformProperty(rawPropertyData, false);
+      return transformService.wrapResponse(transformedProperty, false);
+    }, { tags: { zpid: id } });
 
     res.status(200).json(transformedResponse);
   } catch (error) {
@@ -1396,39 +983,30 @@ router.post('/market-analyzer', async (req, res, next) => {
       analysisOptions
     });
 
-    // Check cache first (cache for 6 hours)
-    const cachedResult = cacheService.get(cacheKey);
-    if (cachedResult) {
-      console.log('[PropertiesRoute] Returning cached market analysis');
-      return res.status(200).json(cachedResult);
-    }
-
-    // Perform market analysis
-    const analysisResult = await marketAnalyzerService.analyzeMarketOpportunities(
-      location,
-      filters,
-      analysisOptions
-    );
-
-    // Wrap response
-    const response = {
-      success: true,
-      data: analysisResult,
-      metadata: {
-        timestamp: new Date().toISOString(),
-        source: 'zillow-market-analyzer',
-        cached: false
-      }
-    };
+    // Cache for 6 hours, then serve the previous analysis for up to 1 more hour while refreshing
+    const response = await cacheService.getOrCompute(cacheKey, async () => {
+      const analysisResult = await marketAnalyzerService.analyzeMarketOpportunities(
+        location,
+        filters,
+        analysisOptions
+      );
 
-    // Cache the result (6 hours)
-    cacheService.set(cacheKey, response, 21600);
+      console.log('[PropertiesRoute] Market analysis completed:', {
+        location,
+        totalAnalyzed: analysisResult.totalPropertiesAnalyzed,
+        opportunities: analysisResult.summary.opportunityCount
+      });
 
-    console.log('[PropertiesRoute] Market analysis completed:', {
-      location,
-      totalAnalyzed: analysisResult.totalPropertiesAnalyzed,
-      opportunities: analysisResult.summary.opportunityCount
-    });
+      return {
+        success: true,
+        data: analysisResult,
+        metadata: {
+          timestamp: new Date().toISOString(),
+          source: 'zillow-market-analyzer',
+          cached: false
+        }
+      };
+    }, { tags: { location } });
 
     res.status(200).json(response);
   } catch (error) {
@@ -9,7 +9,12 @@ const logger = require('./middleware/logger');
 const rateLimiter = require('./middleware/rateLimiter');
 const errorHandler = require('./middleware/errorHandler');
 const { corsMiddleware } = require('./middleware/cors');
+const circuitBreakerService = require('./services/circuitBreakerService');
 const propertiesRouter = require('./routes/properties');
+const adminRouter = require('./routes/admin');
+const jobsRouter = require('./routes/jobs');
+const imagesRouter = require('./routes/images');
+const leadTypesRouter = require('./routes/leadTypes');
 
 // Initialize Express app
 const app = express();
@@ -23,33 +28,44 @@ app.use(rateLimiter);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
+  const upstreams = circuitBreakerService.getStates();
+  const degraded = Object.values(upstreams).some(upstream => upstream.state !== 'closed');
+
   res.status(200).json({
     success: true,
-    message: 'Server is healthy',
+    message: degraded ? 'Server is healthy, some upstreams are unavailable' : 'Server is healthy',
+    status: degraded ? 'degraded' : 'ok',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    upstreams
   });
 });
 
 // Mount routes
 app.use('/api/properties', propertiesRouter);
+app.use('/api/jobs', jobsRouter);
+app.use('/api/admin', adminRouter);
+app.use('/api/images', imagesRouter);
+app.use('/api/lead-types', leadTypesRouter);
 
 // Error handling middleware (must be last)
 app.use(errorHandler);
 
-// Start server
-const port = config.server.port;
-const server = app.listen(port, () => {
-  console.log(`Server running on port ${port} in ${config.server.nodeEnv} mode`);
-});
+// Start server when run directly (tests import the app without listening)
+if (require.main === module) {
+  const port = config.server.port;
+  const server = app.listen(port, () => {
+    console.log(`Server running on port ${port} in ${config.server.nodeEnv} mode`);
+  });
 
-// Handle graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM signal received: closing HTTP server');
-  server.close(() => {
-    console.log('HTTP server closed');
-    process.exit(0);
+  // Handle graceful shutdown
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM signal received: closing HTTP server');
+    server.close(() => {
+      console.log('HTTP server closed');
+      process.exit(0);
+    });
   });
-});
+}
 
 module.exports = app;
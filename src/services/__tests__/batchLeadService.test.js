@@ -0,0 +1,311 @@
+/**
+ * Batch Lead Service Tests
+ * Tests for adaptive price band splitting in searchAcrossPriceRanges, the batch leads cache,
+ * visual validation cache tags and lead validity rules
+ */
+
+process.env.ZILLOW_PROVIDER = 'rapidapi';
+process.env.RAPIDAPI_KEY = process.env.RAPIDAPI_KEY || 'test-key';
+process.env.RAPIDAPI_HOST = process.env.RAPIDAPI_HOST || 'zillow.test';
+
+const zillowService = require('../zillowService');
+const visualInspector = require('../visualInspector');
+const cacheService = require('../cacheService');
+const { searchAcrossPriceRanges, bisectPriceBand, isValidLead, getCachedBatchLeads, getVisualValidation } = require('../batchLeadService');
+
+const PAGE_SIZE = 10;
+
+/**
+ * Fake upstream search over a fixed set of listing prices
+ */
+function mockMarket(prices) {
+  return jest.spyOn(zillowService, 'searchProperties').mockImplementation(async ({ filters, page = 1 }) => {
+    const matches = prices
+      .map((price, index) => ({ zpid: String(index + 1), price, latitude: 29.7, longitude: -95.3 }))
+      .filter(listing => listing.price >= filters.minPrice && listing.price <= filters.maxPrice);
+
+    return {
+      props: matches.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE),
+      resultsPerPage: PAGE_SIZE,
+      totalResultCount: matches.length,
+      totalPages: Math.max(1, Math.ceil(matches.length / PAGE_SIZE)),
+      currentPage: page
+    };
+  });
+}
+
+describe('BatchLeadService - adaptive price bands', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should bisect a band whose results overflow one page', async () => {
+    // 30 listings between $300k and $330k all land in one initial band
+    const prices = Array.from({ length: 30 }, (_, index) => 300001 + index * 1000);
+    mockMarket(prices);
+
+    const { properties, bands } = await searchAcrossPriceRanges('Houston, TX', 'BackyardBoost', 30);
+
+    expect(properties).toHaveLength(30);
+    expect(bands.some(band => band.outcome === 'split')).toBe(true);
+    expect(bands.some(band => band.depth > 0)).toBe(true);
+  });
+
+  it('should merge the following bands after an empty band', async () => {
+    const prices = [1200000, 1250000, 1800000];
+    const searchSpy = mockMarket(prices);
+
+    const { properties, bands } = await searchAcrossPriceRanges('Houston, TX', 'BackyardBoost', 10);
+
+    expect(properties).toHaveLength(3);
+    expect(bands[0].outcome).toBe('empty');
+    expect(bands[1]).toMatchObject({ min: 100001, max: 500000 });
+    expect(searchSpy.mock.calls.length).toBeLessThan(8);
+  });
+
+  it('should page through a band that is too narrow to split', async () => {
+    const prices = Array.from({ length: 25 }, () => 250000);
+    mockMarket(prices);
+
+    const { properties, bands } = await searchAcrossPriceRanges('Houston, TX', 'BackyardBoost', 25);
+
+    expect(properties).toHaveLength(25);
+    expect(bands.find(band => band.outcome === 'paged').pages).toBe(3);
+  });
+
+  it('should stop searching once enough properties are found', async () => {
+    const prices = Array.from({ length: 40 }, (_, index) => 1000 + index * 2000);
+    const searchSpy = mockMarket(prices);
+
+    const { properties } = await searchAcrossPriceRanges('Houston, TX', 'BackyardBoost', 5);
+
+    expect(properties).toHaveLength(5);
+    expect(searchSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should rethrow quota errors instead of trying the next band', async () => {
+    const quotaError = new Error('Monthly RapidAPI quota exhausted');
+    quotaError.code = 'QUOTA_EXCEEDED';
+    jest.spyOn(zillowService, 'searchProperties').mockRejectedValue(quotaError);
+
+    await expect(searchAcrossPriceRanges('Houston, TX', 'BackyardBoost', 10)).rejects.toBe(quotaError);
+  });
+
+  describe('bisectPriceBand', () => {
+    it('should split a band into adjacent halves', () => {
+      expect(bisectPriceBand({ min: 100001, max: 300000, depth: 0 })).toEqual([
+        { min: 100001, max: 200000, depth: 1 },
+        { min: 200001, max: 300000, depth: 1 }
+      ]);
+    });
+  });
+});
+
+describe('BatchLeadService - getCachedBatchLeads', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should run the batch once and serve repeats from the shared batch-leads cache entry', async () => {
+    const searchSpy = mockMarket([250000, 260000, 270000]);
+    const verifySpy = jest.spyOn(visualInspector, 'verify_property_visually').mockResolvedValue({
+      success: true,
+      validation: { analysis: { has_pool: true, confidence: 90, provider: 'groq' } }
+    });
+
+    const response = await getCachedBatchLeads('Tulsa, OK', 'PoolLeadGen', 10);
+
+    expect(response).toMatchObject({
+      success: true,
+      data: { location: 'Tulsa, OK', leadType: 'PoolLeadGen' },
+      metadata: { source: 'zillow-batch-lead-service', cached: false }
+    });
+    expect(response.data.leads).toHaveLength(3);
+
+    const key = cacheService.generateKey('batch-leads', { location: 'Tulsa, OK', leadType: 'PoolLeadGen', requestedLeads: 10 });
+    expect(await cacheService.get(key)).toEqual(response);
+
+    const searches = searchSpy.mock.calls.length;
+    const analyses = verifySpy.mock.calls.length;
+    await expect(getCachedBatchLeads('Tulsa, OK', 'PoolLeadGen', 10)).resolves.toEqual(response);
+    expect(searchSpy).toHaveBeenCalledTimes(searches);
+    expect(verifySpy).toHaveBeenCalledTimes(analyses);
+  });
+});
+
+describe('BatchLeadService - getVisualValidation', () => {
+  beforeEach(async () => {
+    await cacheService.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should tag the cached validation with the fallback provider that answered', async () => {
+    jest.spyOn(visualInspector, 'getPrimaryProvider').mockReturnValue('groq');
+    jest.spyOn(visualInspector, 'verify_property_visually').mockResolvedValue({
+      success: true,
+      validation: { analysis: { has_pool: true, confidence: 90, provider: 'local' } }
+    });
+
+    await getVisualValidation(36.1, -95.9, 'PoolLeadGen', { zpid: 'fallback-1' });
+
+    expect(await cacheService.invalidateByTag('provider:groq')).toBe(0);
+    expect(await cacheService.invalidateByTag('provider:local')).toBe(1);
+  });
+
+  it('should tag ensemble validations with every member that answered', async () => {
+    jest.spyOn(visualInspector, 'shouldUseEnsemble').mockReturnValue(true);
+    jest.spyOn(visualInspector, 'verify_property_visually').mockResolvedValue({
+      success: true,
+      validation: {
+        analysis: { has_pool: true, confidence: 80, provider: 'ensemble' },
+        ensemble: {
+          answers: [
+            { provider: 'groq', model: 'scout', analysis: { has_pool: true } },
+            { provider: 'local', model: 'llava', analysis: { has_pool: true } },
+            { provider: 'openai', error: 'timeout' }
+          ]
+        }
+      }
+    });
+
+    await getVisualValidation(36.2, -95.9, 'PoolLeadGen', { zpid: 'ensemble-1' });
+    const [key] = await cacheService.keys('visual-validation:');
+    const { tags } = await cacheService.inspect(key);
+
+    expect(tags).toEqual(expect.arrayContaining(['provider:groq', 'provider:local']));
+    expect(tags).not.toContain('provider:openai');
+  });
+
+  it('should derive rules stage fields from the listing passed in, not the cached one', async () => {
+    const verifySpy = jest.spyOn(visualInspector, 'verify_property_visually').mockImplementation(
+      async (latitude, longitude, leadType, zillowData) => ({
+        success: true,
+        validation: {
+          analysis: visualInspector.applyRules({
+            rear_yard_free_area: 'high',
+            rear_yard_free_area_sqft: 2000,
+            setback_clearance: 'ample',
+            has_alley_access: true,
+            has_side_access: false,
+            confidence: 80,
+            provider: 'groq'
+          }, leadType, zillowData)
+        }
+      })
+    );
+    const house = { zpid: 'adu-1', homeType: 'SINGLE_FAMILY', lotAreaValue: 8000, livingArea: 1800 };
+
+    const first = await getVisualValidation(34.05, -118.33, 'ADUFeasibility', house);
+    const relisted = await getVisualValidation(34.05, -118.33, 'ADUFeasibility', { ...house, homeType: 'CONDO' });
+
+    expect(verifySpy).toHaveBeenCalledTimes(1);
+    expect(first.analysis.feasibility.tier).toBe('high');
+    expect(relisted.analysis.feasibility.tier).toBe('not_feasible');
+  });
+});
+
+describe('BatchLeadService - isValidLead', () => {
+  const roof = {
+    roof_orientation: 'south',
+    usable_roof_area: 'high',
+    tree_shading: 'light',
+    has_existing_panels: false,
+    confidence: 80
+  };
+  const solar = analysis => isValidLead({ id: '1' }, 'SolarReady', { analysis: { ...roof, ...analysis } });
+
+  it('should accept an unshaded roof without panels', () => {
+    expect(solar({})).toBe(true);
+  });
+
+  it('should reject roofs with panels, heavy shade, little area or a north aspect', () => {
+    expect(solar({ has_existing_panels: true })).toBe(false);
+    expect(solar({ tree_shading: 'heavy' })).toBe(false);
+    expect(solar({ usable_roof_area: 'low' })).toBe(false);
+    expect(solar({ roof_orientation: 'north' })).toBe(false);
+    expect(solar({ confidence: 40 })).toBe(false);
+  });
+});
+
+describe('BatchLeadService - isValidLead (RoofCondition)', () => {
+  const worn = {
+    discoloration: 'light',
+    missing_shingles: false,
+    has_tarp: false,
+    moss_or_debris: 'none',
+    roof_age_estimate: 'mid_life',
+    confidence: 80
+  };
+  const roof = (analysis, property = { id: '1' }) => isValidLead(property, 'RoofCondition', { analysis: { ...worn, ...analysis } });
+
+  it('should accept visible wear and aged roofs', () => {
+    expect(roof({ has_tarp: true })).toBe(true);
+    expect(roof({ moss_or_debris: 'heavy' })).toBe(true);
+    expect(roof({ roof_age_estimate: 'end_of_life' })).toBe(true);
+  });
+
+  it('should accept an original roof on an older home from the year built', () => {
+    const age = new Date().getFullYear() - 1990;
+
+    expect(roof({ estimated_roof_age_years: age }, { id: '1', yearBuilt: 1990 })).toBe(true);
+    expect(roof({ estimated_roof_age_years: 8 }, { id: '1', yearBuilt: 1990 })).toBe(false);
+  });
+
+  it('should reject new roofs, unworn roofs and low confidence', () => {
+    expect(roof({ roof_age_estimate: 'new', has_tarp: true })).toBe(false);
+    expect(roof({})).toBe(false);
+    expect(roof({ has_tarp: true, confidence: 40 })).toBe(false);
+  });
+});
+
+describe('BatchLeadService - isValidLead (DrivewayPaving)', () => {
+  const paved = {
+    driveway_surface: 'concrete',
+    condition: 'good',
+    has_cracks: false,
+    estimated_area: 'medium',
+    has_parking_pad: false,
+    confidence: 80
+  };
+  const driveway = analysis => isValidLead({ id: '1' }, 'DrivewayPaving', { analysis: { ...paved, ...analysis } });
+
+  it('should accept unpaved, cracked and worn driveways', () => {
+    expect(driveway({ driveway_surface: 'gravel' })).toBe(true);
+    expect(driveway({ driveway_surface: 'dirt' })).toBe(true);
+    expect(driveway({ has_cracks: true })).toBe(true);
+    expect(driveway({ driveway_surface: 'asphalt', condition: 'poor' })).toBe(true);
+  });
+
+  it('should reject sound pavement, missing driveways and low confidence', () => {
+    expect(driveway({})).toBe(false);
+    expect(driveway({ driveway_surface: 'none', condition: 'poor' })).toBe(false);
+    expect(driveway({ driveway_surface: 'gravel', confidence: 40 })).toBe(false);
+  });
+});
+
+describe('BatchLeadService - isValidLead (ADUFeasibility)', () => {
+  const yard = {
+    rear_yard_free_area: 'high',
+    rear_yard_free_area_sqft: 2000,
+    setback_clearance: 'adequate',
+    has_alley_access: false,
+    has_side_access: true,
+    confidence: 80
+  };
+  const house = { id: '1', homeType: 'SINGLE_FAMILY', lotAreaValue: 9000, livingArea: 1600 };
+  const adu = (analysis, property = house) => isValidLead(property, 'ADUFeasibility', { analysis: { ...yard, ...analysis } });
+
+  it('should accept lots rated high or medium by the rules stage', () => {
+    expect(adu({})).toBe(true);
+    expect(adu({ feasibility: { tier: 'medium' } })).toBe(true);
+  });
+
+  it('should reject small footprints, ineligible home types and low confidence', () => {
+    expect(adu({ setback_clearance: 'tight', rear_yard_free_area_sqft: 1000 })).toBe(false);
+    expect(adu({}, { ...house, homeType: 'TOWNHOUSE' })).toBe(false);
+    expect(adu({ confidence: 40 })).toBe(false);
+  });
+});
@@ -0,0 +1,428 @@
+/**
+ * Cache Service Tests
+ * Tests for the pluggable cache backends, the file backend index, getOrCompute, tags and namespace policies
+ */
+
+process.env.CACHE_MAX_ENTRIES_MARKET_ANALYSIS = '3';
+process.env.CACHE_MAX_BYTES_BATCH_LEADS = '1000';
+process.env.CACHE_PERSIST_ESTIMATE = 'false';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const cacheService = require('../cacheService');
+const { MemoryBackend, FileBackend, RedisBackend } = require('../cacheBackends');
+
+/**
+ * Minimal in-process stand-in for a Redis client (GET/SET EX/DEL/SCAN)
+ */
+function createFakeRedisClient() {
+  const store = new Map();
+
+  return {
+    store,
+    async get(key) {
+      return store.has(key) ? store.get(key) : null;
+    },
+    async set(key, value) {
+      store.set(key, value);
+      return 'OK';
+    },
+    async del(...keys) {
+      return keys.filter(key => store.delete(key)).length;
+    },
+    async scan(cursor, match, pattern) {
+      const prefix = pattern.replace(/\*$/, '').replace(/\\(.)/g, '$1');
+      return ['0', [...store.keys()].filter(key => key.startsWith(prefix))];
+    }
+  };
+}
+
+describe('CacheService', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-test-'));
+  });
+
+  afterEach(async () => {
+    cacheService.setBackend(new MemoryBackend());
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe.each([
+    ['memory', () => new MemoryBackend()],
+    ['file', () => new FileBackend({ dir: tempDir })],
+    ['redis', () => new RedisBackend(createFakeRedisClient())]
+  ])('%s backend', (name, createTestBackend) => {
+    beforeEach(() => {
+      cacheService.setBackend(createTestBackend());
+    });
+
+    it('should store, read and invalidate values', async () => {
+      const key = cacheService.generateKey('search', { location: 'Houston, TX' });
+
+      expect(await cacheService.get(key)).toBeUndefined();
+      expect(await cacheService.set(key, { properties: [{ id: '1' }] }, 60)).toBe(true);
+      expect(await cacheService.get(key)).toEqual({ properties: [{ id: '1' }] });
+      expect(await cacheService.has(key)).toBe(true);
+
+      expect(await cacheService.invalidate(key)).toBe(1);
+      expect(await cacheService.get(key)).toBeUndefined();
+    });
+
+    it('should not return expired entries', async () => {
+      await cacheService.set('estimate:a', { value: 1 }, 60);
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 61 * 1000;
+      try {
+        expect(await cacheService.get('estimate:a')).toBeUndefined();
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    it('should clear every entry', async () => {
+      await cacheService.set('search:a', 1);
+      await cacheService.set('search:b', 2);
+
+      expect(await cacheService.clear()).toBe(2);
+      expect((await cacheService.getStats()).keyCount).toBe(0);
+    });
+
+    it('should invalidate only the entries carrying a tag', async () => {
+      await cacheService.set('property:a', 1, 60, { tags: { zpid: '12345' } });
+      await cacheService.set('property:b', 2, 60, { tags: { zpid: '999' } });
+
+      expect(await cacheService.invalidateByTag('zpid:12345')).toBe(1);
+      expect(await cacheService.get('property:a')).toBeUndefined();
+      expect(await cacheService.get('property:b')).toBe(2);
+    });
+  });
+
+  describe('file backend index', () => {
+    it('should list keys and tags without re-reading cache files', async () => {
+      const backend = new FileBackend({ dir: tempDir });
+      cacheService.setBackend(backend);
+      await cacheService.set('property:a', 1, 60, { tags: { zpid: '12345' } });
+      await cacheService.set('property:b', 2, 60);
+      const readSpy = jest.spyOn(fs.promises, 'readFile');
+
+      try {
+        expect((await backend.keys('property:')).sort()).toEqual(['property:a', 'property:b']);
+        expect(await backend.keysWithTag('zpid:12345')).toEqual(['property:a']);
+        expect(readSpy).not.toHaveBeenCalled();
+      } finally {
+        readSpy.mockRestore();
+      }
+    });
+
+    it('should rebuild the index from disk and drop expired files on startup', async () => {
+      const first = new FileBackend({ dir: tempDir });
+      await first.set('property:a', { value: 1, tags: ['zpid:1'] });
+      await first.set('property:old', { value: 2, expiresAt: Date.now() - 1000 });
+      await first.close();
+
+      const restarted = new FileBackend({ dir: tempDir });
+      await restarted.close();
+
+      expect(await restarted.keys()).toEqual(['property:a']);
+      expect(await restarted.keysWithTag('zpid:1')).toEqual(['property:a']);
+      expect(fs.readdirSync(tempDir)).toHaveLength(1);
+    });
+
+    it('should sweep expired entries from the index and disk', async () => {
+      const backend = new FileBackend({ dir: tempDir });
+      await backend.close();
+      await backend.set('property:a', { value: 1, expiresAt: Date.now() + 60000 });
+      await backend.set('property:b', { value: 2, expiresAt: Date.now() - 1 });
+
+      expect(await backend.sweep()).toBe(1);
+      expect(await backend.keys()).toEqual(['property:a']);
+      expect(fs.readdirSync(tempDir)).toHaveLength(1);
+    });
+  });
+
+  describe('redis backend selection', () => {
+    afterEach(() => {
+      jest.dontMock('ioredis');
+    });
+
+    it('should connect ioredis to REDIS_URL when CACHE_BACKEND=redis', () => {
+      const Redis = jest.fn(function (url) {
+        this.url = url;
+        this.on = jest.fn();
+      });
+      jest.doMock('ioredis', () => Redis, { virtual: true });
+
+      jest.isolateModules(() => {
+        const { createBackend, RedisBackend: IsolatedRedisBackend } = require('../cacheBackends');
+        const backend = createBackend({ backend: 'redis', redisUrl: 'redis://cache:6379', redisNamespace: 'test:' });
+
+        expect(backend).toBeInstanceOf(IsolatedRedisBackend);
+        expect(backend.namespace).toBe('test:');
+        expect(backend.client.url).toBe('redis://cache:6379');
+      });
+    });
+
+    it('should exit at startup when CACHE_BACKEND=redis has no REDIS_URL', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.CACHE_BACKEND = 'redis';
+
+      try {
+        jest.isolateModules(() => {
+          expect(() => require('../../config')).toThrow('process.exit');
+        });
+        expect(error).toHaveBeenCalledWith('CACHE_BACKEND=redis requires REDIS_URL');
+      } finally {
+        delete process.env.CACHE_BACKEND;
+        exit.mockRestore();
+        error.mockRestore();
+      }
+    });
+  });
+
+  describe('getOrCompute', () => {
+    beforeEach(() => {
+      cacheService.setBackend(new MemoryBackend());
+    });
+
+    it('should share one computation between concurrent callers', async () => {
+      let resolveSearch;
+      const compute = jest.fn(() => new Promise(resolve => {
+        resolveSearch = resolve;
+      }));
+
+      const callers = [1, 2, 3].map(() => cacheService.getOrCompute('search:popular', compute, { ttl: 60 }));
+      await new Promise(resolve => setImmediate(resolve));
+      resolveSearch({ properties: ['a'] });
+
+      expect(await Promise.all(callers)).toEqual([{ properties: ['a'] }, { properties: ['a'] }, { properties: ['a'] }]);
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(await cacheService.get('search:popular')).toEqual({ properties: ['a'] });
+    });
+
+    it('should serve a stale value while refreshing in the background', async () => {
+      await cacheService.getOrCompute('estimate:a', async () => 'old', { ttl: 60, staleTtl: 60 });
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 90 * 1000;
+      try {
+        const refresh = jest.fn(async () => 'new');
+
+        expect(await cacheService.getOrCompute('estimate:a', refresh, { ttl: 60, staleTtl: 60 })).toBe('old');
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(refresh).toHaveBeenCalledTimes(1);
+        expect(await cacheService.get('estimate:a')).toBe('new');
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    it('should recompute once the stale window has passed', async () => {
+      await cacheService.getOrCompute('estimate:b', async () => 'old', { ttl: 60, staleTtl: 60 });
+
+      const realNow = Date.now;
+      Date.now = () => realNow() + 121 * 1000;
+      try {
+        expect(await cacheService.getOrCompute('estimate:b', async () => 'new', { ttl: 60 })).toBe('new');
+      } finally {
+        Date.now = realNow;
+      }
+    });
+
+    it('should not cache failures and should let the next caller retry', async () => {
+      const failure = new Error('Zillow unavailable');
+
+      await expect(cacheService.getOrCompute('property:1', async () => {
+        throw failure;
+      })).rejects.toBe(failure);
+
+      expect(await cacheService.getOrCompute('property:1', async () => 'details')).toBe('details');
+    });
+  });
+
+  describe('tags', () => {
+    beforeEach(() => {
+      cacheService.setBackend(new MemoryBackend());
+    });
+
+    it('should invalidate every entry carrying a tag', async () => {
+      await cacheService.set('property:a', 1, 60, { tags: { zpid: '12345' } });
+      await cacheService.set('visual-validation:a', 2, 60, { tags: { zpid: '12345', leadType: 'PoolLeadGen' } });
+      await cacheService.set('property:b', 3, 60, { tags: { zpid: '999' } });
+
+      expect(await cacheService.invalidateByTag('zpid:12345')).toBe(2);
+      expect(await cacheService.get('property:a')).toBeUndefined();
+      expect(await cacheService.get('property:b')).toBe(3);
+    });
+
+    it('should match location tags regardless of case and spacing', async () => {
+      await cacheService.getOrCompute('search:miami', async () => 'results', { tags: { location: 'Miami, FL' } });
+
+      expect(await cacheService.invalidateByTag('location: miami, fl ')).toBe(1);
+    });
+
+    it('should derive tags from the computed value when given a function', async () => {
+      await cacheService.getOrCompute('estimate:x', async () => ({ data: { zpid: '42' } }), {
+        tags: value => ({ zpid: value.data.zpid })
+      });
+
+      expect((await cacheService.inspect('estimate:x')).tags).toEqual(['zpid:42']);
+    });
+
+    it('should add one tag per value when a tag is given several values', async () => {
+      await cacheService.set('visual-validation:x', 1, 60, { tags: { provider: ['groq', 'local'] } });
+
+      expect((await cacheService.inspect('visual-validation:x')).tags).toEqual(['provider:groq', 'provider:local']);
+      expect(await cacheService.invalidateByTag('provider:local')).toBe(1);
+    });
+
+    it('should invalidate by key prefix', async () => {
+      await cacheService.set('search:a', 1);
+      await cacheService.set('search:b', 2);
+      await cacheService.set('estimate:a', 3);
+
+      expect(await cacheService.invalidateByPrefix('search:')).toBe(2);
+      expect(await cacheService.get('estimate:a')).toBe(3);
+    });
+
+    it('should reject unknown tag names', async () => {
+      await expect(cacheService.invalidateByTag('color:blue')).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('size limits', () => {
+    beforeEach(() => {
+      cacheService.setBackend(new MemoryBackend());
+    });
+
+    it('should evict the least recently used entries beyond the namespace entry limit', async () => {
+      await cacheService.set('market-analysis:a', 1, 60);
+      await cacheService.set('market-analysis:b', 2, 60);
+      await cacheService.set('market-analysis:c', 3, 60);
+      await cacheService.get('market-analysis:a');
+      await cacheService.set('market-analysis:d', 4, 60);
+
+      expect(await cacheService.has('market-analysis:b')).toBe(false);
+      expect(await cacheService.get('market-analysis:a')).toBe(1);
+
+      const stats = await cacheService.getStats();
+      expect(stats.namespaces['market-analysis']).toMatchObject({ entries: 3, maxEntries: 3, evictions: 1 });
+    });
+
+    it('should evict by approximate size and skip values larger than the limit', async () => {
+      const lead = { address: 'x'.repeat(300) };
+
+      await cacheService.set('batch-leads:a', lead, 60);
+      await cacheService.set('batch-leads:b', lead, 60);
+      await cacheService.set('batch-leads:c', lead, 60);
+
+      const { namespaces } = await cacheService.getStats();
+      expect(namespaces['batch-leads'].bytes).toBeLessThanOrEqual(1000);
+      expect(namespaces['batch-leads'].evictions).toBe(1);
+      expect(await cacheService.has('batch-leads:a')).toBe(false);
+
+      expect(await cacheService.set('batch-leads:huge', { address: 'x'.repeat(2000) }, 60)).toBe(false);
+      expect(await cacheService.has('batch-leads:huge')).toBe(false);
+    });
+
+    it('should release accounted bytes when entries are invalidated', async () => {
+      await cacheService.set('search:a', { properties: [] }, 60);
+      await cacheService.invalidateByPrefix('search:');
+
+      expect((await cacheService.getStats()).namespaces.search).toMatchObject({ entries: 0, bytes: 0 });
+    });
+  });
+
+  describe('namespace policies', () => {
+    beforeEach(() => {
+      cacheService.setBackend(new MemoryBackend());
+    });
+
+    it('should apply the TTL and stale window of the key prefix', async () => {
+      await cacheService.set('visual-validation:a', { isValid: true });
+      await cacheService.set('property:a', { id: 'a' });
+
+      const validation = await cacheService.inspect('visual-validation:a');
+      const property = await cacheService.inspect('property:a');
+
+      const seconds = (from, to) => Math.round((Date.parse(to) - Date.parse(from)) / 1000);
+      expect(seconds(validation.createdAt, validation.expiresAt)).toBe(1800);
+      expect(seconds(validation.expiresAt, validation.staleUntil)).toBe(1800);
+      expect(seconds(property.expiresAt, property.staleUntil)).toBe(600);
+    });
+
+    it('should let an explicit TTL override the policy', async () => {
+      await cacheService.set('market-analysis:a', 1, 60);
+
+      const entry = await cacheService.inspect('market-analysis:a');
+      expect(Date.parse(entry.expiresAt) - Date.parse(entry.createdAt)).toBe(60 * 1000);
+    });
+
+    it('should keep non-persistent namespaces out of a persistent backend', async () => {
+      cacheService.setBackend(new FileBackend({ dir: tempDir }));
+      await cacheService.set('estimate:a', { value: 1 });
+      await cacheService.set('search:a', { properties: [] });
+
+      expect(await cacheService.get('estimate:a')).toEqual({ value: 1 });
+      expect(await cacheService.backend.keys()).toEqual(['search:a']);
+      expect((await cacheService.getStats()).keyCount).toBe(2);
+    });
+
+    it('should exit at startup on an invalid policy', () => {
+      const exit = jest.spyOn(process, 'exit').mockImplementation(() => {
+        throw new Error('process.exit');
+      });
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      process.env.CACHE_STALE_TTL_SEARCH = 'ten minutes';
+
+      try {
+        jest.isolateModules(() => {
+          expect(() => require('../../config')).toThrow('process.exit');
+        });
+        expect(error).toHaveBeenCalledWith(expect.stringContaining('search.staleTtl: invalid value "ten minutes"'));
+      } finally {
+        delete process.env.CACHE_STALE_TTL_SEARCH;
+        exit.mockRestore();
+        error.mockRestore();
+      }
+    });
+  });
+
+  it('should account for entries already in a persistent backend', async () => {
+    cacheService.setBackend(new FileBackend({ dir: tempDir }));
+    await cacheService.set('market-analysis:a', 1, 60);
+    await cacheService.set('market-analysis:b', 2, 60);
+    await cacheService.set('market-analysis:c', 3, 60);
+
+    cacheService.setBackend(new FileBackend({ dir: tempDir }));
+    await cacheService.set('market-analysis:d', 4, 60);
+
+    expect((await cacheService.getStats()).namespaces['market-analysis']).toMatchObject({ entries: 3, evictions: 1 });
+  });
+
+  it('should keep file backend entries across backend instances', async () => {
+    cacheService.setBackend(new FileBackend({ dir: tempDir }));
+    await cacheService.set('backyard-analysis:zpid="1"', { lead: true }, 86400);
+
+    // Simulates a restart: a fresh backend reading the same directory
+    cacheService.setBackend(new FileBackend({ dir: tempDir }));
+
+    expect(await cacheService.get('backyard-analysis:zpid="1"')).toEqual({ lead: true });
+  });
+
+  it('should treat backend failures as a cache miss', async () => {
+    const brokenBackend = new MemoryBackend();
+    brokenBackend.get = jest.fn().mockRejectedValue(new Error('connection refused'));
+    cacheService.setBackend(brokenBackend);
+
+    expect(await cacheService.get('search:a')).toBeUndefined();
+  });
+});
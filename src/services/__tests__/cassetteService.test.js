@@ -0,0 +1,97 @@
+/**
+ * Cassette Service Tests
+ * Tests for recording and replaying outbound HTTP calls
+ */
+
+process.env.ZILLOW_PROVIDER = 'mock';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const axios = require('axios');
+const cassetteService = require('../cassetteService');
+
+describe('CassetteService', () => {
+  let server;
+  let baseURL;
+  let hits;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      if (req.url.startsWith('/missing')) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ message: 'Not found' }));
+      }
+      if (req.url.startsWith('/image')) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        return res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff]));
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end('{"props":[{"zpid":"1"}],  "totalPages":1}');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    hits = 0;
+    cassetteService.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+  });
+
+  function createClient(mode) {
+    cassetteService.mode = mode;
+    return cassetteService.attach(axios.create({ baseURL }), 'test');
+  }
+
+  it('should replay recorded responses byte-for-byte without calling upstream', async () => {
+    const recorded = await createClient('record').get('/search', { params: { location: 'Miami, FL', key: 'secret-1' } });
+    const replayed = await createClient('replay').get('/search', { params: { key: 'secret-2', location: 'Miami, FL' } });
+
+    expect(hits).toBe(1);
+    expect(replayed.status).toBe(200);
+    expect(replayed.data).toEqual(recorded.data);
+  });
+
+  it('should replay binary responses', async () => {
+    const recorded = await createClient('record').get('/image', { responseType: 'arraybuffer' });
+    const replayed = await createClient('replay').get('/image', { responseType: 'arraybuffer' });
+
+    expect(Buffer.compare(Buffer.from(replayed.data), Buffer.from(recorded.data))).toBe(0);
+  });
+
+  it('should replay recorded error responses as axios errors', async () => {
+    await expect(createClient('record').get('/missing')).rejects.toMatchObject({ response: { status: 404 } });
+    await expect(createClient('replay').get('/missing')).rejects.toMatchObject({
+      response: { status: 404, data: { message: 'Not found' } }
+    });
+    expect(hits).toBe(1);
+  });
+
+  it('should key POST requests by body', async () => {
+    await createClient('record').post('/search', { prompt: 'a' });
+
+    const replay = createClient('replay');
+    await expect(replay.post('/search', { prompt: 'a' })).resolves.toMatchObject({ status: 200 });
+    await expect(replay.post('/search', { prompt: 'b' })).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+  });
+
+  it('should fail clearly on a replay miss', async () => {
+    await expect(createClient('replay').get('/search', { params: { location: 'Austin, TX' } }))
+      .rejects.toThrow(/Cassette replay miss: no recording for test GET .*\/search/);
+    expect(hits).toBe(0);
+  });
+
+  it('should not store credentials in cassettes', async () => {
+    await createClient('record').get(`/search?key=secret-1&location=Miami`);
+
+    const [file] = fs.readdirSync(path.join(cassetteService.dir, 'test'));
+    const contents = fs.readFileSync(path.join(cassetteService.dir, 'test', file), 'utf8');
+    expect(contents).not.toContain('secret-1');
+  });
+});
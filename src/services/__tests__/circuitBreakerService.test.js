@@ -0,0 +1,178 @@
+/**
+ * Circuit Breaker Service Tests
+ * Tests for the closed/open/half-open state machine and the axios adapter guard
+ */
+
+process.env.ZILLOW_PROVIDER = 'mock';
+process.env.CIRCUIT_BREAKER_FAILURE_THRESHOLD = '3';
+process.env.CIRCUIT_BREAKER_RESET_TIMEOUT_MS = '10000';
+
+const axios = require('axios');
+const circuitBreakerService = require('../circuitBreakerService');
+
+function httpError(status) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.request = {};
+  error.response = { status, headers: {}, data: {} };
+  return error;
+}
+
+function networkError() {
+  const error = new Error('timeout of 10000ms exceeded');
+  error.code = 'ECONNABORTED';
+  error.request = {};
+  return error;
+}
+
+/**
+ * Axios instance guarded by a fresh breaker, answered by a stub adapter
+ * @param {function} respond - (requestConfig) => response data, or throws
+ * @returns {object} { client, breaker, adapter }
+ */
+function guardedClient(respond) {
+  const name = `upstream-${Math.random().toString(36).slice(2)}`;
+  const adapter = jest.fn(async (requestConfig) => ({
+    data: await respond(requestConfig),
+    status: 200,
+    statusText: 'OK',
+    headers: {},
+    config: requestConfig
+  }));
+
+  const client = circuitBreakerService.attach(axios.create({ adapter }), name);
+  return { client, adapter, breaker: circuitBreakerService.getBreaker(name) };
+}
+
+describe('CircuitBreakerService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('should open after the failure threshold and then fail fast', async () => {
+    const { client, adapter, breaker } = guardedClient(() => {
+      throw httpError(502);
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('/search')).rejects.toMatchObject({ response: { status: 502 } });
+    }
+    expect(breaker.state).toBe('open');
+
+    await expect(client.get('/search')).rejects.toMatchObject({
+      code: 'SERVICE_UNAVAILABLE',
+      statusCode: 503,
+      upstream: breaker.name,
+      retryAfter: 10
+    });
+    expect(adapter).toHaveBeenCalledTimes(3);
+  });
+
+  it('should count 429 and network failures but reset the count on success', async () => {
+    const { client, breaker } = guardedClient(() => {
+      throw networkError();
+    });
+
+    await expect(client.get('/a')).rejects.toThrow('timeout');
+    breaker.recordFailure(httpError(429));
+    expect(breaker.failures).toBe(2);
+
+    breaker.recordSuccess();
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0, openedAt: null });
+  });
+
+  it('should treat 4xx responses as a healthy upstream', async () => {
+    let status = 503;
+    const { client, breaker } = guardedClient(() => {
+      throw httpError(status);
+    });
+
+    await expect(client.get('/a')).rejects.toBeDefined();
+    await expect(client.get('/a')).rejects.toBeDefined();
+    expect(breaker.failures).toBe(2);
+
+    status = 404;
+    await expect(client.get('/a')).rejects.toMatchObject({ response: { status: 404 } });
+    expect(breaker.getState()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+
+  it('should not count errors raised before the request was sent', async () => {
+    const { client, breaker } = guardedClient(() => {
+      throw new Error('Invalid URL');
+    });
+
+    await expect(client.get('/a')).rejects.toThrow('Invalid URL');
+    expect(breaker.failures).toBe(0);
+  });
+
+  it('should half-open after the cooldown and allow only one probe', async () => {
+    let answer = () => {
+      throw httpError(500);
+    };
+    const { client, adapter, breaker } = guardedClient(() => answer());
+
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('/a')).rejects.toBeDefined();
+    }
+
+    jest.advanceTimersByTime(9999);
+    await expect(client.get('/a')).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE', retryAfter: 1 });
+
+    jest.advanceTimersByTime(1);
+    let finishProbe;
+    answer = () => new Promise(resolve => {
+      finishProbe = resolve;
+    });
+
+    const probe = client.get('/a');
+    await Promise.resolve();
+    expect(breaker.state).toBe('half-open');
+    await expect(client.get('/b')).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE' });
+
+    finishProbe({ ok: true });
+    await expect(probe).resolves.toMatchObject({ data: { ok: true } });
+    expect(breaker.state).toBe('closed');
+    expect(adapter).toHaveBeenCalledTimes(4);
+  });
+
+  it('should reopen when the probe fails', async () => {
+    const { client, breaker } = guardedClient(() => {
+      throw httpError(500);
+    });
+
+    for (let i = 0; i < 3; i++) {
+      await expect(client.get('/a')).rejects.toBeDefined();
+    }
+
+    jest.advanceTimersByTime(10000);
+    await expect(client.get('/a')).rejects.toMatchObject({ response: { status: 500 } });
+
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      failures: 4,
+      lastFailure: 'Request failed with status code 500',
+      nextAttemptAt: new Date(Date.now() + 10000).toISOString()
+    });
+    await expect(client.get('/a')).rejects.toMatchObject({ code: 'SERVICE_UNAVAILABLE', retryAfter: 10 });
+  });
+
+  it('should report every registered breaker', () => {
+    const { breaker } = guardedClient(() => ({}));
+
+    expect(circuitBreakerService.getStates()[breaker.name]).toEqual({
+      state: 'closed',
+      failures: 0,
+      failureThreshold: 3,
+      openedAt: null,
+      nextAttemptAt: null,
+      lastFailure: null,
+      lastFailureAt: null
+    });
+  });
+});
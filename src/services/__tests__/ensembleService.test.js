@@ -0,0 +1,80 @@
+/**
+ * Ensemble Service Tests
+ * Tests for merging several vision answers by vote and weighted median
+ */
+
+const ensembleService = require('../ensembleService');
+
+const answer = (provider, analysis, weight = 1) => ({ provider, model: `${provider}-model`, weight, analysis });
+
+describe('EnsembleService', () => {
+  it('should decide boolean fields by confidence-weighted vote', () => {
+    const { analysis, agreement } = ensembleService.merge([
+      answer('openai', { has_pool: true, confidence: 90, reasoning: 'Blue rectangle' }),
+      answer('gemini', { has_pool: false, confidence: 40, reasoning: 'Tarp' }),
+      answer('groq', { has_pool: false, confidence: 30, reasoning: 'Shadow' })
+    ], ['has_pool']);
+
+    expect(analysis.has_pool).toBe(true);
+    expect(agreement).toBeCloseTo(90 / 160, 2);
+    expect(analysis.confidence).toBe(Math.round(90 * (90 / 160)));
+    expect(analysis.reasoning).toBe('Blue rectangle');
+  });
+
+  it('should let provider weights tip the vote', () => {
+    const { analysis } = ensembleService.merge([
+      answer('openai', { has_pool: true, confidence: 80 }, 1),
+      answer('local', { has_pool: false, confidence: 80 }, 2)
+    ], ['has_pool']);
+
+    expect(analysis.has_pool).toBe(false);
+  });
+
+  it('should vote false on a tie', () => {
+    const { analysis } = ensembleService.merge([
+      answer('openai', { has_pool: true, confidence: 70 }),
+      answer('gemini', { has_pool: false, confidence: 70 })
+    ], ['has_pool']);
+
+    expect(analysis.has_pool).toBe(false);
+  });
+
+  it('should take the majority for categorical fields and keep common list items', () => {
+    const { analysis, agreement } = ensembleService.merge([
+      answer('openai', { is_empty_backyard: false, surface_type: 'grass', estimated_free_area: 'high', structures_detected: ['shed', 'fence'], confidence: 80 }),
+      answer('gemini', { is_empty_backyard: false, surface_type: 'Grass', estimated_free_area: 'medium', structures_detected: ['fence'], confidence: 70 }),
+      answer('groq', { is_empty_backyard: false, surface_type: 'dirt', estimated_free_area: 'medium', structures_detected: ['trees'], confidence: 60 })
+    ], ['is_empty_backyard']);
+
+    expect(analysis).toMatchObject({
+      is_empty_backyard: false,
+      surface_type: 'grass',
+      estimated_free_area: 'medium',
+      structures_detected: ['fence'],
+      confidence: 70
+    });
+    expect(agreement).toBe(1);
+  });
+
+  it('should merge disagreeing numbers by weighted median', () => {
+    const { analysis } = ensembleService.merge([
+      answer('openai', { has_solar_panels: false, usable_roof_area_sqft: 1200, estimated_roof_age_years: 12, confidence: 80 }),
+      answer('gemini', { has_solar_panels: false, usable_roof_area_sqft: 5000, estimated_roof_age_years: 30, confidence: 80 }),
+      answer('groq', { has_solar_panels: false, usable_roof_area_sqft: 1300, estimated_roof_age_years: 15, confidence: 80 })
+    ], ['has_solar_panels']);
+
+    // The 5000 sqft outlier cannot drag the result; exact-value majority would have taken the first answer
+    expect(analysis.usable_roof_area_sqft).toBe(1300);
+    expect(analysis.estimated_roof_age_years).toBe(15);
+  });
+
+  it('should let confident answers outweigh uncertain ones on numbers', () => {
+    const { analysis } = ensembleService.merge([
+      answer('openai', { is_empty_backyard: true, rear_yard_free_area_sqft: 2400, confidence: 90 }),
+      answer('gemini', { is_empty_backyard: true, rear_yard_free_area_sqft: 600, confidence: 30 }),
+      answer('groq', { is_empty_backyard: true, rear_yard_free_area_sqft: 700, confidence: 30 })
+    ], ['is_empty_backyard']);
+
+    expect(analysis.rear_yard_free_area_sqft).toBe(2400);
+  });
+});
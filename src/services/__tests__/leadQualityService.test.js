@@ -0,0 +1,221 @@
+/**
+ * Lead Quality Service Tests
+ * Tests for comparing SolarReady, RoofCondition, DrivewayPaving and ADUFeasibility analyses with Zillow data
+ * and for signing report image URLs
+ */
+
+const leadQualityService = require('../leadQualityService');
+
+describe('LeadQualityService - SolarReady', () => {
+  const roof = {
+    roof_orientation: 'southwest',
+    usable_roof_area: 'high',
+    tree_shading: 'none',
+    has_existing_panels: false,
+    roof_material: 'asphalt shingle',
+    confidence: 70
+  };
+
+  it('should match roof materials by family', () => {
+    const discrepancy = leadQualityService.compareZillowWithVisual(
+      { resoFacts: { roofType: 'Composition' } },
+      roof,
+      'SolarReady'
+    );
+
+    expect(discrepancy.detected).toBe(false);
+  });
+
+  it('should report a different roof material as a minor discrepancy', () => {
+    const report = leadQualityService.generateQualityReport('1', { roofType: 'Concrete Tile' }, {
+      analysis: { ...roof, tree_shading: 'moderate' }
+    }, 'SolarReady');
+
+    expect(report.discrepancy).toMatchObject({ detected: true, type: 'roof_type_mismatch', severity: 'minor' });
+    expect(report.qualityScore).toBe('medium');
+    expect(report.flag).toBeUndefined();
+  });
+
+  it('should rate a large unshaded south-facing roof high and note an old roof', () => {
+    const quality = leadQualityService.calculateLeadQuality(
+      { facts: { yearBuilt: 1980 } },
+      roof,
+      { detected: false },
+      'SolarReady'
+    );
+
+    expect(quality.qualityScore).toBe('high');
+    expect(quality.details.roofAgeYears).toBe(new Date().getFullYear() - 1980);
+    expect(quality.reasoning).toEqual(expect.arrayContaining([
+      'Large unshaded southwest-facing roof',
+      'Built in 1980 - the roof may need replacing before installation'
+    ]));
+  });
+});
+
+describe('LeadQualityService - RoofCondition', () => {
+  const roof = {
+    roof_material: 'asphalt shingle',
+    discoloration: 'moderate',
+    missing_shingles: false,
+    has_tarp: false,
+    moss_or_debris: 'light',
+    roof_age_estimate: 'aged',
+    confidence: 78
+  };
+
+  it('should rate an original roof on an older home high', () => {
+    const yearBuilt = 1985;
+    const quality = leadQualityService.calculateLeadQuality(
+      { yearBuilt },
+      { ...roof, estimated_roof_age_years: new Date().getFullYear() - yearBuilt },
+      { detected: false },
+      'RoofCondition'
+    );
+
+    expect(quality.qualityScore).toBe('high');
+    expect(quality.details).toMatchObject({ originalRoof: true, wearSignals: ['discoloration'] });
+    expect(quality.reasoning).toContain('Built in 1985 and the roof looks original');
+  });
+
+  it('should not flag replaced roofs or homes built after the configured year as original', () => {
+    const replaced = leadQualityService.calculateLeadQuality(
+      { yearBuilt: 1985 },
+      { ...roof, estimated_roof_age_years: 12 },
+      { detected: false },
+      'RoofCondition'
+    );
+    const recent = leadQualityService.calculateLeadQuality(
+      { yearBuilt: 2005 },
+      { ...roof, estimated_roof_age_years: new Date().getFullYear() - 2005 },
+      { detected: false },
+      'RoofCondition'
+    );
+
+    expect(replaced.details.originalRoof).toBe(false);
+    expect(recent.details.originalRoof).toBe(false);
+  });
+
+  it('should report a roof far older than the house as a minor discrepancy', () => {
+    const report = leadQualityService.generateQualityReport('1', { yearBuilt: new Date().getFullYear() - 5 }, {
+      analysis: { ...roof, roof_age_estimate: 'end_of_life', confidence: 85 }
+    }, 'RoofCondition');
+
+    expect(report.discrepancy).toMatchObject({ detected: true, type: 'roof_age_mismatch', severity: 'minor' });
+    expect(report.qualityScore).toBe('medium');
+  });
+});
+
+describe('LeadQualityService - DrivewayPaving', () => {
+  const gravel = {
+    driveway_surface: 'gravel',
+    condition: 'fair',
+    has_cracks: false,
+    estimated_area: 'high',
+    has_parking_pad: true,
+    confidence: 75
+  };
+
+  it('should compare against Zillow parking features and garage capacity', () => {
+    const discrepancy = leadQualityService.compareZillowWithVisual(
+      { parkingFeatures: ['Paved', 'Driveway'], garageParkingCapacity: 2 },
+      { ...gravel, estimated_area: 'low' },
+      'DrivewayPaving'
+    );
+
+    expect(discrepancy).toMatchObject({ detected: true, type: 'driveway_surface_mismatch', severity: 'minor' });
+    expect(discrepancy.details.map(detail => detail.field)).toEqual(['parkingFeatures', 'garageParkingCapacity']);
+  });
+
+  it('should flag a listed driveway the image does not show', () => {
+    const report = leadQualityService.generateQualityReport('1', { facts: { parkingFeatures: ['Driveway'] } }, {
+      analysis: { ...gravel, driveway_surface: 'none', confidence: 90 }
+    }, 'DrivewayPaving');
+
+    expect(report.discrepancy).toMatchObject({ type: 'driveway_mismatch', severity: 'major' });
+    expect(report.flag).toBeDefined();
+  });
+
+  it('should rate a large unpaved driveway high', () => {
+    const quality = leadQualityService.calculateLeadQuality(
+      { facts: { parkingFeatures: ['Driveway'] } },
+      gravel,
+      { detected: false },
+      'DrivewayPaving'
+    );
+
+    expect(quality.qualityScore).toBe('high');
+    expect(quality.reasoning).toEqual(expect.arrayContaining([
+      'Unpaved gravel driveway - paving opportunity',
+      'Parking pad present - can be paved with the driveway'
+    ]));
+  });
+});
+
+describe('LeadQualityService - ADUFeasibility', () => {
+  const yard = {
+    rear_yard_free_area: 'high',
+    rear_yard_free_area_sqft: 2000,
+    setback_clearance: 'ample',
+    has_alley_access: true,
+    has_side_access: false,
+    confidence: 80
+  };
+  const house = { homeType: 'SINGLE_FAMILY', lotAreaValue: 8000, lotAreaUnit: 'sqft', livingArea: 1800, stories: 1 };
+
+  it('should rate feasible lots with access high and infeasible lots low', () => {
+    const feasible = leadQualityService.calculateLeadQuality(house, { ...yard, confidence: 65 }, { detected: false }, 'ADUFeasibility');
+    expect(feasible.qualityScore).toBe('high');
+    expect(feasible.details).toMatchObject({ feasibilityTier: 'high', buildableFootprintSqft: 1200 });
+
+    const condo = leadQualityService.calculateLeadQuality({ ...house, homeType: 'CONDO' }, yard, { detected: false }, 'ADUFeasibility');
+    expect(condo.qualityScore).toBe('low');
+    expect(condo.reasoning).toContain('Home type condo does not allow a detached ADU');
+  });
+
+  it('should flag a yard estimate larger than the listed lot as minor', () => {
+    const discrepancy = leadQualityService.compareZillowWithVisual({ ...house, lotAreaValue: 1500 }, yard, 'ADUFeasibility');
+
+    expect(discrepancy).toMatchObject({ detected: true, type: 'lot_size_mismatch', severity: 'minor' });
+  });
+});
+
+describe('LeadQualityService - image evidence', () => {
+  const hash = 'a'.repeat(64);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should sign the evidence image URL from the validation image hash', () => {
+    const report = leadQualityService.generateQualityReport('1', {}, {
+      analysis: { has_pool: true, confidence: 90 },
+      satelliteImageHash: hash
+    }, 'PoolLeadGen');
+
+    expect(report.evidence.satelliteImageHash).toBe(hash);
+    expect(report.evidence.satelliteImageUrl).toMatch(new RegExp(`^/api/images/${hash}\\?expires=\\d+&signature=`));
+  });
+
+  it('should re-sign stored reports with a fresh expiry', () => {
+    const report = leadQualityService.generateQualityReport('1', {}, {
+      analysis: { has_pool: true, confidence: 90 },
+      satelliteImageHash: hash
+    }, 'PoolLeadGen');
+    const stored = { ...report, flag: { evidence: { satelliteImageHash: hash, satelliteImageUrl: report.evidence.satelliteImageUrl } } };
+
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now + 24 * 60 * 60 * 1000);
+    const signed = leadQualityService.signEvidence(stored);
+
+    const expiry = url => Number(new URL(url, 'http://localhost').searchParams.get('expires'));
+    expect(expiry(signed.evidence.satelliteImageUrl)).toBe(expiry(report.evidence.satelliteImageUrl) + 24 * 60 * 60);
+    expect(signed.flag.evidence.satelliteImageUrl).toBe(signed.evidence.satelliteImageUrl);
+  });
+
+  it('should leave the URL empty without an image hash', () => {
+    const report = leadQualityService.generateQualityReport('1', {}, { analysis: { has_pool: true } }, 'PoolLeadGen');
+
+    expect(report.evidence.satelliteImageUrl).toBeNull();
+  });
+});
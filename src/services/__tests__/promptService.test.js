@@ -0,0 +1,95 @@
+/**
+ * Prompt Service Tests
+ * Tests for versioned prompt templates and their variables
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+/**
+ * Load a fresh promptService against a temporary prompts directory
+ * @param {object} files - Relative path -> template text
+ * @param {string} promptVersions - PROMPT_VERSIONS value
+ * @returns {object} promptService instance
+ */
+function loadWithTemplates(files, promptVersions = '') {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  Object.entries(files).forEach(([file, text]) => {
+    fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(dir, file), text);
+  });
+
+  let service;
+  jest.isolateModules(() => {
+    process.env.PROMPTS_DIR = dir;
+    process.env.PROMPT_VERSIONS = promptVersions;
+    try {
+      service = require('../promptService');
+    } finally {
+      delete process.env.PROMPTS_DIR;
+      delete process.env.PROMPT_VERSIONS;
+    }
+  });
+  return service;
+}
+
+describe('PromptService', () => {
+  const promptService = require('../promptService');
+
+  it('should fill template variables from Zillow data', () => {
+    const { version, id, text } = promptService.render('BackyardBoost', {
+      propertyType: 'SINGLE_FAMILY',
+      lotAreaValue: 10007,
+      lotAreaUnit: 'sqft',
+      facts: { yearBuilt: 1988 }
+    });
+
+    expect(version).toBe('v2');
+    expect(id).toBe('BackyardBoost@v2');
+    expect(text).toContain('- Home type: single family');
+    expect(text).toContain('- Lot size: 10,007 sqft');
+    expect(text).toContain('- Year built: 1988');
+    expect(text).not.toContain('{{');
+  });
+
+  it('should describe parking from Zillow parking features and garage capacity', () => {
+    const { text } = promptService.render('DrivewayPaving', {
+      facts: { parkingFeatures: ['Attached Garage', 'Driveway'], garageParkingCapacity: 2 }
+    });
+
+    expect(text).toContain('- Parking: attached garage, driveway, 2-car garage');
+  });
+
+  it('should render unknown for missing data and serve older versions on request', () => {
+    expect(promptService.render('PoolLeadGen', {}).text).toContain('- Lot size: unknown');
+
+    const v1 = promptService.render('PoolLeadGen', { yearBuilt: 2001 }, 'v1');
+    expect(v1.version).toBe('v1');
+    expect(v1.text).toMatch(/^Analyze this satellite image/);
+  });
+
+  it('should reject unknown versions with a validation error', () => {
+    expect(() => promptService.resolveVersion('PoolLeadGen', 'v9')).toThrow(
+      expect.objectContaining({ code: 'VALIDATION_ERROR', statusCode: 400 })
+    );
+  });
+
+  it('should default to the latest version and honour PROMPT_VERSIONS', () => {
+    const files = {
+      'PoolLeadGen/v1.txt': 'one',
+      'PoolLeadGen/v2.txt': 'two',
+      'PoolLeadGen/v10.txt': 'ten'
+    };
+
+    expect(loadWithTemplates(files).getActiveVersion('PoolLeadGen')).toBe('v10');
+    expect(loadWithTemplates(files, 'PoolLeadGen:v2').getActiveVersion('PoolLeadGen')).toBe('v2');
+  });
+
+  it('should refuse to start with a missing active version or an unknown placeholder', () => {
+    expect(() => loadWithTemplates({ 'PoolLeadGen/v1.txt': 'one' }, 'PoolLeadGen:v3'))
+      .toThrow(/PROMPT_VERSIONS selects PoolLeadGen:v3/);
+    expect(() => loadWithTemplates({ 'PoolLeadGen/v1.txt': 'Lot: {{lotAcres}}' }))
+      .toThrow(/unknown placeholders: lotAcres/);
+  });
+});
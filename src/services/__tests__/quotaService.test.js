@@ -0,0 +1,188 @@
+/**
+ * Quota Service Tests
+ * Tests for the outbound token bucket, the monthly budget and usage persistence
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'quota-'));
+
+process.env.ZILLOW_PROVIDER = 'mock';
+process.env.RAPIDAPI_USAGE_FILE = path.join(usageDir, 'usage.json');
+process.env.RAPIDAPI_REQUESTS_PER_SECOND = '2';
+process.env.RAPIDAPI_BURST = '2';
+
+const axios = require('axios');
+const quotaService = require('../quotaService');
+
+const QuotaService = quotaService.constructor;
+const services = [];
+
+/**
+ * Fresh quota service with the given settings
+ * @param {object} settings - Fields to override (monthlyLimit, hardStop, ...)
+ * @returns {QuotaService} Service
+ */
+function createService(settings = {}) {
+  const service = Object.assign(new QuotaService(), settings);
+  services.push(service);
+  return service;
+}
+
+/**
+ * Axios instance metered by a quota service, answered by a stub adapter
+ * @param {QuotaService} service - Quota service
+ * @returns {object} { client, adapter }
+ */
+function meteredClient(service) {
+  const adapter = jest.fn(async (requestConfig) => ({
+    data: {},
+    status: 200,
+    statusText: 'OK',
+    headers: { 'x-ratelimit-requests-limit': '1000', 'x-ratelimit-requests-remaining': '990' },
+    config: requestConfig
+  }));
+
+  return { client: service.attach(axios.create({ adapter })), adapter };
+}
+
+describe('QuotaService', () => {
+  beforeEach(() => {
+    fs.rmSync(process.env.RAPIDAPI_USAGE_FILE, { force: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    // Drop pending debounced writes and finish started ones so they cannot land in a later test
+    const created = services.splice(0);
+    created.forEach(service => clearTimeout(service.saveTimer));
+    jest.useRealTimers();
+    await Promise.all(created.map(service => service.saving));
+    jest.restoreAllMocks();
+  });
+
+  afterAll(() => {
+    fs.rmSync(usageDir, { recursive: true, force: true });
+  });
+
+  describe('token bucket', () => {
+    it('should allow a burst and then space requests at the configured rate', async () => {
+      jest.useFakeTimers();
+      const service = createService();
+      const granted = [];
+
+      [1, 2, 3, 4].forEach(n => service.acquireToken().then(() => granted.push(n)));
+
+      await jest.advanceTimersByTimeAsync(0);
+      expect(granted).toEqual([1, 2]);
+      expect(service.getUsage().rateLimit.queued).toBe(2);
+
+      await jest.advanceTimersByTimeAsync(500);
+      expect(granted).toEqual([1, 2, 3]);
+
+      await jest.advanceTimersByTimeAsync(500);
+      expect(granted).toEqual([1, 2, 3, 4]);
+      expect(service.getUsage().rateLimit.queued).toBe(0);
+    });
+  });
+
+  describe('monthly budget', () => {
+    it('should count requests and record the upstream quota headers', async () => {
+      const service = createService({ monthlyLimit: 100 });
+      const { client } = meteredClient(service);
+
+      await client.get('/property');
+      await client.get('/property');
+
+      expect(service.getUsage()).toMatchObject({
+        used: 2,
+        remaining: 98,
+        percentUsed: 2,
+        exhausted: false,
+        upstream: { limit: 1000, remaining: 990 }
+      });
+    });
+
+    it('should hard stop with QUOTA_EXCEEDED once the budget is spent', async () => {
+      const service = createService({ monthlyLimit: 2 });
+      const { client, adapter } = meteredClient(service);
+
+      await client.get('/a');
+      await client.get('/b');
+
+      await expect(client.get('/c')).rejects.toMatchObject({
+        code: 'QUOTA_EXCEEDED',
+        statusCode: 429,
+        retryAfter: expect.any(Number)
+      });
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(service.getUsage()).toMatchObject({ used: 2, remaining: 0, exhausted: true });
+    });
+
+    it('should not let requests queued behind the rate limiter overshoot the budget', async () => {
+      jest.useFakeTimers();
+      const service = createService({ monthlyLimit: 3 });
+      const { client, adapter } = meteredClient(service);
+
+      const results = Promise.allSettled([1, 2, 3, 4, 5].map(n => client.get(`/${n}`)));
+      await jest.advanceTimersByTimeAsync(2000);
+
+      const outcomes = (await results).map(result => result.status === 'fulfilled' ? 'ok' : result.reason.code);
+      expect(outcomes).toEqual(['ok', 'ok', 'ok', 'QUOTA_EXCEEDED', 'QUOTA_EXCEEDED']);
+      expect(adapter).toHaveBeenCalledTimes(3);
+    });
+
+    it('should keep counting past the limit when the hard stop is disabled', async () => {
+      const service = createService({ monthlyLimit: 1, hardStop: false });
+      const { client, adapter } = meteredClient(service);
+
+      await client.get('/a');
+      await client.get('/b');
+
+      expect(adapter).toHaveBeenCalledTimes(2);
+      expect(service.getUsage()).toMatchObject({ used: 2, remaining: 0, exhausted: true });
+    });
+
+    it('should reset the counter when the month rolls over', () => {
+      const service = createService({ monthlyLimit: 10 });
+      service.usage = { month: '2020-01', used: 10, lastRequestAt: '2020-01-31T23:59:59.000Z', upstream: null };
+
+      expect(() => service.reserveRequest()).not.toThrow();
+      expect(service.getUsage()).toMatchObject({ month: service.getCurrentMonth(), used: 1 });
+    });
+  });
+
+  describe('persistence', () => {
+    it('should debounce usage writes into one asynchronous write', async () => {
+      jest.useFakeTimers();
+      const writeSpy = jest.spyOn(fs.promises, 'writeFile');
+      const writeSyncSpy = jest.spyOn(fs, 'writeFileSync');
+      const service = createService();
+      const { client } = meteredClient(service);
+
+      await Promise.all([client.get('/a'), client.get('/b')]);
+      expect(writeSpy).not.toHaveBeenCalled();
+
+      await jest.advanceTimersByTimeAsync(1000);
+      jest.useRealTimers();
+      await service.saving;
+
+      expect(writeSpy).toHaveBeenCalledTimes(1);
+      expect(writeSyncSpy).not.toHaveBeenCalled();
+      expect(JSON.parse(fs.readFileSync(process.env.RAPIDAPI_USAGE_FILE, 'utf8'))).toMatchObject({ used: 2 });
+    });
+
+    it('should flush pending usage synchronously and load it on startup', () => {
+      const service = createService();
+      service.reserveRequest();
+      service.reserveRequest();
+      service.flushUsage();
+
+      expect(createService().getUsage().used).toBe(2);
+    });
+  });
+});
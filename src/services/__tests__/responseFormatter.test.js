@@ -0,0 +1,44 @@
+/**
+ * Response Formatter Tests
+ * Tests for signing lead image URLs when leads and CSV exports are built
+ */
+
+const responseFormatter = require('../responseFormatter');
+
+const hash = 'b'.repeat(64);
+
+const analysisResult = {
+  zpid: '12345',
+  address: '123 Main St, Miami, FL',
+  latitude: 25.7617,
+  longitude: -80.1918,
+  zillow_data: {},
+  visualValidation: {
+    analysis: { has_pool: true, pool_type: 'in-ground', confidence: 85 },
+    satelliteImageHash: hash
+  },
+  qualityReport: { qualityScore: 'high', confidence: 85, recommendation: 'APPROVE' }
+};
+
+describe('ResponseFormatter - image URLs', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should sign the lead image URL from the stored hash each time a lead is formatted', () => {
+    const first = responseFormatter.formatLead(analysisResult, 'PoolLeadGen');
+    jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 60 * 1000);
+    const later = responseFormatter.formatLead(analysisResult, 'PoolLeadGen');
+
+    expect(first.imagery.image_url).toMatch(new RegExp(`^/api/images/${hash}\\?expires=\\d+&signature=`));
+    expect(later.imagery.image_url).not.toBe(first.imagery.image_url);
+  });
+
+  it('should export the signed URL in the CSV Image URL column', () => {
+    const lead = responseFormatter.formatLead(analysisResult, 'PoolLeadGen');
+    const [header, row] = responseFormatter.generateCSV([lead], 'PoolLeadGen').split('\n');
+
+    expect(header).toContain('Image URL');
+    expect(row).toContain(lead.imagery.image_url);
+  });
+});
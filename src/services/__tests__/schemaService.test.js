@@ -0,0 +1,93 @@
+/**
+ * Schema Service Tests
+ * Tests for validating and coercing vision analyses against their JSON Schemas
+ */
+
+const schemaService = require('../schemaService');
+
+describe('SchemaService', () => {
+  const backyardSchema = schemaService.getAnalysisSchema('BackyardBoost');
+
+  const backyard = {
+    is_empty_backyard: false,
+    is_underdeveloped: true,
+    surface_type: 'grass',
+    estimated_free_area: 'high',
+    confidence: 80,
+    structures_detected: ['shed'],
+    development_potential: 'medium',
+    reasoning: 'Mostly lawn'
+  };
+
+  it('should accept a conforming analysis unchanged', () => {
+    expect(schemaService.validate(backyard, backyardSchema)).toEqual({
+      valid: true,
+      value: backyard,
+      errors: [],
+      coercions: []
+    });
+  });
+
+  it('should coerce numeric strings, boolean words, enum case and lone strings', () => {
+    const result = schemaService.validate({
+      ...backyard,
+      is_empty_backyard: 'no',
+      confidence: '72%',
+      estimated_free_area: ' High ',
+      structures_detected: 'deck'
+    }, backyardSchema);
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toMatchObject({
+      is_empty_backyard: false,
+      confidence: 72,
+      estimated_free_area: 'high',
+      structures_detected: ['deck']
+    });
+    expect(result.coercions).toHaveLength(4);
+  });
+
+  it('should report missing fields, out-of-range numbers and unknown enum values', () => {
+    const { is_underdeveloped, ...withoutField } = backyard;
+    const result = schemaService.validate({
+      ...withoutField,
+      confidence: -5,
+      development_potential: 'enormous'
+    }, backyardSchema);
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      '$.confidence: must be >= 0, got -5',
+      '$.development_potential: must be one of "high", "medium", "low", got "enormous"',
+      '$.is_underdeveloped: is required'
+    ]);
+  });
+
+  it('should map null-like strings to null only where null is allowed', () => {
+    const poolSchema = schemaService.getAnalysisSchema('PoolLeadGen');
+    const result = schemaService.validate({ has_pool: 'N/A', confidence: 50, pool_type: 'none' }, poolSchema);
+
+    expect(result.value.pool_type).toBeNull();
+    expect(result.errors).toEqual(['$.has_pool: must be boolean, got string']);
+  });
+
+  it('should validate SolarReady roof analyses', () => {
+    const result = schemaService.validate({
+      roof_orientation: 'South',
+      usable_roof_area: 'medium',
+      usable_roof_area_sqft: '420',
+      tree_shading: 'light',
+      has_existing_panels: 'no',
+      obstructions: 'chimney',
+      confidence: 75
+    }, schemaService.getAnalysisSchema('SolarReady'));
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toMatchObject({
+      roof_orientation: 'south',
+      usable_roof_area_sqft: 420,
+      has_existing_panels: false,
+      obstructions: ['chimney']
+    });
+  });
+});
@@ -0,0 +1,344 @@
+/**
+ * Visual Inspector Tests
+ * Tests for the vision provider registry, fallback chain, ensemble voting, provider work queues,
+ * the lead type rules stage and satellite images
+ */
+
+const os = require('os');
+const path = require('path');
+
+process.env.VISION_PROVIDERS = 'groq,openai,local';
+process.env.GOOGLE_MAPS_API_KEY = 'google-secret';
+process.env.IMAGE_STORE_DIR = path.join(os.tmpdir(), `image-store-${process.pid}`);
+process.env.GROQ_API_KEY = 'test-groq-key';
+process.env.OPENAI_API_KEY = '';
+process.env.LOCAL_VISION_BASE_URL = 'http://localhost:8000/v1';
+
+const axios = require('axios');
+const visualInspector = require('../visualInspector');
+const workQueueService = require('../workQueueService');
+const { OpenAICompatibleProvider, GeminiProvider } = require('../visionProviders');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const poolAnswer = JSON.stringify({ has_pool: true, confidence: 90, pool_type: 'in-ground', reasoning: 'Blue rectangle' });
+
+/**
+ * Build an axios client factory whose requests are answered by a stub
+ * @param {function} respond - (requestConfig) => response data
+ * @returns {object} { createClient, requests }
+ */
+function stubClientFactory(respond) {
+  const requests = [];
+
+  return {
+    requests,
+    createClient: (name, axiosConfig) => axios.create({
+      ...axiosConfig,
+      adapter: async (requestConfig) => {
+        requests.push(requestConfig);
+        return { data: respond(requestConfig), status: 200, statusText: 'OK', headers: {}, config: requestConfig };
+      }
+    })
+  };
+}
+
+describe('VisualInspector', () => {
+  const originalAnalyze = {};
+
+  beforeEach(() => {
+    Object.values(visualInspector.providers).forEach(provider => {
+      originalAnalyze[provider.name] = provider.analyze;
+    });
+  });
+
+  afterEach(() => {
+    Object.values(visualInspector.providers).forEach(provider => {
+      provider.analyze = originalAnalyze[provider.name];
+    });
+  });
+
+  it('should follow VISION_PROVIDERS order, skipping unconfigured providers', () => {
+    expect(visualInspector.getProviderChain().map(provider => provider.name)).toEqual(['groq', 'local']);
+    expect(visualInspector.getPrimaryProvider()).toBe('groq');
+  });
+
+  it('should fall back to the next provider and report which one answered', async () => {
+    visualInspector.providers.groq.analyze = jest.fn().mockRejectedValue(new Error('rate limited'));
+    visualInspector.providers.local.analyze = jest.fn().mockResolvedValue({ text: poolAnswer, model: 'llava:13b' });
+
+    const analysis = await visualInspector.analyzeImage(PNG, 'PoolLeadGen');
+
+    expect(visualInspector.providers.local.analyze).toHaveBeenCalledWith(
+      PNG,
+      expect.stringContaining('has_pool'),
+      expect.objectContaining({ required: ['has_pool', 'confidence'] }),
+      {}
+    );
+    expect(analysis).toMatchObject({ has_pool: true, provider: 'local', model: 'llava:13b' });
+  });
+
+  it('should treat an answer that stays invalid after one repair as a provider failure', async () => {
+    visualInspector.providers.groq.analyze = jest.fn().mockResolvedValue({ text: 'I cannot tell', model: 'scout' });
+    visualInspector.providers.local.analyze = jest.fn().mockResolvedValue({ text: poolAnswer, model: 'llava' });
+
+    expect(await visualInspector.analyzeImage(PNG, 'PoolLeadGen')).toMatchObject({ provider: 'local' });
+    expect(visualInspector.providers.groq.analyze).toHaveBeenCalledTimes(2);
+  });
+
+  it('should coerce drifting types and report the coercions', async () => {
+    visualInspector.providers.groq.analyze = jest.fn().mockResolvedValue({
+      text: '```json\n{"has_pool": "true", "confidence": "85", "pool_size_estimate": "Large", "extra": 1}\n```',
+      model: 'scout'
+    });
+
+    const analysis = await visualInspector.analyzeImage(PNG, 'PoolLeadGen');
+
+    expect(analysis).toMatchObject({ has_pool: true, confidence: 85, pool_size_estimate: 'large', provider: 'groq' });
+    expect(analysis.extra).toBeUndefined();
+    expect(analysis.schemaValidation).toMatchObject({ attempts: 1, errors: [] });
+    expect(analysis.schemaValidation.coercions).toContain('$.confidence: "85" -> 85');
+  });
+
+  it('should re-ask once with the validation errors and expose them in the result', async () => {
+    visualInspector.providers.groq.analyze = jest.fn()
+      .mockResolvedValueOnce({ text: JSON.stringify({ has_pool: 'maybe', confidence: 140 }), model: 'scout' })
+      .mockResolvedValueOnce({ text: poolAnswer, model: 'scout' });
+
+    const analysis = await visualInspector.analyzeImage(PNG, 'PoolLeadGen');
+
+    const repairPrompt = visualInspector.providers.groq.analyze.mock.calls[1][1];
+    expect(repairPrompt).toContain('$.confidence: must be <= 100, got 140');
+    expect(analysis).toMatchObject({ has_pool: true, provider: 'groq' });
+    expect(analysis.schemaValidation).toMatchObject({
+      attempts: 2,
+      errors: ['$.has_pool: must be boolean, got string', '$.confidence: must be <= 100, got 140']
+    });
+  });
+
+  it('should name every provider tried when all fail', async () => {
+    visualInspector.providers.groq.analyze = jest.fn().mockRejectedValue(new Error('rate limited'));
+    visualInspector.providers.local.analyze = jest.fn().mockRejectedValue(new Error('connection refused'));
+
+    await expect(visualInspector.analyzeImage(PNG, 'PoolLeadGen'))
+      .rejects.toThrow('Failed to analyze image with all providers (groq, local): connection refused');
+  });
+
+  it('should keep the SERVICE_UNAVAILABLE shape when every provider circuit is open', async () => {
+    const openError = () => Object.assign(new Error('groq is temporarily unavailable'), {
+      code: 'SERVICE_UNAVAILABLE',
+      statusCode: 503,
+      upstream: 'groq',
+      retryAfter: 12
+    });
+    visualInspector.providers.groq.analyze = jest.fn().mockRejectedValue(openError());
+    visualInspector.providers.local.analyze = jest.fn().mockRejectedValue(openError());
+
+    await expect(visualInspector.analyzeImage(PNG, 'PoolLeadGen')).rejects.toMatchObject({
+      message: expect.stringContaining('Failed to analyze image with all providers'),
+      code: 'SERVICE_UNAVAILABLE',
+      statusCode: 503,
+      upstream: 'groq',
+      retryAfter: 12
+    });
+    expect(visualInspector.wrapError('Wrapped', new Error('boom'))).not.toHaveProperty('code');
+  });
+
+  describe('ensemble', () => {
+    it('should vote across providers and record every answer', async () => {
+      visualInspector.providers.groq.analyze = jest.fn()
+        .mockResolvedValueOnce({ text: JSON.stringify({ has_pool: false, confidence: 80, reasoning: 'Dark tarp' }), model: 'scout' })
+        .mockRejectedValueOnce(new Error('timeout'));
+      visualInspector.providers.local.analyze = jest.fn().mockResolvedValue({ text: poolAnswer, model: 'llava' });
+
+      const { analysis, ensemble } = await visualInspector.analyzeWithEnsemble(PNG, 'PoolLeadGen');
+
+      // Size 3 over two providers: groq, local, then a second groq sample at the sample temperature
+      expect(visualInspector.providers.groq.analyze).toHaveBeenLastCalledWith(PNG, expect.any(String), expect.any(Object), { temperature: 0.7 });
+      expect(analysis).toMatchObject({ has_pool: true, provider: 'ensemble', model: 'groq/scout,local/llava' });
+      expect(analysis.confidence).toBeLessThan(90);
+      expect(ensemble).toMatchObject({ size: 3, answered: 2, agreement: 0.53 });
+      expect(ensemble.answers).toEqual([
+        expect.objectContaining({ provider: 'groq', model: 'scout', analysis: expect.objectContaining({ has_pool: false }) }),
+        expect.objectContaining({ provider: 'local', model: 'llava', analysis: expect.objectContaining({ has_pool: true }) }),
+        { provider: 'groq', error: 'timeout' }
+      ]);
+    });
+
+    it('should only use the ensemble for high-value listings in high-value mode', () => {
+      const { mode } = visualInspector.ensemble;
+      visualInspector.ensemble.mode = 'high-value';
+
+      try {
+        expect(visualInspector.shouldUseEnsemble({ price: 2500000 })).toBe(true);
+        expect(visualInspector.shouldUseEnsemble({ price: '$450,000' })).toBe(false);
+        expect(visualInspector.shouldUseEnsemble({ price: 450000 }, true)).toBe(true);
+      } finally {
+        visualInspector.ensemble.mode = mode;
+      }
+    });
+  });
+
+  describe('work queues', () => {
+    it('should run fallback provider calls through that provider\'s queue', async () => {
+      const before = workQueueService.getQueue('local').getStats();
+      visualInspector.providers.groq.analyze = jest.fn().mockRejectedValue(new Error('rate limited'));
+      visualInspector.providers.local.analyze = jest.fn().mockResolvedValue({ text: poolAnswer, model: 'llava' });
+
+      await visualInspector.analyzeImage(PNG, 'PoolLeadGen');
+
+      expect(workQueueService.getQueue('local').getStats().completed).toBe(before.completed + 1);
+    });
+
+    it('should hold ensemble members to their provider\'s concurrency', async () => {
+      const groqQueue = workQueueService.getQueue('groq');
+      const { concurrency } = groqQueue;
+      groqQueue.concurrency = 1;
+
+      let active = 0;
+      let maxActive = 0;
+      visualInspector.providers.groq.analyze = jest.fn(async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setTimeout(resolve, 10));
+        active--;
+        return { text: poolAnswer, model: 'scout' };
+      });
+      visualInspector.providers.local.analyze = jest.fn().mockResolvedValue({ text: poolAnswer, model: 'llava' });
+
+      try {
+        await visualInspector.analyzeWithEnsemble(PNG, 'PoolLeadGen');
+      } finally {
+        groqQueue.concurrency = concurrency;
+      }
+
+      expect(visualInspector.providers.groq.analyze).toHaveBeenCalledTimes(2);
+      expect(maxActive).toBe(1);
+    });
+  });
+
+  describe('rules stage', () => {
+    it('should run the lead type rules in verify_property_visually and return analysis.feasibility', async () => {
+      const { createClient } = stubClientFactory(() => PNG);
+      const googleMapsClient = visualInspector.googleMapsClient;
+      visualInspector.googleMapsClient = createClient('google-maps', {});
+      visualInspector.providers.groq.analyze = jest.fn().mockResolvedValue({
+        text: JSON.stringify({
+          rear_yard_free_area: 'high',
+          rear_yard_free_area_sqft: 2000,
+          setback_clearance: 'ample',
+          has_alley_access: true,
+          has_side_access: false,
+          confidence: 80
+        }),
+        model: 'scout'
+      });
+
+      try {
+        const { validation } = await visualInspector.verify_property_visually(34.05, -118.33, 'ADUFeasibility', {
+          homeType: 'SINGLE_FAMILY',
+          lotAreaValue: 8000,
+          lotAreaUnit: 'sqft',
+          livingArea: 1800
+        });
+
+        expect(validation.analysis).toMatchObject({ provider: 'groq', has_alley_access: true });
+        expect(validation.analysis.feasibility).toMatchObject({ tier: 'high', buildable_footprint_sqft: 1200, lot_size_sqft: 8000 });
+      } finally {
+        visualInspector.googleMapsClient = googleMapsClient;
+      }
+    });
+  });
+
+  describe('satellite images', () => {
+    it('should fetch each location once and keep the Google key out of the result', async () => {
+      const { createClient, requests } = stubClientFactory(() => PNG);
+      const googleMapsClient = visualInspector.googleMapsClient;
+      visualInspector.googleMapsClient = createClient('google-maps', {});
+      visualInspector.providers.groq.analyze = jest.fn().mockResolvedValue({ text: poolAnswer, model: 'scout' });
+
+      try {
+        const first = await visualInspector.verify_property_visually(25.77, -80.19, 'PoolLeadGen');
+        const second = await visualInspector.verify_property_visually(25.77, -80.19, 'PoolLeadGen');
+
+        expect(requests).toHaveLength(1);
+        expect(requests[0].params.key).toBe('google-secret');
+        expect(visualInspector.providers.groq.analyze).toHaveBeenCalledWith(PNG, expect.any(String), expect.any(Object), {});
+
+        // Results are cached and persisted, so they carry the hash and URLs are signed per response
+        const { satelliteImageHash } = first.validation;
+        expect(satelliteImageHash).toMatch(/^[a-f0-9]{64}$/);
+        expect(second.validation.satelliteImageHash).toBe(satelliteImageHash);
+        expect(first.validation).not.toHaveProperty('satelliteImageUrl');
+        expect(JSON.stringify(first)).not.toContain('google-secret');
+      } finally {
+        visualInspector.googleMapsClient = googleMapsClient;
+      }
+    });
+  });
+
+  describe('OpenAICompatibleProvider', () => {
+    it('should send the image as a data URL and return the reported model', async () => {
+      const { createClient, requests } = stubClientFactory(() => ({
+        model: 'llama-4-scout',
+        choices: [{ message: { content: poolAnswer } }]
+      }));
+      const provider = new OpenAICompatibleProvider({
+        name: 'groq',
+        baseURL: 'https://api.groq.com/openai/v1',
+        apiKey: 'secret',
+        model: 'scout'
+      }, createClient);
+
+      const result = await provider.analyze(PNG, 'Find pools', { type: 'object' });
+      const body = JSON.parse(requests[0].data);
+
+      expect(requests[0].url).toBe('/chat/completions');
+      expect(requests[0].headers.Authorization).toBe('Bearer secret');
+      expect(body.messages[0].content[0].image_url.url).toBe(`data:image/png;base64,${PNG.toString('base64')}`);
+      expect(body.response_format).toBeUndefined();
+      expect(result).toEqual({ text: poolAnswer, model: 'llama-4-scout' });
+    });
+
+    it('should request structured output when the endpoint supports JSON Schema', async () => {
+      const { createClient, requests } = stubClientFactory(() => ({ choices: [{ message: { content: poolAnswer } }] }));
+      const provider = new OpenAICompatibleProvider({
+        name: 'local',
+        baseURL: 'http://localhost:8000/v1',
+        requiresApiKey: false,
+        model: 'llava',
+        jsonSchema: true
+      }, createClient);
+
+      expect(provider.isConfigured()).toBe(true);
+      const result = await provider.analyze(PNG, 'Find pools', { type: 'object' });
+
+      expect(JSON.parse(requests[0].data).response_format.json_schema.schema).toEqual({ type: 'object' });
+      expect(requests[0].headers.Authorization).toBeUndefined();
+      expect(result.model).toBe('llava');
+    });
+  });
+
+  describe('GeminiProvider', () => {
+    it('should send the key in a header and convert the schema to responseSchema', async () => {
+      const { createClient, requests } = stubClientFactory(() => ({
+        candidates: [{ content: { parts: [{ text: poolAnswer }] } }]
+      }));
+      const provider = new GeminiProvider({ apiKey: 'gemini-secret', model: 'gemini-1.5-flash' }, createClient);
+
+      await provider.analyze(PNG, 'Find pools', {
+        type: 'object',
+        additionalProperties: false,
+        properties: { pool_type: { type: ['string', 'null'] } }
+      });
+      const body = JSON.parse(requests[0].data);
+
+      expect(requests[0].url).toBe('/models/gemini-1.5-flash:generateContent');
+      expect(requests[0].headers['x-goog-api-key']).toBe('gemini-secret');
+      expect(body.contents[0].parts[1].inline_data.mime_type).toBe('image/png');
+      expect(body.generationConfig.responseSchema).toEqual({
+        type: 'object',
+        properties: { pool_type: { type: 'string', nullable: true } }
+      });
+    });
+  });
+});
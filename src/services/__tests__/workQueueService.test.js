@@ -0,0 +1,98 @@
+/**
+ * Work Queue Service Tests
+ * Tests for bounded concurrency, rate spacing and early termination
+ */
+
+process.env.OPENAI_CONCURRENCY = '2';
+process.env.GEMINI_CONCURRENCY = '1';
+process.env.GEMINI_MIN_INTERVAL_MS = '50';
+
+const workQueueService = require('../workQueueService');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('WorkQueueService', () => {
+  it('should never run more tasks than the provider concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+
+    const results = await workQueueService.map([1, 2, 3, 4, 5, 6], async (item) => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(10);
+      running--;
+      return item * 2;
+    }, { queue: 'openai' });
+
+    expect(peak).toBe(2);
+    expect(results.map(r => r.value)).toEqual([2, 4, 6, 8, 10, 12]);
+    expect(workQueueService.getStats().openai).toMatchObject({ concurrency: 2, active: 0, depth: 0 });
+  });
+
+  it('should space task starts by the provider minimum interval', async () => {
+    const starts = [];
+
+    await workQueueService.map([1, 2, 3], async () => {
+      starts.push(Date.now());
+    }, { queue: 'gemini' });
+
+    expect(starts[1] - starts[0]).toBeGreaterThanOrEqual(45);
+    expect(starts[2] - starts[1]).toBeGreaterThanOrEqual(45);
+  });
+
+  it('should skip queued tasks once stopWhen is satisfied', async () => {
+    const worker = jest.fn(async (item) => {
+      await delay(5);
+      return item;
+    });
+
+    const results = await workQueueService.map([1, 2, 3, 4, 5, 6, 7, 8], worker, {
+      queue: 'openai',
+      stopWhen: value => value >= 2
+    });
+
+    expect(worker.mock.calls.length).toBeLessThan(8);
+    expect(results.filter(r => r.status === 'skipped').length).toBe(8 - worker.mock.calls.length);
+  });
+
+  it('should report rejected tasks without failing the batch', async () => {
+    const results = await workQueueService.map(['ok', 'bad'], async (item) => {
+      if (item === 'bad') {
+        throw new Error('analysis failed');
+      }
+      return item;
+    }, { queue: 'openai' });
+
+    expect(results[0]).toMatchObject({ status: 'fulfilled', value: 'ok' });
+    expect(results[1]).toMatchObject({ status: 'rejected', reason: expect.objectContaining({ message: 'analysis failed' }) });
+  });
+
+  it('should skip every task when the caller signal is already aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const worker = jest.fn();
+
+    const results = await workQueueService.map([1, 2], worker, { queue: 'openai', signal: controller.signal });
+
+    expect(worker).not.toHaveBeenCalled();
+    expect(results.every(r => r.status === 'skipped')).toBe(true);
+  });
+
+  it('should use the default concurrency for unknown providers', () => {
+    expect(workQueueService.getQueue('replicate').concurrency).toBe(4);
+  });
+
+  it('should fan out on the analysis queue when no queue is named', async () => {
+    const results = await workQueueService.map([1, 2], async n => n * 2);
+
+    expect(results.map(r => r.value)).toEqual([2, 4]);
+    expect(workQueueService.getStats().analysis).toMatchObject({ concurrency: 4, completed: 2 });
+  });
+
+  it('should run single tasks through a named queue', async () => {
+    const before = workQueueService.getQueue('gemini').getStats().completed;
+
+    await expect(workQueueService.run('gemini', async () => 'ok')).resolves.toBe('ok');
+    expect(workQueueService.getQueue('gemini').getStats().completed).toBe(before + 1);
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Zillow Service Tests
+ * Tests for retry and backoff handling in makeRequest and search pagination
+ */
+
+process.env.ZILLOW_PROVIDER = 'rapidapi';
+process.env.RAPIDAPI_KEY = process.env.RAPIDAPI_KEY || 'test-key';
+process.env.RAPIDAPI_HOST = process.env.RAPIDAPI_HOST || 'zillow.test';
+
+const zillowService = require('../zillowService');
+
+function httpError(status, headers = {}, data = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.request = {};
+  error.response = { status, headers, data };
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(code);
+  error.code = code;
+  error.request = {};
+  return error;
+}
+
+describe('ZillowService - retries', () => {
+  let getSpy;
+  let sleepSpy;
+
+  beforeEach(() => {
+    getSpy = jest.spyOn(zillowService.client, 'get');
+    sleepSpy = jest.spyOn(zillowService, 'sleep').mockResolvedValue();
+    zillowService.maxRetries = 3;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should retry transient 5xx errors and return the eventual response', async () => {
+    getSpy
+      .mockRejectedValueOnce(httpError(502))
+      .mockRejectedValueOnce(networkError('ECONNABORTED'))
+      .mockResolvedValueOnce({ data: { props: [] } });
+
+    await expect(zillowService.makeRequest('/propertyExtendedSearch')).resolves.toEqual({ props: [] });
+    expect(getSpy).toHaveBeenCalledTimes(3);
+    expect(sleepSpy).toHaveBeenCalledTimes(2);
+  });
+
+  it('should honour Retry-After on 429 responses', async () => {
+    getSpy
+      .mockRejectedValueOnce(httpError(429, { 'retry-after': '2' }))
+      .mockResolvedValueOnce({ data: {} });
+
+    await zillowService.makeRequest('/property');
+    expect(sleepSpy).toHaveBeenCalledWith(2000);
+  });
+
+  it('should wait for the RapidAPI rate limit reset when the quota is exhausted', async () => {
+    getSpy
+      .mockRejectedValueOnce(httpError(429, {
+        'x-ratelimit-requests-limit': '10',
+        'x-ratelimit-requests-remaining': '0',
+        'x-ratelimit-requests-reset': '3'
+      }))
+      .mockResolvedValueOnce({ data: {} });
+
+    await zillowService.makeRequest('/property');
+    expect(sleepSpy).toHaveBeenCalledWith(3000);
+  });
+
+  it('should not retry when upstream asks to wait longer than the maximum delay', async () => {
+    getSpy.mockRejectedValueOnce(httpError(429, { 'retry-after': '86400' }));
+
+    await expect(zillowService.makeRequest('/property')).rejects.toMatchObject({ statusCode: 429, retries: 0 });
+    expect(sleepSpy).not.toHaveBeenCalled();
+  });
+
+  it('should not retry client errors', async () => {
+    getSpy.mockRejectedValueOnce(httpError(404, {}, { message: 'Not found' }));
+
+    await expect(zillowService.makeRequest('/property')).rejects.toMatchObject({
+      statusCode: 404,
+      message: 'Not found',
+      retries: 0
+    });
+    expect(getSpy).toHaveBeenCalledTimes(1);
+  });
+
+  it('should surface cassette replay misses with their code and status, without retrying', async () => {
+    const missError = new Error('No cassette recorded for GET /property');
+    missError.code = 'CASSETTE_MISS';
+    missError.statusCode = 500;
+    getSpy.mockRejectedValueOnce(missError);
+
+    await expect(zillowService.makeRequest('/property')).rejects.toMatchObject({
+      code: 'CASSETTE_MISS',
+      statusCode: 500,
+      message: 'No cassette recorded for GET /property',
+      retries: 0
+    });
+    expect(sleepSpy).not.toHaveBeenCalled();
+  });
+
+  it('should surface the retry count and rate limit info after exhausting retries', async () => {
+    getSpy.mockRejectedValue(httpError(503, { 'x-ratelimit-requests-remaining': '42' }));
+
+    await expect(zillowService.makeRequest('/property')).rejects.toMatchObject({
+      statusCode: 503,
+      retries: 3,
+      rateLimit: { remaining: 42 }
+    });
+    expect(getSpy).toHaveBeenCalledTimes(4);
+  });
+
+  it('should use jittered exponential backoff without rate limit headers', () => {
+    const delays = [0, 1, 2].map(retries => zillowService.getRetryDelay(httpError(500), retries));
+
+    delays.forEach((delay, retries) => {
+      const exponential = zillowService.retryBaseDelayMs * Math.pow(2, retries);
+      expect(delay).toBeGreaterThanOrEqual(exponential / 2);
+      expect(delay).toBeLessThanOrEqual(exponential);
+    });
+  });
+});
+
+describe('ZillowService - iterateSearch', () => {
+  let getSpy;
+
+  beforeEach(() => {
+    getSpy = jest.spyOn(zillowService.client, 'get').mockImplementation(async (endpoint, { params }) => ({
+      data: {
+        props: [{ zpid: `${params.page}-1` }, { zpid: `${params.page}-2` }],
+        totalPages: 3,
+        currentPage: params.page
+      }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should request each page with the same location and filters until totalPages', async () => {
+    const pages = [];
+    for await (const page of zillowService.iterateSearch('Houston, TX', { minPrice: 300000, home_type: 'Condos' })) {
+      pages.push(page);
+    }
+
+    expect(pages.map(page => page.currentPage)).toEqual([1, 2, 3]);
+    expect(getSpy).toHaveBeenCalledTimes(3);
+    getSpy.mock.calls.forEach(([endpoint, { params }], index) => {
+      expect(endpoint).toBe('/propertyExtendedSearch');
+      expect(params).toMatchObject({ location: 'Houston, TX', minPrice: 300000, home_type: 'Condos', page: index + 1 });
+    });
+  });
+
+  it('should stop at maxPages and warn that results were truncated', async () => {
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const pages = [];
+    for await (const page of zillowService.iterateSearch('Houston, TX', {}, { maxPages: 2 })) {
+      pages.push(page);
+    }
+
+    expect(pages).toHaveLength(2);
+    expect(getSpy).toHaveBeenCalledTimes(2);
+    expect(warnSpy).toHaveBeenCalledWith('[ZillowService] Search for Houston, TX stopped at 2 of 3 pages');
+  });
+
+  it('should fetch a single page when the response has no totalPages', async () => {
+    getSpy.mockResolvedValue({ data: { props: [] } });
+
+    const pages = [];
+    for await (const page of zillowService.iterateSearch('Houston, TX')) {
+      pages.push(page);
+    }
+
+    expect(pages).toHaveLength(1);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Zillow Mock Service Tests
+ * Tests for the fixture-backed Zillow stand-in
+ */
+
+process.env.ZILLOW_PROVIDER = 'mock';
+
+const zillowService = require('../zillowService');
+const zillowServiceMock = require('../zillowServiceMock');
+
+describe('ZillowServiceMock', () => {
+  it('should be served by zillowService when ZILLOW_PROVIDER=mock', () => {
+    expect(zillowService).toBe(zillowServiceMock);
+  });
+
+  describe('searchProperties', () => {
+    it('should return houses for sale in the location by default', async () => {
+      const results = await zillowService.searchProperties({ location: 'Houston, TX' });
+
+      expect(results.props.length).toBeGreaterThan(0);
+      results.props.forEach(property => {
+        expect(property.city).toBe('Houston');
+        expect(property.listingStatus).toBe('FOR_SALE');
+        expect(property.propertyType).toBe('SINGLE_FAMILY');
+        expect(property).not.toHaveProperty('facts');
+      });
+    });
+
+    it('should apply price and bedroom filters', async () => {
+      const results = await zillowService.searchProperties({
+        location: 'Miami, FL',
+        filters: { minPrice: 500000, maxPrice: 1500000, minBedrooms: 3, maxBedrooms: 4 }
+      });
+
+      expect(results.props.length).toBeGreaterThan(0);
+      results.props.forEach(property => {
+        expect(property.price).toBeGreaterThanOrEqual(500000);
+        expect(property.price).toBeLessThanOrEqual(1500000);
+        expect(property.bedrooms).toBeGreaterThanOrEqual(3);
+        expect(property.bedrooms).toBeLessThanOrEqual(4);
+      });
+    });
+
+    it('should apply status_type and home_type filters', async () => {
+      const results = await zillowService.searchProperties({
+        location: 'Austin, TX',
+        filters: { status_type: 'ForRent', home_type: 'All' }
+      });
+
+      expect(results.props.length).toBeGreaterThan(0);
+      results.props.forEach(property => {
+        expect(property.listingStatus).toBe('FOR_RENT');
+      });
+    });
+
+    it('should paginate results', async () => {
+      const firstPage = await zillowService.searchProperties({ location: 'Houston, TX' });
+      const secondPage = await zillowService.searchProperties({
+        location: 'Houston, TX',
+        filters: { page: 2 }
+      });
+
+      expect(firstPage.totalPages).toBeGreaterThan(1);
+      expect(firstPage.props).toHaveLength(firstPage.resultsPerPage);
+      expect(secondPage.currentPage).toBe(2);
+      expect(secondPage.props[0].zpid).not.toBe(firstPage.props[0].zpid);
+      expect(firstPage.props.length + secondPage.props.length).toBe(firstPage.totalResultCount);
+    });
+
+    it('should be deterministic', async () => {
+      const first = await zillowService.searchProperties({ location: 'Phoenix, AZ' });
+      const second = await zillowService.searchProperties({ location: 'Phoenix, AZ' });
+
+      expect(second).toEqual(first);
+    });
+
+    it('should require a location', async () => {
+      await expect(zillowService.searchProperties({})).rejects.toThrow('Location parameter is required');
+    });
+  });
+
+  describe('iterateSearch', () => {
+    it('should walk every page reported by totalPages', async () => {
+      const { pageSize } = zillowService;
+      zillowService.pageSize = 5;
+
+      try {
+        const pages = [];
+        for await (const page of zillowService.iterateSearch('Houston, TX', { minBedrooms: 4 })) {
+          pages.push(page);
+        }
+
+        expect(pages.length).toBeGreaterThan(1);
+        expect(pages.length).toBe(pages[0].totalPages);
+        expect(pages.map(page => page.currentPage)).toEqual(pages.map((_, index) => index + 1));
+
+        // Every page applies the filters, so the walk covers exactly the filtered result set
+        const unfiltered = await zillowService.searchProperties({ location: 'Houston, TX' });
+        const properties = pages.flatMap(page => page.props);
+        expect(properties.every(property => property.bedrooms >= 4)).toBe(true);
+        expect(new Set(properties.map(property => property.zpid)).size).toBe(pages[0].totalResultCount);
+        expect(pages[0].totalResultCount).toBeLessThan(unfiltered.totalResultCount);
+      } finally {
+        zillowService.pageSize = pageSize;
+      }
+    });
+
+    it('should stop at maxPages', async () => {
+      const pages = [];
+      for await (const page of zillowService.iterateSearch('Houston, TX', {}, { maxPages: 1 })) {
+        pages.push(page);
+      }
+
+      expect(pages).toHaveLength(1);
+    });
+  });
+
+  describe('getRecentlySoldProperties', () => {
+    it('should only return recently sold properties', async () => {
+      const results = await zillowService.getRecentlySoldProperties({ location: 'Miami, FL' });
+
+      expect(results.props.length).toBeGreaterThan(0);
+      results.props.forEach(property => {
+        expect(property.listingStatus).toBe('RECENTLY_SOLD');
+      });
+    });
+  });
+
+  describe('getPropertyDetails', () => {
+    it('should return details for a fixture property', async () => {
+      const { props } = await zillowService.searchProperties({ location: 'Austin, TX' });
+      const details = await zillowService.getPropertyDetails(props[0].zpid);
+
+      expect(details.zpid).toBe(props[0].zpid);
+      expect(details.yearBuilt).toEqual(expect.any(Number));
+      expect(details.resoFacts).toHaveProperty('roofType');
+    });
+
+    it('should throw a 404 error for unknown properties', async () => {
+      await expect(zillowService.getPropertyDetails('0')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('getPropertyEstimate', () => {
+    it('should return an estimate for a fixture address', async () => {
+      const { props } = await zillowService.searchProperties({ location: 'Austin, TX' });
+      const estimate = await zillowService.getPropertyEstimate(props[0].address);
+
+      expect(estimate.zpid).toBe(props[0].zpid);
+      expect(estimate.zestimate).toBe(props[0].zestimate);
+    });
+
+    it('should throw a 404 error for unknown addresses', async () => {
+      await expect(zillowService.getPropertyEstimate('1 Nowhere Ln')).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+});
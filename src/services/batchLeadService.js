@@ -5,9 +5,13 @@
  */
 
 const zillowService = require('./zillowService');
+const transformService = require('./transformService');
 const visualInspector = require('./visualInspector');
+const promptService = require('./promptService');
+const leadTypeRegistry = require('./leadTypes');
 const leadQualityService = require('./leadQualityService');
 const cacheService = require('./cacheService');
+const workQueueService = require('./workQueueService');
 
 /**
  * Price ranges for breaking down searches
@@ -24,6 +28,17 @@ const PRICE_RANGES = [
   { min: 2000001, max: 5000000 }
 ];
 
+/**
+ * Narrowest price band worth bisecting further
+ * Below this width an overflowing band is paged through instead
+ */
+const MIN_BAND_WIDTH = 10000;
+
+/**
+ * Maximum number of times a single price range may be bisected
+ */
+const MAX_SPLIT_DEPTH = 6;
+
 /**
  * Get buffer size based on requested leads
  * Always fetch 15 more leads to ensure we have enough valid ones
@@ -34,10 +49,24 @@ function getBufferSize(requestedLeads) {
   return requestedLeads + 15;
 }
 
+/**
+ * Throw if the caller has cancelled the batch
+ * @param {AbortSignal} signal - Cancellation signal
+ * @throws {Error} BATCH_CANCELLED error
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error('Batch lead retrieval was cancelled');
+    error.code = 'BATCH_CANCELLED';
+    error.statusCode = 409;
+    throw error;
+  }
+}
+
 /**
  * Validate a lead based on lead type
  * @param {object} property - Property data
- * @param {string} leadType - Type of lead (PoolLeadGen or BackyardBoost)
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
  * @param {object} visualValidation - Visual validation result
  * @returns {boolean} True if lead is valid
  */
@@ -46,161 +75,331 @@ function isValidLead(property, leadType, visualValidation) {
     return false;
   }
 
-  const analysis = visualValidation.analysis;
-
-  if (leadType === 'PoolLeadGen') {
-    // For pool leads: must have a pool
-    return analysis.has_pool === true && analysis.confidence >= 60;
-  } else if (leadType === 'BackyardBoost') {
-    // For backyard leads: must have a backyard that's not empty and is modifiable
-    return (
-      analysis.is_empty_backyard === false &&
-      analysis.confidence >= 60 &&
-      analysis.surface_type !== 'concrete' // Concrete is not modifiable
-    );
-  }
+  const definition = leadTypeRegistry.get(leadType);
+  return definition ? definition.isValidLead(visualValidation.analysis, property) : false;
+}
+
+/**
+ * Search a single price band
+ * @param {string} location - Property location
+ * @param {string} leadType - Type of lead
+ * @param {object} band - Price band ({ min, max })
+ * @param {number} page - Results page (1-based)
+ * @returns {Promise<object>} Normalized properties and upstream pagination
+ */
+async function searchPriceBand(location, leadType, band, page = 1) {
+  // Price bands replace the preset's price range; only its bedroom range applies
+  const { minBedrooms, maxBedrooms } = leadTypeRegistry.get(leadType).searchFilters;
+  const results = await zillowService.searchProperties({
+    location,
+    filters: {
+      minPrice: band.min,
+      maxPrice: band.max,
+      minBedrooms,
+      maxBedrooms
+    },
+    page
+  });
+
+  // Raw API responses carry listings under `props`; normalize them first
+  return transformService.transformSearchResults(results, false).data;
+}
+
+/**
+ * Split a price band in two at its midpoint
+ * @param {object} band - Price band ({ min, max, depth })
+ * @returns {array} Lower and upper halves
+ */
+function bisectPriceBand(band) {
+  const mid = Math.floor((band.min + band.max) / 2);
+
+  return [
+    { min: band.min, max: mid, depth: band.depth + 1 },
+    { min: mid + 1, max: band.max, depth: band.depth + 1 }
+  ];
+}
 
-  return false;
+/**
+ * Check whether a band can still be bisected
+ * @param {object} band - Price band ({ min, max, depth })
+ * @returns {boolean} True if the band is wide and shallow enough to split
+ */
+function canBisect(band) {
+  return band.depth < MAX_SPLIT_DEPTH && band.max - band.min >= MIN_BAND_WIDTH * 2;
 }
 
 /**
- * Search properties across multiple price ranges
+ * Search properties across adaptively sized price bands
+ * Starts from PRICE_RANGES, bisects bands whose results overflow one page,
+ * and merges the next pending bands after a band comes back empty
  * @param {string} location - Property location
  * @param {string} leadType - Type of lead
  * @param {number} totalNeeded - Total properties needed
- * @returns {Promise<array>} Array of properties
+ * @param {object} options - Progress and cancellation options
+ * @param {function} options.onProgress - Called with { found } after each band
+ * @param {AbortSignal} options.signal - Stops the search between bands when aborted
+ * @returns {Promise<object>} Properties, searched bands and API call count
  */
-async function searchAcrossPriceRanges(location, leadType, totalNeeded) {
+async function searchAcrossPriceRanges(location, leadType, totalNeeded, options = {}) {
   const allProperties = [];
   const seenIds = new Set();
+  const bands = [];
+  const pending = PRICE_RANGES.map(range => ({ ...range, depth: 0 }));
+  let apiCalls = 0;
+
+  const collect = (properties) => {
+    let added = 0;
+    for (const property of properties) {
+      if (allProperties.length >= totalNeeded) {
+        break;
+      }
+      // Avoid duplicates
+      if (!seenIds.has(property.id)) {
+        allProperties.push(property);
+        seenIds.add(property.id);
+        added++;
+      }
+    }
+    return added;
+  };
 
   console.log(`[BatchLeadService] Searching for ${totalNeeded} properties across price ranges`);
 
-  for (const priceRange of PRICE_RANGES) {
-    if (allProperties.length >= totalNeeded) {
-      break;
-    }
+  while (pending.length > 0 && allProperties.length < totalNeeded) {
+    throwIfCancelled(options.signal);
+
+    const band = pending.shift();
+    const record = { min: band.min, max: band.max, depth: band.depth, totalResults: 0, added: 0, pages: 0, outcome: 'searched' };
+    bands.push(record);
 
     try {
       console.log(
-        `[BatchLeadService] Searching price range: $${priceRange.min} - $${priceRange.max}`
+        `[BatchLeadService] Searching price range: $${band.min} - $${band.max}`
       );
 
-      const results = await zillowService.searchProperties({
-        location,
-        filters: {
-          minPrice: priceRange.min,
-          maxPrice: priceRange.max,
-          minBedrooms: leadType === 'PoolLeadGen' ? 3 : 2,
-          maxBedrooms: 6
-        }
-      });
+      const { properties, pagination } = await searchPriceBand(location, leadType, band);
+      apiCalls++;
+      record.pages = 1;
+      record.totalResults = pagination.totalResults;
+      record.added = collect(properties);
+
+      if (pagination.totalResults === 0 || properties.length === 0) {
+        record.outcome = 'empty';
 
-      if (results && results.data && results.data.properties) {
-        for (const property of results.data.properties) {
-          // Avoid duplicates
-          if (!seenIds.has(property.id)) {
-            allProperties.push(property);
-            seenIds.add(property.id);
-
-            if (allProperties.length >= totalNeeded) {
-              break;
-            }
-          }
+        // Sparse market: widen the next band instead of spending a call on each neighbour
+        if (pending.length > 1 && pending[0].max + 1 === pending[1].min) {
+          const [next, following] = pending.splice(0, 2);
+          pending.unshift({ min: next.min, max: following.max, depth: Math.min(next.depth, following.depth) });
+          console.log(`[BatchLeadService] Empty band, merged next bands into $${next.min} - $${following.max}`);
         }
+        continue;
+      }
+
+      const overflowed = pagination.totalResults > properties.length;
+
+      if (!overflowed || allProperties.length >= totalNeeded) {
+        continue;
+      }
+
+      if (canBisect(band)) {
+        // Dense band: the first page is a truncated sample, search each half instead
+        record.outcome = 'split';
+        pending.unshift(...bisectPriceBand(band));
+        continue;
+      }
+
+      // Band is already narrow: page through the rest of it
+      record.outcome = 'paged';
+      for (let page = 2; page <= pagination.totalPages && allProperties.length < totalNeeded; page++) {
+        throwIfCancelled(options.signal);
+        const nextPage = await searchPriceBand(location, leadType, band, page);
+        apiCalls++;
+        record.pages++;
+        record.added += collect(nextPage.properties);
       }
     } catch (error) {
+      // Zillow circuit is open, the quota is spent or the batch was cancelled:
+      // the remaining ranges would fail the same way
+      if (['SERVICE_UNAVAILABLE', 'QUOTA_EXCEEDED', 'BATCH_CANCELLED'].includes(error.code)) {
+        throw error;
+      }
+
+      record.outcome = 'error';
+      record.error = error.message;
       console.warn(
-        `[BatchLeadService] Error searching price range $${priceRange.min}-$${priceRange.max}:`,
+        `[BatchLeadService] Error searching price range $${band.min}-$${band.max}:`,
         error.message
       );
       // Continue with next price range
+    } finally {
+      if (options.onProgress) {
+        options.onProgress({ found: allProperties.length });
+      }
     }
   }
 
-  console.log(`[BatchLeadService] Found ${allProperties.length} properties`);
-  return allProperties;
+  console.log(
+    `[BatchLeadService] Found ${allProperties.length} properties in ${bands.length} price bands using ${apiCalls} API calls`
+  );
+
+  return {
+    properties: allProperties,
+    bands,
+    apiCalls
+  };
+}
+
+/**
+ * Get the visual validation for a location, shared through the cache
+ * Concurrent requests for the same location and lead type share one analysis
+ * @param {number} latitude - Property latitude
+ * @param {number} longitude - Property longitude
+ * @param {string} leadType - Type of lead
+ * @param {object} zillowData - Zillow property data for context
+ * @param {object} options - Options
+ * @param {string} options.promptVersion - Prompt template version (default: active version)
+ * @returns {Promise<object>} Visual validation (as returned in verify_property_visually().validation)
+ */
+async function getVisualValidation(latitude, longitude, leadType, zillowData = {}, options = {}) {
+  // Results from different prompt versions are cached separately
+  const promptVersion = promptService.resolveVersion(leadType, options.promptVersion);
+  const cacheKey = cacheService.generateKey('visual-validation', {
+    latitude: Number(latitude),
+    longitude: Number(longitude),
+    lead_type: leadType,
+    prompt_version: promptVersion,
+    // Ensemble results are cached separately from single-provider ones
+    ...(visualInspector.shouldUseEnsemble(zillowData) ? { ensemble: true } : {})
+  });
+
+  const validation = await cacheService.getOrCompute(cacheKey, async () => {
+    const validationResult = await visualInspector.verify_property_visually(
+      latitude,
+      longitude,
+      leadType,
+      zillowData,
+      { promptVersion }
+    );
+    return validationResult.validation;
+  }, {
+    // Tagged with the providers that actually answered, which may be fallbacks or ensemble members
+    tags: validation => ({
+      zpid: zillowData.zpid || zillowData.id,
+      leadType,
+      provider: visualInspector.getAnsweringProviders(validation),
+      promptVersion: promptService.getPromptId(leadType, promptVersion)
+    })
+  });
+
+  // Rules stage fields (e.g. ADU feasibility) depend on listing data the cache key leaves out
+  return { ...validation, analysis: visualInspector.applyRules(validation.analysis, leadType, zillowData) };
+}
+
+/**
+ * Visually validate a single property
+ * @param {object} property - Property with coordinates
+ * @param {string} leadType - Type of lead
+ * @returns {Promise<object>} { lead } for a valid lead, otherwise { invalid } with the reason
+ */
+async function validateProperty(property, leadType) {
+  const validation = await getVisualValidation(
+    property.latitude,
+    property.longitude,
+    leadType,
+    property
+  );
+
+  // Check if lead is valid
+  if (!isValidLead(property, leadType, validation)) {
+    return {
+      invalid: {
+        id: property.id,
+        address: property.address,
+        reason: 'Failed validation criteria'
+      }
+    };
+  }
+
+  // Generate quality report
+  const qualityReport = leadQualityService.generateQualityReport(
+    property.id,
+    property,
+    validation,
+    leadType
+  );
+
+  console.log(
+    `[BatchLeadService] Valid lead found: ${property.address} (${property.id})`
+  );
+
+  return {
+    lead: {
+      ...property,
+      visualValidation: validation,
+      qualityReport: qualityReport,
+      leadType: leadType
+    }
+  };
 }
 
 /**
  * Validate properties and return valid leads
+ * Properties run through the vision provider's shared work queue and
+ * queued work is dropped once requestedLeads valid leads are found
  * @param {array} properties - Array of properties to validate
  * @param {string} leadType - Type of lead
  * @param {number} requestedLeads - Number of leads requested
+ * @param {object} options - Progress and cancellation options
+ * @param {function} options.onProgress - Called with { validated, valid, invalid } after each property
+ * @param {AbortSignal} options.signal - Stops validation between properties when aborted
  * @returns {Promise<array>} Array of valid leads
  */
-async function validateAndFilterLeads(properties, leadType, requestedLeads) {
+async function validateAndFilterLeads(properties, leadType, requestedLeads, options = {}) {
   const validLeads = [];
   const invalidLeads = [];
+  let unavailableError = null;
 
   console.log(
     `[BatchLeadService] Validating ${properties.length} properties for ${leadType}`
   );
 
-  for (const property of properties) {
-    if (validLeads.length >= requestedLeads) {
-      break;
-    }
-
-    try {
-      // Skip if missing coordinates
-      if (!property.latitude || !property.longitude) {
-        invalidLeads.push({
-          id: property.id,
-          reason: 'Missing coordinates'
-        });
-        continue;
-      }
-
-      // Check cache first
-      const cacheKey = cacheService.generateKey('visual-validation', {
-        latitude: property.latitude,
-        longitude: property.longitude,
-        lead_type: leadType
+  const reportProgress = () => {
+    if (options.onProgress) {
+      options.onProgress({
+        validated: validLeads.length + invalidLeads.length,
+        valid: validLeads.length,
+        invalid: invalidLeads.length
       });
+    }
+  };
 
-      let validation = cacheService.get(cacheKey);
-
-      if (!validation) {
-        // Perform visual validation
-        const validationResult = await visualInspector.verify_property_visually(
-          property.latitude,
-          property.longitude,
-          leadType,
-          property
-        );
-        validation = validationResult.validation;
-        cacheService.set(cacheKey, validation, 1800); // Cache for 30 minutes
-      }
+  // Skip if missing coordinates
+  const withCoordinates = properties.filter(property => {
+    if (property.latitude && property.longitude) {
+      return true;
+    }
+    invalidLeads.push({
+      id: property.id,
+      reason: 'Missing coordinates'
+    });
+    return false;
+  });
 
-      // Check if lead is valid
-      if (isValidLead(property, leadType, validation)) {
-        // Generate quality report
-        const qualityReport = leadQualityService.generateQualityReport(
-          property.id,
-          property,
-          validation,
-          leadType
-        );
-
-        validLeads.push({
-          ...property,
-          visualValidation: validation,
-          qualityReport: qualityReport,
-          leadType: leadType
-        });
-
-        console.log(
-          `[BatchLeadService] Valid lead found: ${property.address} (${property.id})`
-        );
+  await workQueueService.map(withCoordinates, async (property) => {
+    try {
+      const outcome = await validateProperty(property, leadType);
+      if (outcome.lead) {
+        validLeads.push(outcome.lead);
       } else {
-        invalidLeads.push({
-          id: property.id,
-          address: property.address,
-          reason: 'Failed validation criteria'
-        });
+        invalidLeads.push(outcome.invalid);
       }
     } catch (error) {
+      // Vision upstream circuit is open: stop instead of failing every remaining property
+      if (error.code === 'SERVICE_UNAVAILABLE') {
+        unavailableError = unavailableError || error;
+        return;
+      }
+
       console.warn(
         `[BatchLeadService] Error validating property ${property.id}:`,
         error.message
@@ -210,7 +409,18 @@ async function validateAndFilterLeads(properties, leadType, requestedLeads) {
         address: property.address,
         reason: error.message
       });
+    } finally {
+      reportProgress();
     }
+  }, {
+    signal: options.signal,
+    stopWhen: () => validLeads.length >= requestedLeads || unavailableError !== null
+  });
+
+  throwIfCancelled(options.signal);
+
+  if (unavailableError) {
+    throw unavailableError;
   }
 
   console.log(
@@ -220,31 +430,55 @@ async function validateAndFilterLeads(properties, leadType, requestedLeads) {
   return {
     validLeads,
     invalidLeads,
-    totalValidated: properties.length
+    totalValidated: validLeads.length + invalidLeads.length
   };
 }
 
 /**
- * Get batch of valid leads
+ * Validate batch lead request parameters
  * @param {string} location - Property location
- * @param {string} leadType - Type of lead (PoolLeadGen or BackyardBoost)
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
  * @param {number} requestedLeads - Number of leads requested (10, 25, 50, or 100)
- * @returns {Promise<object>} Object with valid leads and metadata
+ * @throws {Error} VALIDATION_ERROR error if a parameter is invalid
  */
-async function getBatchLeads(location, leadType, requestedLeads) {
-  // Validate inputs
-  if (!location || typeof location !== 'string') {
-    throw new Error('Location is required');
+function validateBatchRequest(location, leadType, requestedLeads) {
+  let message = null;
+
+  if (!location || typeof location !== 'string' || location.trim() === '') {
+    message = 'Location is required';
+  } else if (!leadTypeRegistry.has(leadType)) {
+    message = `Lead type must be ${leadTypeRegistry.describeNames()}`;
+  } else if (![10, 25, 50, 100].includes(requestedLeads)) {
+    message = 'Requested leads must be 10, 25, 50, or 100';
   }
 
-  if (!['PoolLeadGen', 'BackyardBoost'].includes(leadType)) {
-    throw new Error('Lead type must be PoolLeadGen or BackyardBoost');
+  if (message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    throw error;
   }
+}
 
-  const validRequestedLeads = [10, 25, 50, 100];
-  if (!validRequestedLeads.includes(requestedLeads)) {
-    throw new Error('Requested leads must be 10, 25, 50, or 100');
-  }
+/**
+ * Get batch of valid leads
+ * @param {string} location - Property location
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
+ * @param {number} requestedLeads - Number of leads requested (10, 25, 50, or 100)
+ * @param {object} options - Progress and cancellation options
+ * @param {function} options.onProgress - Called with { phase, found, validated, valid, invalid }
+ * @param {AbortSignal} options.signal - Cancels the batch between API calls when aborted
+ * @returns {Promise<object>} Object with valid leads and metadata
+ */
+async function getBatchLeads(location, leadType, requestedLeads, options = {}) {
+  validateBatchRequest(location, leadType, requestedLeads);
+
+  const { signal } = options;
+  const reportProgress = (phase, counts = {}) => {
+    if (options.onProgress) {
+      options.onProgress({ phase, ...counts });
+    }
+  };
 
   console.log(
     `[BatchLeadService] Starting batch lead retrieval: ${requestedLeads} leads of type ${leadType} in ${location}`
@@ -254,19 +488,36 @@ async function getBatchLeads(location, leadType, requestedLeads) {
   const totalToFetch = getBufferSize(requestedLeads);
 
   // Search across price ranges to get enough properties
-  const properties = await searchAcrossPriceRanges(location, leadType, totalToFetch);
+  reportProgress('searching');
+  const { properties, bands, apiCalls } = await searchAcrossPriceRanges(location, leadType, totalToFetch, {
+    signal,
+    onProgress: counts => reportProgress('searching', counts)
+  });
 
   if (properties.length === 0) {
     throw new Error('No properties found in the specified location');
   }
 
   // Validate and filter leads
+  reportProgress('validating', { found: properties.length });
   const { validLeads, invalidLeads, totalValidated } = await validateAndFilterLeads(
     properties,
     leadType,
-    requestedLeads
+    requestedLeads,
+    {
+      signal,
+      onProgress: counts => reportProgress('validating', { found: properties.length, ...counts })
+    }
   );
 
+  throwIfCancelled(signal);
+  reportProgress('formatting', {
+    found: properties.length,
+    validated: validLeads.length + invalidLeads.length,
+    valid: validLeads.length,
+    invalid: invalidLeads.length
+  });
+
   // Check if we have enough valid leads
   if (validLeads.length < requestedLeads) {
     console.warn(
@@ -292,7 +543,10 @@ async function getBatchLeads(location, leadType, requestedLeads) {
     },
     statistics: {
       validationRate: totalValidated > 0 ? ((validLeads.length / totalValidated) * 100).toFixed(2) + '%' : '0%',
-      priceRangesSearched: PRICE_RANGES.length,
+      priceRangesSearched: bands.length,
+      searchApiCalls: apiCalls,
+      uniquePropertiesPerCall: apiCalls > 0 ? (properties.length / apiCalls).toFixed(2) : 0,
+      priceBands: bands,
       averageConfidence: validLeads.length > 0
         ? (validLeads.reduce((sum, lead) => sum + (lead.visualValidation?.analysis?.confidence || 0), 0) / validLeads.length).toFixed(2)
         : 0
@@ -300,6 +554,63 @@ async function getBatchLeads(location, leadType, requestedLeads) {
   };
 }
 
+/**
+ * Get the batch leads API response, from cache when the same request ran recently
+ * POST /api/properties/batch-leads and batch lead jobs share this, so they share cache entries
+ * @param {string} location - Property location
+ * @param {string} leadType - Type of lead (a name from the lead type registry)
+ * @param {number} requestedLeads - Number of leads requested (10, 25, 50, or 100)
+ * @param {object} options - Progress and cancellation options passed to getBatchLeads
+ * @returns {Promise<object>} { success, data, metadata } response
+ */
+async function getCachedBatchLeads(location, leadType, requestedLeads, options = {}) {
+  const cacheKey = cacheService.generateKey('batch-leads', {
+    location,
+    leadType,
+    requestedLeads
+  });
+
+  const cachedResult = await cacheService.get(cacheKey);
+  if (cachedResult) {
+    console.log(`[BatchLeadService] Returning cached batch leads for ${location}`);
+    return signLeadImages(cachedResult);
+  }
+
+  const batchResult = await getBatchLeads(location, leadType, requestedLeads, options);
+
+  const response = {
+    success: true,
+    data: batchResult,
+    metadata: {
+      timestamp: new Date().toISOString(),
+      source: 'zillow-batch-lead-service',
+      cached: false
+    }
+  };
+
+  await cacheService.set(cacheKey, response, null, { tags: { location, leadType } });
+
+  return signLeadImages(response);
+}
+
+/**
+ * Sign the quality report image URLs of a batch leads response as it is served
+ * @param {object} response - { success, data: { leads }, metadata } response
+ * @returns {object} Copy of the response with freshly signed URLs
+ */
+function signLeadImages(response) {
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      leads: response.data.leads.map(lead => ({
+        ...lead,
+        qualityReport: leadQualityService.signEvidence(lead.qualityReport)
+      }))
+    }
+  };
+}
+
 /**
  * Get batch leads for multiple lead types
  * @param {string} location - Property location
@@ -334,8 +645,13 @@ async function getBatchLeadsMultiple(location, leadTypes, requestedLeads) {
 
 module.exports = {
   getBatchLeads,
+  getCachedBatchLeads,
   getBatchLeadsMultiple,
   isValidLead,
   getBufferSize,
+  validateBatchRequest,
+  getVisualValidation,
+  searchAcrossPriceRanges,
+  bisectPriceBand,
   PRICE_RANGES
 };
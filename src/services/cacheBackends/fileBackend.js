@@ -0,0 +1,244 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File Cache Backend
+ * Persists each entry as a JSON file so cached analyses survive restarts and
+ * can be shared by instances mounting the same volume
+ *
+ * Keys, expiry times and tags are kept in an in-memory index loaded from the
+ * files once at startup, so keys(), keysWithTag() and sweeps never re-read the
+ * directory. Reads always go to disk; entries another instance writes are listed
+ * after this instance restarts.
+ * Implements the backend contract described in cacheBackends/index.js
+ */
+class FileBackend {
+  /**
+   * @param {object} options - Backend options
+   * @param {string} options.dir - Directory holding cache files
+   * @param {number} options.sweepIntervalMs - How often expired files are removed
+   */
+  constructor(options = {}) {
+    this.name = 'file';
+    this.persistent = true;
+    this.dir = options.dir;
+    // key -> { staleUntil, expiresAt, tags } for every stored entry
+    this.index = new Map();
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.ready = this.loadIndex();
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => {
+        console.warn('[FileCacheBackend] Sweep failed:', error.message);
+      });
+    }, options.sweepIntervalMs || 10 * 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Index the entries already on disk, removing expired and unreadable files
+   * @returns {Promise<void>}
+   */
+  async loadIndex() {
+    try {
+      let removed = 0;
+
+      for (const filePath of await this.listFiles()) {
+        const record = await this.readFile(filePath);
+        if (!record || this.isExpired(record.entry)) {
+          removed += await this.removeFile(filePath);
+        } else {
+          this.indexEntry(record.key, record.entry);
+        }
+      }
+
+      if (removed > 0) {
+        console.log(`[FileCacheBackend] Removed ${removed} expired entries while indexing`);
+      }
+    } catch (error) {
+      console.warn('[FileCacheBackend] Indexing failed:', error.message);
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<object|undefined>} Stored entry
+   */
+  async get(key) {
+    const record = await this.readFile(this.getFilePath(key));
+    return record && record.key === key ? record.entry : undefined;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {object} entry - Entry to store ({ value, createdAt, expiresAt })
+   */
+  async set(key, entry) {
+    await this.ready;
+    const filePath = this.getFilePath(key);
+    const tempFile = `${filePath}.${process.pid}.tmp`;
+
+    await fs.promises.writeFile(tempFile, JSON.stringify({ key, entry }));
+    await fs.promises.rename(tempFile, filePath);
+    this.indexEntry(key, entry);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<number>} Number of entries deleted (0 or 1)
+   */
+  async delete(key) {
+    await this.ready;
+    this.index.delete(key);
+    return this.removeFile(this.getFilePath(key));
+  }
+
+  /**
+   * @param {string} prefix - Optional key prefix
+   * @returns {Promise<string[]>} Stored, unexpired keys
+   */
+  async keys(prefix = '') {
+    await this.ready;
+    const keys = [];
+
+    this.index.forEach((indexed, key) => {
+      if (!this.isExpired(indexed) && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * @param {string} tag - Normalized tag ('name:value')
+   * @returns {Promise<string[]>} Stored, unexpired keys whose entry carries the tag
+   */
+  async keysWithTag(tag) {
+    await this.ready;
+    const keys = [];
+
+    this.index.forEach((indexed, key) => {
+      if (!this.isExpired(indexed) && indexed.tags.includes(tag)) {
+        keys.push(key);
+      }
+    });
+
+    return keys;
+  }
+
+  /**
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async clear() {
+    await this.ready;
+    let count = 0;
+    for (const filePath of await this.listFiles()) {
+      count += await this.removeFile(filePath);
+    }
+    this.index.clear();
+    return count;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+  }
+
+  /**
+   * Remove expired entries from disk
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async sweep() {
+    await this.ready;
+    let removed = 0;
+
+    for (const [key, indexed] of [...this.index]) {
+      if (this.isExpired(indexed)) {
+        this.index.delete(key);
+        removed += await this.removeFile(this.getFilePath(key));
+      }
+    }
+
+    if (removed > 0) {
+      console.log(`[FileCacheBackend] Swept ${removed} expired entries`);
+    }
+    return removed;
+  }
+
+  /**
+   * Record a stored entry in the index
+   * @param {string} key - Cache key
+   * @param {object} entry - Cache entry
+   */
+  indexEntry(key, entry) {
+    this.index.set(key, {
+      staleUntil: entry.staleUntil,
+      expiresAt: entry.expiresAt,
+      tags: Array.isArray(entry.tags) ? entry.tags : []
+    });
+  }
+
+  /**
+   * @param {object} entry - Cache entry
+   * @returns {boolean} True if the entry has passed its expiry time and stale window
+   */
+  isExpired(entry) {
+    const until = entry && (entry.staleUntil || entry.expiresAt);
+    return Boolean(until) && until <= Date.now();
+  }
+
+  /**
+   * Map a key to its file; keys are hashed because they contain arbitrary JSON
+   * @param {string} key - Cache key
+   * @returns {string} Absolute file path
+   */
+  getFilePath(key) {
+    const hash = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * @returns {Promise<string[]>} Paths of all cache files
+   */
+  async listFiles() {
+    const names = await fs.promises.readdir(this.dir).catch(() => []);
+    return names
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(this.dir, name));
+  }
+
+  /**
+   * @param {string} filePath - Cache file
+   * @returns {Promise<object|null>} Parsed { key, entry } record, or null if missing or corrupt
+   */
+  async readFile(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[FileCacheBackend] Ignoring unreadable cache file ${filePath}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} filePath - Cache file
+   * @returns {Promise<number>} 1 if the file was removed, 0 if it did not exist
+   */
+  async removeFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+      return 1;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+      return 0;
+    }
+  }
+}
+
+module.exports = FileBackend;
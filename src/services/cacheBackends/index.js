@@ -0,0 +1,69 @@
+/**
+ * Cache Backends
+ * Storage implementations used by CacheService
+ *
+ * Backend contract (all methods return Promises):
+ *   - get(key)                      -> entry or undefined
+ *   - set(key, entry, ttlSeconds)   -> void; ttlSeconds of 0 means no expiry
+ *   - delete(key)                   -> number of entries removed (0 or 1)
+ *   - keys(prefix)                  -> array of stored keys starting with prefix
+ *   - keysWithTag(tag)              -> array of stored keys whose entry.tags includes tag
+ *   - clear()                       -> number of entries removed
+ *   - close()                       -> release timers and connections
+ *
+ * Backends also expose `name` and `persistent` (whether entries survive a restart).
+ *
+ * An entry is a JSON-serializable object { value, createdAt, expiresAt, staleUntil }.
+ * CacheService checks expiresAt/staleUntil itself, so backends may expire lazily;
+ * ttlSeconds already covers the stale window.
+ */
+
+const MemoryBackend = require('./memoryBackend');
+const FileBackend = require('./fileBackend');
+const RedisBackend = require('./redisBackend');
+
+/**
+ * Connect the Redis backend with ioredis, which is only needed when CACHE_BACKEND=redis
+ * @param {object} cacheConfig - config.cache
+ * @returns {RedisBackend} Cache backend
+ * @throws {Error} If ioredis is not installed
+ */
+function createRedisBackend(cacheConfig) {
+  let Redis;
+  try {
+    Redis = require('ioredis');
+  } catch (error) {
+    throw new Error('CACHE_BACKEND=redis requires the ioredis package (npm install ioredis)');
+  }
+
+  const client = new Redis(cacheConfig.redisUrl);
+  client.on('error', error => {
+    console.error('[RedisCacheBackend] Connection error:', error.message);
+  });
+
+  return new RedisBackend(client, { namespace: cacheConfig.redisNamespace });
+}
+
+/**
+ * Create the backend selected in config
+ * @param {object} cacheConfig - config.cache
+ * @returns {object} Cache backend
+ */
+function createBackend(cacheConfig) {
+  switch (cacheConfig.backend) {
+    case 'file':
+      return new FileBackend({ dir: cacheConfig.dir });
+    case 'redis':
+      return createRedisBackend(cacheConfig);
+    case 'memory':
+    default:
+      return new MemoryBackend();
+  }
+}
+
+module.exports = {
+  createBackend,
+  MemoryBackend,
+  FileBackend,
+  RedisBackend
+};
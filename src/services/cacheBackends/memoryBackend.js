@@ -0,0 +1,74 @@
+const NodeCache = require('node-cache');
+
+/**
+ * Memory Cache Backend
+ * Process-local store backed by node-cache; entries are lost on restart
+ * Implements the backend contract described in cacheBackends/index.js
+ */
+class MemoryBackend {
+  constructor() {
+    this.name = 'memory';
+    this.persistent = false;
+    // Expiry is tracked on the entry; node-cache only reclaims memory
+    this.store = new NodeCache({ stdTTL: 0, checkperiod: 600 });
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<object|undefined>} Stored entry
+   */
+  async get(key) {
+    return this.store.get(key);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {object} entry - Entry to store ({ value, createdAt, expiresAt })
+   * @param {number} ttlSeconds - Time to live in seconds (0 = no expiry)
+   */
+  async set(key, entry, ttlSeconds) {
+    this.store.set(key, entry, ttlSeconds || 0);
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<number>} Number of entries deleted (0 or 1)
+   */
+  async delete(key) {
+    return this.store.del(key);
+  }
+
+  /**
+   * @param {string} prefix - Optional key prefix
+   * @returns {Promise<string[]>} Stored keys
+   */
+  async keys(prefix = '') {
+    return this.store.keys().filter(key => key.startsWith(prefix));
+  }
+
+  /**
+   * @param {string} tag - Normalized tag ('name:value')
+   * @returns {Promise<string[]>} Stored keys whose entry carries the tag
+   */
+  async keysWithTag(tag) {
+    return this.store.keys().filter(key => {
+      const entry = this.store.get(key);
+      return Boolean(entry) && Array.isArray(entry.tags) && entry.tags.includes(tag);
+    });
+  }
+
+  /**
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async clear() {
+    const count = this.store.keys().length;
+    this.store.flushAll();
+    return count;
+  }
+
+  async close() {
+    this.store.close();
+  }
+}
+
+module.exports = MemoryBackend;
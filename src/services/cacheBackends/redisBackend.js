@@ -0,0 +1,127 @@
+/**
+ * Redis Cache Backend
+ * Adapter for any Redis-compatible client (ioredis, node-redis v4 legacy mode, Valkey, ...)
+ * The client is injected so the service has no hard dependency on a driver.
+ * CACHE_BACKEND=redis connects an ioredis client to REDIS_URL (see createBackend);
+ * any other client can be plugged in directly:
+ *
+ *   cacheService.setBackend(new RedisBackend(client));
+ *
+ * The client must provide: get(key), set(key, value, 'EX', seconds), set(key, value),
+ * del(...keys) and scan(cursor, 'MATCH', pattern, 'COUNT', n)
+ * Implements the backend contract described in cacheBackends/index.js
+ */
+class RedisBackend {
+  /**
+   * @param {object} client - Redis-compatible client
+   * @param {object} options - Backend options
+   * @param {string} options.namespace - Prefix applied to every key in Redis
+   */
+  constructor(client, options = {}) {
+    this.name = 'redis';
+    this.persistent = true;
+    this.client = client;
+    this.namespace = options.namespace || 'zillow-api:';
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<object|undefined>} Stored entry
+   */
+  async get(key) {
+    const raw = await this.client.get(this.namespace + key);
+    return raw ? JSON.parse(raw) : undefined;
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {object} entry - Entry to store ({ value, createdAt, expiresAt })
+   * @param {number} ttlSeconds - Time to live in seconds (0 = no expiry)
+   */
+  async set(key, entry, ttlSeconds) {
+    const raw = JSON.stringify(entry);
+
+    if (ttlSeconds > 0) {
+      await this.client.set(this.namespace + key, raw, 'EX', ttlSeconds);
+    } else {
+      await this.client.set(this.namespace + key, raw);
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @returns {Promise<number>} Number of entries deleted (0 or 1)
+   */
+  async delete(key) {
+    return Number(await this.client.del(this.namespace + key));
+  }
+
+  /**
+   * @param {string} prefix - Optional key prefix
+   * @returns {Promise<string[]>} Stored keys
+   */
+  async keys(prefix = '') {
+    const keys = [];
+    const pattern = `${this.escapePattern(this.namespace + prefix)}*`;
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 500);
+      cursor = String(nextCursor);
+      batch.forEach(key => keys.push(key.slice(this.namespace.length)));
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  /**
+   * Scans and reads every entry in the namespace, so it is meant for admin use
+   * @param {string} tag - Normalized tag ('name:value')
+   * @returns {Promise<string[]>} Stored keys whose entry carries the tag
+   */
+  async keysWithTag(tag) {
+    const tagged = [];
+
+    for (const key of await this.keys()) {
+      const entry = await this.get(key);
+      if (entry && Array.isArray(entry.tags) && entry.tags.includes(tag)) {
+        tagged.push(key);
+      }
+    }
+
+    return tagged;
+  }
+
+  /**
+   * Remove every key in this backend's namespace
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async clear() {
+    const keys = await this.keys();
+    let count = 0;
+
+    for (let i = 0; i < keys.length; i += 500) {
+      const batch = keys.slice(i, i + 500).map(key => this.namespace + key);
+      count += Number(await this.client.del(...batch));
+    }
+
+    return count;
+  }
+
+  async close() {
+    if (typeof this.client.quit === 'function') {
+      await this.client.quit();
+    }
+  }
+
+  /**
+   * Escape glob characters so SCAN MATCH treats the prefix literally
+   * @param {string} value - Key prefix
+   * @returns {string} Escaped pattern
+   */
+  escapePattern(value) {
+    return value.replace(/[*?[\]\\]/g, '\\$&');
+  }
+}
+
+module.exports = RedisBackend;
@@ -1,16 +1,223 @@
-const NodeCache = require('node-cache');
 const config = require('../config');
+const { createBackend, MemoryBackend } = require('./cacheBackends');
+
+/**
+ * Dimensions entries can be tagged with for bulk invalidation
+ */
+const TAG_NAMES = ['zpid', 'location', 'leadType', 'provider', 'promptVersion'];
 
 /**
  * Cache Service
- * Manages in-memory caching of API responses with configurable TTL
+ * Caches API responses with configurable TTL in a pluggable backend
+ * (in-memory, on-disk, or any Redis-compatible store; see cacheBackends/)
+ *
+ * Each key prefix (namespace) has a policy (config.cache.policies) supplying its
+ * default TTL and stale window, whether it is persisted, and its bounds by entry
+ * count and approximate size; beyond either bound the least recently used entries
+ * of that namespace are evicted. Sizes are tracked per process.
  */
 class CacheService {
   constructor() {
-    // Initialize node-cache with default TTL from config
-    this.cache = new NodeCache({ stdTTL: config.cache.ttl });
-    
-    console.log(`[CacheService] Initialized with TTL: ${config.cache.ttl}s`);
+    this.ttl = config.cache.ttl;
+    this.policies = config.cache.policies;
+    this.backend = createBackend(config.cache);
+    // Holds namespaces with persist: false when the main backend is persistent
+    this.volatileBackend = this.backend.persistent ? new MemoryBackend() : this.backend;
+    this.stats = { hits: 0, misses: 0, sets: 0, errors: 0, staleHits: 0, coalesced: 0, refreshes: 0, evictions: 0, oversized: 0 };
+    // Computations in progress, keyed by cache key, shared by concurrent getOrCompute callers
+    this.inFlight = new Map();
+    // Per-namespace { entries: Map<key, bytes> in least to most recently used order, bytes, evictions }
+    this.usage = new Map();
+    this.indexReady = this.rebuildIndex();
+
+    console.log(`[CacheService] Initialized ${this.backend.name} backend with TTL: ${this.ttl}s`);
+  }
+
+  /**
+   * Replace the storage backend (e.g. with a RedisBackend)
+   * @param {object} backend - Backend implementing the contract in cacheBackends/index.js
+   */
+  setBackend(backend) {
+    const previous = this.getBackends();
+    this.backend = backend;
+    this.volatileBackend = backend.persistent ? new MemoryBackend() : backend;
+
+    previous.forEach(old => old.close().catch(error => {
+      console.warn(`[CacheService] Error closing ${old.name} backend:`, error.message);
+    }));
+
+    this.usage = new Map();
+    this.indexReady = this.rebuildIndex();
+
+    console.log(`[CacheService] Switched to ${backend.name} backend`);
+  }
+
+  /**
+   * Load sizes of entries already in the backend (e.g. a persistent store after a restart)
+   * Entries are ordered oldest first, so the oldest are evicted first
+   * @returns {Promise<void>}
+   */
+  async rebuildIndex() {
+    try {
+      const entries = [];
+      for (const key of await this.backend.keys()) {
+        const entry = await this.backend.get(key);
+        if (entry && this.backendFor(key) === this.backend) {
+          entries.push({ key, createdAt: entry.createdAt || 0, bytes: this.measure(key, entry) });
+        }
+      }
+
+      entries
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(({ key, bytes }) => this.track(key, bytes));
+
+      if (entries.length > 0) {
+        console.log(`[CacheService] Indexed ${entries.length} existing ${this.backend.name} entries`);
+      }
+    } catch (error) {
+      this.stats.errors++;
+      console.error('[CacheService] Error indexing existing cache entries:', error.message);
+    }
+  }
+
+  /**
+   * Namespace of a cache key: its prefix before the first ':'
+   * @param {string} key - Cache key
+   * @returns {string} Namespace (e.g. 'search', 'visual-validation')
+   */
+  getNamespace(key) {
+    const separator = key.indexOf(':');
+    return separator > 0 ? key.slice(0, separator) : key;
+  }
+
+  /**
+   * Policy applying to a namespace, falling back to the default policy
+   * @param {string} namespace - Cache key prefix
+   * @returns {object} { ttl, staleTtl, persist, maxEntries, maxBytes }
+   */
+  getPolicy(namespace) {
+    return this.policies[namespace] || this.policies.default;
+  }
+
+  /**
+   * Backend holding a key: the configured one, or process memory for namespaces with persist: false
+   * @param {string} key - Cache key
+   * @returns {object} Cache backend
+   */
+  backendFor(key) {
+    return this.getPolicy(this.getNamespace(key)).persist ? this.backend : this.volatileBackend;
+  }
+
+  /**
+   * Distinct backends currently in use
+   * @returns {object[]} Cache backends
+   */
+  getBackends() {
+    return this.volatileBackend === this.backend ? [this.backend] : [this.backend, this.volatileBackend];
+  }
+
+  /**
+   * Keys across all backends
+   * @param {string} prefix - Optional key prefix
+   * @returns {Promise<string[]>} Stored keys
+   */
+  async keys(prefix = '') {
+    const keys = [];
+    for (const backend of this.getBackends()) {
+      keys.push(...await backend.keys(prefix));
+    }
+    return keys;
+  }
+
+  /**
+   * Approximate stored size of an entry (its JSON encoding plus the key)
+   * @param {string} key - Cache key
+   * @param {object} entry - Cache entry
+   * @returns {number} Size in bytes
+   */
+  measure(key, entry) {
+    return Buffer.byteLength(key) + Buffer.byteLength(JSON.stringify(entry) || '');
+  }
+
+  /**
+   * Get (creating if needed) the usage record of a namespace
+   * @param {string} namespace - Cache key prefix
+   * @returns {object} { entries, bytes, evictions }
+   */
+  getUsage(namespace) {
+    if (!this.usage.has(namespace)) {
+      this.usage.set(namespace, { entries: new Map(), bytes: 0, evictions: 0 });
+    }
+    return this.usage.get(namespace);
+  }
+
+  /**
+   * Record a stored entry as the most recently used of its namespace
+   * @param {string} key - Cache key
+   * @param {number} bytes - Entry size
+   */
+  track(key, bytes) {
+    const usage = this.getUsage(this.getNamespace(key));
+    this.untrack(key);
+    usage.entries.set(key, bytes);
+    usage.bytes += bytes;
+  }
+
+  /**
+   * Mark an entry as just used so it is evicted last
+   * @param {string} key - Cache key
+   */
+  touch(key) {
+    const usage = this.usage.get(this.getNamespace(key));
+    if (usage && usage.entries.has(key)) {
+      const bytes = usage.entries.get(key);
+      usage.entries.delete(key);
+      usage.entries.set(key, bytes);
+    }
+  }
+
+  /**
+   * Forget an entry that is no longer stored
+   * @param {string} key - Cache key
+   */
+  untrack(key) {
+    const usage = this.usage.get(this.getNamespace(key));
+    if (usage && usage.entries.has(key)) {
+      usage.bytes -= usage.entries.get(key);
+      usage.entries.delete(key);
+    }
+  }
+
+  /**
+   * Evict least recently used entries until a namespace is within its limits
+   * @param {string} namespace - Cache key prefix
+   * @returns {Promise<number>} Number of entries evicted
+   */
+  async enforceLimits(namespace) {
+    const usage = this.getUsage(namespace);
+    const { maxEntries, maxBytes } = this.getPolicy(namespace);
+    let evicted = 0;
+
+    while (usage.entries.size > 0 && (usage.entries.size > maxEntries || usage.bytes > maxBytes)) {
+      const key = usage.entries.keys().next().value;
+      this.untrack(key);
+
+      try {
+        await this.backendFor(key).delete(key);
+      } catch (error) {
+        this.stats.errors++;
+        console.error(`[CacheService] Error evicting key ${key}:`, error.message);
+      }
+
+      usage.evictions++;
+      this.stats.evictions++;
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      console.log(`[CacheService] Evicted ${evicted} least recently used ${namespace} entries`);
+    }
+    return evicted;
   }
 
   /**
@@ -34,39 +241,162 @@ class CacheService {
 
   /**
    * Retrieve a value from cache
+   * Backend failures are logged and treated as a miss
    * @param {string} key - Cache key
-   * @returns {*} Cached value or undefined if not found or expired
+   * @returns {Promise<*>} Cached value or undefined if not found or expired
    */
-  get(key) {
-    const value = this.cache.get(key);
-    
-    if (value !== undefined) {
-      console.log(`[CacheService] Cache HIT for key: ${key}`);
-      return value;
+  async get(key) {
+    try {
+      const entry = await this.backendFor(key).get(key);
+
+      if (entry && !this.isExpired(entry)) {
+        this.stats.hits++;
+        this.touch(key);
+        console.log(`[CacheService] Cache HIT for key: ${key}`);
+        return entry.value;
+      }
+
+      if (!entry) {
+        this.untrack(key);
+      }
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[CacheService] Error reading cache for key ${key}:`, error.message);
     }
 
+    this.stats.misses++;
     console.log(`[CacheService] Cache MISS for key: ${key}`);
     return undefined;
   }
 
+  /**
+   * Return a cached value, computing and caching it on a miss
+   * - Concurrent callers for the same key share a single computation
+   * - Within staleTtl seconds after expiry the stale value is returned
+   *   immediately while one background refresh updates the cache
+   * @param {string} key - Cache key
+   * @param {function} fn - async () => value; errors propagate to callers waiting on it
+   * @param {object} options - Cache options
+   * @param {number} options.ttl - Seconds the value is fresh (defaults to the namespace policy)
+   * @param {number} options.staleTtl - Seconds after expiry a stale value may still be served (defaults to the namespace policy)
+   * @param {object|function} options.tags - Tags for the entry, or (value) => tags (see buildTags)
+   * @returns {Promise<*>} Cached or freshly computed value
+   */
+  async getOrCompute(key, fn, options = {}) {
+    const { ttl = null, staleTtl, tags } = options;
+    let entry;
+
+    try {
+      entry = await this.backendFor(key).get(key);
+    } catch (error) {
+      this.stats.errors++;
+      console.error(`[CacheService] Error reading cache for key ${key}:`, error.message);
+    }
+
+    if (entry && !this.isExpired(entry)) {
+      this.stats.hits++;
+      this.touch(key);
+      console.log(`[CacheService] Cache HIT for key: ${key}`);
+      return entry.value;
+    }
+
+    if (entry && !this.isStale(entry)) {
+      this.stats.staleHits++;
+      this.touch(key);
+      console.log(`[CacheService] Serving stale value for key: ${key}, refreshing in background`);
+
+      this.compute(key, fn, { ttl, staleTtl, tags }).catch(error => {
+        console.warn(`[CacheService] Background refresh failed for key ${key}:`, error.message);
+      });
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    console.log(`[CacheService] Cache MISS for key: ${key}`);
+    return this.compute(key, fn, { ttl, staleTtl, tags });
+  }
+
+  /**
+   * Run a computation for a key unless one is already in progress, then cache its result
+   * @param {string} key - Cache key
+   * @param {function} fn - async () => value
+   * @param {object} options - { ttl, staleTtl, tags } as for getOrCompute
+   * @returns {Promise<*>} Computed value
+   */
+  compute(key, fn, options) {
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      console.log(`[CacheService] Joining in-flight computation for key: ${key}`);
+      return this.inFlight.get(key);
+    }
+
+    this.stats.refreshes++;
+
+    const computation = (async () => {
+      try {
+        const value = await fn();
+        const tags = typeof options.tags === 'function' ? options.tags(value) : options.tags;
+        await this.set(key, value, options.ttl, { staleTtl: options.staleTtl, tags });
+        return value;
+      } finally {
+        this.inFlight.delete(key);
+      }
+    })();
+
+    this.inFlight.set(key, computation);
+    return computation;
+  }
+
   /**
    * Store a value in cache with optional custom TTL
+   * Values larger than their namespace's maxBytes are not cached
    * @param {string} key - Cache key
-   * @param {*} value - Value to cache
-   * @param {number} ttl - Optional custom TTL in seconds (uses default if not provided)
-   * @returns {boolean} True if set successfully
+   * @param {*} value - Value to cache (must be JSON-serializable for persistent backends)
+   * @param {number} ttl - Optional custom TTL in seconds (defaults to the namespace policy)
+   * @param {object} options - Cache options
+   * @param {number} options.staleTtl - Seconds after expiry the value stays available to getOrCompute
+   *   (defaults to the namespace policy)
+   * @param {object|array} options.tags - Tags for invalidateByTag (see buildTags)
+   * @returns {Promise<boolean>} True if set successfully
    */
-  set(key, value, ttl = null) {
+  async set(key, value, ttl = null, options = {}) {
+    const namespace = this.getNamespace(key);
+    const policy = this.getPolicy(namespace);
+    const ttlSeconds = ttl !== null && ttl !== undefined ? ttl : policy.ttl;
+    const staleTtl = options.staleTtl !== undefined ? options.staleTtl : policy.staleTtl;
+    const now = Date.now();
+    const expiresAt = ttlSeconds > 0 ? now + ttlSeconds * 1000 : null;
+
     try {
-      if (ttl !== null) {
-        this.cache.set(key, value, ttl);
+      const entry = {
+        value,
+        createdAt: now,
+        expiresAt,
+        staleUntil: expiresAt && staleTtl > 0 ? expiresAt + staleTtl * 1000 : expiresAt,
+        tags: this.buildTags(options.tags)
+      };
+      const bytes = this.measure(key, entry);
+
+      if (bytes > policy.maxBytes) {
+        this.stats.oversized++;
+        console.warn(`[CacheService] Not caching key ${key}: ${bytes} bytes exceeds the ${namespace} limit`);
+        return false;
+      }
+
+      await this.indexReady;
+      await this.backendFor(key).set(key, entry, ttlSeconds > 0 ? ttlSeconds + staleTtl : 0);
+      this.track(key, bytes);
+      await this.enforceLimits(namespace);
+
+      this.stats.sets++;
+      if (ttl !== null && ttl !== undefined) {
         console.log(`[CacheService] Cached key: ${key} with custom TTL: ${ttl}s`);
       } else {
-        this.cache.set(key, value);
-        console.log(`[CacheService] Cached key: ${key} with default TTL`);
+        console.log(`[CacheService] Cached key: ${key} with ${namespace} policy TTL: ${ttlSeconds}s`);
       }
       return true;
     } catch (error) {
+      this.stats.errors++;
       console.error(`[CacheService] Error setting cache for key ${key}:`, error.message);
       return false;
     }
@@ -75,11 +405,12 @@ class CacheService {
   /**
    * Remove a specific cache entry
    * @param {string} key - Cache key to invalidate
-   * @returns {number} Number of keys deleted (0 or 1)
+   * @returns {Promise<number>} Number of keys deleted (0 or 1)
    */
-  invalidate(key) {
-    const deleted = this.cache.del(key);
-    
+  async invalidate(key) {
+    const deleted = await this.backendFor(key).delete(key);
+    this.untrack(key);
+
     if (deleted > 0) {
       console.log(`[CacheService] Invalidated cache key: ${key}`);
     } else {
@@ -89,16 +420,99 @@ class CacheService {
     return deleted;
   }
 
+  /**
+   * Remove every entry carrying a tag
+   * Memory and file backends answer from memory; Redis scans every entry, so this
+   * is meant for admin use rather than request paths
+   * @param {string} tag - Tag as 'name:value' (e.g. 'zpid:12345', 'location:Miami, FL')
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async invalidateByTag(tag) {
+    const [normalized] = this.buildTags([tag]);
+    if (!normalized) {
+      throw this.createTagError(tag);
+    }
+
+    let deleted = 0;
+    for (const backend of this.getBackends()) {
+      for (const key of await backend.keysWithTag(normalized)) {
+        deleted += await backend.delete(key);
+        this.untrack(key);
+      }
+    }
+
+    console.log(`[CacheService] Invalidated ${deleted} keys tagged ${normalized}`);
+    return deleted;
+  }
+
+  /**
+   * Remove every entry whose key starts with a prefix
+   * @param {string} prefix - Key prefix (e.g. 'search:' or 'visual-validation:')
+   * @returns {Promise<number>} Number of keys deleted
+   */
+  async invalidateByPrefix(prefix) {
+    let deleted = 0;
+    for (const key of await this.keys(prefix)) {
+      deleted += await this.backendFor(key).delete(key);
+      this.untrack(key);
+    }
+
+    console.log(`[CacheService] Invalidated ${deleted} keys with prefix ${prefix}`);
+    return deleted;
+  }
+
+  /**
+   * Normalize tags to 'name:value' strings
+   * Values are trimmed and lower-cased so 'Miami, FL' and 'miami, fl ' match
+   * @param {object|array} tags - { zpid, location, leadType, provider, promptVersion } or ['name:value', ...];
+   *   an array value adds one tag per item (e.g. provider: ['groq', 'local'])
+   * @returns {string[]} Normalized tags; unknown names and empty values are dropped
+   */
+  buildTags(tags) {
+    if (!tags) {
+      return [];
+    }
+
+    const pairs = Array.isArray(tags)
+      ? tags.map(tag => {
+        const separator = String(tag).indexOf(':');
+        return separator > 0 ? [String(tag).slice(0, separator), String(tag).slice(separator + 1)] : [tag, null];
+      })
+      : Object.entries(tags).flatMap(([name, value]) =>
+        Array.isArray(value) ? value.map(item => [name, item]) : [[name, value]]
+      );
+
+    return pairs
+      .filter(([name, value]) => TAG_NAMES.includes(name) && value !== undefined && value !== null && String(value).trim() !== '')
+      .map(([name, value]) => `${name}:${String(value).trim().toLowerCase()}`);
+  }
+
+  /**
+   * Error for a tag that is not 'name:value' with a known name
+   * @param {string} tag - Rejected tag
+   * @returns {Error} VALIDATION_ERROR error
+   */
+  createTagError(tag) {
+    const error = new Error(`Invalid cache tag "${tag}". Use name:value with name one of: ${TAG_NAMES.join(', ')}`);
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    return error;
+  }
+
   /**
    * Clear all cache entries
-   * @returns {number} Number of keys deleted
+   * @returns {Promise<number>} Number of keys deleted
    */
-  clear() {
-    const keys = this.cache.keys();
-    const count = keys.length;
-    
-    this.cache.flushAll();
-    
+  async clear() {
+    let count = 0;
+    for (const backend of this.getBackends()) {
+      count += await backend.clear();
+    }
+    this.usage.forEach(usage => {
+      usage.entries.clear();
+      usage.bytes = 0;
+    });
+
     console.log(`[CacheService] Cleared all cache entries (${count} keys removed)`);
     return count;
   }
@@ -106,23 +520,92 @@ class CacheService {
   /**
    * Check if a cache key exists and is not expired
    * @param {string} key - Cache key
-   * @returns {boolean} True if key exists and is valid
+   * @returns {Promise<boolean>} True if key exists and is valid
    */
-  has(key) {
-    return this.cache.has(key);
+  async has(key) {
+    const entry = await this.backendFor(key).get(key);
+    return Boolean(entry) && !this.isExpired(entry);
   }
 
   /**
-   * Get cache statistics
-   * @returns {object} Cache statistics
+   * Describe a cache entry for inspection
+   * @param {string} key - Cache key
+   * @returns {Promise<object|null>} Entry with timestamps, tags and state, or null if absent
    */
-  getStats() {
-    const keys = this.cache.keys();
+  async inspect(key) {
+    const entry = await this.backendFor(key).get(key);
+
+    if (!entry || this.isStale(entry)) {
+      return null;
+    }
+
     return {
+      key,
+      state: this.isExpired(entry) ? 'stale' : 'fresh',
+      createdAt: new Date(entry.createdAt).toISOString(),
+      expiresAt: entry.expiresAt ? new Date(entry.expiresAt).toISOString() : null,
+      staleUntil: entry.staleUntil ? new Date(entry.staleUntil).toISOString() : null,
+      tags: entry.tags || [],
+      value: entry.value
+    };
+  }
+
+  /**
+   * Check whether an entry has passed its expiry time
+   * @param {object} entry - Cache entry ({ value, createdAt, expiresAt })
+   * @returns {boolean} True if expired
+   */
+  isExpired(entry) {
+    return Boolean(entry.expiresAt) && entry.expiresAt <= Date.now();
+  }
+
+  /**
+   * Check whether an entry has passed its stale window as well
+   * @param {object} entry - Cache entry
+   * @returns {boolean} True if the entry can no longer be served
+   */
+  isStale(entry) {
+    const staleUntil = entry.staleUntil || entry.expiresAt;
+    return Boolean(staleUntil) && staleUntil <= Date.now();
+  }
+
+  /**
+   * Get cache statistics
+   * Keys are only listed on request since a full cache holds tens of thousands
+   * @param {object} options - Options
+   * @param {boolean} options.includeKeys - Include every stored key
+   * @returns {Promise<object>} Backend, per-namespace usage against limits, and counters
+   */
+  async getStats(options = {}) {
+    await this.indexReady;
+    const keys = await this.keys();
+    const namespaces = {};
+    let totalBytes = 0;
+
+    this.usage.forEach((usage, namespace) => {
+      namespaces[namespace] = {
+        entries: usage.entries.size,
+        bytes: usage.bytes,
+        ...this.getPolicy(namespace),
+        evictions: usage.evictions
+      };
+      totalBytes += usage.bytes;
+    });
+
+    const stats = {
+      backend: this.backend.name,
       keyCount: keys.length,
-      keys,
-      stats: this.cache.getStats()
+      totalBytes,
+      namespaces,
+      inFlight: this.inFlight.size,
+      stats: { ...this.stats }
     };
+
+    if (options.includeKeys) {
+      stats.keys = keys;
+    }
+
+    return stats;
   }
 }
 
@@ -0,0 +1,272 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Query parameters that carry credentials and never take part in cassette keys
+ */
+const SECRET_PARAMS = ['key', 'api_key', 'apikey'];
+
+/**
+ * Cassette Service
+ * Records outbound HTTP responses to disk and replays them byte-for-byte
+ * Modes: 'record' (call upstream and save), 'replay' (serve from disk only),
+ * 'passthrough' (call upstream, no recording)
+ */
+class CassetteService {
+  constructor() {
+    this.mode = config.cassette.mode;
+    this.dir = config.cassette.dir;
+
+    if (this.mode !== 'passthrough') {
+      console.log(`[CassetteService] Initialized in ${this.mode} mode with cassettes in ${this.dir}`);
+    }
+  }
+
+  /**
+   * Install the cassette layer on an axios instance
+   * @param {object} client - Axios instance
+   * @param {string} name - Upstream name, used as the cassette subdirectory
+   * @returns {object} The same axios instance
+   */
+  attach(client, name) {
+    if (this.mode === 'passthrough') {
+      return client;
+    }
+
+    const upstreamAdapter = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = async (requestConfig) => {
+      const descriptor = this.describeRequest(name, requestConfig);
+      const cassettePath = this.getCassettePath(name, descriptor);
+
+      if (this.mode === 'replay') {
+        return this.replay(cassettePath, descriptor, requestConfig);
+      }
+
+      return this.record(cassettePath, descriptor, requestConfig, upstreamAdapter);
+    };
+
+    return client;
+  }
+
+  /**
+   * Call upstream and save the response (including error responses) to disk
+   * @param {string} cassettePath - File to write
+   * @param {object} descriptor - Normalized request descriptor
+   * @param {object} requestConfig - Axios request config
+   * @param {function} upstreamAdapter - Original axios adapter
+   * @returns {Promise<object>} Upstream axios response
+   */
+  async record(cassettePath, descriptor, requestConfig, upstreamAdapter) {
+    try {
+      const response = await upstreamAdapter(requestConfig);
+      this.save(cassettePath, descriptor, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        this.save(cassettePath, descriptor, error.response);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Serve a recorded response from disk
+   * Resolves or rejects exactly as axios would for the recorded status
+   * @param {string} cassettePath - File to read
+   * @param {object} descriptor - Normalized request descriptor
+   * @param {object} requestConfig - Axios request config
+   * @returns {Promise<object>} Replayed axios response
+   * @throws {Error} If no recording exists for the request
+   */
+  async replay(cassettePath, descriptor, requestConfig) {
+    if (!fs.existsSync(cassettePath)) {
+      console.error(`[CassetteService] Replay miss for ${descriptor.name} ${descriptor.method} ${descriptor.url}`);
+
+      const missError = new Error(
+        `Cassette replay miss: no recording for ${descriptor.name} ${descriptor.method.toUpperCase()} ` +
+        `${descriptor.url} (expected ${path.relative(process.cwd(), cassettePath)}). ` +
+        'Run once with CASSETTE_MODE=record to capture it.'
+      );
+      missError.code = 'CASSETTE_MISS';
+      missError.statusCode = 500;
+      throw missError;
+    }
+
+    const cassette = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+    const recorded = cassette.response;
+
+    const response = {
+      data: recorded.encoding === 'base64'
+        ? Buffer.from(recorded.body, 'base64')
+        : recorded.body,
+      status: recorded.status,
+      statusText: recorded.statusText,
+      headers: new axios.AxiosHeaders(recorded.headers),
+      config: requestConfig,
+      request: {}
+    };
+
+    console.log(`[CassetteService] Replayed ${descriptor.name} ${descriptor.method} ${descriptor.url} (${recorded.status})`);
+
+    const validateStatus = requestConfig.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? axios.AxiosError.ERR_BAD_RESPONSE : axios.AxiosError.ERR_BAD_REQUEST,
+      requestConfig,
+      response.request,
+      response
+    );
+  }
+
+  /**
+   * Write a response to its cassette file
+   * @param {string} cassettePath - File to write
+   * @param {object} descriptor - Normalized request descriptor
+   * @param {object} response - Axios response
+   */
+  save(cassettePath, descriptor, response) {
+    const isBinary = Buffer.isBuffer(response.data) || response.data instanceof ArrayBuffer;
+    const headers = response.headers && typeof response.headers.toJSON === 'function'
+      ? response.headers.toJSON()
+      : { ...response.headers };
+
+    const cassette = {
+      recordedAt: new Date().toISOString(),
+      request: descriptor,
+      response: {
+        status: response.status,
+        statusText: response.statusText,
+        headers,
+        encoding: isBinary ? 'base64' : 'utf8',
+        body: isBinary
+          ? Buffer.from(response.data).toString('base64')
+          : typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+      }
+    };
+
+    fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+    fs.writeFileSync(cassettePath, JSON.stringify(cassette, null, 2));
+
+    console.log(`[CassetteService] Recorded ${descriptor.name} ${descriptor.method} ${descriptor.url} (${response.status})`);
+  }
+
+  /**
+   * Build a normalized, credential-free description of a request
+   * @param {string} name - Upstream name
+   * @param {object} requestConfig - Axios request config
+   * @returns {object} Request descriptor used for cassette keys
+   */
+  describeRequest(name, requestConfig) {
+    const fullUrl = new URL(
+      requestConfig.url,
+      requestConfig.baseURL ? `${requestConfig.baseURL.replace(/\/$/, '')}/` : undefined
+    );
+
+    // Merge query string parameters from the URL with axios params
+    const params = {};
+    fullUrl.searchParams.forEach((value, key) => {
+      params[key] = value;
+    });
+    Object.entries(requestConfig.params || {}).forEach(([key, value]) => {
+      if (value !== undefined && value !== null) {
+        params[key] = String(value);
+      }
+    });
+
+    const normalizedParams = Object.keys(params)
+      .filter(key => !SECRET_PARAMS.includes(key.toLowerCase()))
+      .sort()
+      .reduce((acc, key) => {
+        acc[key] = this.redact(params[key]);
+        return acc;
+      }, {});
+
+    const descriptor = {
+      name,
+      method: (requestConfig.method || 'get').toLowerCase(),
+      url: `${fullUrl.origin}${fullUrl.pathname}`,
+      params: normalizedParams
+    };
+
+    if (requestConfig.data !== undefined && requestConfig.data !== null) {
+      descriptor.bodyHash = this.hash(this.normalizeBody(requestConfig.data));
+    }
+
+    return descriptor;
+  }
+
+  /**
+   * Resolve the cassette file for a request
+   * @param {string} name - Upstream name
+   * @param {object} descriptor - Normalized request descriptor
+   * @returns {string} Absolute cassette file path
+   */
+  getCassettePath(name, descriptor) {
+    const slug = new URL(descriptor.url).pathname
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/^-|-$/g, '')
+      .slice(0, 60) || 'root';
+    const key = this.hash(JSON.stringify(descriptor)).slice(0, 16);
+
+    return path.join(this.dir, name, `${descriptor.method}-${slug}-${key}.json`);
+  }
+
+  /**
+   * Serialize a request body with sorted keys and credentials redacted
+   * @param {*} data - Request body (object or already-serialized string)
+   * @returns {string} Normalized body
+   */
+  normalizeBody(data) {
+    let body = data;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        return this.redact(body);
+      }
+    }
+
+    const sortKeys = (value) => {
+      if (Array.isArray(value)) {
+        return value.map(sortKeys);
+      }
+      if (value && typeof value === 'object') {
+        return Object.keys(value).sort().reduce((acc, key) => {
+          acc[key] = sortKeys(value[key]);
+          return acc;
+        }, {});
+      }
+      return value;
+    };
+
+    return this.redact(JSON.stringify(sortKeys(body)));
+  }
+
+  /**
+   * Remove API keys embedded in URLs inside a string
+   * @param {string} value - Value to redact
+   * @returns {string} Redacted value
+   */
+  redact(value) {
+    return String(value).replace(/([?&](?:key|api_key|apikey)=)[^&"\s]+/gi, '$1REDACTED');
+  }
+
+  /**
+   * SHA-256 hex digest of a string
+   * @param {string} value - Value to hash
+   * @returns {string} Hex digest
+   */
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+}
+
+module.exports = new CassetteService();
@@ -0,0 +1,211 @@
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * Circuit Breaker
+ * Tracks consecutive upstream failures and fails fast while the upstream is down
+ * States: 'closed' (normal), 'open' (failing fast), 'half-open' (probing recovery)
+ */
+class CircuitBreaker {
+  /**
+   * @param {string} name - Upstream name (e.g., 'zillow', 'openai')
+   * @param {object} options - Breaker options
+   * @param {number} options.failureThreshold - Consecutive failures before opening
+   * @param {number} options.resetTimeoutMs - Time to stay open before probing
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.failureThreshold = options.failureThreshold;
+    this.resetTimeoutMs = options.resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+    this.lastFailure = null;
+    this.lastFailureAt = null;
+  }
+
+  /**
+   * Reserve permission to call the upstream
+   * @throws {Error} SERVICE_UNAVAILABLE error if the circuit is open
+   */
+  acquire() {
+    if (this.state === 'open') {
+      if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+        throw this.createOpenError();
+      }
+
+      this.state = 'half-open';
+      console.log(`[CircuitBreaker] ${this.name} circuit half-open, probing upstream`);
+    }
+
+    if (this.state === 'half-open') {
+      // Only one probe at a time while half-open
+      if (this.probeInFlight) {
+        throw this.createOpenError();
+      }
+      this.probeInFlight = true;
+    }
+  }
+
+  /**
+   * Record a successful upstream call
+   */
+  recordSuccess() {
+    if (this.state !== 'closed') {
+      console.log(`[CircuitBreaker] ${this.name} circuit closed, upstream recovered`);
+    }
+
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Record a failed upstream call
+   * @param {Error} error - Failure cause
+   */
+  recordFailure(error) {
+    this.failures++;
+    this.lastFailure = error.message;
+    this.lastFailureAt = new Date().toISOString();
+    this.probeInFlight = false;
+
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      if (this.state !== 'open') {
+        console.warn(`[CircuitBreaker] ${this.name} circuit opened after ${this.failures} failures: ${error.message}`);
+      }
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Release a reserved call that neither succeeded nor failed upstream
+   */
+  release() {
+    this.probeInFlight = false;
+  }
+
+  /**
+   * Build the fail-fast error returned while the circuit is open
+   * @returns {Error} Error shaped for errorHandler (code, statusCode)
+   */
+  createOpenError() {
+    const retryAfter = Math.max(1, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+
+    const error = new Error(
+      `${this.name} is temporarily unavailable after repeated failures, retry in ${retryAfter}s`
+    );
+    error.code = 'SERVICE_UNAVAILABLE';
+    error.statusCode = 503;
+    error.upstream = this.name;
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  /**
+   * Get a snapshot of the breaker state
+   * @returns {object} Breaker state for health reporting
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: this.state === 'open'
+        ? new Date(this.openedAt + this.resetTimeoutMs).toISOString()
+        : null,
+      lastFailure: this.lastFailure,
+      lastFailureAt: this.lastFailureAt
+    };
+  }
+}
+
+/**
+ * Circuit Breaker Service
+ * Registry of per-upstream circuit breakers (Zillow, Google Maps, OpenAI, Gemini)
+ */
+class CircuitBreakerService {
+  constructor() {
+    this.breakers = new Map();
+  }
+
+  /**
+   * Get or create the breaker for an upstream
+   * @param {string} name - Upstream name
+   * @returns {CircuitBreaker} Circuit breaker
+   */
+  getBreaker(name) {
+    if (!this.breakers.has(name)) {
+      this.breakers.set(name, new CircuitBreaker(name, {
+        failureThreshold: config.circuitBreaker.failureThreshold,
+        resetTimeoutMs: config.circuitBreaker.resetTimeoutMs
+      }));
+    }
+
+    return this.breakers.get(name);
+  }
+
+  /**
+   * Guard every request made by an axios instance with the upstream's breaker
+   * @param {object} client - Axios instance
+   * @param {string} name - Upstream name
+   * @returns {object} The same axios instance
+   */
+  attach(client, name) {
+    const breaker = this.getBreaker(name);
+    const upstreamAdapter = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = async (requestConfig) => {
+      breaker.acquire();
+
+      try {
+        const response = await upstreamAdapter(requestConfig);
+        breaker.recordSuccess();
+        return response;
+      } catch (error) {
+        if (this.isUpstreamFailure(error)) {
+          breaker.recordFailure(error);
+        } else if (error.response) {
+          // Upstream answered (e.g. 4xx), so it is healthy
+          breaker.recordSuccess();
+        } else {
+          breaker.release();
+        }
+        throw error;
+      }
+    };
+
+    return client;
+  }
+
+  /**
+   * Check whether an axios error indicates the upstream is unhealthy
+   * @param {Error} error - Axios error
+   * @returns {boolean} True for 5xx, 429 and network/timeout failures
+   */
+  isUpstreamFailure(error) {
+    if (error.response) {
+      return error.response.status >= 500 || error.response.status === 429;
+    }
+
+    return Boolean(error.request);
+  }
+
+  /**
+   * Get the state of every registered breaker
+   * @returns {object} Breaker states keyed by upstream name
+   */
+  getStates() {
+    const states = {};
+    this.breakers.forEach((breaker, name) => {
+      states[name] = breaker.getState();
+    });
+    return states;
+  }
+}
+
+module.exports = new CircuitBreakerService();
@@ -0,0 +1,168 @@
+/**
+ * Fields whose answers are never merged by vote (free text and per-answer metadata)
+ */
+const NON_VOTING_FIELDS = ['reasoning', 'provider', 'model', 'schemaValidation'];
+
+/**
+ * Ensemble Service
+ * Merges several vision answers for the same image into one analysis
+ * - Boolean fields: weighted vote, each answer weighing provider weight x its confidence; ties vote false
+ * - Numeric fields: weighted median, each answer weighing as in boolean votes, so one
+ *   outlier cannot drag the result and the merged value is one an answer actually gave
+ * - Categorical fields: majority, ties broken by total weight
+ * - List fields: items reported by at least half of the answers
+ * - confidence: mean confidence of the answers agreeing with the verdict, scaled by agreement
+ */
+class EnsembleService {
+  /**
+   * Merge successful answers into a single analysis
+   * @param {array} answers - [{ provider, model, weight, analysis }] with parsed analyses
+   * @param {string[]} decisiveFields - Boolean fields that decide the lead (e.g. ['has_pool']);
+   *   agreement is measured on these
+   * @returns {object} { analysis, agreement } with agreement in 0-1
+   */
+  merge(answers, decisiveFields) {
+    if (answers.length === 0) {
+      throw new Error('Cannot merge an empty ensemble');
+    }
+
+    const fields = [...new Set(answers.flatMap(answer => Object.keys(answer.analysis)))]
+      .filter(field => field !== 'confidence' && !NON_VOTING_FIELDS.includes(field));
+    const merged = {};
+    const agreements = [];
+
+    fields.forEach(field => {
+      const values = answers
+        .filter(answer => answer.analysis[field] !== undefined && answer.analysis[field] !== null)
+        .map(answer => ({ value: answer.analysis[field], weight: this.voteWeight(answer) }));
+
+      if (values.length === 0) {
+        merged[field] = null;
+      } else if (values.every(({ value }) => typeof value === 'boolean')) {
+        const { value, share } = this.weightedVote(values);
+        merged[field] = value;
+        if (decisiveFields.includes(field)) {
+          agreements.push(share);
+        }
+      } else if (values.every(({ value }) => typeof value === 'number' && Number.isFinite(value))) {
+        merged[field] = this.weightedMedian(values);
+      } else if (values.every(({ value }) => Array.isArray(value))) {
+        merged[field] = this.majorityItems(values.map(({ value }) => value), answers.length);
+      } else {
+        merged[field] = this.majority(values);
+      }
+    });
+
+    const agreement = agreements.length > 0
+      ? agreements.reduce((sum, share) => sum + share, 0) / agreements.length
+      : 1;
+
+    const agreeing = answers.filter(answer =>
+      decisiveFields.every(field => answer.analysis[field] === undefined || answer.analysis[field] === merged[field])
+    );
+    const supporters = agreeing.length > 0 ? agreeing : answers;
+    const meanConfidence = supporters.reduce((sum, answer) => sum + (answer.analysis.confidence || 0), 0) / supporters.length;
+
+    // Reasoning from the most confident answer that agrees with the verdict
+    const [spokesperson] = [...supporters].sort((a, b) => (b.analysis.confidence || 0) - (a.analysis.confidence || 0));
+
+    merged.confidence = Math.round(meanConfidence * agreement);
+    merged.reasoning = spokesperson.analysis.reasoning || null;
+
+    return {
+      analysis: merged,
+      agreement: Math.round(agreement * 100) / 100
+    };
+  }
+
+  /**
+   * Weight of one answer in boolean votes
+   * @param {object} answer - { weight, analysis }
+   * @returns {number} Provider weight scaled by the answer's confidence (0-1)
+   */
+  voteWeight(answer) {
+    const confidence = typeof answer.analysis.confidence === 'number' ? answer.analysis.confidence : 50;
+    return (answer.weight || 1) * Math.max(confidence, 1) / 100;
+  }
+
+  /**
+   * Weighted yes/no vote
+   * @param {array} values - [{ value: boolean, weight }]
+   * @returns {object} { value, share } where share is the winning side's fraction of total weight
+   */
+  weightedVote(values) {
+    const yes = values.filter(({ value }) => value).reduce((sum, { weight }) => sum + weight, 0);
+    const no = values.filter(({ value }) => !value).reduce((sum, { weight }) => sum + weight, 0);
+    const total = yes + no;
+    const value = yes > no;
+
+    return {
+      value,
+      share: total > 0 ? (value ? yes : no) / total : 0
+    };
+  }
+
+  /**
+   * Weighted median of numeric answers
+   * @param {array} values - [{ value: number, weight }]
+   * @returns {number} Smallest value at which the cumulative weight reaches half the total
+   */
+  weightedMedian(values) {
+    const sorted = [...values].sort((a, b) => a.value - b.value);
+    const half = sorted.reduce((sum, { weight }) => sum + weight, 0) / 2;
+    let cumulative = 0;
+
+    for (const { value, weight } of sorted) {
+      cumulative += weight;
+      if (cumulative >= half) {
+        return value;
+      }
+    }
+
+    return sorted[sorted.length - 1].value;
+  }
+
+  /**
+   * Most common value, ties broken by total weight then first answer
+   * @param {array} values - [{ value, weight }]
+   * @returns {*} Winning value
+   */
+  majority(values) {
+    const tallies = new Map();
+
+    values.forEach(({ value, weight }) => {
+      const key = typeof value === 'string' ? value.trim().toLowerCase() : JSON.stringify(value);
+      const tally = tallies.get(key) || { value, count: 0, weight: 0 };
+      tally.count++;
+      tally.weight += weight;
+      tallies.set(key, tally);
+    });
+
+    return [...tallies.values()]
+      .reduce((best, tally) => (
+        tally.count > best.count || (tally.count === best.count && tally.weight > best.weight) ? tally : best
+      )).value;
+  }
+
+  /**
+   * Items listed by at least half of the answers
+   * @param {array[]} lists - One list per answer that reported the field
+   * @param {number} answerCount - Total answers in the ensemble
+   * @returns {array} Items in first-seen order
+   */
+  majorityItems(lists, answerCount) {
+    const counts = new Map();
+
+    lists.forEach(list => {
+      new Set(list.map(item => String(item).trim().toLowerCase())).forEach(item => {
+        counts.set(item, (counts.get(item) || 0) + 1);
+      });
+    });
+
+    return [...counts.entries()]
+      .filter(([, count]) => count * 2 >= answerCount)
+      .map(([item]) => item);
+  }
+}
+
+module.exports = new EnsembleService();
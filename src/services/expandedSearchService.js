@@ -1,8 +1,10 @@
 const zillowService = require('./zillowService');
 const transformService = require('./transformService');
-const visualInspector = require('./visualInspector');
 const leadQualityService = require('./leadQualityService');
 const cacheService = require('./cacheService');
+const workQueueService = require('./workQueueService');
+const leadTypeRegistry = require('./leadTypes');
+const { isValidLead } = require('./batchLeadService');
 
 /**
  * Expanded Search Service
@@ -12,7 +14,7 @@ class ExpandedSearchService {
   /**
    * Search with expansion strategy - tries multiple searches if needed
    * @param {string} location - Initial location
-   * @param {string} leadType - Type of lead ('PoolLeadGen' or 'BackyardBoost')
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @param {object} filters - Initial search filters
    * @param {number} minQualityLeads - Minimum number of high-quality leads needed
    * @returns {Promise<object>} Expanded search results
@@ -97,7 +99,7 @@ class ExpandedSearchService {
       const cacheKey = cacheService.generateKey('expanded-search', { location, leadType, ...filters });
       
       // Check cache first
-      const cachedResult = cacheService.get(cacheKey);
+      const cachedResult = await cacheService.get(cacheKey);
       if (cachedResult) {
         console.log(`[ExpandedSearchService] Returning cached search for ${location}`);
         return cachedResult;
@@ -114,7 +116,7 @@ class ExpandedSearchService {
       const properties = transformedResults.data.properties || [];
 
       // Cache results
-      cacheService.set(cacheKey, properties, 3600);
+      await cacheService.set(cacheKey, properties, null, { tags: { location, leadType } });
 
       return properties;
     } catch (error) {
@@ -130,6 +132,14 @@ class ExpandedSearchService {
    * @returns {array} Filtered high-quality properties
    */
   filterQualityLeads(properties, leadType) {
+    const definition = leadTypeRegistry.get(leadType);
+    if (!definition) {
+      return [];
+    }
+
+    // Each lead type sets the minimum confidence for high and medium quality leads
+    const thresholds = definition.qualityThresholds;
+
     return properties.filter(property => {
       // Check if property has quality report
       if (!property.qualityReport) {
@@ -139,19 +149,8 @@ class ExpandedSearchService {
       const qualityScore = property.qualityReport.qualityScore;
       const confidence = property.qualityReport.confidence || 0;
 
-      // For BackyardBoost: accept high and medium quality with decent confidence
-      if (leadType === 'BackyardBoost') {
-        return (qualityScore === 'high' && confidence >= 70) ||
-               (qualityScore === 'medium' && confidence >= 60);
-      }
-
-      // For PoolLeadGen: stricter criteria
-      if (leadType === 'PoolLeadGen') {
-        return (qualityScore === 'high' && confidence >= 75) ||
-               (qualityScore === 'medium' && confidence >= 70);
-      }
-
-      return false;
+      return (qualityScore === 'high' && confidence >= thresholds.high) ||
+             (qualityScore === 'medium' && confidence >= thresholds.medium);
     });
   }
 
@@ -232,15 +231,21 @@ class ExpandedSearchService {
 
   /**
    * Analyze properties with quality assessment
+   * Runs through the vision provider's shared work queue
    * @param {array} properties - Array of properties to analyze
    * @param {string} leadType - Type of lead
    * @param {function} analyzeFunction - Function to analyze each property
+   * @param {object} options - Analysis options
+   * @param {number} options.requestedLeads - Stop starting new analyses once this many valid leads are found
+   * @param {AbortSignal} options.signal - Skips analyses not yet started when aborted
    * @returns {Promise<array>} Array of analyzed properties with quality reports
    */
-  async analyzePropertiesWithQuality(properties, leadType, analyzeFunction) {
+  async analyzePropertiesWithQuality(properties, leadType, analyzeFunction, options = {}) {
     console.log(`[ExpandedSearchService] Analyzing ${properties.length} properties for quality`);
 
-    const analysisPromises = properties.map(property =>
+    let validCount = 0;
+
+    const analysisResults = await workQueueService.map(properties, property =>
       analyzeFunction({
         zpid: property.id || property.zpid,
         latitude: property.latitude,
@@ -250,11 +255,17 @@ class ExpandedSearchService {
       }).catch(error => {
         console.warn(`[ExpandedSearchService] Analysis failed for property ${property.id}:`, error.message);
         return null;
-      })
-    );
+      }), {
+      signal: options.signal,
+      stopWhen: (result, property) => {
+        if (result && isValidLead(property, leadType, result.visualValidation)) {
+          validCount++;
+        }
+        return Boolean(options.requestedLeads) && validCount >= options.requestedLeads;
+      }
+    });
 
-    const analysisResults = await Promise.all(analysisPromises);
-    const successfulResults = analysisResults.filter(r => r !== null);
+    const successfulResults = analysisResults.map(r => r.value).filter(r => r);
 
     console.log(`[ExpandedSearchService] Analysis completed: ${successfulResults.length}/${properties.length} successful`);
 
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const { detectMimeType } = require('./visionProviders/image');
+
+const HASH_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * Image Store Service
+ * Content-addressed store for satellite images: files are named by the SHA-256 of their bytes
+ * (<dir>/<first two hex chars>/<hash>) so identical images are stored once.
+ * Images are served by GET /api/images/:hash with an expiring HMAC signature, which keeps
+ * upstream URLs (and the Google Maps key in them) on the server.
+ */
+class ImageStoreService {
+  constructor() {
+    this.dir = config.images.dir;
+    this.urlTtl = config.images.urlTtl;
+    this.publicBaseUrl = config.images.publicBaseUrl;
+    this.signingSecret = config.images.signingSecret;
+
+    if (!this.signingSecret) {
+      console.warn('[ImageStoreService] IMAGE_SIGNING_SECRET is not set; image URLs are signed with a random per-process secret');
+      this.signingSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+
+  /**
+   * Hash image bytes
+   * @param {Buffer} imageBuffer - Image data
+   * @returns {string} Hex SHA-256
+   */
+  hash(imageBuffer) {
+    return crypto.createHash('sha256').update(imageBuffer).digest('hex');
+  }
+
+  /**
+   * Path of a stored image
+   * @param {string} hash - Image hash
+   * @returns {string} File path
+   */
+  getFilePath(hash) {
+    return path.join(this.dir, hash.slice(0, 2), hash);
+  }
+
+  /**
+   * Store an image unless identical bytes are already stored
+   * @param {Buffer} imageBuffer - Image data
+   * @returns {Promise<object>} { hash, mimeType, bytes }
+   */
+  async save(imageBuffer) {
+    const hash = this.hash(imageBuffer);
+    const filePath = this.getFilePath(hash);
+
+    if (!fs.existsSync(filePath)) {
+      // Write to a temporary file and rename so readers never see a partial image
+      const tempFile = `${filePath}.${process.pid}.tmp`;
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(tempFile, imageBuffer);
+      await fs.promises.rename(tempFile, filePath);
+      console.log(`[ImageStoreService] Stored image ${hash} (${imageBuffer.length} bytes)`);
+    }
+
+    return { hash, mimeType: detectMimeType(imageBuffer), bytes: imageBuffer.length };
+  }
+
+  /**
+   * Read a stored image
+   * @param {string} hash - Image hash
+   * @returns {Promise<object|null>} { hash, mimeType, imageBuffer }, or null if not stored or the hash is malformed
+   */
+  async get(hash) {
+    if (!HASH_PATTERN.test(String(hash))) {
+      return null;
+    }
+
+    try {
+      const imageBuffer = await fs.promises.readFile(this.getFilePath(hash));
+      return { hash, mimeType: detectMimeType(imageBuffer), imageBuffer };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`[ImageStoreService] Error reading image ${hash}:`, error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Signature for an image URL
+   * @param {string} hash - Image hash
+   * @param {number} expires - Expiry as Unix seconds
+   * @returns {string} Base64url HMAC-SHA256 of hash and expiry
+   */
+  sign(hash, expires) {
+    return crypto.createHmac('sha256', this.signingSecret).update(`${hash}.${expires}`).digest('base64url');
+  }
+
+  /**
+   * Build a signed URL for a stored image
+   * @param {string} hash - Image hash
+   * @param {number} ttl - Seconds the URL stays valid (default IMAGE_URL_TTL)
+   * @returns {string} <PUBLIC_BASE_URL>/api/images/<hash>?expires=...&signature=...
+   */
+  getSignedUrl(hash, ttl = this.urlTtl) {
+    const expires = Math.floor(Date.now() / 1000) + ttl;
+    const query = new URLSearchParams({ expires: String(expires), signature: this.sign(hash, expires) });
+    return `${this.publicBaseUrl}/api/images/${hash}?${query.toString()}`;
+  }
+
+  /**
+   * Signed URL for a result's image, signed now so it is valid for a full TTL from this response
+   * Results and caches store only the hash; call this when building a response or export
+   * @param {string|null} hash - Image hash (satelliteImageHash)
+   * @returns {string|null} Signed URL, or null without a hash
+   */
+  getImageUrl(hash) {
+    return hash ? this.getSignedUrl(hash) : null;
+  }
+
+  /**
+   * Check a signed URL's parameters
+   * @param {string} hash - Image hash
+   * @param {string} expires - expires query parameter
+   * @param {string} signature - signature query parameter
+   * @returns {string|null} Reason the signature is rejected, or null if it is valid
+   */
+  verify(hash, expires, signature) {
+    if (!expires || !signature || !/^\d+$/.test(String(expires))) {
+      return 'expires and signature query parameters are required';
+    }
+
+    // Compare in constant time to avoid leaking the signature through timing
+    const expected = Buffer.from(this.sign(hash, Number(expires)));
+    const provided = Buffer.from(String(signature));
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      return 'Invalid image signature';
+    }
+
+    if (Number(expires) < Math.floor(Date.now() / 1000)) {
+      return 'Image URL has expired';
+    }
+
+    return null;
+  }
+}
+
+module.exports = new ImageStoreService();
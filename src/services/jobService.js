@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Job statuses that still hold resources
+ */
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Job Service
+ * Runs long operations (e.g. batch leads) in the background and tracks their progress
+ * - Jobs are kept in memory and expire resultTtlMs after they finish
+ * - Each job gets an AbortSignal so the runner can stop when the job is cancelled
+ */
+class JobService {
+  constructor() {
+    this.jobs = new Map();
+    this.resultTtlMs = config.jobs.resultTtlMs;
+    this.maxRunning = config.jobs.maxRunning;
+  }
+
+  /**
+   * Create a job and start it on the next tick
+   * @param {string} type - Job type (e.g., 'batch-leads')
+   * @param {object} params - Job parameters, reported back in the status
+   * @param {function} runner - async ({ signal, reportProgress }) => result
+   * @returns {object} Job status
+   * @throws {Error} TOO_MANY_JOBS error if maxRunning jobs are already active
+   */
+  createJob(type, params, runner) {
+    if (this.countActive() >= this.maxRunning) {
+      const error = new Error(`Too many jobs in progress (limit ${this.maxRunning}), try again later`);
+      error.code = 'TOO_MANY_JOBS';
+      error.statusCode = 429;
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      params,
+      status: 'queued',
+      phase: null,
+      progress: {
+        found: 0,
+        validated: 0,
+        valid: 0,
+        invalid: 0
+      },
+      result: null,
+      error: null,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      controller: new AbortController()
+    };
+
+    this.jobs.set(job.id, job);
+    setImmediate(() => this.run(job, runner));
+
+    console.log(`[JobService] Created ${type} job ${job.id}`);
+    return this.toStatus(job);
+  }
+
+  /**
+   * Execute a job's runner and record the outcome
+   * @param {object} job - Job record
+   * @param {function} runner - Job runner
+   */
+  async run(job, runner) {
+    if (job.status !== 'queued') {
+      return;
+    }
+
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+
+    try {
+      const result = await runner({
+        signal: job.controller.signal,
+        reportProgress: progress => this.updateProgress(job, progress)
+      });
+
+      if (job.status === 'cancelled') {
+        return;
+      }
+
+      job.result = result;
+      job.status = 'completed';
+      console.log(`[JobService] Job ${job.id} completed`);
+    } catch (error) {
+      if (job.status === 'cancelled') {
+        return;
+      }
+
+      job.status = 'failed';
+      job.error = {
+        code: error.code || 'INTERNAL_SERVER_ERROR',
+        message: error.message,
+        statusCode: error.statusCode || 500
+      };
+      console.error(`[JobService] Job ${job.id} failed:`, error.message);
+    } finally {
+      this.finish(job);
+    }
+  }
+
+  /**
+   * Merge a progress report into the job
+   * @param {object} job - Job record
+   * @param {object} progress - { phase, ...counts }
+   */
+  updateProgress(job, progress = {}) {
+    const { phase, ...counts } = progress;
+
+    if (phase) {
+      job.phase = phase;
+    }
+
+    Object.assign(job.progress, counts);
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} id - Job ID
+   * @returns {object} Job record
+   * @throws {Error} NOT_FOUND error if the job does not exist or has expired
+   */
+  getJob(id) {
+    const job = this.jobs.get(id);
+
+    if (!job) {
+      const error = new Error(`Job ${id} not found`);
+      error.code = 'NOT_FOUND';
+      error.statusCode = 404;
+      throw error;
+    }
+
+    return job;
+  }
+
+  /**
+   * Get the status of a job
+   * @param {string} id - Job ID
+   * @returns {object} Job status
+   */
+  getStatus(id) {
+    return this.toStatus(this.getJob(id));
+  }
+
+  /**
+   * Get the result of a completed job
+   * @param {string} id - Job ID
+   * @returns {*} Runner result
+   * @throws {Error} The job's error if it failed, JOB_NOT_COMPLETE while it is still active or was cancelled
+   */
+  getResult(id) {
+    const job = this.getJob(id);
+
+    if (job.status === 'completed') {
+      return job.result;
+    }
+
+    if (job.status === 'failed') {
+      const error = new Error(job.error.message);
+      error.code = job.error.code;
+      error.statusCode = job.error.statusCode;
+      throw error;
+    }
+
+    const error = new Error(
+      job.status === 'cancelled' ? `Job ${id} was cancelled` : `Job ${id} is still ${job.status}`
+    );
+    error.code = 'JOB_NOT_COMPLETE';
+    error.statusCode = 409;
+    throw error;
+  }
+
+  /**
+   * Cancel an active job, or discard a finished one
+   * @param {string} id - Job ID
+   * @returns {object} Final job status
+   */
+  cancelJob(id) {
+    const job = this.getJob(id);
+
+    if (ACTIVE_STATUSES.includes(job.status)) {
+      job.status = 'cancelled';
+      job.controller.abort();
+      this.finish(job);
+      console.log(`[JobService] Job ${job.id} cancelled`);
+    } else {
+      this.jobs.delete(job.id);
+      console.log(`[JobService] Job ${job.id} discarded`);
+    }
+
+    return this.toStatus(job);
+  }
+
+  /**
+   * Mark a job finished and schedule its removal
+   * @param {object} job - Job record
+   */
+  finish(job) {
+    if (job.finishedAt) {
+      return;
+    }
+
+    job.finishedAt = new Date().toISOString();
+
+    const timer = setTimeout(() => this.jobs.delete(job.id), this.resultTtlMs);
+    timer.unref();
+  }
+
+  /**
+   * Count jobs that are queued or running
+   * @returns {number} Active job count
+   */
+  countActive() {
+    let active = 0;
+    this.jobs.forEach(job => {
+      if (ACTIVE_STATUSES.includes(job.status)) {
+        active++;
+      }
+    });
+    return active;
+  }
+
+  /**
+   * Build the public view of a job
+   * @param {object} job - Job record
+   * @returns {object} Job status without the result payload
+   */
+  toStatus(job) {
+    return {
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      phase: job.phase,
+      progress: { ...job.progress },
+      params: job.params,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      expiresAt: job.finishedAt
+        ? new Date(new Date(job.finishedAt).getTime() + this.resultTtlMs).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = new JobService();
@@ -1,13 +1,17 @@
+const leadTypeRegistry = require('./leadTypes');
+const imageStoreService = require('./imageStoreService');
+
 /**
  * Lead Quality Service
  * Assesses lead quality by comparing visual validation with Zillow data
+ * Lead-type specific comparisons and quality factors come from the lead type registry
  */
 class LeadQualityService {
   /**
    * Compare Zillow data with visual analysis results to detect discrepancies
    * @param {object} zillowData - Zillow property data
    * @param {object} visualAnalysis - Visual analysis results from LLM
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @returns {object} Discrepancy report with confidence levels
    */
   compareZillowWithVisual(zillowData, visualAnalysis, leadType) {
@@ -23,130 +27,8 @@ class LeadQualityService {
       return discrepancy;
     }
 
-    if (leadType === 'PoolLeadGen') {
-      return this.comparePoolData(zillowData, visualAnalysis, discrepancy);
-    } else if (leadType === 'BackyardBoost') {
-      return this.compareBackyardData(zillowData, visualAnalysis, discrepancy);
-    }
-
-    return discrepancy;
-  }
-
-  /**
-   * Compare pool-related data between Zillow and visual analysis
-   * @param {object} zillowData - Zillow property data
-   * @param {object} visualAnalysis - Visual analysis results
-   * @param {object} discrepancy - Discrepancy object to populate
-   * @returns {object} Updated discrepancy report
-   */
-  comparePoolData(zillowData, visualAnalysis, discrepancy) {
-    const zillowHasPool = zillowData.has_pool || false;
-    const visualHasPool = visualAnalysis.has_pool || false;
-    const visualConfidence = visualAnalysis.confidence || 0;
-
-    // Check for pool mismatch
-    if (zillowHasPool !== visualHasPool) {
-      discrepancy.detected = true;
-      discrepancy.type = 'pool_mismatch';
-      discrepancy.details.push({
-        field: 'has_pool',
-        zillowValue: zillowHasPool,
-        visualValue: visualHasPool,
-        visualConfidence
-      });
-
-      // Determine severity based on confidence
-      if (visualConfidence >= 80) {
-        discrepancy.severity = 'major';
-      } else if (visualConfidence >= 60) {
-        discrepancy.severity = 'minor';
-      }
-    }
-
-    // Check pool type consistency if both have pools
-    if (zillowHasPool && visualHasPool) {
-      const zillowPoolType = zillowData.pool_type || null;
-      const visualPoolType = visualAnalysis.pool_type || null;
-
-      if (zillowPoolType && visualPoolType && zillowPoolType !== visualPoolType) {
-        discrepancy.detected = true;
-        if (!discrepancy.type) {
-          discrepancy.type = 'pool_type_mismatch';
-        }
-        discrepancy.details.push({
-          field: 'pool_type',
-          zillowValue: zillowPoolType,
-          visualValue: visualPoolType,
-          visualConfidence
-        });
-      }
-    }
-
-    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
-
-    return discrepancy;
-  }
-
-  /**
-   * Compare backyard-related data between Zillow and visual analysis
-   * @param {object} zillowData - Zillow property data
-   * @param {object} visualAnalysis - Visual analysis results
-   * @param {object} discrepancy - Discrepancy object to populate
-   * @returns {object} Updated discrepancy report
-   */
-  compareBackyardData(zillowData, visualAnalysis, discrepancy) {
-    const visualConfidence = visualAnalysis.confidence || 0;
-    const visualFreeArea = visualAnalysis.estimated_free_area || 'low';
-    const isUnderdeveloped = visualAnalysis.is_underdeveloped || false;
-    const developmentPotential = visualAnalysis.development_potential || 'low';
-
-    // Underdeveloped backyards are GOOD for BackyardBoost - they have potential
-    // Only flag if the backyard is too developed (no potential)
-    if (isUnderdeveloped && developmentPotential === 'high') {
-      // This is a GOOD lead - underdeveloped with high potential
-      // No discrepancy to report
-      return discrepancy;
-    }
-
-    // Check for backyard size mismatch only if confidence is very high
-    const zillowLotSize = zillowData.lot_size || null;
-    const zillowHasBackyard = zillowData.has_backyard !== false;
-
-    // Only flag as major discrepancy if visual shows NO space AND high confidence
-    if (zillowHasBackyard && visualFreeArea === 'low' && visualConfidence >= 90) {
-      discrepancy.detected = true;
-      discrepancy.type = 'backyard_size_mismatch';
-      discrepancy.details.push({
-        field: 'estimated_free_area',
-        zillowValue: zillowLotSize ? 'large' : 'unknown',
-        visualValue: visualFreeArea,
-        visualConfidence
-      });
-      discrepancy.severity = 'major';
-    }
-
-    // Surface type mismatches are not critical for BackyardBoost
-    // Different surfaces can still be developed
-    if (zillowData.surface_type && visualAnalysis.surface_type) {
-      if (zillowData.surface_type !== visualAnalysis.surface_type) {
-        // Only minor discrepancy - surfaces can change
-        discrepancy.detected = true;
-        if (!discrepancy.type) {
-          discrepancy.type = 'surface_type_mismatch';
-        }
-        discrepancy.details.push({
-          field: 'surface_type',
-          zillowValue: zillowData.surface_type,
-          visualValue: visualAnalysis.surface_type,
-          visualConfidence
-        });
-        discrepancy.severity = 'minor';
-      }
-    }
-
-    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
-
-    return discrepancy;
+    const definition = leadTypeRegistry.get(leadType);
+    return definition ? definition.compare(zillowData, visualAnalysis, discrepancy) : discrepancy;
   }
 
   /**
@@ -162,6 +44,7 @@ class LeadQualityService {
       flagType: discrepancyType,
       flaggedAt: new Date().toISOString(),
       evidence: {
+        satelliteImageHash: evidence.satelliteImageHash || null,
         satelliteImageUrl: evidence.satelliteImageUrl || null,
         zillowData: evidence.zillowData || {},
         visualAnalysis: evidence.visualAnalysis || {},
@@ -203,6 +86,7 @@ class LeadQualityService {
       };
     }
 
+    const definition = leadTypeRegistry.get(leadType);
     const visualConfidence = visualAnalysis.confidence || 0;
 
     // Base scoring on visual confidence
@@ -237,11 +121,11 @@ class LeadQualityService {
         reasoning.push(`Major discrepancy detected: ${discrepancy.type}`);
         reasoning.push('Lead requires manual review before use');
       } else if (discrepancy.severity === 'minor') {
-        // For BackyardBoost, minor discrepancies don't reduce quality much
-        if (leadType === 'BackyardBoost') {
+        // Lead types that tolerate minor discrepancies (e.g. BackyardBoost) stay viable
+        if (definition && definition.toleratesMinorDiscrepancies) {
           qualityScore = 'medium';
           reasoning.push(`Minor discrepancy detected: ${discrepancy.type}`);
-          reasoning.push('Lead still viable for BackyardBoost opportunities');
+          reasoning.push(`Lead still viable for ${leadType} opportunities`);
         } else {
           qualityScore = 'medium';
           reasoning.push(`Minor discrepancy detected: ${discrepancy.type}`);
@@ -260,26 +144,10 @@ class LeadQualityService {
     };
 
     // Lead-type specific quality factors
-    if (leadType === 'PoolLeadGen') {
-      details.poolConfidence = visualAnalysis.confidence || 0;
-      if (visualAnalysis.has_pool && visualConfidence >= 85) {
-        reasoning.push('Pool presence confirmed with high confidence');
-      }
-    } else if (leadType === 'BackyardBoost') {
-      details.backyardConfidence = visualAnalysis.confidence || 0;
-      const isUnderdeveloped = visualAnalysis.is_underdeveloped || false;
-      const developmentPotential = visualAnalysis.development_potential || 'low';
-      
-      if (isUnderdeveloped && developmentPotential === 'high') {
-        reasoning.push('Underdeveloped backyard with high development potential');
-        if (qualityScore === 'medium') {
-          qualityScore = 'high';
-        }
-      }
-      
-      if (visualAnalysis.is_empty_backyard && visualConfidence >= 75) {
-        reasoning.push('Empty backyard confirmed - good opportunity for development');
-      }
+    if (definition) {
+      const quality = { qualityScore, reasoning, details };
+      definition.assessQuality(zillowData, visualAnalysis, quality);
+      qualityScore = quality.qualityScore;
     }
 
     console.log(`[LeadQualityService] Lead quality calculated: ${qualityScore}`, {
@@ -302,11 +170,11 @@ class LeadQualityService {
    * @param {object} zillowData - Zillow property data
    * @param {object} visualValidation - Visual validation result
    * @param {string} leadType - Type of lead
-   * @returns {object} Complete quality assessment report
+   * @returns {object} Complete quality assessment report, with its image URL signed now (see signEvidence)
    */
   generateQualityReport(leadId, zillowData, visualValidation, leadType) {
     const visualAnalysis = visualValidation.analysis || {};
-    const satelliteImageUrl = visualValidation.satelliteImageUrl || null;
+    const satelliteImageHash = visualValidation.satelliteImageHash || null;
 
     // Compare data
     const discrepancy = this.compareZillowWithVisual(zillowData, visualAnalysis, leadType);
@@ -334,7 +202,7 @@ class LeadQualityService {
         details: discrepancy.details
       },
       evidence: {
-        satelliteImageUrl,
+        satelliteImageHash,
         visualAnalysis,
         zillowData
       },
@@ -344,7 +212,7 @@ class LeadQualityService {
     // Flag if needed
     if (discrepancy.detected && discrepancy.severity === 'major') {
       report.flag = this.flagLeadDiscrepancy(leadId, discrepancy.type, {
-        satelliteImageUrl,
+        satelliteImageHash,
         zillowData,
         visualAnalysis,
         discrepancyDetails: discrepancy.details,
@@ -354,7 +222,28 @@ class LeadQualityService {
       });
     }
 
-    return report;
+    return this.signEvidence(report);
+  }
+
+  /**
+   * Sign a quality report's image URLs from its image hash
+   * Reports stored with batch leads are re-signed when served so their URLs never expire in the cache
+   * @param {object} report - Report from generateQualityReport
+   * @returns {object} Copy of the report with evidence.satelliteImageUrl (and the flag's) freshly signed
+   */
+  signEvidence(report) {
+    if (!report || !report.evidence) {
+      return report;
+    }
+
+    const satelliteImageUrl = imageStoreService.getImageUrl(report.evidence.satelliteImageHash);
+    const signed = { ...report, evidence: { ...report.evidence, satelliteImageUrl } };
+
+    if (report.flag) {
+      signed.flag = { ...report.flag, evidence: { ...report.flag.evidence, satelliteImageUrl } };
+    }
+
+    return signed;
   }
 
   /**
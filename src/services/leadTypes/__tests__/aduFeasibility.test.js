@@ -0,0 +1,52 @@
+/**
+ * ADUFeasibility Lead Type Tests
+ * Tests for the rules stage combining the rear-yard analysis with listing lot data
+ */
+
+const aduFeasibility = require('../aduFeasibility');
+
+describe('ADUFeasibility - applyRules', () => {
+  const yard = {
+    rear_yard_free_area: 'high',
+    rear_yard_free_area_sqft: 2000,
+    setback_clearance: 'ample',
+    has_alley_access: true,
+    has_side_access: false,
+    confidence: 80
+  };
+  const house = { homeType: 'SINGLE_FAMILY', lotAreaValue: 8000, lotAreaUnit: 'sqft', livingArea: 1800, stories: 1 };
+
+  it('should derive the buildable footprint from the yard and lot coverage', () => {
+    expect(aduFeasibility.applyRules(yard, house).feasibility).toMatchObject({
+      tier: 'high',
+      buildable_footprint_sqft: 1200,
+      lot_size_sqft: 8000,
+      reasons: []
+    });
+
+    // 4,500 sqft lot at 50% coverage leaves 250 sqft beside a 2,000 sqft house
+    const small = { ...house, lotAreaValue: 4500, livingArea: 2000 };
+    expect(aduFeasibility.applyRules({ ...yard, rear_yard_free_area_sqft: null, rear_yard_free_area: 'medium' }, small).feasibility)
+      .toMatchObject({ tier: 'not_feasible', buildable_footprint_sqft: 250 });
+  });
+
+  it('should convert acres and cap image-only tiers at medium', () => {
+    const acres = aduFeasibility.applyRules({ ...yard, rear_yard_free_area_sqft: null }, { ...house, lotAreaValue: 0.25, lotAreaUnit: 'Acres' });
+    expect(acres.feasibility).toMatchObject({ lot_size_sqft: 10890, rear_yard_sqft: 3267, buildable_footprint_sqft: 1200 });
+
+    const unknown = aduFeasibility.applyRules({ ...yard, rear_yard_free_area_sqft: null }, { homeType: 'SINGLE_FAMILY' });
+    expect(unknown.feasibility).toMatchObject({ tier: 'medium', buildable_footprint_sqft: null });
+  });
+
+  it('should rule out condos and lots without setback clearance', () => {
+    expect(aduFeasibility.applyRules(yard, { ...house, homeType: 'CONDO' }).feasibility.tier).toBe('not_feasible');
+    expect(aduFeasibility.applyRules({ ...yard, setback_clearance: 'none' }, house).feasibility.tier).toBe('not_feasible');
+  });
+
+  it('should judge leads by the listing in hand rather than a stored feasibility', () => {
+    const stored = { ...yard, feasibility: aduFeasibility.applyRules(yard, house).feasibility };
+
+    expect(aduFeasibility.isValidLead(stored, house)).toBe(true);
+    expect(aduFeasibility.isValidLead(stored, { ...house, homeType: 'CONDO' })).toBe(false);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * ADUFeasibility
+ * Lots with room for an accessory dwelling unit, for ADU builders
+ * The vision step estimates rear-yard space, setbacks and access; a rules stage (applyRules)
+ * combines them with Zillow lot size, living area and home type into a feasibility tier and
+ * an estimated buildable footprint
+ */
+
+const SQFT_PER_ACRE = 43560;
+
+// Home types where a detached ADU is normally not possible
+const INELIGIBLE_HOME_TYPES = ['CONDO', 'TOWNHOUSE', 'APARTMENT', 'MANUFACTURED', 'LOT'];
+
+// Smallest lot worth pursuing and the most of it the house and ADU together may cover
+const MIN_LOT_SQFT = 4000;
+const MAX_LOT_COVERAGE = 0.5;
+
+// Smallest practical unit and the usual cap on detached ADU size
+const MIN_ADU_SQFT = 300;
+const MAX_ADU_SQFT = 1200;
+
+// Share of the lot that is open rear yard, when the model gives no number
+const REAR_YARD_SHARE = { high: 0.3, medium: 0.15, low: 0.05 };
+
+// Share of the open rear yard left after setbacks and separation from the house
+const SETBACK_FACTOR = { ample: 0.6, adequate: 0.45, tight: 0.25, none: 0 };
+
+/**
+ * Lot size in square feet
+ * @param {object} zillowData - Zillow property data (lotAreaValue/lotAreaUnit or lotSize)
+ * @returns {number|null} Lot size, or null if unknown
+ */
+function getLotSqft(zillowData) {
+  const value = Number(zillowData.lotAreaValue || zillowData.lotSize);
+  if (!(value > 0)) {
+    return null;
+  }
+
+  return String(zillowData.lotAreaUnit || 'sqft').toLowerCase().startsWith('acre') ? Math.round(value * SQFT_PER_ACRE) : value;
+}
+
+/**
+ * Rules stage: feasibility tier and buildable footprint from the image and listing data
+ * Always evaluated against the listing in hand rather than read back from analysis.feasibility,
+ * which may have been derived from other listing data for the same location
+ * @param {object} analysis - Vision analysis
+ * @param {object} zillowData - Zillow property data
+ * @returns {object} { tier: 'high'|'medium'|'low'|'not_feasible', buildable_footprint_sqft, lot_size_sqft,
+ *   living_area_sqft, rear_yard_sqft, reasons }
+ */
+function evaluateFeasibility(analysis, zillowData = {}) {
+  const facts = zillowData.resoFacts || zillowData.facts || {};
+  const homeType = String(zillowData.homeType || zillowData.propertyType || '').toUpperCase();
+  const lotSqft = getLotSqft(zillowData);
+  const livingArea = Number(zillowData.livingArea || zillowData.squareFeet) || null;
+  const stories = Number(zillowData.stories || facts.stories) || 1;
+  const hasAccess = analysis.has_alley_access === true || analysis.has_side_access === true;
+  const reasons = [];
+
+  // Open rear yard: the model's estimate, else its category applied to the lot size
+  let rearYardSqft = Number.isFinite(analysis.rear_yard_free_area_sqft) ? analysis.rear_yard_free_area_sqft : null;
+  if (rearYardSqft === null && lotSqft) {
+    rearYardSqft = Math.round(lotSqft * (REAR_YARD_SHARE[analysis.rear_yard_free_area] || 0));
+  }
+
+  let footprint = null;
+  if (rearYardSqft !== null) {
+    footprint = rearYardSqft * (SETBACK_FACTOR[analysis.setback_clearance] || 0);
+
+    // Lot coverage left after the house's own footprint
+    if (lotSqft && livingArea) {
+      footprint = Math.min(footprint, lotSqft * MAX_LOT_COVERAGE - livingArea / stories);
+    }
+
+    footprint = Math.max(0, Math.round(Math.min(footprint, MAX_ADU_SQFT) / 10) * 10);
+  }
+
+  let tier;
+  if (INELIGIBLE_HOME_TYPES.some(type => homeType.includes(type))) {
+    tier = 'not_feasible';
+    reasons.push(`Home type ${homeType.toLowerCase().replace(/_/g, ' ')} does not allow a detached ADU`);
+  } else if (lotSqft && lotSqft < MIN_LOT_SQFT) {
+    tier = 'not_feasible';
+    reasons.push(`Lot of ${lotSqft.toLocaleString('en-US')} sqft is below ${MIN_LOT_SQFT.toLocaleString('en-US')} sqft`);
+  } else if (analysis.setback_clearance === 'none') {
+    tier = 'not_feasible';
+    reasons.push('No setback clearance in the rear yard');
+  } else if (footprint !== null && footprint < MIN_ADU_SQFT) {
+    tier = 'not_feasible';
+    reasons.push(`Buildable footprint of ${footprint} sqft is below ${MIN_ADU_SQFT} sqft`);
+  } else if (footprint === null) {
+    // Nothing numeric to go on: cap at medium until the lot size is known
+    tier = analysis.rear_yard_free_area === 'high' && hasAccess ? 'medium' : 'low';
+    reasons.push('Lot size unknown - tier from imagery only');
+  } else if (footprint >= 600 && hasAccess) {
+    tier = 'high';
+  } else if (footprint >= 600 || (footprint >= 400 && hasAccess)) {
+    tier = 'medium';
+  } else {
+    tier = 'low';
+  }
+
+  if (tier !== 'not_feasible' && !hasAccess) {
+    reasons.push('No alley or side access - construction access through the house lot only');
+  }
+
+  return {
+    tier,
+    buildable_footprint_sqft: footprint,
+    lot_size_sqft: lotSqft,
+    living_area_sqft: livingArea,
+    rear_yard_sqft: rearYardSqft,
+    reasons
+  };
+}
+
+module.exports = {
+  name: 'ADUFeasibility',
+  slug: 'adu',
+  label: 'ADU leads',
+  description: 'Lots with rear-yard room and access for an accessory dwelling unit',
+
+  schema: {
+    type: 'object',
+    properties: {
+      rear_yard_free_area: { type: 'string', enum: ['high', 'medium', 'low'] },
+      rear_yard_free_area_sqft: { type: ['number', 'null'], minimum: 0 },
+      setback_clearance: { type: 'string', enum: ['ample', 'adequate', 'tight', 'none'] },
+      has_alley_access: { type: 'boolean' },
+      has_side_access: { type: 'boolean' },
+      existing_structures: { type: 'array', items: { type: 'string' } },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      reasoning: { type: 'string' }
+    },
+    required: ['rear_yard_free_area', 'setback_clearance', 'has_alley_access', 'has_side_access', 'confidence'],
+    additionalProperties: false
+  },
+
+  decisiveFields: ['has_alley_access', 'has_side_access'],
+  cacheNamespace: 'adu-analysis',
+  assessmentKey: 'aduAssessment',
+  // Search preset for search-and-analyze and GET /search?project=adu
+  searchFilters: {
+    status_type: 'RecentlySold',
+    home_type: 'Houses',
+    minPrice: 300000,
+    maxPrice: 2000000,
+    minBedrooms: 2,
+    maxBedrooms: 5
+  },
+  qualityThresholds: { high: 70, medium: 60 },
+  // Lot data is only as good as the listing; the rules stage already weighs it
+  toleratesMinorDiscrepancies: true,
+
+  applyRules(analysis, zillowData) {
+    return { feasibility: evaluateFeasibility(analysis, zillowData) };
+  },
+
+  isValidLead(analysis, zillowData) {
+    // For ADU leads: the rules stage must rate the lot high or medium
+    return analysis.confidence >= 60 && ['high', 'medium'].includes(evaluateFeasibility(analysis, zillowData).tier);
+  },
+
+  compare(zillowData, visualAnalysis, discrepancy) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const lotSqft = getLotSqft(zillowData);
+    const rearYardSqft = visualAnalysis.rear_yard_free_area_sqft;
+
+    // Open yard larger than the listed lot: the lot size or the estimate is wrong
+    if (lotSqft && Number.isFinite(rearYardSqft) && rearYardSqft > lotSqft) {
+      discrepancy.detected = true;
+      discrepancy.type = 'lot_size_mismatch';
+      discrepancy.details.push({
+        field: 'lotAreaValue',
+        zillowValue: lotSqft,
+        visualValue: rearYardSqft,
+        visualConfidence
+      });
+      discrepancy.severity = 'minor';
+    }
+
+    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
+
+    return discrepancy;
+  },
+
+  assessQuality(zillowData, visualAnalysis, quality) {
+    const feasibility = evaluateFeasibility(visualAnalysis, zillowData);
+
+    quality.details.aduConfidence = visualAnalysis.confidence || 0;
+    quality.details.feasibilityTier = feasibility.tier;
+    quality.details.buildableFootprintSqft = feasibility.buildable_footprint_sqft;
+    quality.reasoning.push(...feasibility.reasons);
+
+    if (feasibility.tier === 'high') {
+      quality.reasoning.push(`Room for an ADU of about ${feasibility.buildable_footprint_sqft} sqft with construction access`);
+      if (quality.qualityScore === 'medium') {
+        quality.qualityScore = 'high';
+      }
+    } else if (feasibility.tier === 'not_feasible') {
+      quality.qualityScore = 'low';
+    }
+  },
+
+  assess(analysis, zillowData) {
+    const feasibility = evaluateFeasibility(analysis, zillowData);
+
+    return {
+      rearYardFreeArea: analysis.rear_yard_free_area,
+      rearYardSqft: feasibility.rear_yard_sqft,
+      setbackClearance: analysis.setback_clearance,
+      hasAlleyAccess: analysis.has_alley_access,
+      hasSideAccess: analysis.has_side_access,
+      existingStructures: analysis.existing_structures || [],
+      feasibilityTier: feasibility.tier,
+      buildableFootprintSqft: feasibility.buildable_footprint_sqft,
+      lotSizeSqft: feasibility.lot_size_sqft,
+      feasibilityReasons: feasibility.reasons,
+      confidence: analysis.confidence
+    };
+  },
+
+  formatVision(analysis, zillowData) {
+    const feasibility = evaluateFeasibility(analysis, zillowData);
+
+    return {
+      rear_yard_free_area: analysis.rear_yard_free_area,
+      rear_yard_sqft: feasibility.rear_yard_sqft,
+      setback_clearance: analysis.setback_clearance,
+      alley_access: analysis.has_alley_access,
+      side_access: analysis.has_side_access,
+      existing_structures: analysis.existing_structures || [],
+      feasibility_tier: feasibility.tier,
+      buildable_footprint_sqft: feasibility.buildable_footprint_sqft,
+      feasibility_notes: feasibility.reasons
+    };
+  },
+
+  exportColumns: [
+    { header: 'Rear Yard Free Area', value: lead => lead.vision.rear_yard_free_area },
+    { header: 'Rear Yard Sq Ft', value: lead => lead.vision.rear_yard_sqft ?? '' },
+    { header: 'Setback Clearance', value: lead => lead.vision.setback_clearance },
+    { header: 'Alley Access', value: lead => lead.vision.alley_access },
+    { header: 'Side Access', value: lead => lead.vision.side_access },
+    { header: 'Feasibility Tier', value: lead => lead.vision.feasibility_tier },
+    { header: 'Buildable Footprint Sq Ft', value: lead => lead.vision.buildable_footprint_sqft ?? '' },
+    { header: 'Feasibility Notes', value: lead => (lead.vision.feasibility_notes || []).join('; ') }
+  ]
+};
@@ -0,0 +1,152 @@
+/**
+ * BackyardBoost
+ * Properties with an underdeveloped backyard, for landscapers and outdoor living contractors
+ */
+module.exports = {
+  name: 'BackyardBoost',
+  slug: 'backyard',
+  label: 'Backyard leads',
+  description: 'Properties with open or underdeveloped backyard space',
+
+  schema: {
+    type: 'object',
+    properties: {
+      is_empty_backyard: { type: 'boolean' },
+      is_underdeveloped: { type: 'boolean' },
+      surface_type: { type: 'string' },
+      estimated_free_area: { type: 'string', enum: ['high', 'medium', 'low'] },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      structures_detected: { type: 'array', items: { type: 'string' } },
+      development_potential: { type: 'string', enum: ['high', 'medium', 'low'] },
+      reasoning: { type: 'string' }
+    },
+    required: ['is_empty_backyard', 'is_underdeveloped', 'estimated_free_area', 'development_potential', 'confidence'],
+    additionalProperties: false
+  },
+
+  decisiveFields: ['is_empty_backyard', 'is_underdeveloped'],
+  cacheNamespace: 'backyard-analysis',
+  assessmentKey: 'backyardAssessment',
+  // Search preset for search-and-analyze and GET /search?project=backyard
+  searchFilters: {
+    status_type: 'RecentlySold',
+    home_type: 'Houses',
+    keywords: 'backyard',
+    minPrice: 200000,
+    maxPrice: 1500000,
+    minBedrooms: 2,
+    maxBedrooms: 5
+  },
+  qualityThresholds: { high: 70, medium: 60 },
+  // Surfaces and lot details change; the yard can still be developed
+  toleratesMinorDiscrepancies: true,
+
+  isValidLead(analysis) {
+    // For backyard leads: must have a backyard that's not empty and is modifiable
+    return (
+      analysis.is_empty_backyard === false &&
+      analysis.confidence >= 60 &&
+      analysis.surface_type !== 'concrete' // Concrete is not modifiable
+    );
+  },
+
+  compare(zillowData, visualAnalysis, discrepancy) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const visualFreeArea = visualAnalysis.estimated_free_area || 'low';
+    const isUnderdeveloped = visualAnalysis.is_underdeveloped || false;
+    const developmentPotential = visualAnalysis.development_potential || 'low';
+
+    // Underdeveloped backyards are GOOD for BackyardBoost - they have potential
+    // Only flag if the backyard is too developed (no potential)
+    if (isUnderdeveloped && developmentPotential === 'high') {
+      // This is a GOOD lead - underdeveloped with high potential
+      // No discrepancy to report
+      return discrepancy;
+    }
+
+    // Check for backyard size mismatch only if confidence is very high
+    const zillowLotSize = zillowData.lot_size || null;
+    const zillowHasBackyard = zillowData.has_backyard !== false;
+
+    // Only flag as major discrepancy if visual shows NO space AND high confidence
+    if (zillowHasBackyard && visualFreeArea === 'low' && visualConfidence >= 90) {
+      discrepancy.detected = true;
+      discrepancy.type = 'backyard_size_mismatch';
+      discrepancy.details.push({
+        field: 'estimated_free_area',
+        zillowValue: zillowLotSize ? 'large' : 'unknown',
+        visualValue: visualFreeArea,
+        visualConfidence
+      });
+      discrepancy.severity = 'major';
+    }
+
+    // Surface type mismatches are not critical for BackyardBoost
+    // Different surfaces can still be developed
+    if (zillowData.surface_type && visualAnalysis.surface_type) {
+      if (zillowData.surface_type !== visualAnalysis.surface_type) {
+        // Only minor discrepancy - surfaces can change
+        discrepancy.detected = true;
+        if (!discrepancy.type) {
+          discrepancy.type = 'surface_type_mismatch';
+        }
+        discrepancy.details.push({
+          field: 'surface_type',
+          zillowValue: zillowData.surface_type,
+          visualValue: visualAnalysis.surface_type,
+          visualConfidence
+        });
+        discrepancy.severity = 'minor';
+      }
+    }
+
+    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
+
+    return discrepancy;
+  },
+
+  assessQuality(zillowData, visualAnalysis, quality) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const isUnderdeveloped = visualAnalysis.is_underdeveloped || false;
+    const developmentPotential = visualAnalysis.development_potential || 'low';
+
+    quality.details.backyardConfidence = visualConfidence;
+
+    if (isUnderdeveloped && developmentPotential === 'high') {
+      quality.reasoning.push('Underdeveloped backyard with high development potential');
+      if (quality.qualityScore === 'medium') {
+        quality.qualityScore = 'high';
+      }
+    }
+
+    if (visualAnalysis.is_empty_backyard && visualConfidence >= 75) {
+      quality.reasoning.push('Empty backyard confirmed - good opportunity for development');
+    }
+  },
+
+  assess(analysis) {
+    return {
+      isEmpty: analysis.is_empty_backyard,
+      surfaceType: analysis.surface_type,
+      estimatedFreeArea: analysis.estimated_free_area,
+      structuresDetected: analysis.structures_detected || [],
+      confidence: analysis.confidence
+    };
+  },
+
+  formatVision(analysis) {
+    return {
+      empty_backyard: analysis.is_empty_backyard,
+      surface_type: analysis.surface_type,
+      free_area: analysis.estimated_free_area,
+      structures: analysis.structures_detected || []
+    };
+  },
+
+  exportColumns: [
+    { header: 'Empty Backyard', value: lead => lead.vision.empty_backyard },
+    { header: 'Surface Type', value: lead => lead.vision.surface_type },
+    { header: 'Free Area', value: lead => lead.vision.free_area },
+    { header: 'Structures', value: lead => (lead.vision.structures || []).join('; ') }
+  ]
+};
@@ -0,0 +1,207 @@
+/**
+ * DrivewayPaving
+ * Unpaved or cracked driveways, for paving and hardscape contractors
+ */
+
+const UNPAVED_SURFACES = ['gravel', 'dirt'];
+
+/**
+ * Driveway surface families mentioned in Zillow's parkingFeatures ("Gravel", "Paved", ...)
+ */
+const PARKING_SURFACES = {
+  paved: ['paved', 'asphalt', 'concrete', 'paver', 'brick', 'stone'],
+  unpaved: ['gravel', 'dirt', 'unpaved', 'crushed']
+};
+
+/**
+ * Zillow parking details, from a transformed property or raw facts
+ * @param {object} zillowData - Zillow property data
+ * @returns {object} { features: lowercased parkingFeatures, garageCapacity }
+ */
+function getParking(zillowData) {
+  const facts = (zillowData && (zillowData.resoFacts || zillowData.facts)) || {};
+  const features = (zillowData && zillowData.parkingFeatures && zillowData.parkingFeatures.length > 0
+    ? zillowData.parkingFeatures
+    : facts.parkingFeatures) || [];
+
+  return {
+    features: features.map(feature => String(feature).toLowerCase()),
+    garageCapacity: Number((zillowData && zillowData.garageParkingCapacity) || facts.garageParkingCapacity) || 0
+  };
+}
+
+/**
+ * Surface family listed by Zillow
+ * @param {array} features - Lowercased parking features
+ * @returns {string|null} 'paved', 'unpaved' or null if not listed
+ */
+function getListedSurface(features) {
+  const match = Object.entries(PARKING_SURFACES)
+    .find(([, keywords]) => features.some(feature => keywords.some(keyword => feature.includes(keyword))));
+  return match ? match[0] : null;
+}
+
+module.exports = {
+  name: 'DrivewayPaving',
+  slug: 'driveway',
+  label: 'Driveway leads',
+  description: 'Gravel or dirt driveways and cracked pavement',
+
+  schema: {
+    type: 'object',
+    properties: {
+      driveway_surface: { type: 'string', enum: ['asphalt', 'concrete', 'pavers', 'gravel', 'dirt', 'none'] },
+      condition: { type: 'string', enum: ['good', 'fair', 'poor'] },
+      has_cracks: { type: 'boolean' },
+      estimated_area: { type: 'string', enum: ['high', 'medium', 'low'] },
+      estimated_area_sqft: { type: ['number', 'null'], minimum: 0 },
+      has_parking_pad: { type: 'boolean' },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      reasoning: { type: 'string' }
+    },
+    required: ['driveway_surface', 'condition', 'has_cracks', 'estimated_area', 'has_parking_pad', 'confidence'],
+    additionalProperties: false
+  },
+
+  decisiveFields: ['has_cracks', 'has_parking_pad'],
+  cacheNamespace: 'driveway-analysis',
+  assessmentKey: 'drivewayAssessment',
+  // Search preset for search-and-analyze and GET /search?project=driveway
+  searchFilters: {
+    status_type: 'RecentlySold',
+    home_type: 'Houses',
+    minPrice: 150000,
+    maxPrice: 1500000,
+    minBedrooms: 2,
+    maxBedrooms: 6
+  },
+  qualityThresholds: { high: 70, medium: 60 },
+  // Listings rarely describe the driveway surface accurately
+  toleratesMinorDiscrepancies: true,
+
+  isValidLead(analysis) {
+    // For driveway leads: a driveway that is unpaved, cracked or in poor condition
+    return (
+      analysis.confidence >= 60 &&
+      analysis.driveway_surface !== 'none' &&
+      (UNPAVED_SURFACES.includes(analysis.driveway_surface) || analysis.has_cracks === true || analysis.condition === 'poor')
+    );
+  },
+
+  compare(zillowData, visualAnalysis, discrepancy) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const { features, garageCapacity } = getParking(zillowData);
+    const listedSurface = getListedSurface(features);
+    const visualSurface = visualAnalysis.driveway_surface;
+
+    // Zillow lists a driveway the image does not show
+    if (features.some(feature => feature.includes('driveway')) && visualSurface === 'none') {
+      discrepancy.detected = true;
+      discrepancy.type = 'driveway_mismatch';
+      discrepancy.details.push({
+        field: 'parkingFeatures',
+        zillowValue: features,
+        visualValue: visualSurface,
+        visualConfidence
+      });
+      discrepancy.severity = visualConfidence >= 80 ? 'major' : 'minor';
+    }
+
+    // Listed surface disagrees with the image (e.g. "Paved" over gravel): surfaces change, so minor
+    if (listedSurface && visualSurface && visualSurface !== 'none') {
+      const visualFamily = UNPAVED_SURFACES.includes(visualSurface) ? 'unpaved' : 'paved';
+
+      if (listedSurface !== visualFamily) {
+        discrepancy.detected = true;
+        if (!discrepancy.type) {
+          discrepancy.type = 'driveway_surface_mismatch';
+        }
+        discrepancy.details.push({
+          field: 'parkingFeatures',
+          zillowValue: listedSurface,
+          visualValue: visualSurface,
+          visualConfidence
+        });
+        if (discrepancy.severity === 'none') {
+          discrepancy.severity = 'minor';
+        }
+      }
+    }
+
+    // A two-car garage normally comes with more than a small driveway
+    if (garageCapacity >= 2 && visualAnalysis.estimated_area === 'low') {
+      discrepancy.detected = true;
+      if (!discrepancy.type) {
+        discrepancy.type = 'driveway_size_mismatch';
+      }
+      discrepancy.details.push({
+        field: 'garageParkingCapacity',
+        zillowValue: garageCapacity,
+        visualValue: visualAnalysis.estimated_area,
+        visualConfidence
+      });
+      if (discrepancy.severity === 'none') {
+        discrepancy.severity = 'minor';
+      }
+    }
+
+    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
+
+    return discrepancy;
+  },
+
+  assessQuality(zillowData, visualAnalysis, quality) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const unpaved = UNPAVED_SURFACES.includes(visualAnalysis.driveway_surface);
+
+    quality.details.drivewayConfidence = visualConfidence;
+    quality.details.garageCapacity = getParking(zillowData).garageCapacity;
+
+    if (unpaved) {
+      quality.reasoning.push(`Unpaved ${visualAnalysis.driveway_surface} driveway - paving opportunity`);
+    } else if (visualAnalysis.has_cracks || visualAnalysis.condition === 'poor') {
+      quality.reasoning.push(`Cracked or worn ${visualAnalysis.driveway_surface} driveway - resurfacing opportunity`);
+    }
+
+    // Large unpaved or failing driveways are the biggest jobs
+    if ((unpaved || visualAnalysis.condition === 'poor') && visualAnalysis.estimated_area === 'high' && quality.qualityScore === 'medium') {
+      quality.qualityScore = 'high';
+    }
+
+    if (visualAnalysis.has_parking_pad) {
+      quality.reasoning.push('Parking pad present - can be paved with the driveway');
+    }
+  },
+
+  assess(analysis) {
+    return {
+      drivewaySurface: analysis.driveway_surface,
+      condition: analysis.condition,
+      hasCracks: analysis.has_cracks,
+      estimatedArea: analysis.estimated_area,
+      estimatedAreaSqft: analysis.estimated_area_sqft || null,
+      hasParkingPad: analysis.has_parking_pad,
+      confidence: analysis.confidence
+    };
+  },
+
+  formatVision(analysis) {
+    return {
+      driveway_surface: analysis.driveway_surface,
+      driveway_condition: analysis.condition,
+      cracks: analysis.has_cracks,
+      driveway_area: analysis.estimated_area,
+      driveway_area_sqft: analysis.estimated_area_sqft || null,
+      parking_pad: analysis.has_parking_pad
+    };
+  },
+
+  exportColumns: [
+    { header: 'Driveway Surface', value: lead => lead.vision.driveway_surface },
+    { header: 'Driveway Condition', value: lead => lead.vision.driveway_condition },
+    { header: 'Cracks', value: lead => lead.vision.cracks },
+    { header: 'Driveway Area', value: lead => lead.vision.driveway_area },
+    { header: 'Driveway Sq Ft', value: lead => lead.vision.driveway_area_sqft || '' },
+    { header: 'Parking Pad', value: lead => lead.vision.parking_pad }
+  ]
+};
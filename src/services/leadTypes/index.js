@@ -0,0 +1,138 @@
+const promptService = require('../promptService');
+
+/**
+ * Lead score weights used by calculateLeadScore when a lead type does not set its own
+ * high/medium/low: base score for each quality band
+ * discrepancyPenalty: subtracted when Zillow and the image disagree
+ */
+const DEFAULT_SCORE_WEIGHTS = {
+  high: 85,
+  medium: 65,
+  low: 35,
+  discrepancyPenalty: 15
+};
+
+const REQUIRED_FIELDS = ['name', 'slug', 'label', 'schema', 'cacheNamespace', 'assessmentKey', 'qualityThresholds', 'exportColumns'];
+const REQUIRED_FUNCTIONS = ['isValidLead', 'compare', 'assessQuality', 'assess', 'formatVision'];
+
+/**
+ * Lead Type Registry
+ * Every lead type is one module in this directory declaring:
+ * - name, slug, label, description: identity (slug names the /analyze-<slug> routes)
+ * - schema, decisiveFields: vision output schema and the fields ensemble voting decides on
+ * - prompt: templates live in <PROMPTS_DIR>/<name>/vN.txt (see promptService)
+ * - cacheNamespace, assessmentKey: cache policy for analyses and the key results are returned under
+ * - searchFilters: Zillow search preset for search-and-analyze and GET /search?project=<slug>
+ *   (caller filters win); batch leads use its bedroom range
+ * - qualityThresholds, scoreWeights, toleratesMinorDiscrepancies: lead quality tuning
+ * - applyRules(analysis, zillowData): optional rules stage after the vision step; the fields it
+ *   returns are merged into the analysis (see VisualInspector.applyRules), again on every cache read
+ * - isValidLead(analysis, zillowData): whether a vision analysis makes a lead
+ * - compare(zillowData, analysis, discrepancy): fill in discrepancies between Zillow and the image
+ * - assessQuality(zillowData, analysis, quality): adjust quality score, reasoning and details
+ * - adjustLeadScore(score, analysis, zillowData): optional, adjust the weighted lead score
+ * - assess(analysis, zillowData), formatVision(analysis, zillowData): shape results for the API
+ * - exportColumns: [{ header, value(lead) }] appended to CSV exports
+ * Adding a lead type means adding a module, a prompt template and a register() call below.
+ */
+class LeadTypeRegistry {
+  constructor() {
+    this.types = new Map();
+    this.defaultScoreWeights = DEFAULT_SCORE_WEIGHTS;
+  }
+
+  /**
+   * Add a lead type
+   * @param {object} definition - Lead type module
+   * @returns {object} The registered definition, with defaults applied
+   * @throws {Error} If a field is missing, the name or slug is taken, or there is no prompt template
+   */
+  register(definition) {
+    const missing = [
+      ...REQUIRED_FIELDS.filter(field => definition[field] === undefined),
+      ...REQUIRED_FUNCTIONS.filter(field => typeof definition[field] !== 'function')
+    ];
+
+    if (missing.length > 0) {
+      throw new Error(`Lead type ${definition.name || '(unnamed)'} is missing: ${missing.join(', ')}`);
+    }
+
+    if (this.types.has(definition.name)) {
+      throw new Error(`Lead type ${definition.name} is already registered`);
+    }
+
+    if (this.list().some(type => type.slug === definition.slug)) {
+      throw new Error(`Lead type slug ${definition.slug} is already used`);
+    }
+
+    if (!promptService.getActiveVersion(definition.name)) {
+      throw new Error(`Lead type ${definition.name} has no prompt templates in ${promptService.dir}`);
+    }
+
+    const registered = {
+      description: '',
+      decisiveFields: [],
+      searchFilters: {},
+      toleratesMinorDiscrepancies: false,
+      ...definition,
+      scoreWeights: { ...DEFAULT_SCORE_WEIGHTS, ...definition.scoreWeights }
+    };
+
+    this.types.set(registered.name, registered);
+    return registered;
+  }
+
+  /**
+   * Check whether a lead type is registered
+   * @param {string} name - Lead type name
+   * @returns {boolean} True if registered
+   */
+  has(name) {
+    return this.types.has(name);
+  }
+
+  /**
+   * Get a lead type
+   * @param {string} name - Lead type name
+   * @returns {object|null} Definition, or null for unknown lead types
+   */
+  get(name) {
+    return this.types.get(name) || null;
+  }
+
+  /**
+   * Registered lead type names, in registration order
+   * @returns {array} Names
+   */
+  names() {
+    return [...this.types.keys()];
+  }
+
+  /**
+   * Registered lead types, in registration order
+   * @returns {array} Definitions
+   */
+  list() {
+    return [...this.types.values()];
+  }
+
+  /**
+   * Human-readable list of valid names for error messages
+   * @returns {string} e.g. 'PoolLeadGen, BackyardBoost or SolarReady'
+   */
+  describeNames() {
+    const names = this.names();
+    return names.length > 1 ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}` : names.join('');
+  }
+}
+
+const registry = new LeadTypeRegistry();
+
+registry.register(require('./poolLeadGen'));
+registry.register(require('./backyardBoost'));
+registry.register(require('./solarReady'));
+registry.register(require('./roofCondition'));
+registry.register(require('./drivewayPaving'));
+registry.register(require('./aduFeasibility'));
+
+module.exports = registry;
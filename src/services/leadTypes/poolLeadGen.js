@@ -0,0 +1,128 @@
+/**
+ * PoolLeadGen
+ * Properties with a pool, hot tub or spa, for pool service and maintenance companies
+ */
+module.exports = {
+  name: 'PoolLeadGen',
+  slug: 'pool',
+  label: 'Pool leads',
+  description: 'Properties with a swimming pool, hot tub or spa',
+
+  schema: {
+    type: 'object',
+    properties: {
+      has_pool: { type: 'boolean' },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      pool_type: { type: ['string', 'null'] },
+      pool_size_estimate: { type: ['string', 'null'], enum: ['small', 'medium', 'large'] },
+      water_bodies: { type: ['string', 'null'] },
+      reasoning: { type: 'string' }
+    },
+    required: ['has_pool', 'confidence'],
+    additionalProperties: false
+  },
+
+  decisiveFields: ['has_pool'],
+  cacheNamespace: 'pool-analysis',
+  assessmentKey: 'poolAssessment',
+  // Search preset for search-and-analyze and GET /search?project=pool
+  searchFilters: {
+    status_type: 'RecentlySold',
+    home_type: 'Houses',
+    keywords: 'pool',
+    minPrice: 300000,
+    maxPrice: 2000000,
+    minBedrooms: 3,
+    maxBedrooms: 6
+  },
+  // Stricter than other lead types: a missed pool is a wasted visit
+  qualityThresholds: { high: 75, medium: 70 },
+
+  isValidLead(analysis) {
+    // For pool leads: must have a pool
+    return analysis.has_pool === true && analysis.confidence >= 60;
+  },
+
+  compare(zillowData, visualAnalysis, discrepancy) {
+    const zillowHasPool = zillowData.has_pool || false;
+    const visualHasPool = visualAnalysis.has_pool || false;
+    const visualConfidence = visualAnalysis.confidence || 0;
+
+    // Check for pool mismatch
+    if (zillowHasPool !== visualHasPool) {
+      discrepancy.detected = true;
+      discrepancy.type = 'pool_mismatch';
+      discrepancy.details.push({
+        field: 'has_pool',
+        zillowValue: zillowHasPool,
+        visualValue: visualHasPool,
+        visualConfidence
+      });
+
+      // Determine severity based on confidence
+      if (visualConfidence >= 80) {
+        discrepancy.severity = 'major';
+      } else if (visualConfidence >= 60) {
+        discrepancy.severity = 'minor';
+      }
+    }
+
+    // Check pool type consistency if both have pools
+    if (zillowHasPool && visualHasPool) {
+      const zillowPoolType = zillowData.pool_type || null;
+      const visualPoolType = visualAnalysis.pool_type || null;
+
+      if (zillowPoolType && visualPoolType && zillowPoolType !== visualPoolType) {
+        discrepancy.detected = true;
+        if (!discrepancy.type) {
+          discrepancy.type = 'pool_type_mismatch';
+        }
+        discrepancy.details.push({
+          field: 'pool_type',
+          zillowValue: zillowPoolType,
+          visualValue: visualPoolType,
+          visualConfidence
+        });
+      }
+    }
+
+    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
+
+    return discrepancy;
+  },
+
+  assessQuality(zillowData, visualAnalysis, quality) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+
+    quality.details.poolConfidence = visualConfidence;
+    if (visualAnalysis.has_pool && visualConfidence >= 85) {
+      quality.reasoning.push('Pool presence confirmed with high confidence');
+    }
+  },
+
+  assess(analysis) {
+    return {
+      hasPool: analysis.has_pool,
+      poolType: analysis.pool_type || null,
+      poolSizeEstimate: analysis.pool_size_estimate || null,
+      waterBodies: analysis.water_bodies || null,
+      confidence: analysis.confidence
+    };
+  },
+
+  formatVision(analysis) {
+    return {
+      pool_present: analysis.has_pool,
+      pool_type: analysis.pool_type || null,
+      pool_size: analysis.pool_size_estimate || null,
+      water_bodies: analysis.water_bodies || null
+    };
+  },
+
+  exportColumns: [
+    { header: 'Pool Present', value: lead => lead.vision.pool_present },
+    { header: 'Pool Type', value: lead => lead.vision.pool_type || '' },
+    { header: 'Pool Size', value: lead => lead.vision.pool_size || '' },
+    { header: 'Water Bodies', value: lead => lead.vision.water_bodies || '' }
+  ]
+};
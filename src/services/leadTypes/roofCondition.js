@@ -0,0 +1,236 @@
+/**
+ * RoofCondition
+ * Worn or damaged roofs, for roofing contractors
+ */
+
+const config = require('../../config');
+const { compareRoofMaterial, getYearBuilt } = require('./roofs');
+
+// Typical age in years for each roof_age_estimate, used when the model gives no number
+const ROOF_AGE_YEARS = {
+  new: 2,
+  mid_life: 10,
+  aged: 20,
+  end_of_life: 30
+};
+
+// A roof this close to the house's age (in years) is taken to be the original one
+const ORIGINAL_ROOF_MARGIN = 5;
+
+/**
+ * Visible wear signals in an analysis
+ * @param {object} analysis - Vision analysis
+ * @returns {array} Signal names (tarp, missing_shingles, discoloration, moss_or_debris)
+ */
+function getWearSignals(analysis) {
+  const signals = [];
+
+  if (analysis.has_tarp) signals.push('tarp');
+  if (analysis.missing_shingles) signals.push('missing_shingles');
+  if (['moderate', 'severe'].includes(analysis.discoloration)) signals.push('discoloration');
+  if (['moderate', 'heavy'].includes(analysis.moss_or_debris)) signals.push('moss_or_debris');
+
+  return signals;
+}
+
+/**
+ * Estimate roof age relative to the house's age
+ * @param {object} zillowData - Zillow property data (yearBuilt)
+ * @param {object} analysis - Vision analysis
+ * @returns {object} { yearBuilt, houseAgeYears, roofAgeYears, originalRoof }: originalRoof is true when
+ *   the house was built before config.leadTypes.roofCondition.originalRoofBeforeYear and the roof looks
+ *   about as old as the house, null when the year built is unknown
+ */
+function estimateRoofAge(zillowData, analysis) {
+  const yearBuilt = getYearBuilt(zillowData);
+  const roofAgeYears = Number.isFinite(analysis.estimated_roof_age_years)
+    ? analysis.estimated_roof_age_years
+    : ROOF_AGE_YEARS[analysis.roof_age_estimate] || null;
+
+  if (!yearBuilt) {
+    return { yearBuilt: null, houseAgeYears: null, roofAgeYears, originalRoof: null };
+  }
+
+  const houseAgeYears = new Date().getFullYear() - yearBuilt;
+  // Without a number, an end-of-life roof has no upper bound on its age
+  const looksOriginal = (roofAgeYears !== null && roofAgeYears >= houseAgeYears - ORIGINAL_ROOF_MARGIN) ||
+    (!Number.isFinite(analysis.estimated_roof_age_years) && analysis.roof_age_estimate === 'end_of_life');
+
+  return {
+    yearBuilt,
+    houseAgeYears,
+    roofAgeYears,
+    originalRoof: yearBuilt < config.leadTypes.roofCondition.originalRoofBeforeYear && looksOriginal
+  };
+}
+
+module.exports = {
+  name: 'RoofCondition',
+  slug: 'roof',
+  label: 'Roof leads',
+  description: 'Worn, damaged or original roofs on older homes',
+
+  schema: {
+    type: 'object',
+    properties: {
+      roof_material: { type: ['string', 'null'] },
+      discoloration: { type: 'string', enum: ['none', 'light', 'moderate', 'severe'] },
+      missing_shingles: { type: 'boolean' },
+      has_tarp: { type: 'boolean' },
+      moss_or_debris: { type: 'string', enum: ['none', 'light', 'moderate', 'heavy'] },
+      roof_age_estimate: { type: 'string', enum: ['new', 'mid_life', 'aged', 'end_of_life'] },
+      estimated_roof_age_years: { type: ['number', 'null'], minimum: 0 },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      reasoning: { type: 'string' }
+    },
+    required: ['discoloration', 'missing_shingles', 'has_tarp', 'moss_or_debris', 'roof_age_estimate', 'confidence'],
+    additionalProperties: false
+  },
+
+  decisiveFields: ['missing_shingles', 'has_tarp'],
+  cacheNamespace: 'roof-analysis',
+  assessmentKey: 'roofAssessment',
+  // Search preset for search-and-analyze and GET /search?project=roof
+  searchFilters: {
+    status_type: 'RecentlySold',
+    home_type: 'Houses',
+    minPrice: 150000,
+    maxPrice: 1500000,
+    minBedrooms: 2,
+    maxBedrooms: 6
+  },
+  qualityThresholds: { high: 70, medium: 60 },
+  // Visible damage sells the job; listing roof data is often stale, so discrepancies cost less
+  scoreWeights: { high: 90, medium: 70, low: 30, discrepancyPenalty: 10 },
+  // Roofs get replaced and listings go stale
+  toleratesMinorDiscrepancies: true,
+
+  isValidLead(analysis, zillowData) {
+    // For roof leads: not a new roof, and visible wear, an aged roof or an original roof on an older home
+    if (analysis.confidence < 60 || analysis.roof_age_estimate === 'new') {
+      return false;
+    }
+
+    return (
+      getWearSignals(analysis).length > 0 ||
+      ['aged', 'end_of_life'].includes(analysis.roof_age_estimate) ||
+      estimateRoofAge(zillowData, analysis).originalRoof === true
+    );
+  },
+
+  compare(zillowData, visualAnalysis, discrepancy) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const { yearBuilt, houseAgeYears, roofAgeYears } = estimateRoofAge(zillowData, visualAnalysis);
+
+    compareRoofMaterial(zillowData, visualAnalysis, discrepancy);
+
+    // A roof that looks much older than the house: wrong year built, or damage aging it early
+    if (houseAgeYears !== null && roofAgeYears !== null && roofAgeYears > houseAgeYears + ORIGINAL_ROOF_MARGIN && visualConfidence >= 80) {
+      discrepancy.detected = true;
+      if (!discrepancy.type) {
+        discrepancy.type = 'roof_age_mismatch';
+      }
+      discrepancy.details.push({
+        field: 'yearBuilt',
+        zillowValue: yearBuilt,
+        visualValue: visualAnalysis.roof_age_estimate,
+        visualConfidence
+      });
+      discrepancy.severity = 'minor';
+    }
+
+    discrepancy.confidenceDiff = Math.abs(visualConfidence - 50);
+
+    return discrepancy;
+  },
+
+  assessQuality(zillowData, visualAnalysis, quality) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const signals = getWearSignals(visualAnalysis);
+    const roofAge = estimateRoofAge(zillowData, visualAnalysis);
+
+    quality.details.roofConfidence = visualConfidence;
+    quality.details.wearSignals = signals;
+    quality.details.houseAgeYears = roofAge.houseAgeYears;
+    quality.details.roofAgeYears = roofAge.roofAgeYears;
+    quality.details.originalRoof = roofAge.originalRoof;
+
+    if (visualAnalysis.has_tarp) {
+      quality.reasoning.push('Tarp on the roof - likely an active leak or storm damage');
+    }
+
+    if (visualAnalysis.missing_shingles) {
+      quality.reasoning.push('Missing or displaced shingles');
+    }
+
+    if (roofAge.originalRoof) {
+      quality.reasoning.push(`Built in ${roofAge.yearBuilt} and the roof looks original`);
+    }
+
+    // Damage or an original roof on an older home is a replacement job, not a repair call
+    const strongSignal = visualAnalysis.has_tarp || visualAnalysis.missing_shingles || roofAge.originalRoof;
+    if (strongSignal && visualConfidence >= 75 && quality.qualityScore === 'medium') {
+      quality.qualityScore = 'high';
+    }
+
+    if (signals.length === 0 && visualAnalysis.roof_age_estimate === 'new') {
+      quality.reasoning.push('Roof looks recently replaced');
+      quality.qualityScore = 'low';
+    }
+  },
+
+  adjustLeadScore(score, analysis, zillowData) {
+    // Each strong damage signal makes the homeowner more likely to call now
+    let adjusted = score;
+
+    if (analysis.has_tarp) adjusted += 10;
+    if (analysis.missing_shingles) adjusted += 5;
+    if (estimateRoofAge(zillowData, analysis).originalRoof) adjusted += 5;
+
+    return adjusted;
+  },
+
+  assess(analysis, zillowData) {
+    const roofAge = estimateRoofAge(zillowData, analysis);
+
+    return {
+      roofMaterial: analysis.roof_material || null,
+      discoloration: analysis.discoloration,
+      missingShingles: analysis.missing_shingles,
+      hasTarp: analysis.has_tarp,
+      mossOrDebris: analysis.moss_or_debris,
+      roofAgeEstimate: analysis.roof_age_estimate,
+      roofAgeYears: roofAge.roofAgeYears,
+      houseAgeYears: roofAge.houseAgeYears,
+      originalRoof: roofAge.originalRoof,
+      wearSignals: getWearSignals(analysis),
+      confidence: analysis.confidence
+    };
+  },
+
+  formatVision(analysis, zillowData) {
+    const roofAge = estimateRoofAge(zillowData, analysis);
+
+    return {
+      roof_material: analysis.roof_material || null,
+      discoloration: analysis.discoloration,
+      missing_shingles: analysis.missing_shingles,
+      tarp: analysis.has_tarp,
+      moss_or_debris: analysis.moss_or_debris,
+      roof_age_estimate: analysis.roof_age_estimate,
+      roof_age_years: roofAge.roofAgeYears,
+      original_roof: roofAge.originalRoof
+    };
+  },
+
+  exportColumns: [
+    { header: 'Roof Material', value: lead => lead.vision.roof_material || '' },
+    { header: 'Discoloration', value: lead => lead.vision.discoloration },
+    { header: 'Missing Shingles', value: lead => lead.vision.missing_shingles },
+    { header: 'Tarp', value: lead => lead.vision.tarp },
+    { header: 'Moss/Debris', value: lead => lead.vision.moss_or_debris },
+    { header: 'Roof Age Estimate', value: lead => lead.vision.roof_age_estimate },
+    { header: 'Roof Age (Years)', value: lead => lead.vision.roof_age_years ?? '' },
+    { header: 'Original Roof', value: lead => lead.vision.original_roof ?? '' }
+  ]
+};
@@ -0,0 +1,88 @@
+/**
+ * Roof helpers shared by the roof-based lead types (SolarReady, RoofCondition)
+ */
+
+/**
+ * Roof material families, matched by keyword, so Zillow's roofType ("Composition",
+ * "Concrete Tile") can be compared with what the vision model reports ("shingle", "tile")
+ */
+const ROOF_MATERIALS = {
+  shingle: ['shingle', 'asphalt', 'composition'],
+  tile: ['tile', 'clay', 'spanish'],
+  metal: ['metal', 'steel', 'tin', 'aluminum'],
+  flat: ['flat', 'membrane', 'tar', 'gravel', 'built-up', 'tpo', 'rubber'],
+  wood: ['wood', 'shake', 'cedar'],
+  slate: ['slate']
+};
+
+/**
+ * Map a roof description to its material family
+ * @param {string} roofType - Free-text roof type or material
+ * @returns {string|null} Family from ROOF_MATERIALS, or null if unrecognized
+ */
+function getRoofMaterial(roofType) {
+  if (!roofType) {
+    return null;
+  }
+
+  const text = String(roofType).toLowerCase();
+  const match = Object.entries(ROOF_MATERIALS).find(([, keywords]) => keywords.some(keyword => text.includes(keyword)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Zillow's roof type, from a transformed property or raw facts
+ * @param {object} zillowData - Zillow property data
+ * @returns {string|null} Roof type
+ */
+function getZillowRoofType(zillowData) {
+  const facts = (zillowData && (zillowData.resoFacts || zillowData.facts)) || {};
+  return (zillowData && zillowData.roofType) || facts.roofType || null;
+}
+
+/**
+ * Zillow's year built, from a transformed property or raw facts
+ * @param {object} zillowData - Zillow property data
+ * @returns {number|null} Year built
+ */
+function getYearBuilt(zillowData) {
+  const facts = (zillowData && (zillowData.resoFacts || zillowData.facts)) || {};
+  const yearBuilt = Number(zillowData && (zillowData.yearBuilt || facts.yearBuilt));
+  return yearBuilt > 0 ? yearBuilt : null;
+}
+
+/**
+ * Compare Zillow's roof type with the material seen in the image
+ * Mismatches are minor: roofs get replaced and listings go stale
+ * @param {object} zillowData - Zillow property data
+ * @param {object} visualAnalysis - Visual analysis with roof_material
+ * @param {object} discrepancy - Discrepancy object to populate
+ * @returns {object} Updated discrepancy report
+ */
+function compareRoofMaterial(zillowData, visualAnalysis, discrepancy) {
+  const zillowRoofType = getZillowRoofType(zillowData);
+  const zillowMaterial = getRoofMaterial(zillowRoofType);
+  const visualMaterial = getRoofMaterial(visualAnalysis.roof_material);
+
+  if (zillowMaterial && visualMaterial && zillowMaterial !== visualMaterial) {
+    discrepancy.detected = true;
+    discrepancy.type = 'roof_type_mismatch';
+    discrepancy.details.push({
+      field: 'roof_material',
+      zillowValue: zillowRoofType,
+      visualValue: visualAnalysis.roof_material,
+      visualConfidence: visualAnalysis.confidence || 0
+    });
+    discrepancy.severity = 'minor';
+  }
+
+  return discrepancy;
+}
+
+module.exports = {
+  ROOF_MATERIALS,
+  getRoofMaterial,
+  getZillowRoofType,
+  getYearBuilt,
+  compareRoofMaterial
+};
@@ -0,0 +1,136 @@
+/**
+ * SolarReady
+ * Roofs suited to rooftop solar, for solar installers
+ */
+
+const { compareRoofMaterial, getYearBuilt } = require('./roofs');
+
+// Roofs this old usually need replacing before panels go on
+const ROOF_REPLACEMENT_AGE = 20;
+
+module.exports = {
+  name: 'SolarReady',
+  slug: 'solar',
+  label: 'Solar leads',
+  description: 'Unshaded, well-oriented roofs without solar panels',
+
+  schema: {
+    type: 'object',
+    properties: {
+      roof_orientation: {
+        type: 'string',
+        enum: ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest', 'flat']
+      },
+      usable_roof_area: { type: 'string', enum: ['high', 'medium', 'low'] },
+      usable_roof_area_sqft: { type: ['number', 'null'], minimum: 0 },
+      tree_shading: { type: 'string', enum: ['none', 'light', 'moderate', 'heavy'] },
+      has_existing_panels: { type: 'boolean' },
+      roof_material: { type: ['string', 'null'] },
+      obstructions: { type: 'array', items: { type: 'string' } },
+      confidence: { type: 'number', minimum: 0, maximum: 100 },
+      reasoning: { type: 'string' }
+    },
+    required: ['roof_orientation', 'usable_roof_area', 'tree_shading', 'has_existing_panels', 'confidence'],
+    additionalProperties: false
+  },
+
+  decisiveFields: ['has_existing_panels'],
+  cacheNamespace: 'solar-analysis',
+  assessmentKey: 'solarAssessment',
+  // Search preset for search-and-analyze and GET /search?project=solar
+  // No keyword: listings that mention solar usually already have panels
+  searchFilters: {
+    status_type: 'RecentlySold',
+    home_type: 'Houses',
+    minPrice: 200000,
+    maxPrice: 2000000,
+    minBedrooms: 2,
+    maxBedrooms: 6
+  },
+  // Installers survey on site, so medium leads are worth a visit
+  qualityThresholds: { high: 70, medium: 65 },
+  // Roofs get replaced and listings go stale
+  toleratesMinorDiscrepancies: true,
+
+  isValidLead(analysis) {
+    // For solar leads: no panels yet, enough unshaded roof, not facing north
+    return (
+      analysis.has_existing_panels === false &&
+      analysis.confidence >= 60 &&
+      analysis.usable_roof_area !== 'low' &&
+      analysis.tree_shading !== 'heavy' &&
+      analysis.roof_orientation !== 'north'
+    );
+  },
+
+  compare(zillowData, visualAnalysis, discrepancy) {
+    compareRoofMaterial(zillowData, visualAnalysis, discrepancy);
+    discrepancy.confidenceDiff = Math.abs((visualAnalysis.confidence || 0) - 50);
+
+    return discrepancy;
+  },
+
+  assessQuality(zillowData, visualAnalysis, quality) {
+    const visualConfidence = visualAnalysis.confidence || 0;
+    const goodOrientation = ['south', 'southeast', 'southwest', 'flat'].includes(visualAnalysis.roof_orientation);
+    const lightShading = ['none', 'light'].includes(visualAnalysis.tree_shading);
+
+    quality.details.solarConfidence = visualConfidence;
+
+    if (goodOrientation && lightShading && visualAnalysis.usable_roof_area === 'high') {
+      quality.reasoning.push(`Large unshaded ${visualAnalysis.roof_orientation === 'flat' ? 'flat' : `${visualAnalysis.roof_orientation}-facing`} roof`);
+      if (quality.qualityScore === 'medium') {
+        quality.qualityScore = 'high';
+      }
+    }
+
+    if (visualAnalysis.has_existing_panels && visualConfidence >= 75) {
+      quality.reasoning.push('Solar panels already installed');
+    }
+
+    // Year built stands in for roof age; Zillow rarely knows when a roof was replaced
+    const yearBuilt = getYearBuilt(zillowData);
+    if (yearBuilt) {
+      quality.details.roofAgeYears = new Date().getFullYear() - yearBuilt;
+
+      if (quality.details.roofAgeYears >= ROOF_REPLACEMENT_AGE) {
+        quality.reasoning.push(`Built in ${yearBuilt} - the roof may need replacing before installation`);
+      }
+    }
+  },
+
+  assess(analysis) {
+    return {
+      roofOrientation: analysis.roof_orientation,
+      usableRoofArea: analysis.usable_roof_area,
+      usableRoofAreaSqft: analysis.usable_roof_area_sqft || null,
+      treeShading: analysis.tree_shading,
+      hasExistingPanels: analysis.has_existing_panels,
+      roofMaterial: analysis.roof_material || null,
+      obstructions: analysis.obstructions || [],
+      confidence: analysis.confidence
+    };
+  },
+
+  formatVision(analysis) {
+    return {
+      roof_orientation: analysis.roof_orientation,
+      usable_roof_area: analysis.usable_roof_area,
+      usable_roof_area_sqft: analysis.usable_roof_area_sqft || null,
+      tree_shading: analysis.tree_shading,
+      existing_panels: analysis.has_existing_panels,
+      roof_material: analysis.roof_material || null,
+      obstructions: analysis.obstructions || []
+    };
+  },
+
+  exportColumns: [
+    { header: 'Roof Orientation', value: lead => lead.vision.roof_orientation },
+    { header: 'Usable Roof Area', value: lead => lead.vision.usable_roof_area },
+    { header: 'Usable Roof Sq Ft', value: lead => lead.vision.usable_roof_area_sqft || '' },
+    { header: 'Tree Shading', value: lead => lead.vision.tree_shading },
+    { header: 'Existing Panels', value: lead => lead.vision.existing_panels },
+    { header: 'Roof Material', value: lead => lead.vision.roof_material || '' },
+    { header: 'Obstructions', value: lead => (lead.vision.obstructions || []).join('; ') }
+  ]
+};
@@ -0,0 +1,233 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+
+/**
+ * Placeholders a template may use, filled from Zillow property data
+ * Missing values render as 'unknown'
+ */
+const TEMPLATE_VARIABLES = ['homeType', 'lotSize', 'livingArea', 'yearBuilt', 'roofType', 'parking'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+const VERSION_FILE_PATTERN = /^(v\d+)\.txt$/;
+
+/**
+ * Prompt Service
+ * Versioned vision prompt templates, one directory per lead type:
+ *   <config.prompts.dir>/<LeadType>/v1.txt, v2.txt, ...
+ * Every template is loaded and checked at startup; the active version per lead type comes from
+ * PROMPT_VERSIONS, defaulting to the latest. Results record the version that produced them
+ * (validation.promptVersion) and cache entries are tagged promptVersion:<LeadType>@<version>,
+ * so one version can be compared against another and its results purged on their own.
+ */
+class PromptService {
+  constructor() {
+    this.dir = config.prompts.dir;
+    this.templates = this.loadTemplates(this.dir);
+    this.active = this.resolveActiveVersions(config.prompts.active);
+  }
+
+  /**
+   * Read every template under the prompts directory
+   * @param {string} dir - Prompts directory
+   * @returns {Map} Lead type -> Map of version -> { version, text, variables, hash }, versions in ascending order
+   * @throws {Error} If a template uses an unknown placeholder
+   */
+  loadTemplates(dir) {
+    const templates = new Map();
+
+    if (!fs.existsSync(dir)) {
+      console.warn(`[PromptService] Prompts directory not found: ${dir}`);
+      return templates;
+    }
+
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .forEach(entry => {
+        const versions = fs.readdirSync(path.join(dir, entry.name))
+          .map(file => file.match(VERSION_FILE_PATTERN))
+          .filter(Boolean)
+          .map(([file, version]) => ({ file, version }))
+          .sort((a, b) => Number(a.version.slice(1)) - Number(b.version.slice(1)));
+
+        if (versions.length === 0) {
+          return;
+        }
+
+        const byVersion = new Map();
+        versions.forEach(({ file, version }) => {
+          const text = fs.readFileSync(path.join(dir, entry.name, file), 'utf8').replace(/\s+$/, '');
+          const variables = [...new Set([...text.matchAll(PLACEHOLDER_PATTERN)].map(([, name]) => name))];
+          const unknown = variables.filter(name => !TEMPLATE_VARIABLES.includes(name));
+
+          if (unknown.length > 0) {
+            throw new Error(`Prompt template ${entry.name}/${file} uses unknown placeholders: ${unknown.join(', ')} (known: ${TEMPLATE_VARIABLES.join(', ')})`);
+          }
+
+          byVersion.set(version, {
+            version,
+            text,
+            variables,
+            hash: crypto.createHash('sha256').update(text).digest('hex').slice(0, 12)
+          });
+        });
+
+        templates.set(entry.name, byVersion);
+      });
+
+    console.log(`[PromptService] Loaded prompt templates: ${[...templates.entries()].map(([leadType, versions]) => `${leadType} (${[...versions.keys()].join(', ')})`).join('; ')}`);
+    return templates;
+  }
+
+  /**
+   * Pick the active version for every lead type
+   * @param {object} configured - Lead type -> version from PROMPT_VERSIONS
+   * @returns {object} Lead type -> active version
+   * @throws {Error} If a configured lead type or version has no template
+   */
+  resolveActiveVersions(configured) {
+    Object.entries(configured).forEach(([leadType, version]) => {
+      if (!this.templates.has(leadType) || !this.templates.get(leadType).has(version)) {
+        throw new Error(`PROMPT_VERSIONS selects ${leadType}:${version}, but ${path.join(this.dir, leadType, `${version}.txt`)} does not exist`);
+      }
+    });
+
+    const active = {};
+    this.templates.forEach((versions, leadType) => {
+      active[leadType] = configured[leadType] || [...versions.keys()].pop();
+    });
+    return active;
+  }
+
+  /**
+   * Get the version used when a request does not ask for one
+   * @param {string} leadType - Type of lead
+   * @returns {string|null} Version (e.g. 'v2'), or null for lead types without templates
+   */
+  getActiveVersion(leadType) {
+    return this.active[leadType] || null;
+  }
+
+  /**
+   * Resolve the version a request should use
+   * @param {string} leadType - Type of lead
+   * @param {string} requested - Optional version asked for (e.g. 'v1')
+   * @returns {string} The requested version if it exists, otherwise the active one
+   * @throws {Error} VALIDATION_ERROR if the requested version or the lead type has no template
+   */
+  resolveVersion(leadType, requested) {
+    const versions = this.templates.get(leadType);
+
+    if (!versions) {
+      throw this.validationError(`No prompt templates for lead type ${leadType}`);
+    }
+
+    if (requested === undefined || requested === null || requested === '') {
+      return this.active[leadType];
+    }
+
+    if (!versions.has(requested)) {
+      throw this.validationError(`Unknown prompt version ${requested} for ${leadType}. Available: ${[...versions.keys()].join(', ')}`);
+    }
+
+    return requested;
+  }
+
+  /**
+   * Identifier of a lead type's prompt version, used as the promptVersion cache tag
+   * @param {string} leadType - Type of lead
+   * @param {string} version - Prompt version
+   * @returns {string} e.g. 'PoolLeadGen@v2'
+   */
+  getPromptId(leadType, version) {
+    return `${leadType}@${version}`;
+  }
+
+  /**
+   * Fill a template with property data
+   * @param {string} leadType - Type of lead
+   * @param {object} propertyData - Zillow property data
+   * @param {string} version - Optional version (default: active version)
+   * @returns {object} { version, id, text }
+   * @throws {Error} VALIDATION_ERROR for unknown lead types or versions
+   */
+  render(leadType, propertyData = {}, version) {
+    const resolved = this.resolveVersion(leadType, version);
+    const template = this.templates.get(leadType).get(resolved);
+    const variables = this.buildVariables(propertyData || {});
+
+    return {
+      version: resolved,
+      id: this.getPromptId(leadType, resolved),
+      text: template.text.replace(PLACEHOLDER_PATTERN, (match, name) => variables[name])
+    };
+  }
+
+  /**
+   * Template variables from Zillow data (raw search results or transformed properties)
+   * @param {object} propertyData - Zillow property data
+   * @returns {object} { homeType, lotSize, livingArea, yearBuilt, roofType, parking } as display strings
+   */
+  buildVariables(propertyData) {
+    // Search fixtures keep details under facts, /property responses under resoFacts
+    const facts = propertyData.facts || propertyData.resoFacts || {};
+    const homeType = propertyData.homeType || propertyData.propertyType;
+    const lotArea = propertyData.lotAreaValue || propertyData.lotSize;
+    const livingArea = Number(propertyData.livingArea || propertyData.squareFeet);
+    const yearBuilt = propertyData.yearBuilt || facts.yearBuilt;
+    const roofType = propertyData.roofType || facts.roofType;
+    const parkingFeatures = propertyData.parkingFeatures || facts.parkingFeatures || [];
+    const garageCapacity = Number(propertyData.garageParkingCapacity || facts.garageParkingCapacity) || 0;
+    const parking = [...parkingFeatures, ...(garageCapacity > 0 ? [`${garageCapacity}-car garage`] : [])];
+    let lotSize = 'unknown';
+
+    if (lotArea && Number.isFinite(Number(lotArea))) {
+      lotSize = `${Number(lotArea).toLocaleString('en-US')} ${propertyData.lotAreaUnit || 'sqft'}`;
+    } else if (lotArea) {
+      // Already formatted, e.g. "0.25 acres"
+      lotSize = String(lotArea);
+    }
+
+    return {
+      homeType: homeType ? String(homeType).replace(/_/g, ' ').toLowerCase() : 'unknown',
+      lotSize,
+      livingArea: livingArea > 0 ? `${livingArea.toLocaleString('en-US')} sqft` : 'unknown',
+      yearBuilt: yearBuilt ? String(yearBuilt) : 'unknown',
+      roofType: roofType ? String(roofType).toLowerCase() : 'unknown',
+      parking: parking.length > 0 ? parking.join(', ').toLowerCase() : 'unknown'
+    };
+  }
+
+  /**
+   * List templates with their active version
+   * @returns {array} [{ leadType, activeVersion, versions: [{ version, id, active, variables, hash }] }]
+   */
+  listVersions() {
+    return [...this.templates.entries()].map(([leadType, versions]) => ({
+      leadType,
+      activeVersion: this.active[leadType],
+      versions: [...versions.values()].map(({ version, variables, hash }) => ({
+        version,
+        id: this.getPromptId(leadType, version),
+        active: version === this.active[leadType],
+        variables,
+        hash
+      }))
+    }));
+  }
+
+  /**
+   * Build a 400 error for bad prompt version requests
+   * @param {string} message - Error message
+   * @returns {Error} Error with VALIDATION_ERROR code
+   */
+  validationError(message) {
+    const error = new Error(message);
+    error.code = 'VALIDATION_ERROR';
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new PromptService();
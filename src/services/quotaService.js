@@ -0,0 +1,327 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const config = require('../config');
+
+/**
+ * How long usage changes may wait before they are written to disk
+ */
+const SAVE_DEBOUNCE_MS = 1000;
+
+/**
+ * Quota Service
+ * Outbound rate limiting and monthly usage budget for RapidAPI
+ * - Token bucket matching the plan's requests/second
+ * - Persistent per-month request counter with an optional hard stop
+ */
+class QuotaService {
+  constructor() {
+    this.requestsPerSecond = config.quota.requestsPerSecond;
+    this.burst = config.quota.burst;
+    this.monthlyLimit = config.quota.monthlyLimit;
+    this.hardStop = config.quota.hardStop;
+    this.warnPercent = config.quota.warnPercent;
+    this.usageFile = config.quota.usageFile;
+
+    this.tokens = this.burst;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+    this.queued = 0;
+    this.warned = false;
+    this.usage = this.loadUsage();
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+    this.dirty = false;
+
+    // Write pending usage synchronously so a shutdown does not lose the last second of counts
+    process.on('exit', () => this.flushUsage());
+
+    console.log(
+      `[QuotaService] Initialized: ${this.requestsPerSecond} req/s, ` +
+      `monthly limit ${this.monthlyLimit || 'unlimited'}, ${this.usage.used} used in ${this.usage.month}`
+    );
+  }
+
+  /**
+   * Rate limit and count every request made by an axios instance
+   * @param {object} client - Axios instance
+   * @returns {object} The same axios instance
+   */
+  attach(client) {
+    const upstreamAdapter = axios.getAdapter(client.defaults.adapter);
+
+    client.defaults.adapter = async (requestConfig) => {
+      // Reserve the request before waiting for a token, so requests queued behind
+      // the rate limiter cannot all pass the budget check and overshoot the limit
+      this.reserveRequest();
+      await this.acquireToken();
+
+      try {
+        const response = await upstreamAdapter(requestConfig);
+        this.recordUpstreamHeaders(response.headers);
+        return response;
+      } catch (error) {
+        if (error.response) {
+          this.recordUpstreamHeaders(error.response.headers);
+        }
+        throw error;
+      }
+    };
+
+    return client;
+  }
+
+  /**
+   * Wait until the token bucket allows another request
+   * Waiters are served in FIFO order
+   * @returns {Promise<void>}
+   */
+  acquireToken() {
+    this.queued++;
+
+    const turn = this.queue.then(async () => {
+      this.refill();
+
+      while (this.tokens < 1) {
+        const waitMs = Math.ceil(((1 - this.tokens) / this.requestsPerSecond) * 1000);
+        await new Promise(resolve => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+
+      this.tokens -= 1;
+      this.queued--;
+    });
+
+    this.queue = turn;
+    return turn;
+  }
+
+  /**
+   * Add tokens accrued since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.burst, this.tokens + elapsedSeconds * this.requestsPerSecond);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Check the monthly budget and count the request against it
+   * @throws {Error} QUOTA_EXCEEDED error if the budget is exhausted and the hard stop is enabled
+   */
+  reserveRequest() {
+    this.assertWithinBudget();
+    this.recordRequest();
+  }
+
+  /**
+   * Reject the request if the monthly budget is exhausted and the hard stop is enabled
+   * @throws {Error} QUOTA_EXCEEDED error
+   */
+  assertWithinBudget() {
+    this.rollMonth();
+
+    if (!this.hardStop || !this.monthlyLimit || this.usage.used < this.monthlyLimit) {
+      return;
+    }
+
+    console.error(`[QuotaService] Monthly RapidAPI quota exhausted (${this.usage.used}/${this.monthlyLimit})`);
+
+    const error = new Error(
+      `Monthly RapidAPI quota of ${this.monthlyLimit} requests exhausted for ${this.usage.month}`
+    );
+    error.code = 'QUOTA_EXCEEDED';
+    error.statusCode = 429;
+    error.retryAfter = Math.ceil((this.getResetDate().getTime() - Date.now()) / 1000);
+    throw error;
+  }
+
+  /**
+   * Count a request against the monthly budget and schedule persisting the counter
+   */
+  recordRequest() {
+    this.rollMonth();
+    this.usage.used++;
+    this.usage.lastRequestAt = new Date().toISOString();
+    this.saveUsage();
+
+    if (this.monthlyLimit && !this.warned && this.usage.used >= this.monthlyLimit * (this.warnPercent / 100)) {
+      this.warned = true;
+      console.warn(
+        `[QuotaService] RapidAPI usage at ${this.usage.used}/${this.monthlyLimit} ` +
+        `(${this.warnPercent}% warning threshold) for ${this.usage.month}`
+      );
+    }
+  }
+
+  /**
+   * Remember the quota RapidAPI reports in its x-ratelimit-* headers
+   * @param {object} headers - Response headers
+   */
+  recordUpstreamHeaders(headers = {}) {
+    const limit = headers['x-ratelimit-requests-limit'];
+    const remaining = headers['x-ratelimit-requests-remaining'];
+
+    if (limit === undefined && remaining === undefined) {
+      return;
+    }
+
+    const reset = headers['x-ratelimit-requests-reset'];
+    this.usage.upstream = {
+      limit: limit !== undefined ? Number(limit) : null,
+      remaining: remaining !== undefined ? Number(remaining) : null,
+      resetSeconds: reset !== undefined ? Number(reset) : null,
+      observedAt: new Date().toISOString()
+    };
+    this.saveUsage();
+  }
+
+  /**
+   * Start a new counter when the calendar month (UTC) changes
+   */
+  rollMonth() {
+    const month = this.getCurrentMonth();
+    if (this.usage.month !== month) {
+      console.log(`[QuotaService] New billing month ${month}, resetting usage counter`);
+      this.usage = { month, used: 0, lastRequestAt: null, upstream: null };
+      this.warned = false;
+      this.saveUsage();
+    }
+  }
+
+  /**
+   * Load the persisted usage counter
+   * @returns {object} Usage for the current month
+   */
+  loadUsage() {
+    const month = this.getCurrentMonth();
+
+    try {
+      const stored = JSON.parse(fs.readFileSync(this.usageFile, 'utf8'));
+      if (stored.month === month) {
+        return stored;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.warn(`[QuotaService] Could not read usage file ${this.usageFile}:`, error.message);
+      }
+    }
+
+    return { month, used: 0, lastRequestAt: null, upstream: null };
+  }
+
+  /**
+   * Persist the usage counter shortly after it changes
+   * Writes are debounced, so a burst of requests costs one write
+   */
+  saveUsage() {
+    this.dirty = true;
+
+    if (this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.saving = this.saving.then(() => this.writeUsage());
+    }, SAVE_DEBOUNCE_MS);
+    this.saveTimer.unref();
+  }
+
+  /**
+   * Write the usage counter atomically (temp file + rename)
+   * Writes are chained on this.saving so they never overlap
+   * @returns {Promise<void>}
+   */
+  async writeUsage() {
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+    const tempFile = `${this.usageFile}.tmp`;
+
+    try {
+      await fs.promises.mkdir(path.dirname(this.usageFile), { recursive: true });
+      await fs.promises.writeFile(tempFile, JSON.stringify(this.usage, null, 2));
+      await fs.promises.rename(tempFile, this.usageFile);
+    } catch (error) {
+      console.error(`[QuotaService] Error saving usage file ${this.usageFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Write pending usage immediately and synchronously (process exit)
+   */
+  flushUsage() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+
+    if (!this.dirty) {
+      return;
+    }
+
+    this.dirty = false;
+
+    try {
+      fs.mkdirSync(path.dirname(this.usageFile), { recursive: true });
+      const tempFile = `${this.usageFile}.tmp`;
+      fs.writeFileSync(tempFile, JSON.stringify(this.usage, null, 2));
+      fs.renameSync(tempFile, this.usageFile);
+    } catch (error) {
+      console.error(`[QuotaService] Error saving usage file ${this.usageFile}:`, error.message);
+    }
+  }
+
+  /**
+   * Get the current billing month key
+   * @returns {string} Month in YYYY-MM format (UTC)
+   */
+  getCurrentMonth() {
+    return new Date().toISOString().slice(0, 7);
+  }
+
+  /**
+   * Get the date the monthly counter resets
+   * @returns {Date} First day of next month (UTC)
+   */
+  getResetDate() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+  }
+
+  /**
+   * Get current consumption for reporting
+   * @returns {object} Usage, budget and rate limiter state
+   */
+  getUsage() {
+    this.rollMonth();
+    this.refill();
+
+    const { month, used, lastRequestAt, upstream } = this.usage;
+
+    return {
+      month,
+      used,
+      monthlyLimit: this.monthlyLimit || null,
+      remaining: this.monthlyLimit ? Math.max(0, this.monthlyLimit - used) : null,
+      percentUsed: this.monthlyLimit ? parseFloat(((used / this.monthlyLimit) * 100).toFixed(2)) : null,
+      hardStop: this.hardStop,
+      exhausted: Boolean(this.monthlyLimit) && used >= this.monthlyLimit,
+      resetsAt: this.getResetDate().toISOString(),
+      lastRequestAt,
+      rateLimit: {
+        requestsPerSecond: this.requestsPerSecond,
+        burst: this.burst,
+        availableTokens: parseFloat(this.tokens.toFixed(2)),
+        queued: this.queued
+      },
+      upstream: upstream || null
+    };
+  }
+}
+
+module.exports = new QuotaService();
@@ -1,41 +1,40 @@
+const leadTypeRegistry = require('./leadTypes');
+const imageStoreService = require('./imageStoreService');
+
 /**
  * Response Formatter Service
  * Transforms analysis results into standardized response format
+ * Vision fields, lead score weights and CSV columns are declared per lead type in the registry
  */
 class ResponseFormatter {
   /**
    * Format a single property analysis result
-   * @param {object} analysisResult - Result from analyzePoolProperty or analyzeBackyardProperty
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
+   * @param {object} analysisResult - Result from analyzeProperty
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @returns {object} Formatted lead object
    */
   formatLead(analysisResult, leadType) {
     const { zpid, address, latitude, longitude, visualValidation, qualityReport, analysis, zillow_data } = analysisResult;
 
+    const definition = leadTypeRegistry.get(leadType);
+
     // Extract vision data based on lead type
     let visionData = {};
-    if (leadType === 'PoolLeadGen') {
-      visionData = {
-        pool_present: visualValidation.analysis.has_pool,
-        pool_type: visualValidation.analysis.pool_type || null,
-        pool_size: visualValidation.analysis.pool_size_estimate || null,
-        water_bodies: visualValidation.analysis.water_bodies || null,
-        confidence: visualValidation.analysis.confidence / 100, // Convert to 0-1 scale
-        model: visualValidation.analysis.model || 'gpt-4o'
-      };
-    } else if (leadType === 'BackyardBoost') {
+    if (definition) {
       visionData = {
-        empty_backyard: visualValidation.analysis.is_empty_backyard,
-        surface_type: visualValidation.analysis.surface_type,
-        free_area: visualValidation.analysis.estimated_free_area,
-        structures: visualValidation.analysis.structures_detected || [],
+        ...definition.formatVision(visualValidation.analysis, zillow_data || {}),
         confidence: visualValidation.analysis.confidence / 100, // Convert to 0-1 scale
-        model: visualValidation.analysis.model || 'gpt-4o'
+        provider: visualValidation.analysis.provider || null,
+        model: visualValidation.analysis.model || null,
+        prompt_version: visualValidation.promptVersion || null
       };
     }
 
     // Calculate lead score (0-100) based on quality report
-    const leadScore = this.calculateLeadScore(qualityReport);
+    const leadScore = this.calculateLeadScore(qualityReport, leadType, {
+      analysis: visualValidation.analysis,
+      zillowData: zillow_data || {}
+    });
 
     // Extract property details from zillow_data if available
     const propertyDetails = zillow_data ? {
@@ -60,7 +59,7 @@ class ResponseFormatter {
       zpid,
       property: propertyDetails,
       imagery: {
-        image_url: visualValidation.satelliteImageUrl,
+        image_url: imageStoreService.getImageUrl(visualValidation.satelliteImageHash),
         zoom: 20,
         size: {
           w: 600,
@@ -80,26 +79,31 @@ class ResponseFormatter {
   /**
    * Calculate lead score from quality report
    * @param {object} qualityReport - Quality report from leadQualityService
+   * @param {string} leadType - Optional type of lead whose score weights apply
+   * @param {object} context - Optional { analysis, zillowData } for the lead type's score adjustment
    * @returns {number} Lead score 0-100
    */
-  calculateLeadScore(qualityReport) {
+  calculateLeadScore(qualityReport, leadType, context = {}) {
+    const definition = leadTypeRegistry.get(leadType);
+    const weights = definition ? definition.scoreWeights : leadTypeRegistry.defaultScoreWeights;
     let score = 50; // Base score
 
     // Adjust based on quality score
-    if (qualityReport.qualityScore === 'high') {
-      score = 85;
-    } else if (qualityReport.qualityScore === 'medium') {
-      score = 65;
-    } else if (qualityReport.qualityScore === 'low') {
-      score = 35;
+    if (['high', 'medium', 'low'].includes(qualityReport.qualityScore)) {
+      score = weights[qualityReport.qualityScore];
     }
 
     // Adjust based on confidence
     score = Math.round((score * qualityReport.confidence) / 100);
 
+    // Lead-type specific adjustments (e.g. visible roof damage)
+    if (definition && definition.adjustLeadScore && context.analysis) {
+      score = definition.adjustLeadScore(score, context.analysis, context.zillowData || {});
+    }
+
     // Penalize if discrepancies detected
     if (qualityReport.discrepancy && qualityReport.discrepancy.detected) {
-      score = Math.max(0, score - 15);
+      score = Math.max(0, score - weights.discrepancyPenalty);
     }
 
     return Math.min(100, Math.max(0, score));
@@ -109,7 +113,7 @@ class ResponseFormatter {
    * Format batch analysis results into standardized response
    * @param {array} leads - Array of formatted lead objects
    * @param {string} location - Search location (city/area)
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @returns {object} Formatted response with CSV export
    */
   formatBatchResponse(leads, location, leadType) {
@@ -181,11 +185,9 @@ class ResponseFormatter {
     ];
 
     // Add lead-type specific headers
-    if (leadType === 'PoolLeadGen') {
-      headers.push('Pool Present', 'Pool Type', 'Pool Size', 'Water Bodies');
-    } else if (leadType === 'BackyardBoost') {
-      headers.push('Empty Backyard', 'Surface Type', 'Free Area', 'Structures');
-    }
+    const definition = leadTypeRegistry.get(leadType);
+    const columns = definition ? definition.exportColumns : [];
+    headers.push(...columns.map(column => column.header));
 
     // Build CSV rows
     const rows = [headers.map(h => this.escapeCSVField(h)).join(',')];
@@ -212,21 +214,7 @@ class ResponseFormatter {
       ];
 
       // Add lead-type specific data
-      if (leadType === 'PoolLeadGen') {
-        row.push(
-          lead.vision.pool_present,
-          lead.vision.pool_type || '',
-          lead.vision.pool_size || '',
-          lead.vision.water_bodies || ''
-        );
-      } else if (leadType === 'BackyardBoost') {
-        row.push(
-          lead.vision.empty_backyard,
-          lead.vision.surface_type,
-          lead.vision.free_area,
-          (lead.vision.structures || []).join('; ')
-        );
-      }
+      row.push(...columns.map(column => column.value(lead)));
 
       rows.push(row.map(v => this.escapeCSVField(v)).join(','));
     });
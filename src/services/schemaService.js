@@ -0,0 +1,212 @@
+const leadTypeRegistry = require('./leadTypes');
+
+// Strings accepted in place of booleans and nulls
+const BOOLEAN_STRINGS = { true: true, yes: true, false: false, no: false };
+const NULL_STRINGS = ['', 'null', 'none', 'n/a'];
+
+/**
+ * Schema Service
+ * Validates model output against a JSON Schema subset (type, enum, minimum, maximum,
+ * required, properties, additionalProperties, items), applying lenient coercions first:
+ * - "85" or "85%" -> 85 for numbers; "true"/"yes"/"false"/"no" -> booleans
+ * - numbers and booleans -> strings; a single string -> one-item array
+ * - "", "null", "none", "n/a" -> null where null is allowed
+ * - enum values matched case-insensitively; unknown fields dropped when additionalProperties is false
+ */
+class SchemaService {
+  /**
+   * Get the analysis schema for a lead type, as declared in the lead type registry
+   * @param {string} leadType - Type of lead
+   * @returns {object|null} JSON Schema, or null for unknown lead types
+   */
+  getAnalysisSchema(leadType) {
+    const definition = leadTypeRegistry.get(leadType);
+    return definition ? definition.schema : null;
+  }
+
+  /**
+   * Coerce and validate a value
+   * @param {*} value - Parsed model output
+   * @param {object} schema - JSON Schema
+   * @returns {object} { valid, value, errors, coercions }: value is the coerced copy,
+   *   errors and coercions are human-readable 'path: message' strings
+   */
+  validate(value, schema) {
+    const context = { errors: [], coercions: [] };
+    const coerced = this.check(value, schema, '$', context);
+
+    return {
+      valid: context.errors.length === 0,
+      value: coerced,
+      errors: context.errors,
+      coercions: context.coercions
+    };
+  }
+
+  /**
+   * Validate one value, recursing into objects and arrays
+   * @param {*} value - Value to check
+   * @param {object} schema - Schema for the value
+   * @param {string} path - Location for messages ($.field[0])
+   * @param {object} context - Collects errors and coercions
+   * @returns {*} Coerced value
+   */
+  check(value, schema, path, context) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    let current = this.coerce(value, types, path, context);
+
+    if (current === null) {
+      if (!types.includes('null')) {
+        context.errors.push(`${path}: must be ${types.join(' or ')}, got null`);
+      }
+      return current;
+    }
+
+    const actual = this.typeOf(current);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      context.errors.push(`${path}: must be ${types.join(' or ')}, got ${actual}`);
+      return current;
+    }
+
+    if (schema.enum) {
+      current = this.checkEnum(current, schema.enum, path, context);
+    }
+
+    if (typeof current === 'number') {
+      if (schema.minimum !== undefined && current < schema.minimum) {
+        context.errors.push(`${path}: must be >= ${schema.minimum}, got ${current}`);
+      }
+      if (schema.maximum !== undefined && current > schema.maximum) {
+        context.errors.push(`${path}: must be <= ${schema.maximum}, got ${current}`);
+      }
+    }
+
+    if (actual === 'array' && schema.items) {
+      return current.map((item, i) => this.check(item, schema.items, `${path}[${i}]`, context));
+    }
+
+    if (actual === 'object') {
+      return this.checkObject(current, schema, path, context);
+    }
+
+    return current;
+  }
+
+  /**
+   * Validate object properties, required fields and unknown fields
+   * @param {object} value - Object to check
+   * @param {object} schema - Object schema
+   * @param {string} path - Location for messages
+   * @param {object} context - Collects errors and coercions
+   * @returns {object} Coerced copy
+   */
+  checkObject(value, schema, path, context) {
+    const properties = schema.properties || {};
+    const result = {};
+
+    Object.entries(value).forEach(([name, fieldValue]) => {
+      if (properties[name]) {
+        result[name] = this.check(fieldValue, properties[name], `${path}.${name}`, context);
+      } else if (schema.additionalProperties === false) {
+        context.coercions.push(`${path}.${name}: unknown field removed`);
+      } else {
+        result[name] = fieldValue;
+      }
+    });
+
+    (schema.required || [])
+      .filter(name => value[name] === undefined)
+      .forEach(name => context.errors.push(`${path}.${name}: is required`));
+
+    return result;
+  }
+
+  /**
+   * Match an enum value, ignoring case and surrounding whitespace
+   * @param {*} value - Value to check
+   * @param {array} allowed - Allowed values
+   * @param {string} path - Location for messages
+   * @param {object} context - Collects errors and coercions
+   * @returns {*} Canonical enum value
+   */
+  checkEnum(value, allowed, path, context) {
+    if (allowed.includes(value)) {
+      return value;
+    }
+
+    const match = typeof value === 'string'
+      ? allowed.find(option => typeof option === 'string' && option.toLowerCase() === value.trim().toLowerCase())
+      : undefined;
+
+    if (match !== undefined) {
+      context.coercions.push(`${path}: ${JSON.stringify(value)} -> ${JSON.stringify(match)}`);
+      return match;
+    }
+
+    context.errors.push(`${path}: must be one of ${allowed.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+    return value;
+  }
+
+  /**
+   * Apply the lenient coercions; values already of an allowed type are kept, except null words
+   * @param {*} value - Value to coerce
+   * @param {string[]} types - Allowed JSON types
+   * @param {string} path - Location for messages
+   * @param {object} context - Collects coercions
+   * @returns {*} Coerced value (unchanged if no rule applies)
+   */
+  coerce(value, types, path, context) {
+    if (value === undefined) {
+      return null;
+    }
+
+    const text = typeof value === 'string' ? value.trim().toLowerCase() : null;
+
+    if (text !== null && types.includes('null') && NULL_STRINGS.includes(text)) {
+      context.coercions.push(`${path}: ${JSON.stringify(value)} -> null`);
+      return null;
+    }
+
+    const actual = value === null ? 'null' : this.typeOf(value);
+    if (types.includes(actual) || (actual === 'integer' && types.includes('number'))) {
+      return value;
+    }
+
+    let coerced;
+
+    if (text !== null && (types.includes('number') || types.includes('integer')) && /^-?\d+(\.\d+)?%?$/.test(text)) {
+      coerced = Number(text.replace('%', ''));
+    } else if (text !== null && types.includes('boolean') && text in BOOLEAN_STRINGS) {
+      coerced = BOOLEAN_STRINGS[text];
+    } else if ((typeof value === 'number' || typeof value === 'boolean') && types.includes('string')) {
+      coerced = String(value);
+    } else if (typeof value === 'string' && types.includes('array')) {
+      coerced = value.trim() === '' ? [] : [value];
+    } else {
+      return value;
+    }
+
+    context.coercions.push(`${path}: ${JSON.stringify(value)} -> ${JSON.stringify(coerced)}`);
+    return coerced;
+  }
+
+  /**
+   * JSON type name of a value
+   * @param {*} value - Value
+   * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+   */
+  typeOf(value) {
+    if (value === null) {
+      return 'null';
+    }
+    if (Array.isArray(value)) {
+      return 'array';
+    }
+    if (typeof value === 'number') {
+      return Number.isInteger(value) ? 'integer' : 'number';
+    }
+    return typeof value;
+  }
+}
+
+module.exports = new SchemaService();
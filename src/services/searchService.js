@@ -0,0 +1,199 @@
+const zillowService = require('./zillowService');
+const transformService = require('./transformService');
+const cacheService = require('./cacheService');
+const workQueueService = require('./workQueueService');
+const batchLeadService = require('./batchLeadService');
+const leadTypeRegistry = require('./leadTypes');
+
+/**
+ * Search Service
+ * Cached property search shared by GET /api/properties/search and cache warming
+ */
+class SearchService {
+  /**
+   * Get project-specific search configuration
+   * Lead type projects (backyard, pool, ...) use the lead type's search preset
+   * @param {string} project - Project type (a lead type slug or market)
+   * @returns {object} Project-specific configuration
+   */
+  getProjectConfig(project) {
+    const configs = {
+      market: {
+        status_type: 'ForRent',
+        home_type: 'All',
+        minPrice: 500,
+        maxPrice: 5000,
+        minBedrooms: 1,
+        maxBedrooms: 4
+      }
+    };
+
+    const leadType = leadTypeRegistry.list().find(definition => definition.slug === project);
+    if (leadType) {
+      return { ...leadType.searchFilters };
+    }
+
+    return configs[project] || null;
+  }
+
+  /**
+   * Project types accepted by getProjectConfig
+   * @returns {array} Lead type slugs followed by market
+   */
+  getProjectNames() {
+    return [...leadTypeRegistry.list().map(definition => definition.slug), 'market'];
+  }
+
+  /**
+   * Build search filters from a project preset and explicit overrides
+   * @param {string} project - Optional project type
+   * @param {object} overrides - Explicit filters; undefined values are ignored
+   * @returns {object} Search filters
+   * @throws {Error} If the project type is unknown
+   */
+  buildFilters(project, overrides = {}) {
+    let filters = {};
+
+    // Start with project-specific configuration if provided
+    if (project) {
+      const projectConfig = this.getProjectConfig(project);
+      if (!projectConfig) {
+        throw new Error(`Invalid project type. Must be one of: ${this.getProjectNames().join(', ')}`);
+      }
+      filters = { ...projectConfig };
+    }
+
+    // Override with explicit parameters if provided
+    Object.entries(overrides).forEach(([name, value]) => {
+      if (value !== undefined) {
+        filters[name] = value;
+      }
+    });
+
+    return filters;
+  }
+
+  /**
+   * Search properties, serving from cache and sharing one Zillow call between concurrent identical searches
+   * @param {object} searchParams - Search parameters
+   * @param {string} searchParams.location - City, address, or zip code
+   * @param {string} searchParams.project - Optional project type, part of the cache key
+   * @param {object} searchParams.filters - Search filters (see buildFilters)
+   * @param {number} searchParams.page - Results page (default 1)
+   * @param {string} searchParams.includeVisualValidation - Optional lead type to visually validate results for
+   * @returns {Promise<object>} Transformed search response
+   */
+  async search({ location, project, filters = {}, page = 1, includeVisualValidation }) {
+    const keyParams = { location, project, page, ...filters };
+    if (includeVisualValidation) {
+      keyParams.includeVisualValidation = includeVisualValidation;
+    }
+
+    const cacheKey = cacheService.generateKey('search', keyParams);
+
+    return cacheService.getOrCompute(cacheKey, async () => {
+      console.log('[SearchService] Fetching search results from Zillow API for project:', project || 'general');
+      const rawResults = await zillowService.searchProperties({
+        location,
+        filters,
+        page
+      });
+
+      // Transform response
+      const searchResponse = transformService.transformSearchResults(rawResults, false);
+
+      // Add visual validation if requested
+      if (includeVisualValidation && searchResponse.data.properties.length > 0) {
+        searchResponse.data.properties = await this.addVisualValidation(
+          searchResponse.data.properties,
+          includeVisualValidation
+        );
+      }
+
+      return searchResponse;
+    }, {
+      tags: { location, leadType: includeVisualValidation }
+    });
+  }
+
+  /**
+   * Attach visual validation to each property with coordinates
+   * Failures leave the property without validation rather than failing the search
+   * @param {array} properties - Transformed properties
+   * @param {string} leadType - Lead type to validate for
+   * @returns {Promise<array>} Properties with visualValidation where available
+   */
+  async addVisualValidation(properties, leadType) {
+    console.log('[SearchService] Adding visual validation to search results');
+
+    const results = await workQueueService.map(properties, async (property) => {
+      // Only validate if property has coordinates
+      if (!property.latitude || !property.longitude) {
+        return property;
+      }
+
+      try {
+        const validation = await batchLeadService.getVisualValidation(
+          property.latitude,
+          property.longitude,
+          leadType,
+          property
+        );
+
+        return {
+          ...property,
+          visualValidation: validation
+        };
+      } catch (validationError) {
+        console.warn(`[SearchService] Visual validation failed for property ${property.id}:`, validationError.message);
+        return property;
+      }
+    });
+
+    return results.map(result => result.value || result.item);
+  }
+
+  /**
+   * Pre-fetch searches for a location into the cache
+   * @param {string} location - City, address, or zip code
+   * @param {object} options - Warm options
+   * @param {array} options.projects - Project presets to warm (null for a plain search)
+   * @param {number} options.pages - Number of result pages per project
+   * @returns {Promise<array>} One { project, page, properties, totalPages } entry per search, or { error }
+   */
+  async warm(location, options = {}) {
+    const projects = options.projects && options.projects.length > 0 ? options.projects : [null];
+    const pages = options.pages || 1;
+    const warmed = [];
+
+    for (const project of projects) {
+      const filters = this.buildFilters(project);
+
+      for (let page = 1; page <= pages; page++) {
+        try {
+          const response = await this.search({ location, project: project || undefined, filters, page });
+          const { pagination } = response.data;
+
+          warmed.push({
+            project,
+            page,
+            properties: response.data.properties.length,
+            totalPages: pagination ? pagination.totalPages : 1
+          });
+
+          if (pagination && page >= pagination.totalPages) {
+            break;
+          }
+        } catch (error) {
+          console.warn(`[SearchService] Failed to warm ${location} (${project || 'general'}, page ${page}):`, error.message);
+          warmed.push({ project, page, error: error.message });
+          break;
+        }
+      }
+    }
+
+    return warmed;
+  }
+}
+
+module.exports = new SearchService();
@@ -27,8 +27,14 @@ class TransformService {
       bedrooms: this.parseNumber(rawData.bedrooms),
       bathrooms: this.parseNumber(rawData.bathrooms),
       squareFeet: this.parseNumber(rawData.squareFeet || rawData.sqft || rawData.livingArea),
+      lotAreaValue: this.parseNumber(rawData.lotAreaValue),
+      lotAreaUnit: rawData.lotAreaUnit || null,
+      stories: this.parseNumber(rawData.stories || (rawData.facts && rawData.facts.stories)),
       propertyType: rawData.propertyType || rawData.type || rawData.homeType || '',
-      yearBuilt: this.parseNumber(rawData.yearBuilt),
+      yearBuilt: this.parseNumber(rawData.yearBuilt || (rawData.facts && rawData.facts.yearBuilt)),
+      roofType: rawData.roofType || (rawData.facts && rawData.facts.roofType) || '',
+      garageParkingCapacity: this.parseNumber(rawData.garageParkingCapacity || (rawData.facts && rawData.facts.garageParkingCapacity)),
+      parkingFeatures: rawData.parkingFeatures || (rawData.facts && rawData.facts.parkingFeatures) || [],
       listingUrl: rawData.url || rawData.listingUrl || rawData.detailUrl || '',
       imageUrl: rawData.imageUrl || rawData.image || rawData.imgSrc || '',
       latitude: this.parseNumber(rawData.latitude || rawData.lat),
@@ -53,7 +59,8 @@ class TransformService {
         success: true,
         data: {
           properties: [],
-          totalCount: 0
+          totalCount: 0,
+          pagination: this.extractPagination(null, 0)
         },
         metadata: {
           timestamp: new Date().toISOString(),
@@ -94,7 +101,8 @@ class TransformService {
       success: true,
       data: {
         properties: transformedProperties,
-        totalCount: transformedProperties.length
+        totalCount: transformedProperties.length,
+        pagination: this.extractPagination(rawResults, transformedProperties.length)
       },
       metadata: {
         timestamp: new Date().toISOString(),
@@ -104,6 +112,23 @@ class TransformService {
     };
   }
 
+  /**
+   * Extract paging information from a Zillow search response
+   * @param {object} rawResults - Raw search results from Zillow API
+   * @param {number} count - Number of properties on this page
+   * @returns {object} Page, page size, total pages and total results
+   */
+  extractPagination(rawResults, count) {
+    const raw = rawResults && !Array.isArray(rawResults) ? rawResults : {};
+
+    return {
+      page: this.parseNumber(raw.currentPage) || 1,
+      pageSize: this.parseNumber(raw.resultsPerPage) || count,
+      totalPages: this.parseNumber(raw.totalPages) || 1,
+      totalResults: this.parseNumber(raw.totalResultCount) ?? count
+    };
+  }
+
   /**
    * Transform error to standardized error response
    * @param {Error} error - Error object
@@ -0,0 +1,125 @@
+const { detectMimeType } = require('./image');
+
+// JSON Schema keywords the Gemini responseSchema (an OpenAPI subset) rejects
+const UNSUPPORTED_SCHEMA_KEYWORDS = ['$schema', '$id', 'additionalProperties', 'title', 'default'];
+
+/**
+ * Gemini Vision Provider
+ * Calls the Generative Language API generateContent endpoint with the image inlined
+ * Implements the provider contract described in visionProviders/index.js
+ */
+class GeminiProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.apiKey - Gemini API key
+   * @param {string} options.model - Model name (e.g. gemini-1.5-flash)
+   * @param {function} createClient - (name, axiosConfig) => axios instance
+   */
+  constructor(options, createClient) {
+    this.name = 'gemini';
+    this.model = options.model;
+    this.apiKey = options.apiKey;
+
+    // The key travels in a header so it never appears in URLs, logs or cassettes
+    this.client = createClient(this.name, {
+      baseURL: 'https://generativelanguage.googleapis.com/v1beta',
+      headers: {
+        'x-goog-api-key': this.apiKey,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+  }
+
+  /**
+   * @returns {boolean} True if an API key is configured
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Image to analyze
+   * @param {string} prompt - Instructions, asking for a JSON answer
+   * @param {object} schema - Optional JSON Schema the answer must follow
+   * @param {object} options - Sampling options
+   * @param {number} options.temperature - Sampling temperature (default 0.2)
+   * @returns {Promise<object>} { text, model }
+   */
+  async analyze(imageBuffer, prompt, schema = null, options = {}) {
+    const requestBody = {
+      contents: [
+        {
+          parts: [
+            {
+              text: prompt
+            },
+            {
+              inline_data: {
+                mime_type: detectMimeType(imageBuffer),
+                data: imageBuffer.toString('base64')
+              }
+            }
+          ]
+        }
+      ],
+      generationConfig: {
+        temperature: options.temperature !== undefined ? options.temperature : 0.2,
+        maxOutputTokens: 1024
+      }
+    };
+
+    if (schema) {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+      requestBody.generationConfig.responseSchema = this.toResponseSchema(schema);
+    }
+
+    const response = await this.client.post(`/models/${this.model}:generateContent`, requestBody);
+
+    return {
+      text: response.data.candidates[0].content.parts[0].text,
+      model: response.data.modelVersion || this.model
+    };
+  }
+
+  /**
+   * Convert a JSON Schema to Gemini's responseSchema dialect
+   * Drops unsupported keywords and maps ["string", "null"] types to nullable
+   * @param {object} schema - JSON Schema
+   * @returns {object} Gemini response schema
+   */
+  toResponseSchema(schema) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this.toResponseSchema(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+
+    const converted = {};
+
+    Object.entries(schema).forEach(([keyword, value]) => {
+      if (UNSUPPORTED_SCHEMA_KEYWORDS.includes(keyword)) {
+        return;
+      }
+
+      if (keyword === 'type' && Array.isArray(value)) {
+        const types = value.filter(type => type !== 'null');
+        converted.type = types[0];
+        if (types.length < value.length) {
+          converted.nullable = true;
+        }
+      } else if (keyword === 'properties') {
+        converted.properties = Object.fromEntries(
+          Object.entries(value).map(([name, property]) => [name, this.toResponseSchema(property)])
+        );
+      } else {
+        converted[keyword] = this.toResponseSchema(value);
+      }
+    });
+
+    return converted;
+  }
+}
+
+module.exports = GeminiProvider;
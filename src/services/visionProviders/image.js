@@ -0,0 +1,35 @@
+/**
+ * Image helpers shared by vision providers
+ */
+
+/**
+ * Detect an image's MIME type from its leading bytes
+ * @param {Buffer} imageBuffer - Image data
+ * @returns {string} MIME type (PNG when unrecognized, the Google Static Maps default)
+ */
+function detectMimeType(imageBuffer) {
+  if (imageBuffer.length >= 3 && imageBuffer[0] === 0xff && imageBuffer[1] === 0xd8 && imageBuffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (imageBuffer.length >= 12 && imageBuffer.toString('ascii', 0, 4) === 'RIFF' && imageBuffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  if (imageBuffer.length >= 6 && imageBuffer.toString('ascii', 0, 3) === 'GIF') {
+    return 'image/gif';
+  }
+  return 'image/png';
+}
+
+/**
+ * Encode an image as a data URL for OpenAI-style image_url content parts
+ * @param {Buffer} imageBuffer - Image data
+ * @returns {string} data:<mime>;base64,<data>
+ */
+function toDataUrl(imageBuffer) {
+  return `data:${detectMimeType(imageBuffer)};base64,${imageBuffer.toString('base64')}`;
+}
+
+module.exports = {
+  detectMimeType,
+  toDataUrl
+};
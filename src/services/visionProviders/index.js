@@ -0,0 +1,67 @@
+/**
+ * Vision Providers
+ * Multimodal models VisualInspector sends satellite images to
+ *
+ * Provider contract:
+ *   - name                                  -> registry name ('openai', 'gemini', 'groq', 'local');
+ *                                              also the work queue and circuit breaker name
+ *   - model                                 -> configured model name
+ *   - isConfigured()                        -> whether credentials/endpoint are set
+ *   - analyze(imageBuffer, prompt, schema, options)
+ *                                           -> Promise<{ text, model }>, the raw answer and the
+ *                                              model that produced it; schema is an optional JSON
+ *                                              Schema for providers with structured output;
+ *                                              options.temperature overrides sampling temperature
+ *
+ * Failures are thrown (HTTP errors keep the circuit breaker's SERVICE_UNAVAILABLE code) and
+ * VisualInspector moves on to the next provider in config.visualInspector.providers.
+ */
+
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const GeminiProvider = require('./geminiProvider');
+
+/**
+ * Create every known provider from config
+ * @param {object} visionConfig - config.visualInspector
+ * @param {function} createClient - (name, axiosConfig) => axios instance with cassette and breaker layers
+ * @returns {object} Providers keyed by name
+ */
+function createProviders(visionConfig, createClient) {
+  return {
+    openai: new OpenAICompatibleProvider({
+      name: 'openai',
+      baseURL: 'https://api.openai.com/v1',
+      apiKey: visionConfig.openaiApiKey,
+      model: visionConfig.openaiModel,
+      jsonSchema: true
+    }, createClient),
+
+    gemini: new GeminiProvider({
+      apiKey: visionConfig.geminiApiKey,
+      model: visionConfig.geminiModel
+    }, createClient),
+
+    groq: new OpenAICompatibleProvider({
+      name: 'groq',
+      baseURL: 'https://api.groq.com/openai/v1',
+      apiKey: visionConfig.groqApiKey,
+      model: visionConfig.groqModel
+    }, createClient),
+
+    local: new OpenAICompatibleProvider({
+      name: 'local',
+      baseURL: visionConfig.localBaseUrl,
+      apiKey: visionConfig.localApiKey,
+      requiresApiKey: false,
+      model: visionConfig.localModel,
+      jsonSchema: visionConfig.localJsonSchema,
+      timeout: visionConfig.localTimeoutMs
+    }, createClient)
+  };
+}
+
+module.exports = {
+  createProviders,
+  OpenAICompatibleProvider,
+  GeminiProvider
+};
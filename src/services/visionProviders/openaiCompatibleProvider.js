@@ -0,0 +1,99 @@
+const { toDataUrl } = require('./image');
+
+/**
+ * OpenAI-Compatible Vision Provider
+ * Calls a /chat/completions endpoint with the image inlined as a data URL.
+ * Serves OpenAI itself, Groq, and self-hosted servers exposing the same API.
+ * Implements the provider contract described in visionProviders/index.js
+ */
+class OpenAICompatibleProvider {
+  /**
+   * @param {object} options - Provider options
+   * @param {string} options.name - Provider name (also its work queue, circuit breaker and cassette name)
+   * @param {string} options.baseURL - API base URL, up to and including /v1
+   * @param {string} options.apiKey - Bearer token
+   * @param {boolean} options.requiresApiKey - Whether the provider is unusable without apiKey (default true)
+   * @param {string} options.model - Model name
+   * @param {boolean} options.jsonSchema - Whether the endpoint honours response_format json_schema
+   * @param {number} options.timeout - Request timeout in ms (default 30000)
+   * @param {function} createClient - (name, axiosConfig) => axios instance
+   */
+  constructor(options, createClient) {
+    this.name = options.name;
+    this.model = options.model;
+    this.baseURL = options.baseURL;
+    this.apiKey = options.apiKey;
+    this.requiresApiKey = options.requiresApiKey !== false;
+    this.jsonSchema = Boolean(options.jsonSchema);
+
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    this.client = createClient(this.name, {
+      baseURL: this.baseURL,
+      headers,
+      timeout: options.timeout || 30000
+    });
+  }
+
+  /**
+   * @returns {boolean} True if the provider has what it needs to make calls
+   */
+  isConfigured() {
+    return Boolean(this.baseURL) && (!this.requiresApiKey || Boolean(this.apiKey));
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - Image to analyze
+   * @param {string} prompt - Instructions, asking for a JSON answer
+   * @param {object} schema - Optional JSON Schema the answer must follow
+   * @param {object} options - Sampling options
+   * @param {number} options.temperature - Sampling temperature (endpoint default if omitted)
+   * @returns {Promise<object>} { text, model }
+   */
+  async analyze(imageBuffer, prompt, schema = null, options = {}) {
+    const requestBody = {
+      model: this.model,
+      messages: [
+        {
+          role: 'user',
+          content: [
+            {
+              type: 'image_url',
+              image_url: {
+                url: toDataUrl(imageBuffer)
+              }
+            },
+            {
+              type: 'text',
+              text: prompt
+            }
+          ]
+        }
+      ],
+      max_tokens: 1024
+    };
+
+    if (options.temperature !== undefined) {
+      requestBody.temperature = options.temperature;
+    }
+
+    if (schema && this.jsonSchema) {
+      requestBody.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'analysis', schema, strict: false }
+      };
+    }
+
+    const response = await this.client.post('/chat/completions', requestBody);
+
+    return {
+      text: response.data.choices[0].message.content,
+      model: response.data.model || this.model
+    };
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
@@ -1,46 +1,117 @@
 const axios = require('axios');
 const config = require('../config');
+const cassetteService = require('./cassetteService');
+const circuitBreakerService = require('./circuitBreakerService');
+const ensembleService = require('./ensembleService');
+const schemaService = require('./schemaService');
+const promptService = require('./promptService');
+const cacheService = require('./cacheService');
+const imageStoreService = require('./imageStoreService');
+const leadTypeRegistry = require('./leadTypes');
+const workQueueService = require('./workQueueService');
+const { createProviders } = require('./visionProviders');
 
 /**
  * Visual Inspector Service
  * Validates property characteristics using satellite imagery and multimodal LLM analysis
- * Supports OpenAI (primary) and Gemini (fallback) for image analysis
+ * Images go to the vision providers in config.visualInspector.providers order
+ * (see visionProviders/), falling back to the next one when a provider fails
  */
 class VisualInspector {
   constructor() {
     this.googleMapsApiKey = config.visualInspector.googleMapsApiKey;
-    this.openaiApiKey = config.visualInspector.openaiApiKey;
-    this.openaiModel = config.visualInspector.openaiModel;
-    this.geminiApiKey = config.visualInspector.geminiApiKey;
-    this.geminiModel = config.visualInspector.geminiModel;
+    this.providerChain = config.visualInspector.providers;
+    this.ensemble = config.visualInspector.ensemble;
 
     // Create axios instances for external APIs
-    this.googleMapsClient = axios.create({
+    // Each is recorded/replayed when CASSETTE_MODE is set and guarded by a circuit breaker
+    this.googleMapsClient = this.createClient('google-maps', {
       timeout: 10000
     });
 
-    // Validate and clean API key
-    const cleanApiKey = this.openaiApiKey?.trim().replace(/^["']|["']$/g, '');
-    
-    this.openaiClient = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      headers: {
-        'Authorization': `Bearer ${cleanApiKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+    this.providers = createProviders(config.visualInspector, this.createClient.bind(this));
+  }
 
-    this.geminiClient = axios.create({
-      timeout: 30000
-    });
+  /**
+   * Create an axios instance for an upstream with cassette and circuit breaker layers
+   * @param {string} name - Upstream name
+   * @param {object} axiosConfig - Axios instance configuration
+   * @returns {object} Axios instance
+   */
+  createClient(name, axiosConfig) {
+    return circuitBreakerService.attach(
+      cassetteService.attach(axios.create(axiosConfig), name),
+      name
+    );
+  }
+
+  /**
+   * Get the configured providers in fallback order
+   * @returns {object[]} Providers from VISION_PROVIDERS that have credentials/endpoints set
+   */
+  getProviderChain() {
+    return this.providerChain
+      .map(name => this.providers[name])
+      .filter(provider => provider && provider.isConfigured());
+  }
+
+  /**
+   * Get the vision provider that analyses are sent to first
+   * Used to pick the work queue that bounds concurrent analyses
+   * @returns {string} Provider name (e.g. 'openai', 'gemini', 'groq', 'local')
+   */
+  getPrimaryProvider() {
+    const [primary] = this.getProviderChain();
+    return primary ? primary.name : this.providerChain[0];
+  }
+
+  /**
+   * Decide whether a property is analyzed by an ensemble rather than a single provider
+   * @param {object} zillowData - Zillow property data (price is read in 'high-value' mode)
+   * @param {boolean} override - Optional explicit choice, taking precedence over VISION_ENSEMBLE_MODE
+   * @returns {boolean} True to use the ensemble
+   */
+  shouldUseEnsemble(zillowData = {}, override) {
+    if (typeof override === 'boolean') {
+      return override;
+    }
+
+    if (this.ensemble.mode === 'always') {
+      return true;
+    }
+
+    if (this.ensemble.mode === 'high-value') {
+      const price = Number(String(zillowData.price || zillowData.unformattedPrice || '').replace(/[^0-9.]/g, ''));
+      return price >= this.ensemble.minPrice;
+    }
+
+    return false;
   }
 
   /**
-   * Fetch satellite image from Google Maps Static API with property marker
+   * Wrap an error with context while keeping its code and status
+   * so circuit breaker failures still reach the client as SERVICE_UNAVAILABLE
+   * @param {string} message - Error message
+   * @param {Error} cause - Original error
+   * @returns {Error} Wrapped error
+   */
+  wrapError(message, cause) {
+    const error = new Error(message);
+    if (cause.code === 'SERVICE_UNAVAILABLE') {
+      error.code = cause.code;
+      error.statusCode = cause.statusCode;
+      error.upstream = cause.upstream;
+      error.retryAfter = cause.retryAfter;
+    }
+    return error;
+  }
+
+  /**
+   * Get the satellite image for a location, fetching it from Google only on the first request
+   * Images live in the image store; the satellite-image cache maps locations to their hash
    * @param {number} latitude - Property latitude
    * @param {number} longitude - Property longitude
-   * @returns {Promise<string>} Image URL with marker
+   * @returns {Promise<object>} { hash, mimeType, imageBuffer }
    * @throws {Error} If image retrieval fails
    */
   async getGoogleMapsStaticImage(latitude, longitude) {
@@ -53,329 +124,388 @@ class VisualInspector {
         throw new Error('Latitude and longitude must be numbers');
       }
 
-      // Add marker to highlight the property location
-      const marker = `color:red|label:P|${latitude},${longitude}`;
+      const cacheKey = cacheService.generateKey('satellite-image', { latitude, longitude, zoom: 21, size: '600x600' });
+      const fetchImage = () => this.fetchSatelliteImage(latitude, longitude);
 
-      const params = {
-        center: `${latitude},${longitude}`,
-        zoom: 21,
-        size: '600x600',
-        maptype: 'satellite',
-        markers: marker,
-        key: this.googleMapsApiKey
-      };
+      let { hash } = await cacheService.getOrCompute(cacheKey, fetchImage);
+      let image = await imageStoreService.get(hash);
 
-      const url = 'https://maps.googleapis.com/maps/api/staticmap';
-      
-      console.log(`[VisualInspector] Fetching satellite image for coordinates: ${latitude}, ${longitude} with property marker`);
+      // The stored file was removed while its cache entry lived on
+      if (!image) {
+        await cacheService.invalidate(cacheKey);
+        ({ hash } = await cacheService.getOrCompute(cacheKey, fetchImage));
+        image = await imageStoreService.get(hash);
+      }
 
-      const response = await this.googleMapsClient.get(url, { params });
+      if (!image) {
+        throw new Error(`Image ${hash} is missing from the image store`);
+      }
 
-      // Google Maps Static API returns the image directly
-      // We construct the URL for reference
-      const imageUrl = `${url}?${new URLSearchParams(params).toString()}`;
-      
-      console.log(`[VisualInspector] Successfully fetched satellite image with marker`);
-      return imageUrl;
+      return image;
     } catch (error) {
       console.error(`[VisualInspector] Error fetching satellite image:`, error.message);
-      throw new Error(`Failed to fetch satellite image: ${error.message}`);
+      throw this.wrapError(`Failed to fetch satellite image: ${error.message}`, error);
     }
   }
 
+  /**
+   * Fetch satellite image from Google Maps Static API with property marker and store it
+   * The request URL carries the API key and is never returned or logged
+   * @param {number} latitude - Property latitude
+   * @param {number} longitude - Property longitude
+   * @returns {Promise<object>} { hash, mimeType, bytes } from the image store
+   */
+  async fetchSatelliteImage(latitude, longitude) {
+    // Add marker to highlight the property location
+    const marker = `color:red|label:P|${latitude},${longitude}`;
+
+    const params = {
+      center: `${latitude},${longitude}`,
+      zoom: 21,
+      size: '600x600',
+      maptype: 'satellite',
+      markers: marker,
+      key: this.googleMapsApiKey
+    };
+
+    console.log(`[VisualInspector] Fetching satellite image for coordinates: ${latitude}, ${longitude} with property marker`);
+
+    const response = await this.googleMapsClient.get('https://maps.googleapis.com/maps/api/staticmap', {
+      params,
+      responseType: 'arraybuffer'
+    });
 
+    const stored = await imageStoreService.save(Buffer.from(response.data));
+
+    console.log(`[VisualInspector] Successfully fetched satellite image with marker (${stored.hash})`);
+    return stored;
+  }
 
   /**
-   * Analyze property image with Gemini Vision model (fallback)
-   * @param {string} imageUrl - URL of the satellite image
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
+   * Analyze a property image with the first vision provider that succeeds
+   * @param {Buffer} imageBuffer - Satellite image
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @param {object} propertyData - Optional Zillow property data for context
-   * @returns {Promise<object>} Analysis results with confidence scores
-   * @throws {Error} If analysis fails
+   * @param {object} options - Options
+   * @param {string} options.promptVersion - Prompt template version (default: active version)
+   * @returns {Promise<object>} Analysis results with confidence scores, plus the provider and model that produced them
+   * @throws {Error} If no provider is configured or all providers fail
    */
-  async analyzePropertyWithGemini(imageUrl, leadType, propertyData = {}) {
-    try {
-      if (!this.geminiApiKey) {
-        throw new Error('GEMINI_API_KEY is not configured');
-      }
-
-      if (!imageUrl) {
-        throw new Error('Image URL is required');
-      }
+  async analyzeImage(imageBuffer, leadType, propertyData = {}, options = {}) {
+    if (!imageBuffer || imageBuffer.length === 0) {
+      throw new Error('Image data is required');
+    }
 
-      if (!['PoolLeadGen', 'BackyardBoost'].includes(leadType)) {
-        throw new Error('Lead type must be either PoolLeadGen or BackyardBoost');
-      }
+    if (!leadTypeRegistry.has(leadType)) {
+      throw new Error(`Lead type must be one of: ${leadTypeRegistry.names().join(', ')}`);
+    }
 
-      // Generate dynamic prompt based on lead type
-      const prompt = this.generatePrompt(leadType, propertyData);
-
-      console.log(`[VisualInspector] Analyzing image with Gemini (${this.geminiModel}) for lead type: ${leadType}`);
-
-      const requestBody = {
-        contents: [
-          {
-            parts: [
-              {
-                text: prompt
-              },
-              {
-                inline_data: {
-                  mime_type: 'image/jpeg',
-                  data: await this.fetchImageAsBase64(imageUrl)
-                }
-              }
-            ]
-          }
-        ],
-        generationConfig: {
-          temperature: 0.2,
-          maxOutputTokens: 1024
-        }
-      };
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
+      throw new Error(`No vision provider configured (VISION_PROVIDERS=${this.providerChain.join(',')})`);
+    }
 
-      const url = `https://generativelanguage.googleapis.com/v1/models/${this.geminiModel}:generateContent?key=${this.geminiApiKey}`;
-      const response = await this.geminiClient.post(url, requestBody);
+    // Generate dynamic prompt based on lead type
+    const prompt = this.generatePrompt(leadType, propertyData, options.promptVersion);
+    let lastError;
 
-      const analysisText = response.data.candidates[0].content.parts[0].text;
-      
-      // Parse JSON response from LLM
-      const analysis = this.parseAnalysisResponse(analysisText, leadType);
+    for (const provider of chain) {
+      try {
+        return await this.runProvider(provider, imageBuffer, prompt, leadType);
+      } catch (error) {
+        console.error(`[VisualInspector] Error analyzing image with ${provider.name}:`, error.message);
+        lastError = error;
+      }
+    }
 
-      console.log(`[VisualInspector] Successfully analyzed image with Gemini for ${leadType}`);
-      return analysis;
-    } catch (error) {
-      console.error(`[VisualInspector] Error analyzing image with Gemini:`, error.message);
-      throw new Error(`Failed to analyze image with Gemini: ${error.message}`);
+    const names = chain.map(provider => provider.name).join(', ');
+    const error = this.wrapError(`Failed to analyze image with all providers (${names}): ${lastError.message}`, lastError);
+    if (lastError.validationErrors) {
+      error.validationErrors = lastError.validationErrors;
     }
+    throw error;
   }
 
   /**
-   * Fetch image from URL and convert to base64
-   * @param {string} imageUrl - URL of the image
-   * @returns {Promise<string>} Base64 encoded image data
+   * Call a provider through its work queue so every call (primary, fallback,
+   * ensemble member, repair) respects that provider's concurrency and minimum interval
+   * @param {object} provider - Vision provider
+   * @param {...*} args - provider.analyze arguments (imageBuffer, prompt, schema, options)
+   * @returns {Promise<object>} { text, model }
    */
-  async fetchImageAsBase64(imageUrl) {
-    try {
-      const response = await this.googleMapsClient.get(imageUrl, {
-        responseType: 'arraybuffer'
-      });
-      return Buffer.from(response.data).toString('base64');
-    } catch (error) {
-      console.error(`[VisualInspector] Error fetching image as base64:`, error.message);
-      throw new Error(`Failed to fetch image: ${error.message}`);
-    }
+  callProvider(provider, ...args) {
+    return workQueueService.run(provider.name, () => provider.analyze(...args));
   }
 
   /**
-   * Analyze property image with GPT-4o Vision model (primary)
-   * Falls back to Gemini if OpenAI fails
-   * @param {string} imageUrl - URL of the satellite image
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
-   * @param {object} propertyData - Optional Zillow property data for context
-   * @returns {Promise<object>} Analysis results with confidence scores
-   * @throws {Error} If all analysis methods fail
+   * Ask one provider and validate its answer against the lead type's schema
+   * An invalid answer gets one repair attempt: the provider is shown its errors and asked again
+   * @param {object} provider - Vision provider
+   * @param {Buffer} imageBuffer - Satellite image
+   * @param {string} prompt - Prompt from generatePrompt
+   * @param {string} leadType - Type of lead
+   * @param {object} options - Sampling options passed to the provider
+   * @returns {Promise<object>} Analysis with provider, model and schemaValidation
+   *   ({ attempts, errors from rejected attempts, coercions applied })
+   * @throws {Error} INVALID_ANALYSIS error with validationErrors if the repaired answer is still invalid
    */
-  async analyzePropertyWithLLM(imageUrl, leadType, propertyData = {}) {
-    try {
-      if (!this.openaiApiKey) {
-        console.warn('[VisualInspector] OPENAI_API_KEY not configured, attempting Gemini fallback');
-        return await this.analyzePropertyWithGemini(imageUrl, leadType, propertyData);
+  async runProvider(provider, imageBuffer, prompt, leadType, options = {}) {
+    console.log(`[VisualInspector] Analyzing image with ${provider.name} (${provider.model}) for lead type: ${leadType}`);
+
+    const schema = schemaService.getAnalysisSchema(leadType);
+    let { text, model } = await this.callProvider(provider, imageBuffer, prompt, schema, options);
+    let result = this.parseAnalysisResponse(text, leadType);
+    const rejected = [];
+
+    if (!result.valid) {
+      console.warn(`[VisualInspector] Invalid answer from ${provider.name}, asking for a repair:`, result.errors.join('; '));
+      rejected.push(...result.errors);
+
+      ({ text, model } = await this.callProvider(
+        provider,
+        imageBuffer,
+        this.generateRepairPrompt(prompt, text, result.errors),
+        schema,
+        options
+      ));
+      result = this.parseAnalysisResponse(text, leadType);
+
+      if (!result.valid) {
+        const error = new Error(`Invalid analysis from ${provider.name} after repair: ${result.errors.join('; ')}`);
+        error.code = 'INVALID_ANALYSIS';
+        error.validationErrors = [...rejected, ...result.errors];
+        throw error;
       }
+    }
 
-      if (!imageUrl) {
-        throw new Error('Image URL is required');
+    console.log(`[VisualInspector] Successfully analyzed image with ${provider.name} for ${leadType}`);
+    return {
+      ...result.value,
+      provider: provider.name,
+      model,
+      schemaValidation: {
+        attempts: rejected.length > 0 ? 2 : 1,
+        errors: rejected,
+        coercions: result.coercions
       }
+    };
+  }
 
-      if (!['PoolLeadGen', 'BackyardBoost'].includes(leadType)) {
-        throw new Error('Lead type must be either PoolLeadGen or BackyardBoost');
-      }
+  /**
+   * Build the follow-up prompt asking a provider to correct an invalid answer
+   * @param {string} prompt - Original prompt
+   * @param {string} previousText - The invalid answer
+   * @param {string[]} errors - Validation errors
+   * @returns {string} Repair prompt
+   */
+  generateRepairPrompt(prompt, previousText, errors) {
+    return `${prompt}
 
-      // Generate dynamic prompt based on lead type
-      const prompt = this.generatePrompt(leadType, propertyData);
-
-      console.log(`[VisualInspector] Analyzing image with GPT-4o for lead type: ${leadType}`);
-
-      const requestBody = {
-        model: this.openaiModel,
-        messages: [
-          {
-            role: 'user',
-            content: [
-              {
-                type: 'image_url',
-                image_url: {
-                  url: imageUrl
-                }
-              },
-              {
-                type: 'text',
-                text: prompt
-              }
-            ]
-          }
-        ],
-        max_tokens: 1024
-      };
+Your previous answer was:
+${previousText}
 
-      const response = await this.openaiClient.post('/chat/completions', requestBody);
+It did not match the required JSON structure:
+${errors.map(error => `- ${error}`).join('\n')}
 
-      const analysisText = response.data.choices[0].message.content;
-      
-      // Parse JSON response from LLM
-      const analysis = this.parseAnalysisResponse(analysisText, leadType);
+Answer again for the same image. Return ONLY valid JSON with the structure above, no additional text.`;
+  }
 
-      console.log(`[VisualInspector] Successfully analyzed image with GPT-4o for ${leadType}`);
-      return analysis;
-    } catch (error) {
-      console.error(`[VisualInspector] Error analyzing image with GPT-4o:`, error.message);
-      console.log('[VisualInspector] Attempting Gemini fallback...');
+  /**
+   * Analyze a property image with several providers and merge their answers by vote
+   * With fewer configured providers than the ensemble size, providers are asked again
+   * at a higher temperature to get independent samples
+   * @param {Buffer} imageBuffer - Satellite image
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
+   * @param {object} propertyData - Optional Zillow property data for context
+   * @param {object} options - Options
+   * @param {string} options.promptVersion - Prompt template version (default: active version)
+   * @returns {Promise<object>} { analysis, ensemble: { size, agreement, answers } }
+   * @throws {Error} If no provider is configured or every ensemble member fails
+   */
+  async analyzeWithEnsemble(imageBuffer, leadType, propertyData = {}, options = {}) {
+    if (!leadTypeRegistry.has(leadType)) {
+      throw new Error(`Lead type must be one of: ${leadTypeRegistry.names().join(', ')}`);
+    }
 
-      try {
-        return await this.analyzePropertyWithGemini(imageUrl, leadType, propertyData);
-      } catch (geminiError) {
-        console.error(`[VisualInspector] Gemini fallback also failed:`, geminiError.message);
-        throw new Error(`Failed to analyze image with all providers (OpenAI, Gemini): ${error.message}`);
+    const chain = this.getProviderChain();
+    if (chain.length === 0) {
+      throw new Error(`No vision provider configured (VISION_PROVIDERS=${this.providerChain.join(',')})`);
+    }
+
+    const prompt = this.generatePrompt(leadType, propertyData, options.promptVersion);
+    const members = Array.from({ length: Math.max(this.ensemble.size, 1) }, (_, i) => ({
+      provider: chain[i % chain.length],
+      options: i >= chain.length ? { temperature: this.ensemble.sampleTemperature } : {}
+    }));
+
+    console.log(`[VisualInspector] Ensemble of ${members.length} for ${leadType}: ${members.map(m => m.provider.name).join(', ')}`);
+
+    const settled = await Promise.allSettled(
+      members.map(({ provider, options }) => this.runProvider(provider, imageBuffer, prompt, leadType, options))
+    );
+
+    const answers = settled.map((result, i) => {
+      const { name } = members[i].provider;
+
+      if (result.status === 'rejected') {
+        console.error(`[VisualInspector] Ensemble member ${name} failed:`, result.reason.message);
+        return { provider: name, error: result.reason.message };
       }
+
+      const { provider, model, ...analysis } = result.value;
+      return { provider, model, weight: this.ensemble.weights[provider] || 1, analysis };
+    });
+
+    const successful = answers.filter(answer => !answer.error);
+    if (successful.length === 0) {
+      const lastError = settled[settled.length - 1].reason;
+      throw this.wrapError(`Failed to analyze image with every ensemble member: ${lastError.message}`, lastError);
     }
+
+    const { analysis, agreement } = ensembleService.merge(successful, leadTypeRegistry.get(leadType).decisiveFields);
+
+    return {
+      analysis: {
+        ...analysis,
+        provider: 'ensemble',
+        model: [...new Set(successful.map(answer => `${answer.provider}/${answer.model}`))].join(',')
+      },
+      ensemble: {
+        size: members.length,
+        answered: successful.length,
+        agreement,
+        answers
+      }
+    };
   }
 
   /**
    * Generate dynamic prompt based on lead type
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
+   * Templates are versioned files under src/prompts (see promptService)
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @param {object} propertyData - Optional property data for context
+   * @param {string} version - Optional prompt version (default: active version)
    * @returns {string} Formatted prompt for LLM
    */
-  generatePrompt(leadType, propertyData = {}) {
-    if (leadType === 'PoolLeadGen') {
-      return `Analyze this satellite image of a property and provide a JSON response with the following structure:
-{
-  "has_pool": boolean,
-  "confidence": number (0-100),
-  "pool_type": string or null (e.g., "in-ground", "above-ground", "hot-tub"),
-  "pool_size_estimate": string or null (e.g., "small", "medium", "large"),
-  "water_bodies": string or null (description of any water features detected),
-  "reasoning": string (brief explanation of findings)
-}
-
-Focus on detecting:
-1. Swimming pools (in-ground or above-ground)
-2. Hot tubs or spas
-3. Any water bodies or water features
-4. Confidence level based on image clarity and feature visibility
-
-Return ONLY valid JSON, no additional text.`;
-    } else if (leadType === 'BackyardBoost') {
-      return `Analyze this satellite image of a property's backyard and provide a JSON response with the following structure:
-{
-  "is_empty_backyard": boolean,
-  "is_underdeveloped": boolean,
-  "surface_type": string (e.g., "grass", "dirt", "paved", "mixed"),
-  "estimated_free_area": string (e.g., "high", "medium", "low"),
-  "confidence": number (0-100),
-  "structures_detected": array of strings (e.g., ["shed", "deck", "fence", "trees"]),
-  "development_potential": string (e.g., "high", "medium", "low"),
-  "reasoning": string (brief explanation of findings)
-}
-
-Focus on detecting:
-1. Empty or available backyard space
-2. Underdeveloped backyard (minimal structures, mostly open space)
-3. Surface type (grass, dirt, concrete, etc.)
-4. Existing structures (sheds, decks, pools, etc.)
-5. Estimated percentage of free usable space
-6. Development potential for improvements
-7. Confidence level based on image clarity
-
-Return ONLY valid JSON, no additional text.`;
-    }
+  generatePrompt(leadType, propertyData = {}, version) {
+    return promptService.render(leadType, propertyData, version).text;
   }
 
   /**
-   * Parse JSON response from LLM
+   * Parse and validate a JSON response from LLM
+   * Falls back to the first {...} block for providers that wrap JSON in prose or code fences
    * @param {string} responseText - Raw response text from LLM
-   * @param {string} leadType - Type of lead for validation
-   * @returns {object} Parsed analysis data
-   * @throws {Error} If JSON parsing fails
+   * @param {string} leadType - Type of lead whose schema applies
+   * @returns {object} { valid, value, errors, coercions } (see schemaService.validate)
    */
   parseAnalysisResponse(responseText, leadType) {
+    let parsed;
+
     try {
+      parsed = JSON.parse(responseText);
+    } catch (error) {
       // Extract JSON from response (in case there's extra text)
-      const jsonMatch = responseText.match(/\{[\s\S]*\}/);
-      if (!jsonMatch) {
-        throw new Error('No JSON found in LLM response');
+      const jsonMatch = String(responseText || '').match(/\{[\s\S]*\}/);
+
+      try {
+        parsed = jsonMatch ? JSON.parse(jsonMatch[0]) : undefined;
+      } catch (innerError) {
+        parsed = undefined;
       }
+    }
 
-      const analysis = JSON.parse(jsonMatch[0]);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { valid: false, value: null, errors: ['$: response is not a JSON object'], coercions: [] };
+    }
 
-      // Validate required fields based on lead type
-      if (leadType === 'PoolLeadGen') {
-        if (typeof analysis.has_pool !== 'boolean') {
-          throw new Error('Invalid has_pool field in response');
-        }
-        if (typeof analysis.confidence !== 'number' || analysis.confidence < 0 || analysis.confidence > 100) {
-          throw new Error('Invalid confidence score in response');
-        }
-      } else if (leadType === 'BackyardBoost') {
-        if (typeof analysis.is_empty_backyard !== 'boolean') {
-          throw new Error('Invalid is_empty_backyard field in response');
-        }
-        if (typeof analysis.is_underdeveloped !== 'boolean') {
-          throw new Error('Invalid is_underdeveloped field in response');
-        }
-        if (!['high', 'medium', 'low'].includes(analysis.estimated_free_area)) {
-          throw new Error('Invalid estimated_free_area in response');
-        }
-        if (!['high', 'medium', 'low'].includes(analysis.development_potential)) {
-          throw new Error('Invalid development_potential in response');
-        }
-        if (typeof analysis.confidence !== 'number' || analysis.confidence < 0 || analysis.confidence > 100) {
-          throw new Error('Invalid confidence score in response');
-        }
-      }
+    return schemaService.validate(parsed, schemaService.getAnalysisSchema(leadType));
+  }
 
-      return analysis;
-    } catch (error) {
-      console.error(`[VisualInspector] Error parsing LLM response:`, error.message);
-      throw new Error(`Failed to parse LLM analysis: ${error.message}`);
+  /**
+   * Run a lead type's rules stage, which combines the image analysis with listing data
+   * Callers reading a cached validation run it again, since the cache key leaves out listing data
+   * @param {object} analysis - Vision analysis
+   * @param {string} leadType - Type of lead
+   * @param {object} zillowData - Zillow property data
+   * @returns {object} Analysis with the rules stage fields merged in (unchanged for lead types without one)
+   */
+  applyRules(analysis, leadType, zillowData = {}) {
+    const definition = leadTypeRegistry.get(leadType);
+    return definition.applyRules ? { ...analysis, ...definition.applyRules(analysis, zillowData) } : analysis;
+  }
+
+  /**
+   * Providers a validation's analysis came from, for tagging cached results
+   * @param {object} validation - validation from verify_property_visually
+   * @returns {string[]} Every ensemble member that answered, or the single provider that answered
+   */
+  getAnsweringProviders(validation) {
+    if (validation.ensemble) {
+      return [...new Set(validation.ensemble.answers
+        .filter(answer => !answer.error)
+        .map(answer => answer.provider))];
     }
+
+    return validation.analysis && validation.analysis.provider ? [validation.analysis.provider] : [];
   }
 
   /**
    * Main orchestration function for visual property validation
    * @param {number} latitude - Property latitude
    * @param {number} longitude - Property longitude
-   * @param {string} leadType - Type of lead: 'PoolLeadGen' or 'BackyardBoost'
+   * @param {string} leadType - Type of lead (a name from the lead type registry)
    * @param {object} zillowData - Optional Zillow property data for comparison
-   * @returns {Promise<object>} Validation result with confidence scores
+   * @param {object} options - Options
+   * @param {boolean} options.ensemble - Force ensemble voting on or off (default: VISION_ENSEMBLE_MODE)
+   * @param {string} options.promptVersion - Prompt template version (default: active version)
+   * @returns {Promise<object>} Validation result with confidence scores and the prompt version used;
+   *   ensemble runs add validation.ensemble with the agreement and every member's answer
    * @throws {Error} If validation workflow fails
    */
-  async verify_property_visually(latitude, longitude, leadType, zillowData = {}) {
+  async verify_property_visually(latitude, longitude, leadType, zillowData = {}, options = {}) {
     try {
-      console.log(`[VisualInspector] Starting visual verification for ${leadType}`);
+      const promptVersion = promptService.resolveVersion(leadType, options.promptVersion);
+      console.log(`[VisualInspector] Starting visual verification for ${leadType} with prompt ${promptVersion}`);
 
       // Step 1: Fetch satellite image
-      const satelliteImageUrl = await this.getGoogleMapsStaticImage(latitude, longitude);
+      const { hash: satelliteImageHash, imageBuffer } = await this.getGoogleMapsStaticImage(latitude, longitude);
 
-      // Step 2: Analyze image with LLM (with fallback)
-      const analysis = await this.analyzePropertyWithLLM(satelliteImageUrl, leadType, zillowData);
+      // Step 2: Analyze image with LLM (with fallback), or vote across an ensemble
+      let analysis;
+      let ensemble;
+
+      if (this.shouldUseEnsemble(zillowData, options.ensemble)) {
+        ({ analysis, ensemble } = await this.analyzeWithEnsemble(imageBuffer, leadType, zillowData, { promptVersion }));
+      } else {
+        analysis = await this.analyzeImage(imageBuffer, leadType, zillowData, { promptVersion });
+      }
 
-      // Step 3: Build validation result
+      // Step 3: Rules stage - lead types that combine the image with listing data (e.g. lot size) derive fields here
+      analysis = this.applyRules(analysis, leadType, zillowData);
+
+      // Step 4: Build validation result
       const validationResult = {
         success: true,
         validation: {
           leadType,
-          satelliteImageUrl,
+          promptVersion,
+          // Only the hash is kept, since results are cached and persisted; responses sign an
+          // /api/images URL from it (the Google URL holds the API key and stays on the server)
+          satelliteImageHash,
           analysis,
           timestamp: new Date().toISOString()
         }
       };
 
-      console.log(`[VisualInspector] Visual verification completed successfully with model: ${analysis.model}`);
+      if (ensemble) {
+        validationResult.validation.ensemble = ensemble;
+      }
+
+      console.log(`[VisualInspector] Visual verification completed successfully with ${analysis.provider} model: ${analysis.model}`);
       return validationResult;
     } catch (error) {
       console.error(`[VisualInspector] Visual verification failed:`, error.message);
-      throw new Error(`Visual property verification failed: ${error.message}`);
+      throw this.wrapError(`Visual property verification failed: ${error.message}`, error);
     }
   }
 }
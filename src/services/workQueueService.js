@@ -0,0 +1,225 @@
+const config = require('../config');
+
+/**
+ * Work Queue
+ * FIFO queue that runs at most `concurrency` tasks at once and spaces task
+ * starts by at least `minIntervalMs` to stay under a provider's rate limit
+ */
+class WorkQueue {
+  /**
+   * @param {string} name - Queue name (usually the provider, e.g. 'openai')
+   * @param {object} options - Queue options
+   * @param {number} options.concurrency - Maximum tasks running at once
+   * @param {number} options.minIntervalMs - Minimum delay between task starts
+   */
+  constructor(name, options = {}) {
+    this.name = name;
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    this.minIntervalMs = options.minIntervalMs || 0;
+    this.pending = [];
+    this.active = 0;
+    this.lastStartAt = 0;
+    this.timer = null;
+    this.stats = {
+      completed: 0,
+      failed: 0,
+      skipped: 0,
+      maxDepth: 0
+    };
+  }
+
+  /**
+   * Queue a task
+   * @param {function} task - async () => result
+   * @param {object} options - Task options
+   * @param {AbortSignal} options.signal - Drops the task if aborted before it starts
+   * @returns {Promise<*>} Task result
+   */
+  push(task, options = {}) {
+    return new Promise((resolve, reject) => {
+      this.pending.push({ task, signal: options.signal, resolve, reject });
+      this.stats.maxDepth = Math.max(this.stats.maxDepth, this.pending.length);
+      this.drain();
+    });
+  }
+
+  /**
+   * Start queued tasks while there is spare concurrency
+   */
+  drain() {
+    while (this.active < this.concurrency && this.pending.length > 0 && !this.timer) {
+      const waitMs = this.lastStartAt + this.minIntervalMs - Date.now();
+      if (waitMs > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.drain();
+        }, waitMs);
+        return;
+      }
+
+      const item = this.pending.shift();
+
+      if (item.signal && item.signal.aborted) {
+        this.stats.skipped++;
+        item.reject(this.createSkippedError());
+        continue;
+      }
+
+      this.start(item);
+    }
+  }
+
+  /**
+   * Run a single task and start the next one when it settles
+   * @param {object} item - Queued task
+   */
+  async start(item) {
+    this.active++;
+    this.lastStartAt = Date.now();
+
+    try {
+      const result = await item.task();
+      this.stats.completed++;
+      item.resolve(result);
+    } catch (error) {
+      this.stats.failed++;
+      item.reject(error);
+    } finally {
+      this.active--;
+      this.drain();
+    }
+  }
+
+  /**
+   * Error used for tasks dropped before they started
+   * @returns {Error} TASK_SKIPPED error
+   */
+  createSkippedError() {
+    const error = new Error(`Task skipped, ${this.name} work was cancelled`);
+    error.code = 'TASK_SKIPPED';
+    return error;
+  }
+
+  /**
+   * Get a snapshot of the queue
+   * @returns {object} Queue depth, active tasks and counters
+   */
+  getStats() {
+    return {
+      concurrency: this.concurrency,
+      minIntervalMs: this.minIntervalMs,
+      active: this.active,
+      depth: this.pending.length,
+      ...this.stats
+    };
+  }
+}
+
+/**
+ * Work Queue Service
+ * Registry of work queues shared by every route and service that fans out visual
+ * analysis (search-and-analyze, batch leads, expanded search). Per-property work
+ * runs on the 'analysis' queue; each vision provider call runs on that provider's
+ * queue, so fallbacks and ensemble members are limited the same way as the primary
+ */
+class WorkQueueService {
+  constructor() {
+    this.ANALYSIS_QUEUE = 'analysis';
+    this.queues = new Map();
+  }
+
+  /**
+   * Get or create a queue
+   * Queues without provider settings (including 'analysis') use the default concurrency
+   * @param {string} name - Queue name: a provider (e.g., 'openai', 'gemini') or 'analysis'
+   * @returns {WorkQueue} Work queue
+   */
+  getQueue(name) {
+    if (!this.queues.has(name)) {
+      const options = config.workQueue.providers[name] || {
+        concurrency: config.workQueue.defaultConcurrency,
+        minIntervalMs: 0
+      };
+
+      console.log(
+        `[WorkQueueService] Created ${name} queue: concurrency ${options.concurrency}, ` +
+        `min interval ${options.minIntervalMs}ms`
+      );
+      this.queues.set(name, new WorkQueue(name, options));
+    }
+
+    return this.queues.get(name);
+  }
+
+  /**
+   * Run a single task through a queue
+   * @param {string} name - Queue name
+   * @param {function} task - async () => result
+   * @param {object} options - Task options (signal)
+   * @returns {Promise<*>} Task result
+   */
+  run(name, task, options = {}) {
+    return this.getQueue(name).push(task, options);
+  }
+
+  /**
+   * Run a worker over every item through a queue
+   * Results keep the order of the input; failed and skipped items are reported per item
+   * @param {array} items - Items to process
+   * @param {function} worker - async (item, index) => result
+   * @param {object} options - Run options
+   * @param {string} options.queue - Queue name (default: the 'analysis' fan-out queue)
+   * @param {function} options.stopWhen - (result, item) => boolean; once true, items not yet started are skipped
+   * @param {AbortSignal} options.signal - Skips items not yet started when aborted
+   * @returns {Promise<array>} Promise.allSettled-style entries: { item, status: 'fulfilled'|'rejected'|'skipped', value, reason }
+   */
+  async map(items, worker, options = {}) {
+    const queue = this.getQueue(options.queue || this.ANALYSIS_QUEUE);
+    const controller = new AbortController();
+    const stopWhen = options.stopWhen;
+
+    const onAbort = () => controller.abort();
+    if (options.signal) {
+      if (options.signal.aborted) {
+        controller.abort();
+      } else {
+        options.signal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    try {
+      return await Promise.all(items.map((item, index) =>
+        queue.push(() => worker(item, index), { signal: controller.signal })
+          .then(value => {
+            if (stopWhen && !controller.signal.aborted && stopWhen(value, item)) {
+              controller.abort();
+            }
+            return { item, status: 'fulfilled', value };
+          })
+          .catch(reason => ({
+            item,
+            status: reason.code === 'TASK_SKIPPED' ? 'skipped' : 'rejected',
+            reason
+          }))
+      ));
+    } finally {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort);
+      }
+    }
+  }
+
+  /**
+   * Get the state of every queue
+   * @returns {object} Queue stats keyed by queue name
+   */
+  getStats() {
+    const stats = {};
+    this.queues.forEach((queue, name) => {
+      stats[name] = queue.getStats();
+    });
+    return stats;
+  }
+}
+
+module.exports = new WorkQueueService();
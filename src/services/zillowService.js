@@ -1,5 +1,14 @@
 const axios = require('axios');
 const config = require('../config');
+const cassetteService = require('./cassetteService');
+const circuitBreakerService = require('./circuitBreakerService');
+const quotaService = require('./quotaService');
+const { iterateSearchPages } = require('../utils/searchPagination');
+
+/**
+ * Network error codes that indicate a transient failure worth retrying
+ */
+const RETRYABLE_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'EAI_AGAIN', 'ERR_NETWORK'];
 
 /**
  * Zillow API Client Service
@@ -10,6 +19,9 @@ class ZillowService {
     this.apiKey = config.api.key;
     this.apiHost = config.api.host;
     this.baseURL = `https://${this.apiHost}`;
+    this.maxRetries = config.zillow.maxRetries;
+    this.retryBaseDelayMs = config.zillow.retryBaseDelayMs;
+    this.retryMaxDelayMs = config.zillow.retryMaxDelayMs;
     
     // Create axios instance with default headers
     const axiosConfig = {
@@ -26,38 +38,146 @@ class ZillowService {
       process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
     }
 
-    this.client = axios.create(axiosConfig);
+    // Layers, outermost first: fail fast while Zillow is down, record/replay responses
+    // when CASSETTE_MODE is set, then rate limit and count requests that reach RapidAPI
+    this.client = circuitBreakerService.attach(
+      cassetteService.attach(quotaService.attach(axios.create(axiosConfig)), 'zillow'),
+      'zillow'
+    );
   }
 
   /**
    * Generic method to make HTTP requests to Zillow API
+   * Retries 429, 5xx and network failures with jittered exponential backoff
    * @param {string} endpoint - API endpoint path
    * @param {object} params - Query parameters
    * @returns {Promise<object>} API response data
-   * @throws {Error} If request fails
+   * @throws {Error} If request fails after all retries
    */
   async makeRequest(endpoint, params = {}) {
-    try {
-      console.log(`[ZillowService] Making request to ${endpoint}`, { params });
-      
-      const response = await this.client.get(endpoint, { params });
-      
-      console.log(`[ZillowService] Request successful to ${endpoint}`);
-      return response.data;
-    } catch (error) {
-      this.handleError(error, endpoint, params);
+    let retries = 0;
+
+    while (true) {
+      try {
+        console.log(`[ZillowService] Making request to ${endpoint}`, { params });
+
+        const response = await this.client.get(endpoint, { params });
+
+        console.log(`[ZillowService] Request successful to ${endpoint}`);
+        return response.data;
+      } catch (error) {
+        const delay = retries < this.maxRetries ? this.getRetryDelay(error, retries) : null;
+
+        if (delay === null) {
+          this.handleError(error, endpoint, params, retries);
+        }
+
+        retries++;
+        console.warn(
+          `[ZillowService] Request to ${endpoint} failed (${error.response?.status || error.code || error.message}), ` +
+          `retry ${retries}/${this.maxRetries} in ${delay}ms`
+        );
+        await this.sleep(delay);
+      }
     }
   }
 
+  /**
+   * Determine how long to wait before retrying a failed request
+   * Honours Retry-After and RapidAPI x-ratelimit-* headers when present
+   * @param {Error} error - Axios error
+   * @param {number} retries - Retries already performed
+   * @returns {number|null} Delay in milliseconds, or null if the error is not retryable
+   */
+  getRetryDelay(error, retries) {
+    if (error.response) {
+      const { status, headers = {} } = error.response;
+
+      if (status !== 429 && status < 500) {
+        return null;
+      }
+
+      const headerDelay = this.getRateLimitDelay(headers);
+      if (headerDelay !== null) {
+        // Upstream asked us to wait longer than we are willing to (e.g. monthly quota exhausted)
+        return headerDelay <= this.retryMaxDelayMs ? headerDelay : null;
+      }
+    } else if (!error.request || !RETRYABLE_ERROR_CODES.includes(error.code)) {
+      return null;
+    }
+
+    // Exponential backoff with equal jitter
+    const exponential = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * Math.pow(2, retries));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+
+  /**
+   * Read the wait time requested by upstream rate limit headers
+   * @param {object} headers - Response headers
+   * @returns {number|null} Delay in milliseconds, or null if no header applies
+   */
+  getRateLimitDelay(headers) {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+      const seconds = Number(retryAfter);
+      if (!isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+      }
+
+      const date = Date.parse(retryAfter);
+      if (!isNaN(date)) {
+        return Math.max(0, date - Date.now());
+      }
+    }
+
+    // RapidAPI reports seconds until the quota window resets
+    const rateLimit = this.getRateLimitInfo(headers);
+    if (rateLimit && rateLimit.remaining === 0 && rateLimit.reset !== null) {
+      return rateLimit.reset * 1000;
+    }
+
+    return null;
+  }
+
+  /**
+   * Extract RapidAPI rate limit headers
+   * @param {object} headers - Response headers
+   * @returns {object|null} Limit, remaining and reset (seconds), or null if absent
+   */
+  getRateLimitInfo(headers = {}) {
+    const read = (name) => {
+      const value = headers[`x-ratelimit-requests-${name}`] ?? headers[`x-ratelimit-${name}`];
+      return value === undefined ? null : Number(value);
+    };
+
+    const rateLimit = {
+      limit: read('limit'),
+      remaining: read('remaining'),
+      reset: read('reset')
+    };
+
+    return Object.values(rateLimit).some(value => value !== null) ? rateLimit : null;
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>}
+   */
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
   /**
    * Search for properties by location and filters
    * @param {object} searchParams - Search parameters
    * @param {string} searchParams.location - Location (city, address, or zip)
    * @param {object} searchParams.filters - Optional filters (price range, bedrooms, etc.)
+   * @param {number} searchParams.page - Optional 1-based results page (default: first page)
    * @returns {Promise<object>} Search results
    */
   async searchProperties(searchParams) {
-    const { location, filters = {} } = searchParams;
+    const { location, filters = {}, page } = searchParams;
 
     if (!location) {
       throw new Error('Location parameter is required for property search');
@@ -71,9 +191,29 @@ class ZillowService {
       ...filters
     };
 
+    if (page !== undefined && page !== null) {
+      params.page = page;
+    }
+
     return this.makeRequest('/propertyExtendedSearch', params);
   }
 
+  /**
+   * Walk every results page of a search, following totalPages from the response
+   * @param {string} location - Location (city, address, or zip)
+   * @param {object} filters - Optional filters (price range, bedrooms, etc.)
+   * @param {object} options - Iteration options
+   * @param {number} options.maxPages - Maximum pages to fetch (default from config)
+   * @returns {AsyncGenerator<object>} Raw search response for each page
+   */
+  iterateSearch(location, filters = {}, options = {}) {
+    return iterateSearchPages(page => this.searchProperties({ location, filters, page }), {
+      maxPages: options.maxPages,
+      source: 'ZillowService',
+      location
+    });
+  }
+
   /**
    * Fetch details for a specific property
    * @param {string} propertyId - Property ID
@@ -138,20 +278,31 @@ class ZillowService {
    * @param {Error} error - Error object
    * @param {string} endpoint - API endpoint
    * @param {object} params - Request parameters
+   * @param {number} retries - Number of retries performed before giving up
    * @throws {Error} Formatted error
    */
-  handleError(error, endpoint, params) {
+  handleError(error, endpoint, params, retries = 0) {
+    // Errors from our own client layers (circuit breaker, quota, cassette) are already shaped for the client
+    if (error.code && error.statusCode) {
+      console.error(`[ZillowService] ${error.message} (${endpoint})`);
+      error.retries = retries;
+      throw error;
+    }
+
     const errorInfo = {
       endpoint,
       params,
+      retries,
       timestamp: new Date().toISOString()
     };
 
     if (error.response) {
       // API returned an error response
-      const { status, data } = error.response;
+      const { status, data, headers } = error.response;
+      const rateLimit = this.getRateLimitInfo(headers);
       errorInfo.statusCode = status;
       errorInfo.apiError = data;
+      errorInfo.rateLimit = rateLimit;
 
       console.error(`[ZillowService] API Error (${status}) at ${endpoint}:`, errorInfo);
 
@@ -159,6 +310,8 @@ class ZillowService {
       const apiError = new Error(errorMessage);
       apiError.statusCode = status;
       apiError.apiError = data;
+      apiError.retries = retries;
+      apiError.rateLimit = rateLimit;
       throw apiError;
     } else if (error.request) {
       // Request made but no response received
@@ -166,6 +319,7 @@ class ZillowService {
       
       const apiError = new Error('No response from Zillow API');
       apiError.statusCode = 503;
+      apiError.retries = retries;
       throw apiError;
     } else {
       // Error in request setup
@@ -176,9 +330,13 @@ class ZillowService {
 
       const apiError = new Error(`Request error: ${error.message}`);
       apiError.statusCode = 500;
+      apiError.retries = retries;
       throw apiError;
     }
   }
 }
 
-module.exports = new ZillowService();
+// Serve fixture data instead of the live API when ZILLOW_PROVIDER=mock
+module.exports = config.zillow.provider === 'mock'
+  ? require('./zillowServiceMock')
+  : new ZillowService();
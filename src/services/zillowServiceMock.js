@@ -0,0 +1,369 @@
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { iterateSearchPages } = require('../utils/searchPagination');
+
+/**
+ * Zillow listing status values keyed by the status_type filter
+ */
+const STATUS_TYPES = {
+  ForSale: 'FOR_SALE',
+  ForRent: 'FOR_RENT',
+  RecentlySold: 'RECENTLY_SOLD'
+};
+
+/**
+ * Zillow property types keyed by the home_type filter
+ */
+const HOME_TYPES = {
+  Houses: ['SINGLE_FAMILY'],
+  Condos: ['CONDO'],
+  Townhomes: ['TOWNHOUSE'],
+  Apartments: ['APARTMENT'],
+  'Multi-family': ['MULTI_FAMILY'],
+  Manufactured: ['MANUFACTURED'],
+  LotsLand: ['LOT']
+};
+
+/**
+ * Zillow Mock Service
+ * Offline stand-in for ZillowService that serves deterministic fixture data
+ * Selected with ZILLOW_PROVIDER=mock
+ */
+class ZillowServiceMock {
+  constructor() {
+    this.fixturesDir = config.zillow.mockFixturesDir || path.join(__dirname, 'fixtures', 'zillow');
+    this.pageSize = config.zillow.mockPageSize;
+    this.latencyMs = config.zillow.mockLatencyMs;
+    this.properties = this.loadFixtures(this.fixturesDir);
+
+    console.log(`[ZillowServiceMock] Loaded ${this.properties.length} fixture properties from ${this.fixturesDir}`);
+  }
+
+  /**
+   * Load every JSON fixture file in a directory
+   * @param {string} fixturesDir - Directory containing fixture files
+   * @returns {array} Fixture properties in file order
+   */
+  loadFixtures(fixturesDir) {
+    const files = fs.readdirSync(fixturesDir)
+      .filter(file => file.endsWith('.json'))
+      .sort();
+
+    return files.flatMap(file => {
+      const data = JSON.parse(fs.readFileSync(path.join(fixturesDir, file), 'utf8'));
+      return Array.isArray(data) ? data : [];
+    });
+  }
+
+  /**
+   * Serve a fixture response for a Zillow API endpoint
+   * @param {string} endpoint - API endpoint path
+   * @param {object} params - Query parameters
+   * @returns {Promise<object>} Fixture response data shaped like the API response
+   * @throws {Error} If the endpoint is not supported or the resource is not found
+   */
+  async makeRequest(endpoint, params = {}) {
+    console.log(`[ZillowServiceMock] Serving fixture for ${endpoint}`, { params });
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    switch (endpoint) {
+      case '/propertyExtendedSearch':
+        return this.searchFixtures(params);
+      case '/property':
+        return this.propertyFixture(params.zpid);
+      case '/propertyEstimate':
+        return this.estimateFixture(params.address);
+      default:
+        throw this.createError(`Mock Zillow API does not support endpoint ${endpoint}`, 404);
+    }
+  }
+
+  /**
+   * Search for properties by location and filters
+   * @param {object} searchParams - Search parameters
+   * @param {string} searchParams.location - Location (city, address, or zip)
+   * @param {object} searchParams.filters - Optional filters (price range, bedrooms, etc.)
+   * @param {number} searchParams.page - Optional 1-based results page (default: first page)
+   * @returns {Promise<object>} Search results
+   */
+  async searchProperties(searchParams) {
+    const { location, filters = {}, page } = searchParams;
+
+    if (!location) {
+      throw new Error('Location parameter is required for property search');
+    }
+
+    const params = {
+      location,
+      status_type: filters.status_type || 'ForSale',
+      home_type: filters.home_type || 'Houses',
+      ...filters
+    };
+
+    if (page !== undefined && page !== null) {
+      params.page = page;
+    }
+
+    return this.makeRequest('/propertyExtendedSearch', params);
+  }
+
+  /**
+   * Walk every results page of a search, following totalPages from the response
+   * @param {string} location - Location (city, address, or zip)
+   * @param {object} filters - Optional filters (price range, bedrooms, etc.)
+   * @param {object} options - Iteration options
+   * @param {number} options.maxPages - Maximum pages to fetch (default from config)
+   * @returns {AsyncGenerator<object>} Raw search response for each page
+   */
+  iterateSearch(location, filters = {}, options = {}) {
+    return iterateSearchPages(page => this.searchProperties({ location, filters, page }), {
+      maxPages: options.maxPages,
+      source: 'ZillowServiceMock',
+      location
+    });
+  }
+
+  /**
+   * Fetch details for a specific property
+   * @param {string} propertyId - Property ID
+   * @returns {Promise<object>} Property details
+   */
+  async getPropertyDetails(propertyId) {
+    if (!propertyId) {
+      throw new Error('Property ID is required');
+    }
+
+    return this.makeRequest('/property', { zpid: propertyId });
+  }
+
+  /**
+   * Get price estimate for a property
+   * @param {string} address - Property address
+   * @returns {Promise<object>} Price estimate data
+   */
+  async getPropertyEstimate(address) {
+    if (!address) {
+      throw new Error('Address parameter is required for price estimate');
+    }
+
+    return this.makeRequest('/propertyEstimate', { address });
+  }
+
+  /**
+   * Search for recently sold properties by location
+   * @param {object} searchParams - Search parameters
+   * @param {string} searchParams.location - Location (city, address, or zip)
+   * @param {object} searchParams.filters - Optional filters (price range, bedrooms, etc.)
+   * @returns {Promise<object>} Recently sold properties
+   */
+  async getRecentlySoldProperties(searchParams) {
+    const { location, filters = {} } = searchParams;
+
+    if (!location) {
+      throw new Error('Location parameter is required for recently sold search');
+    }
+
+    const params = {
+      location,
+      status_type: 'RecentlySold',
+      home_type: filters.home_type || 'Houses',
+      ...filters
+    };
+
+    return this.makeRequest('/propertyExtendedSearch', params);
+  }
+
+  /**
+   * Filter and paginate fixture properties like /propertyExtendedSearch
+   * @param {object} params - Search parameters
+   * @returns {object} Search response with props and paging fields
+   */
+  searchFixtures(params) {
+    const status = STATUS_TYPES[params.status_type] || STATUS_TYPES.ForSale;
+    const homeTypes = this.resolveHomeTypes(params.home_type);
+    const minPrice = this.toNumber(params.minPrice);
+    const maxPrice = this.toNumber(params.maxPrice);
+    const minBedrooms = this.toNumber(params.minBedrooms ?? params.bedsMin);
+    const maxBedrooms = this.toNumber(params.maxBedrooms ?? params.bedsMax);
+
+    const matches = this.properties.filter(property =>
+      this.matchesLocation(property, params.location) &&
+      property.listingStatus === status &&
+      (!homeTypes || homeTypes.includes(property.propertyType)) &&
+      (minPrice === null || property.price >= minPrice) &&
+      (maxPrice === null || property.price <= maxPrice) &&
+      (minBedrooms === null || property.bedrooms >= minBedrooms) &&
+      (maxBedrooms === null || property.bedrooms <= maxBedrooms)
+    );
+
+    const totalPages = Math.max(1, Math.ceil(matches.length / this.pageSize));
+    const currentPage = Math.max(1, this.toNumber(params.page) || 1);
+    const start = (currentPage - 1) * this.pageSize;
+
+    return {
+      props: matches.slice(start, start + this.pageSize).map(property => this.toListing(property)),
+      resultsPerPage: this.pageSize,
+      totalResultCount: matches.length,
+      totalPages,
+      currentPage
+    };
+  }
+
+  /**
+   * Build a /property details response for a fixture property
+   * @param {string} zpid - Zillow property ID
+   * @returns {object} Property details
+   * @throws {Error} If no fixture has the given ID
+   */
+  propertyFixture(zpid) {
+    const property = this.properties.find(p => p.zpid === String(zpid));
+
+    if (!property) {
+      throw this.createError(`Property ${zpid} not found`, 404);
+    }
+
+    const facts = property.facts || {};
+
+    return {
+      ...this.toListing(property),
+      homeType: property.propertyType,
+      homeStatus: property.listingStatus,
+      yearBuilt: facts.yearBuilt || null,
+      hdpUrl: property.detailUrl,
+      resoFacts: { ...facts }
+    };
+  }
+
+  /**
+   * Build a /propertyEstimate response for a fixture address
+   * @param {string} address - Property address
+   * @returns {object} Price estimate data
+   * @throws {Error} If no fixture matches the address
+   */
+  estimateFixture(address) {
+    const normalized = this.normalize(address);
+    const property = this.properties.find(p =>
+      this.normalize(p.address) === normalized || this.normalize(p.address).startsWith(normalized)
+    );
+
+    if (!property) {
+      throw this.createError(`No estimate available for address: ${address}`, 404);
+    }
+
+    const zestimate = property.zestimate || null;
+
+    return {
+      zpid: property.zpid,
+      address: property.address,
+      zestimate,
+      rentZestimate: property.rentZestimate || null,
+      valuationRange: zestimate ? {
+        low: Math.round(zestimate * 0.94),
+        high: Math.round(zestimate * 1.06)
+      } : null,
+      currency: 'USD'
+    };
+  }
+
+  /**
+   * Check whether a fixture property matches a location query
+   * Supports "City, ST", "City", "ST", a zip code, or a street address
+   * @param {object} property - Fixture property
+   * @param {string} location - Location query
+   * @returns {boolean} True if the property is in the location
+   */
+  matchesLocation(property, location) {
+    const parts = String(location || '').split(',').map(p => this.normalize(p)).filter(Boolean);
+    if (parts.length === 0) {
+      return false;
+    }
+
+    const zip = parts.find(p => /^\d{5}$/.test(p));
+    if (zip) {
+      return property.zipcode === zip;
+    }
+
+    const city = this.normalize(property.city);
+    const state = this.normalize(property.state);
+
+    if (parts.length === 1 && parts[0].length === 2) {
+      return parts[0] === state;
+    }
+
+    if (parts[0] === city) {
+      const statePart = parts[1] ? parts[1].split(' ')[0] : null;
+      return !statePart || statePart === state;
+    }
+
+    return this.normalize(property.address).startsWith(parts.join(', '));
+  }
+
+  /**
+   * Resolve the home_type filter to Zillow property types
+   * @param {string} homeType - Comma-separated home types, or 'All'
+   * @returns {array|null} Allowed property types, or null for all
+   */
+  resolveHomeTypes(homeType) {
+    if (!homeType || homeType === 'All') {
+      return null;
+    }
+
+    return String(homeType)
+      .split(',')
+      .flatMap(type => HOME_TYPES[type.trim()] || []);
+  }
+
+  /**
+   * Strip fixture-only fields from a property
+   * @param {object} property - Fixture property
+   * @returns {object} Listing as returned by search
+   */
+  toListing(property) {
+    const { facts, ...listing } = property;
+    return listing;
+  }
+
+  /**
+   * Parse a filter value to number, return null if absent or invalid
+   * @param {*} value - Value to parse
+   * @returns {number|null} Parsed number or null
+   */
+  toNumber(value) {
+    if (value === null || value === undefined || value === '') {
+      return null;
+    }
+
+    const parsed = Number(value);
+    return isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Normalize a string for case- and whitespace-insensitive comparison
+   * @param {string} value - Value to normalize
+   * @returns {string} Normalized value
+   */
+  normalize(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Create an error shaped like ZillowService.handleError output
+   * @param {string} message - Error message
+   * @param {number} statusCode - HTTP status code
+   * @returns {Error} Formatted error
+   */
+  createError(message, statusCode) {
+    console.error(`[ZillowServiceMock] ${message}`);
+
+    const apiError = new Error(message);
+    apiError.statusCode = statusCode;
+    apiError.apiError = { message };
+    return apiError;
+  }
+}
+
+module.exports = new ZillowServiceMock();
@@ -0,0 +1,38 @@
+/**
+ * Search pagination helpers
+ * Shared by the RapidAPI client and the fixture-backed mock so both page the same way
+ */
+
+const config = require('../config');
+
+/**
+ * Walk every results page of a search, following totalPages from the response
+ * @param {function} search - (page) => Promise of the raw search response for that 1-based page
+ * @param {object} options - Iteration options
+ * @param {number} options.maxPages - Maximum pages to fetch (default from config)
+ * @param {string} options.source - Log prefix, e.g. 'ZillowService'
+ * @param {string} options.location - Searched location, for the truncation warning
+ * @returns {AsyncGenerator<object>} Raw search response for each page
+ */
+async function* iterateSearchPages(search, options = {}) {
+  const maxPages = options.maxPages || config.zillow.maxSearchPages;
+  let page = 1;
+  let totalPages = 1;
+
+  do {
+    const results = await search(page);
+    totalPages = Number(results?.totalPages) || 1;
+
+    yield results;
+
+    page++;
+  } while (page <= totalPages && page <= maxPages);
+
+  if (totalPages > maxPages) {
+    console.warn(`[${options.source || 'Search'}] Search for ${options.location} stopped at ${maxPages} of ${totalPages} pages`);
+  }
+}
+
+module.exports = {
+  iterateSearchPages
+};